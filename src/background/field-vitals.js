@@ -0,0 +1,71 @@
+/**
+ * SEO Analyzer - Field Vitals Store
+ * Saves the opt-in field vitals samples that content scripts collect
+ * (src/lib/field-vitals.js) to chrome.storage.local. Every write goes through
+ * this one queue, so two tabs on the same URL cannot overwrite each other's
+ * samples, and the number of URLs kept is capped: the least recently updated
+ * URL is evicted first.
+ */
+
+// Same key scheme as getFieldVitalsKey() in src/lib/field-vitals.js
+const STORAGE_PREFIX = 'fieldVitals:';
+// { url: last update time } for every URL with samples, used for eviction
+const INDEX_KEY = 'fieldVitals:index';
+const SAMPLES_PER_URL = 100;
+const MAX_URLS = 200;
+
+let queue = Promise.resolve();
+
+/**
+ * Run storage updates one after another
+ */
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+function getStorageKey(url) {
+  return STORAGE_PREFIX + String(url).split('#')[0];
+}
+
+async function loadIndex() {
+  const result = await chrome.storage.local.get(INDEX_KEY);
+  const index = result[INDEX_KEY];
+  return index && typeof index === 'object' ? index : {};
+}
+
+/**
+ * Insert or replace a sample (by id), keeping the newest samples per URL and
+ * the most recently updated URLs overall
+ */
+export function saveFieldVitalsSample(sample) {
+  return enqueue(async () => {
+    const url = String(sample.url).split('#')[0];
+    const key = getStorageKey(url);
+    const stored = (await chrome.storage.local.get(key))[key];
+    const samples = Array.isArray(stored) ? stored : [];
+    const i = samples.findIndex(s => s.id === sample.id);
+    if (i >= 0) samples[i] = sample;
+    else samples.push(sample);
+
+    const index = await loadIndex();
+    index[url] = Date.now();
+    const evicted = Object.keys(index)
+      .sort((a, b) => index[b] - index[a])
+      .slice(MAX_URLS);
+    evicted.forEach(u => delete index[u]);
+
+    await chrome.storage.local.set({ [key]: samples.slice(-SAMPLES_PER_URL), [INDEX_KEY]: index });
+    if (evicted.length > 0) await chrome.storage.local.remove(evicted.map(getStorageKey));
+  });
+}
+
+export function clearFieldVitals(url) {
+  return enqueue(async () => {
+    const index = await loadIndex();
+    delete index[String(url).split('#')[0]];
+    await chrome.storage.local.remove(getStorageKey(url));
+    await chrome.storage.local.set({ [INDEX_KEY]: index });
+  });
+}
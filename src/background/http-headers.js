@@ -0,0 +1,130 @@
+/**
+ * SEO Analyzer - HTTP Response Capture
+ * Records the main document's response for every tab as it loads: each
+ * redirect hop with its status and headers, then the final status and
+ * headers. Kept in session storage so it survives the service worker being
+ * suspended between page load and opening the popup.
+ */
+
+const STORAGE_PREFIX = 'httpResponse:';
+const FETCH_TIMEOUT_MS = 10000;
+
+// Hops of navigations still in progress, keyed by webRequest requestId
+const pendingChains = new Map();
+
+if (chrome.webRequest?.onBeforeRedirect) {
+  const filter = { urls: ['http://*/*', 'https://*/*'], types: ['main_frame'] };
+
+  chrome.webRequest.onBeforeRedirect.addListener((details) => {
+    const hops = pendingChains.get(details.requestId) || [];
+    hops.push({
+      url: details.url,
+      status: details.statusCode,
+      location: details.redirectUrl,
+      headers: normalizeHeaders(details.responseHeaders)
+    });
+    pendingChains.set(details.requestId, hops);
+  }, filter, ['responseHeaders']);
+
+  chrome.webRequest.onCompleted.addListener((details) => {
+    const redirects = pendingChains.get(details.requestId) || [];
+    pendingChains.delete(details.requestId);
+    if (details.tabId < 0) return;
+    saveResponse(details.tabId, {
+      url: redirects.length > 0 ? redirects[0].url : details.url,
+      finalUrl: details.url,
+      status: details.statusCode,
+      statusLine: details.statusLine || '',
+      fromCache: !!details.fromCache,
+      ip: details.ip || null,
+      redirects,
+      headers: normalizeHeaders(details.responseHeaders),
+      source: 'navigation',
+      capturedAt: Date.now()
+    });
+  }, filter, ['responseHeaders']);
+
+  chrome.webRequest.onErrorOccurred.addListener((details) => {
+    pendingChains.delete(details.requestId);
+  }, filter);
+}
+
+if (chrome.tabs?.onRemoved) {
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.storage.session.remove(STORAGE_PREFIX + tabId).catch(() => {});
+  });
+}
+
+/**
+ * The captured response for a tab's current page. When nothing was captured
+ * for this URL (the tab loaded before the extension, or the URL changed via
+ * history.pushState) the page is fetched again instead; that loses the
+ * individual redirect hops, so `source` is 'refetch'.
+ * Resolves to { url, finalUrl, status, statusLine, fromCache, ip, redirects, headers, source, capturedAt }
+ * where headers maps lowercase names to arrays of values.
+ */
+export async function getHttpResponse(tabId, pageUrl) {
+  const key = STORAGE_PREFIX + tabId;
+  const stored = (await chrome.storage.session.get(key))[key];
+  if (stored && sameDocument(stored.finalUrl, pageUrl)) return stored;
+  return refetchResponse(pageUrl);
+}
+
+async function saveResponse(tabId, record) {
+  try {
+    await chrome.storage.session.set({ [STORAGE_PREFIX + tabId]: record });
+  } catch (e) {
+    console.error('Could not store HTTP response:', e);
+  }
+}
+
+async function refetchResponse(pageUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+  try {
+    const response = await fetch(pageUrl, {
+      redirect: 'follow',
+      credentials: 'include',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    const headers = {};
+    response.headers.forEach((value, name) => {
+      (headers[name.toLowerCase()] = headers[name.toLowerCase()] || []).push(value);
+    });
+    response.body?.cancel().catch(() => {});
+    return {
+      url: pageUrl,
+      finalUrl: response.url || pageUrl,
+      status: response.status,
+      statusLine: `${response.status} ${response.statusText}`.trim(),
+      fromCache: false,
+      ip: null,
+      redirects: response.redirected ? [{ url: pageUrl, status: null, location: response.url, headers: {} }] : [],
+      headers,
+      source: 'refetch',
+      capturedAt: Date.now()
+    };
+  } catch (e) {
+    throw new Error(e.name === 'AbortError' ? 'Timed out' : (e.message || 'Request failed'));
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * webRequest gives [{ name, value }] with repeated names; keep every value
+ */
+function normalizeHeaders(list) {
+  const headers = {};
+  (list || []).forEach(({ name, value }) => {
+    const key = name.toLowerCase();
+    (headers[key] = headers[key] || []).push(value || '');
+  });
+  return headers;
+}
+
+// Fragments never reach the server
+function sameDocument(a, b) {
+  return (a || '').split('#')[0] === (b || '').split('#')[0];
+}
@@ -0,0 +1,146 @@
+/**
+ * SEO Analyzer - Link Checker
+ * Requests each unique link with limited concurrency and a timeout,
+ * recording the status code, redirect hops and final URL.
+ */
+
+const DEFAULT_CONCURRENCY = 6;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// HEAD is cheap, but some servers reject it — retry these with GET
+const RETRY_WITH_GET = new Set([400, 403, 404, 405, 406, 500, 501, 503]);
+
+// Redirect hops seen by webRequest while a check is running, keyed by source URL
+const redirectLog = new Map();
+let activeChecks = 0;
+
+if (chrome.webRequest?.onBeforeRedirect) {
+  chrome.webRequest.onBeforeRedirect.addListener((details) => {
+    if (activeChecks === 0) return;
+    redirectLog.set(details.url, { status: details.statusCode, location: details.redirectUrl });
+  }, { urls: ['<all_urls>'], tabId: -1 });
+}
+
+/**
+ * Check a list of URLs. Calls onProgress(done, total) after each one.
+ * Resolves to [{ url, status, ok, finalUrl, redirects, error, method, timeMs }].
+ */
+export async function checkLinks(urls, { concurrency = DEFAULT_CONCURRENCY, timeout = DEFAULT_TIMEOUT_MS, onProgress } = {}) {
+  const unique = [...new Set(urls.filter(isCheckableUrl))];
+  const results = new Array(unique.length);
+  let next = 0;
+  let done = 0;
+
+  activeChecks++;
+  try {
+    async function worker() {
+      while (next < unique.length) {
+        const index = next++;
+        results[index] = await checkUrl(unique[index], timeout);
+        done++;
+        if (onProgress) onProgress(done, unique.length);
+      }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, unique.length); i++) workers.push(worker());
+    await Promise.all(workers);
+  } finally {
+    activeChecks--;
+    if (activeChecks === 0) redirectLog.clear();
+  }
+
+  return results;
+}
+
+/**
+ * Only http(s) links can be requested
+ */
+function isCheckableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Request one URL — HEAD first, then GET when the server rejects HEAD
+ */
+async function checkUrl(url, timeout) {
+  const started = Date.now();
+  let result = await requestUrl(url, 'HEAD', timeout);
+  if (result.error || RETRY_WITH_GET.has(result.status)) {
+    const retry = await requestUrl(url, 'GET', timeout);
+    // Prefer the GET answer unless it failed outright and HEAD did not
+    if (!retry.error || result.error) result = retry;
+  }
+  result.timeMs = Date.now() - started;
+  return result;
+}
+
+async function requestUrl(url, method, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      redirect: 'follow',
+      credentials: 'omit',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+
+    // Don't download bodies — status and headers are all we need
+    if (method === 'GET' && response.body) {
+      response.body.cancel().catch(() => {});
+    }
+
+    return {
+      url,
+      method,
+      status: response.status,
+      ok: response.ok,
+      finalUrl: response.url || url,
+      redirects: buildRedirectChain(url, response),
+      error: null
+    };
+  } catch (e) {
+    return {
+      url,
+      method,
+      status: null,
+      ok: false,
+      finalUrl: url,
+      redirects: [],
+      error: e.name === 'AbortError' ? `Timed out after ${Math.round(timeout / 1000)}s` : (e.message || 'Request failed')
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Rebuild the hop list from webRequest's redirect log.
+ * Falls back to a single hop when webRequest saw nothing.
+ */
+function buildRedirectChain(url, response) {
+  if (!response.redirected) return [];
+
+  const hops = [];
+  const seen = new Set();
+  let current = url;
+  while (redirectLog.has(current) && !seen.has(current) && hops.length < 20) {
+    seen.add(current);
+    const hop = redirectLog.get(current);
+    hops.push({ url: current, status: hop.status, location: hop.location });
+    current = hop.location;
+  }
+
+  if (hops.length === 0) {
+    hops.push({ url, status: null, location: response.url });
+  }
+  return hops;
+}
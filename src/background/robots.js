@@ -0,0 +1,235 @@
+/**
+ * SEO Analyzer - robots.txt
+ * Fetches and parses robots.txt, then evaluates URLs per user-agent
+ * following Google's rules (RFC 9309): most specific group, longest match wins,
+ * Allow wins ties.
+ */
+
+const ROBOTS_MAX_BYTES = 500 * 1024; // Google ignores content past 500 KiB
+const ROBOTS_TIMEOUT_MS = 10000;
+
+export const DEFAULT_ROBOTS_AGENTS = ['Googlebot', 'Bingbot'];
+
+/**
+ * Fetch robots.txt for the URL's origin. Only the first 500 KiB is kept;
+ * size is the full body in bytes.
+ * Resolves to { robotsUrl, status, text, size, truncated, finalUrl, error }
+ */
+export async function fetchRobots(pageUrl) {
+  const robotsUrl = new URL('/robots.txt', pageUrl).href;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), ROBOTS_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(robotsUrl, {
+      redirect: 'follow',
+      credentials: 'omit',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    let text = '';
+    let size = 0;
+    if (response.ok) {
+      // The limit is in bytes, not characters: cut the body before decoding it
+      // (stream mode drops a character split by the cut instead of emitting U+FFFD)
+      const body = await response.arrayBuffer();
+      size = body.byteLength;
+      text = new TextDecoder().decode(body.slice(0, ROBOTS_MAX_BYTES), { stream: true });
+    }
+    return { robotsUrl, status: response.status, text, size, truncated: size > ROBOTS_MAX_BYTES, finalUrl: response.url || robotsUrl, error: null };
+  } catch (e) {
+    return {
+      robotsUrl,
+      status: null,
+      text: '',
+      size: 0,
+      truncated: false,
+      finalUrl: robotsUrl,
+      error: e.name === 'AbortError' ? 'Timed out' : (e.message || 'Request failed')
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Parse robots.txt into groups and sitemaps.
+ * Each group: { agents: [lowercase tokens], rules: [{ type, pattern, line }], line }
+ */
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  const invalidLines = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach((rawLine, i) => {
+    const lineNumber = i + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      invalidLines.push({ line: lineNumber, text: rawLine.trim() });
+      return;
+    }
+
+    const key = line.substring(0, colon).trim().toLowerCase();
+    const value = line.substring(colon + 1).trim();
+
+    if (key === 'user-agent' || key === 'useragent' || key === 'user agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], line: lineNumber };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+    } else if (key === 'allow' || key === 'disallow') {
+      lastWasAgent = false;
+      // Rules before any user-agent line belong to no group
+      if (!current) {
+        invalidLines.push({ line: lineNumber, text: rawLine.trim(), reason: 'Rule outside of a user-agent group' });
+        return;
+      }
+      // An empty Disallow means "allow everything" — it is not a rule
+      if (!value) return;
+      current.rules.push({ type: key, pattern: value, line: lineNumber });
+    } else if (key === 'sitemap' || key === 'site-map') {
+      if (value) sitemaps.push(value);
+    } else if (key === 'crawl-delay') {
+      lastWasAgent = false;
+      if (current) current.crawlDelay = parseFloat(value);
+    } else {
+      lastWasAgent = false;
+      invalidLines.push({ line: lineNumber, text: rawLine.trim(), reason: `Unknown directive "${key}"` });
+    }
+  });
+
+  return { groups, sitemaps, invalidLines };
+}
+
+/**
+ * Product token used for group matching: "Googlebot/2.1" → "googlebot"
+ */
+function getAgentToken(userAgent) {
+  return userAgent.trim().split(/[\/\s]/)[0].toLowerCase();
+}
+
+/**
+ * Pick the rules that apply to a crawler.
+ * A group applies when one of its user-agent lines equals the crawler's
+ * product token, ignoring case (RFC 9309 2.2.1: "googlebot" does not cover
+ * "googlebot-image"); groups with the same agent are merged. Falls back to "*".
+ */
+export function selectGroup(parsed, userAgent) {
+  const token = getAgentToken(userAgent);
+  const named = parsed.groups.some(g => g.agents.some(agent => agent !== '*' && getAgentToken(agent) === token));
+
+  const agent = named ? token : '*';
+  const matching = parsed.groups.filter(g => g.agents.some(a => getAgentToken(a) === agent));
+  return {
+    agent: matching.length > 0 ? agent : null,
+    rules: matching.flatMap(g => g.rules),
+    lines: matching.map(g => g.line)
+  };
+}
+
+/**
+ * Normalize percent-encoding so "/caf%C3%A9" and "/café" compare equal
+ */
+function normalizePath(path) {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch (e) {
+    return path;
+  }
+}
+
+/**
+ * Does a robots pattern match the path? Supports * and a trailing $ anchor.
+ */
+export function matchesPattern(pattern, path) {
+  const anchored = pattern.endsWith('$');
+  const body = normalizePath(anchored ? pattern.slice(0, -1) : pattern);
+  const regex = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + regex + (anchored ? '$' : '')).test(path);
+}
+
+/**
+ * Evaluate one URL for one user-agent
+ * Returns { userAgent, allowed, group, rule }
+ */
+export function evaluateUrl(parsed, userAgent, pageUrl) {
+  const url = new URL(pageUrl);
+  const path = normalizePath(url.pathname + url.search);
+  const group = selectGroup(parsed, userAgent);
+
+  // robots.txt itself is always crawlable
+  if (url.pathname === '/robots.txt') {
+    return { userAgent, allowed: true, group: group.agent, rule: null };
+  }
+
+  let winner = null;
+  group.rules.forEach(rule => {
+    if (!matchesPattern(rule.pattern, path)) return;
+    const length = rule.pattern.length;
+    if (!winner || length > winner.pattern.length ||
+        (length === winner.pattern.length && rule.type === 'allow' && winner.type === 'disallow')) {
+      winner = rule;
+    }
+  });
+
+  return {
+    userAgent,
+    allowed: !winner || winner.type === 'allow',
+    group: group.agent,
+    rule: winner
+  };
+}
+
+/**
+ * Fetch robots.txt and evaluate the page for each user-agent.
+ * 4xx means "no restrictions"; 5xx and network errors mean "assume disallowed",
+ * which is how Google treats an unreachable robots.txt.
+ */
+export async function checkRobots(pageUrl, userAgents = DEFAULT_ROBOTS_AGENTS) {
+  const fetched = await fetchRobots(pageUrl);
+  const agents = [...new Set(userAgents.map(a => a.trim()).filter(Boolean))];
+  const result = {
+    url: pageUrl,
+    robotsUrl: fetched.robotsUrl,
+    finalUrl: fetched.finalUrl,
+    status: fetched.status,
+    error: fetched.error,
+    state: 'parsed',
+    size: fetched.size,
+    truncated: fetched.truncated,
+    groupCount: 0,
+    sitemaps: [],
+    invalidLines: [],
+    agents: []
+  };
+
+  if (fetched.status === null || fetched.status >= 500 || fetched.status === 429) {
+    result.state = 'unreachable';
+    result.agents = agents.map(userAgent => ({ userAgent, allowed: false, group: null, rule: null }));
+    return result;
+  }
+
+  if (fetched.status >= 400) {
+    result.state = 'missing';
+    result.agents = agents.map(userAgent => ({ userAgent, allowed: true, group: null, rule: null }));
+    return result;
+  }
+
+  const parsed = parseRobots(fetched.text);
+  result.groupCount = parsed.groups.length;
+  result.sitemaps = parsed.sitemaps;
+  result.invalidLines = parsed.invalidLines.slice(0, 20);
+  result.agents = agents.map(userAgent => evaluateUrl(parsed, userAgent, pageUrl));
+  return result;
+}
@@ -3,6 +3,13 @@
  * Handles extension lifecycle, context menu, and background tasks
  */
 
+import { checkLinks } from './link-checker.js';
+import { checkRobots, DEFAULT_ROBOTS_AGENTS } from './robots.js';
+import { checkSitemaps } from './sitemap.js';
+import { getHttpResponse } from './http-headers.js';
+import { saveFieldVitalsSample, clearFieldVitals } from './field-vitals.js';
+import '../lib/content-scripts.js';
+
 // Create context menu on install/update
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
@@ -27,7 +34,7 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
       try {
         await chrome.scripting.executeScript({
           target: { tabId: tab.id },
-          files: ['src/content/analyzer.js']
+          files: getContentScriptFiles()
         });
       } catch (e) {
         // Already injected
@@ -50,6 +57,63 @@ chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   }
 });
 
+// Handle background tasks requested by the popup
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'checkLinks') {
+    const jobId = request.jobId;
+    checkLinks(request.urls || [], {
+      onProgress: (done, total) => {
+        chrome.runtime.sendMessage({ action: 'checkLinksProgress', jobId, done, total }).catch(() => {
+          // Popup closed — keep checking, nobody is listening
+        });
+      }
+    })
+      .then(results => sendResponse({ results }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'checkRobots') {
+    checkRobots(request.url, [...DEFAULT_ROBOTS_AGENTS, ...(request.userAgents || [])])
+      .then(result => sendResponse({ result }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+
+  if (request.action === 'checkSitemaps') {
+    const jobId = request.jobId;
+    checkSitemaps(request.url, request.canonical, {
+      onProgress: (done, total) => {
+        chrome.runtime.sendMessage({ action: 'checkSitemapsProgress', jobId, done, total }).catch(() => {});
+      }
+    })
+      .then(result => sendResponse({ result }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+
+  if (request.action === 'saveFieldVitals') {
+    saveFieldVitalsSample(request.sample)
+      .then(() => sendResponse({ result: true }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+
+  if (request.action === 'clearFieldVitals') {
+    clearFieldVitals(request.url)
+      .then(() => sendResponse({ result: true }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+
+  if (request.action === 'getHttpResponse') {
+    getHttpResponse(request.tabId, request.url)
+      .then(result => sendResponse({ result }))
+      .catch(e => sendResponse({ error: e.message }));
+    return true;
+  }
+});
+
 /**
  * Injected into the page to show a floating notification with count results
  */
@@ -0,0 +1,341 @@
+/**
+ * SEO Analyzer - XML Sitemaps
+ * Discovers sitemaps (robots.txt Sitemap: lines and /sitemap.xml), expands
+ * sitemap indexes (gzipped or not) and checks whether a URL is listed.
+ * Service workers have no DOMParser, so the XML is read with a small tag scanner.
+ */
+
+import { fetchRobots, parseRobots } from './robots.js';
+
+const SITEMAP_TIMEOUT_MS = 15000;
+const SITEMAP_MAX_FILES = 50;           // stop expanding indexes after this many files
+const SITEMAP_MAX_URLS_PER_FILE = 50000; // sitemaps.org protocol limit
+const SITEMAP_MAX_BYTES = 50 * 1024 * 1024; // uncompressed, per file
+
+/**
+ * Fetch one sitemap file and return its XML text (gunzipped if needed).
+ * The body is read as a stream and dropped once it passes 50 MB, so a gzip
+ * bomb never gets decompressed in full.
+ */
+export async function fetchSitemapXml(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SITEMAP_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      redirect: 'follow',
+      credentials: 'omit',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    if (!response.ok) return { status: response.status, xml: null, error: `HTTP ${response.status}` };
+
+    const reader = response.body.getReader();
+    const first = await reader.read();
+    // .xml.gz files are usually served as application/gzip, not Content-Encoding
+    const gzipped = !first.done && first.value[0] === 0x1f && first.value[1] === 0x8b;
+    let stream = new ReadableStream({
+      start(streamController) {
+        if (!first.done) streamController.enqueue(first.value);
+      },
+      async pull(streamController) {
+        const { done, value } = await reader.read();
+        if (done) streamController.close();
+        else streamController.enqueue(value);
+      },
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    });
+    if (gzipped) stream = stream.pipeThrough(new DecompressionStream('gzip'));
+
+    const bytes = await readStreamUpTo(stream, SITEMAP_MAX_BYTES);
+    if (!bytes) {
+      return { status: response.status, xml: null, gzipped, finalUrl: response.url, error: `Larger than 50 MB${gzipped ? ' uncompressed' : ''}` };
+    }
+    return { status: response.status, xml: new TextDecoder().decode(bytes), gzipped, size: bytes.length, finalUrl: response.url, error: null };
+  } catch (e) {
+    return { status: null, xml: null, error: e.name === 'AbortError' ? 'Timed out' : (e.message || 'Request failed') };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * All bytes of a stream, or null (and the stream cancelled) as soon as it
+ * goes past maxBytes
+ */
+async function readStreamUpTo(stream, maxBytes) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      reader.cancel().catch(() => {});
+      return null;
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Decode XML entities and CDATA in a text node
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+/**
+ * Inner text of the first <name> child (namespace prefix optional)
+ */
+function readTag(block, name) {
+  const match = block.match(new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i'));
+  return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Every block for <name>...</name> (namespace prefix optional)
+ */
+function readBlocks(xml, name) {
+  const regex = new RegExp(`<(?:[\\w-]+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'gi');
+  const blocks = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) blocks.push(match[1]);
+  return blocks;
+}
+
+/**
+ * Attribute value from a single tag string
+ */
+function readAttr(tag, name) {
+  const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`, 'i'));
+  return match ? decodeXmlText(match[2]) : null;
+}
+
+/**
+ * Parse a sitemap file. Returns { kind: 'index'|'urlset'|'unknown', sitemaps, urls, errors }
+ */
+export function parseSitemap(xml) {
+  const result = { kind: 'unknown', sitemaps: [], urls: [], errors: [] };
+  const head = xml.substring(0, 2000);
+
+  if (/<(?:[\w-]+:)?sitemapindex\b/i.test(head) || /<(?:[\w-]+:)?sitemapindex\b/i.test(xml)) {
+    result.kind = 'index';
+    readBlocks(xml, 'sitemap').forEach(block => {
+      const loc = readTag(block, 'loc');
+      if (loc) result.sitemaps.push({ loc, lastmod: readTag(block, 'lastmod') });
+      else result.errors.push('<sitemap> entry without <loc>');
+    });
+    return result;
+  }
+
+  if (!/<(?:[\w-]+:)?urlset\b/i.test(xml)) {
+    result.errors.push('Not a sitemap: no <urlset> or <sitemapindex> root');
+    return result;
+  }
+
+  result.kind = 'urlset';
+  readBlocks(xml, 'url').forEach(block => {
+    // image:loc lives inside <url> too — read the page <loc> without it
+    const loc = readTag(block.replace(/<(?:[\w-]+:)?image\b[\s\S]*?<\/(?:[\w-]+:)?image>/gi, ''), 'loc');
+    if (!loc) {
+      result.errors.push('<url> entry without <loc>');
+      return;
+    }
+
+    const alternates = [];
+    (block.match(/<(?:[\w-]+:)?link\b[^>]*>/gi) || []).forEach(tag => {
+      if ((readAttr(tag, 'rel') || '').toLowerCase() !== 'alternate') return;
+      const hreflang = readAttr(tag, 'hreflang');
+      const href = readAttr(tag, 'href');
+      if (hreflang && href) alternates.push({ hreflang, href });
+    });
+
+    const images = readBlocks(block, 'image')
+      .map(image => readTag(image, 'loc'))
+      .filter(Boolean);
+
+    result.urls.push({
+      loc,
+      lastmod: readTag(block, 'lastmod'),
+      changefreq: readTag(block, 'changefreq'),
+      priority: readTag(block, 'priority'),
+      alternates,
+      images
+    });
+  });
+
+  return result;
+}
+
+/**
+ * W3C Datetime as required by the protocol (YYYY, YYYY-MM, YYYY-MM-DD, or full timestamp)
+ */
+function isValidLastmod(value) {
+  return /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/.test(value) &&
+    !isNaN(new Date(value.length === 4 ? `${value}-01-01` : value).getTime());
+}
+
+/**
+ * Loose key for comparing URLs: lowercase host, no hash, no trailing slash
+ */
+function looseUrlKey(url) {
+  try {
+    const u = new URL(url);
+    u.hash = '';
+    u.hostname = u.hostname.toLowerCase();
+    if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+    return u.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Find candidate sitemap URLs for a page: robots.txt first, then /sitemap.xml
+ */
+export async function discoverSitemaps(pageUrl) {
+  const found = [];
+  const robots = await fetchRobots(pageUrl);
+  if (robots.status === 200 && robots.text) {
+    parseRobots(robots.text).sitemaps.forEach(loc => found.push({ loc, source: 'robots.txt' }));
+  }
+
+  const fallback = new URL('/sitemap.xml', pageUrl).href;
+  if (!found.some(s => s.loc === fallback)) found.push({ loc: fallback, source: '/sitemap.xml' });
+  return found;
+}
+
+/**
+ * Discover, expand and scan sitemaps for the page URL and its canonical.
+ * Returns a summary plus the matching <url> entry when the page is listed.
+ */
+export async function checkSitemaps(pageUrl, canonicalUrl, { onProgress } = {}) {
+  const origin = new URL(pageUrl).origin;
+  const targets = new Map();
+  [pageUrl, canonicalUrl].filter(Boolean).forEach(url => {
+    try {
+      const absolute = new URL(url, pageUrl).href.split('#')[0];
+      targets.set(absolute, looseUrlKey(absolute));
+    } catch (e) {}
+  });
+
+  const summary = {
+    url: pageUrl,
+    canonical: canonicalUrl || null,
+    discovered: [],
+    files: [],
+    totalUrls: 0,
+    withLastmod: 0,
+    withAlternates: 0,
+    imageCount: 0,
+    errors: [],
+    truncated: false,
+    match: null
+  };
+
+  const queue = await discoverSitemaps(pageUrl);
+  summary.discovered = queue.map(s => ({ ...s }));
+  const visited = new Set();
+
+  while (queue.length > 0) {
+    if (visited.size >= SITEMAP_MAX_FILES) {
+      summary.truncated = true;
+      summary.errors.push(`Stopped after ${SITEMAP_MAX_FILES} sitemap files`);
+      break;
+    }
+
+    const { loc, source, parent } = queue.shift();
+    if (visited.has(loc)) continue;
+    visited.add(loc);
+    if (onProgress) onProgress(visited.size, visited.size + queue.length);
+
+    const file = { loc, source: source || null, parent: parent || null, kind: null, status: null, urlCount: 0, gzipped: false, errors: [] };
+    summary.files.push(file);
+
+    const fetched = await fetchSitemapXml(loc);
+    file.status = fetched.status;
+    file.gzipped = !!fetched.gzipped;
+    if (!fetched.xml) {
+      // A missing fallback /sitemap.xml is not an error when robots.txt listed others
+      if (source !== '/sitemap.xml' || summary.discovered.length === 1) file.errors.push(fetched.error);
+      continue;
+    }
+    if (fetched.error) file.errors.push(fetched.error);
+
+    const parsed = parseSitemap(fetched.xml);
+    file.kind = parsed.kind;
+    file.errors.push(...parsed.errors.slice(0, 5));
+
+    if (parsed.kind === 'index') {
+      file.urlCount = parsed.sitemaps.length;
+      parsed.sitemaps.forEach(child => {
+        if (!visited.has(child.loc)) queue.push({ loc: child.loc, parent: loc });
+      });
+      continue;
+    }
+
+    file.urlCount = parsed.urls.length;
+    if (parsed.urls.length > SITEMAP_MAX_URLS_PER_FILE) {
+      file.errors.push(`${parsed.urls.length.toLocaleString()} URLs — protocol limit is 50,000 per file`);
+    }
+
+    let invalidLastmod = 0;
+    let offHost = 0;
+    parsed.urls.forEach(entry => {
+      summary.totalUrls++;
+      if (entry.lastmod) {
+        summary.withLastmod++;
+        if (!isValidLastmod(entry.lastmod)) invalidLastmod++;
+      }
+      if (entry.alternates.length > 0) summary.withAlternates++;
+      summary.imageCount += entry.images.length;
+
+      try {
+        if (new URL(entry.loc).origin !== origin) offHost++;
+      } catch (e) {
+        offHost++;
+      }
+
+      if (!summary.match) {
+        for (const [target, loose] of targets) {
+          if (entry.loc === target || looseUrlKey(entry.loc) === loose) {
+            summary.match = {
+              ...entry,
+              sitemap: loc,
+              matchedUrl: target,
+              exact: entry.loc === target,
+              viaCanonical: target !== pageUrl.split('#')[0]
+            };
+            break;
+          }
+        }
+      }
+    });
+
+    if (invalidLastmod > 0) file.errors.push(`${invalidLastmod} invalid <lastmod> value(s)`);
+    if (offHost > 0) file.errors.push(`${offHost} URL(s) on a different host or protocol than ${origin}`);
+  }
+
+  summary.files.forEach(f => f.errors.forEach(e => summary.errors.push(`${f.loc}: ${e}`)));
+  return summary;
+}
@@ -0,0 +1,318 @@
+/**
+ * SEO Analyzer - Issue Overlay
+ * Outlines offending elements on the page with a tooltip and a side list,
+ * and the detected main content region on request.
+ * Uses the same analyzers as the popup so the two never disagree.
+ */
+
+// No top-level const/let here: this file is re-injected every time the popup opens
+
+/**
+ * Overlay categories, in panel order
+ */
+function getOverlayCategories() {
+  return {
+    images: { label: 'Missing or unusable alt', tag: 'Alt', color: '#ef4444' },
+    links: { label: 'Empty anchor links', tag: 'Empty link', color: '#f59e0b' },
+    headings: { label: 'Skipped heading levels', tag: 'Heading skip', color: '#8b5cf6' },
+    mixedContent: { label: 'Insecure resources', tag: 'HTTP', color: '#ec4899' }
+  };
+}
+
+/**
+ * Gather offending elements from the analyzers
+ */
+function collectOverlayIssues() {
+  const issues = [];
+  const context = createAnalysisContext(document, { url: window.location.href });
+
+  analyzeImages(document).items
+    .filter(i => i.status === 'fail' && i.selector)
+    .forEach(i => {
+      const flag = i.flags.find(f => f.type === 'fail');
+      const message = flag ? flag.message : 'Image missing alt attribute';
+      issues.push({ category: 'images', selector: i.selector, message: `${message} — ${i.src}` });
+    });
+
+  analyzeLinks(document, context).items
+    .filter(i => i.issue === 'empty')
+    .forEach(i => issues.push({ category: 'links', selector: i.selector, message: `Link with empty anchor text — ${i.href}` }));
+
+  (analyzeHeadings(document).skips || [])
+    .forEach(s => issues.push({ category: 'headings', selector: s.selector, message: `Heading level skipped (H${s.from} → H${s.to}) — ${s.text || '(empty)'}` }));
+
+  analyzeMixedContent(document, context).items
+    .forEach(i => issues.push({ category: 'mixedContent', selector: i.selector, message: `Insecure ${i.type} loaded over HTTP — ${i.url}` }));
+
+  // Resolve selectors against the live DOM
+  issues.forEach(issue => {
+    try {
+      issue.element = document.querySelector(issue.selector);
+    } catch (e) {
+      issue.element = null;
+    }
+  });
+
+  return issues.filter(i => i.element);
+}
+
+/**
+ * Show, hide or toggle the overlay. Returns { active, count }.
+ */
+function toggleIssueOverlay(show) {
+  const existing = document.getElementById('seo-analyzer-overlay');
+  const shouldShow = show === undefined ? !existing : show;
+
+  if (existing) removeIssueOverlay();
+  if (!shouldShow) return { active: false, count: 0 };
+
+  const issues = collectOverlayIssues();
+  renderIssueOverlay(issues);
+  return { active: true, count: issues.length };
+}
+
+function removeIssueOverlay() {
+  const host = document.getElementById('seo-analyzer-overlay');
+  if (!host) return;
+  if (host.__seoCleanup) host.__seoCleanup();
+  host.remove();
+}
+
+/**
+ * Build the overlay inside a shadow root so page styles can't leak in
+ */
+function renderIssueOverlay(issues) {
+  const host = document.createElement('div');
+  host.id = 'seo-analyzer-overlay';
+  host.style.cssText = 'position: absolute; top: 0; left: 0; width: 0; height: 0; z-index: 2147483646;';
+  const root = host.attachShadow({ mode: 'open' });
+
+  root.innerHTML = `
+    <style>
+      :host { all: initial; }
+      .box {
+        position: absolute; pointer-events: none; box-sizing: border-box;
+        border: 2px solid var(--c); background: color-mix(in srgb, var(--c) 12%, transparent);
+        border-radius: 3px; transition: box-shadow 0.2s;
+      }
+      .box.flash { box-shadow: 0 0 0 6px color-mix(in srgb, var(--c) 45%, transparent); }
+      .tag {
+        position: absolute; top: -2px; left: -2px; transform: translateY(-100%);
+        pointer-events: auto; cursor: help;
+        background: var(--c); color: white; font: 600 10px/1.6 -apple-system, sans-serif;
+        padding: 0 5px; border-radius: 3px 3px 0 0; white-space: nowrap;
+      }
+      .tip {
+        display: none; position: absolute; top: -4px; left: 0; transform: translateY(-100%);
+        margin-top: -16px; max-width: 320px; width: max-content;
+        background: #1e293b; color: #f1f5f9; font: 12px/1.5 -apple-system, sans-serif;
+        padding: 6px 10px; border-radius: 6px; box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+        white-space: normal; word-break: break-word;
+      }
+      .tag:hover + .tip { display: block; }
+      .panel {
+        position: fixed; top: 16px; right: 16px; width: 300px; max-height: calc(100vh - 32px);
+        display: flex; flex-direction: column;
+        background: #1e293b; color: #e2e8f0; border-radius: 10px;
+        font: 12px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        box-shadow: 0 8px 24px rgba(0,0,0,0.35); pointer-events: auto;
+      }
+      .panel-header {
+        display: flex; justify-content: space-between; align-items: center;
+        padding: 10px 14px; border-bottom: 1px solid #334155; font-weight: 600; color: #60a5fa; font-size: 13px;
+      }
+      .panel-header button {
+        background: #334155; border: none; color: #94a3b8; border-radius: 4px;
+        padding: 2px 8px; cursor: pointer; font-size: 12px;
+      }
+      .panel-list { overflow-y: auto; padding: 6px 0; }
+      .group { padding: 6px 14px 2px; font-size: 11px; text-transform: uppercase; letter-spacing: 0.5px; color: #94a3b8; }
+      .group .dot { display: inline-block; width: 8px; height: 8px; border-radius: 50%; margin-right: 6px; background: var(--c); }
+      .entry {
+        padding: 5px 14px; cursor: pointer; color: #cbd5e1;
+        overflow: hidden; text-overflow: ellipsis; white-space: nowrap;
+      }
+      .entry:hover { background: #334155; color: #f8fafc; }
+      .entry.hidden-el { color: #64748b; }
+      .empty { padding: 14px; color: #94a3b8; }
+    </style>
+    <div class="layer"></div>
+    <div class="panel">
+      <div class="panel-header">
+        <span>🔍 ${issues.length} issue${issues.length === 1 ? '' : 's'} on page</span>
+        <button class="close" title="Hide overlay">✕</button>
+      </div>
+      <div class="panel-list"></div>
+    </div>
+  `;
+
+  const layer = root.querySelector('.layer');
+  const list = root.querySelector('.panel-list');
+  const boxes = [];
+
+  if (issues.length === 0) {
+    list.innerHTML = '<div class="empty">No highlightable issues found.</div>';
+  }
+
+  Object.entries(getOverlayCategories()).forEach(([category, meta]) => {
+    const group = issues.filter(i => i.category === category);
+    if (group.length === 0) return;
+
+    const heading = document.createElement('div');
+    heading.className = 'group';
+    heading.style.setProperty('--c', meta.color);
+    heading.innerHTML = `<span class="dot"></span>`;
+    heading.appendChild(document.createTextNode(`${meta.label} (${group.length})`));
+    list.appendChild(heading);
+
+    group.forEach(issue => {
+      const box = document.createElement('div');
+      box.className = 'box';
+      box.style.setProperty('--c', meta.color);
+      const tag = document.createElement('div');
+      tag.className = 'tag';
+      tag.textContent = meta.tag;
+      const tip = document.createElement('div');
+      tip.className = 'tip';
+      tip.textContent = issue.message;
+      box.append(tag, tip);
+      layer.appendChild(box);
+      boxes.push({ box, issue });
+
+      const entry = document.createElement('div');
+      entry.className = 'entry';
+      entry.textContent = issue.message;
+      entry.title = issue.message;
+      entry.addEventListener('click', () => {
+        issue.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        box.classList.add('flash');
+        setTimeout(() => box.classList.remove('flash'), 1200);
+      });
+      issue.entry = entry;
+      list.appendChild(entry);
+    });
+  });
+
+  function positionBoxes() {
+    boxes.forEach(({ box, issue }) => {
+      const rect = issue.element.getBoundingClientRect();
+      const visible = rect.width > 0 || rect.height > 0;
+      box.style.display = visible ? 'block' : 'none';
+      issue.entry.classList.toggle('hidden-el', !visible);
+      if (!visible) {
+        issue.entry.title = issue.message + ' (element is not visible)';
+        return;
+      }
+      box.style.top = `${rect.top + window.scrollY}px`;
+      box.style.left = `${rect.left + window.scrollX}px`;
+      box.style.width = `${Math.max(rect.width, 4)}px`;
+      box.style.height = `${Math.max(rect.height, 4)}px`;
+    });
+  }
+
+  // Re-measure when layout may have moved (lazy images, sticky headers, resizes)
+  let frame = null;
+  const schedule = () => {
+    if (frame) return;
+    frame = requestAnimationFrame(() => { frame = null; positionBoxes(); });
+  };
+  window.addEventListener('resize', schedule);
+  window.addEventListener('scroll', schedule, { passive: true });
+  const resizeObserver = new ResizeObserver(schedule);
+  resizeObserver.observe(document.body);
+
+  host.__seoCleanup = () => {
+    window.removeEventListener('resize', schedule);
+    window.removeEventListener('scroll', schedule);
+    resizeObserver.disconnect();
+    if (frame) cancelAnimationFrame(frame);
+  };
+
+  root.querySelector('.close').addEventListener('click', removeIssueOverlay);
+
+  document.documentElement.appendChild(host);
+  positionBoxes();
+}
+
+/**
+ * Scroll to one element and pulse an outline around it
+ */
+function locateElement(selector) {
+  let el = null;
+  try {
+    el = document.querySelector(selector);
+  } catch (e) {}
+  if (!el) return { found: false };
+
+  el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  const existing = document.getElementById('seo-analyzer-locate');
+  if (existing) existing.remove();
+
+  const marker = document.createElement('div');
+  marker.id = 'seo-analyzer-locate';
+  marker.style.cssText = 'position: absolute; pointer-events: none; z-index: 2147483647; ' +
+    'border: 3px solid #2563eb; border-radius: 4px; box-shadow: 0 0 0 6px rgba(37,99,235,0.3); transition: opacity 0.4s;';
+
+  // Wait for the smooth scroll to settle before measuring
+  setTimeout(() => {
+    const rect = el.getBoundingClientRect();
+    marker.style.top = `${rect.top + window.scrollY - 4}px`;
+    marker.style.left = `${rect.left + window.scrollX - 4}px`;
+    marker.style.width = `${Math.max(rect.width, 8) + 8}px`;
+    marker.style.height = `${Math.max(rect.height, 8) + 8}px`;
+    document.documentElement.appendChild(marker);
+    setTimeout(() => { marker.style.opacity = '0'; }, 2000);
+    setTimeout(() => marker.remove(), 2500);
+  }, 400);
+
+  const rect = el.getBoundingClientRect();
+  return { found: true, visible: rect.width > 0 || rect.height > 0 };
+}
+
+/**
+ * Show, hide or toggle an outline around the detected main content, dimming
+ * the rest of the page. Returns { active, selector, method }.
+ */
+function toggleMainContentHighlight(show) {
+  const existing = document.getElementById('seo-analyzer-main-content');
+  const shouldShow = show === undefined ? !existing : show;
+
+  if (existing) {
+    if (existing.__seoCleanup) existing.__seoCleanup();
+    existing.remove();
+  }
+  if (!shouldShow) return { active: false };
+
+  const main = detectMainContent(document);
+  const box = document.createElement('div');
+  box.id = 'seo-analyzer-main-content';
+  box.style.cssText = 'position: absolute; pointer-events: none; z-index: 2147483645; box-sizing: border-box; ' +
+    'border: 3px dashed #16a34a; border-radius: 4px; box-shadow: 0 0 0 100vmax rgba(15, 23, 42, 0.35);';
+  const label = document.createElement('div');
+  label.style.cssText = 'position: absolute; top: 0; left: 0; transform: translateY(-100%); ' +
+    'background: #16a34a; color: white; font: 600 11px/1.6 -apple-system, sans-serif; padding: 0 6px; border-radius: 3px 3px 0 0; white-space: nowrap;';
+  label.textContent = `Main content (${main.method}, ${Math.round(main.share * 100)}% of page text)`;
+  box.appendChild(label);
+
+  function position() {
+    const rect = main.element.getBoundingClientRect();
+    box.style.top = `${rect.top + window.scrollY}px`;
+    box.style.left = `${rect.left + window.scrollX}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+  }
+
+  const resizeObserver = new ResizeObserver(position);
+  resizeObserver.observe(main.element);
+  window.addEventListener('resize', position);
+  box.__seoCleanup = () => {
+    resizeObserver.disconnect();
+    window.removeEventListener('resize', position);
+  };
+
+  document.documentElement.appendChild(box);
+  position();
+  main.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  return { active: true, selector: main.selector, method: main.method };
+}
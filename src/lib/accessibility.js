@@ -0,0 +1,382 @@
+/**
+ * SEO Analyzer - Accessibility Checks
+ * Basic WCAG 2.2 checks: names for form controls, buttons and links, text
+ * contrast from rendered styles (live pages only), ARIA roles and attributes,
+ * landmarks, duplicate IDs that ARIA or labels point at, tabindex misuse and
+ * the page language. Each finding carries its WCAG success criterion.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * Rules in report order, with the WCAG success criterion each one maps to
+ */
+function getAccessibilityRules() {
+  return {
+    label: { label: 'Form controls without a label', wcag: '1.3.1', name: 'Info and Relationships', level: 'A', slug: 'info-and-relationships' },
+    placeholderLabel: { label: 'Form controls labelled only by placeholder', wcag: '3.3.2', name: 'Labels or Instructions', level: 'A', slug: 'labels-or-instructions' },
+    buttonName: { label: 'Buttons without an accessible name', wcag: '4.1.2', name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' },
+    linkName: { label: 'Links without an accessible name', wcag: '2.4.4', name: 'Link Purpose (In Context)', level: 'A', slug: 'link-purpose-in-context' },
+    contrast: { label: 'Text with insufficient contrast', wcag: '1.4.3', name: 'Contrast (Minimum)', level: 'AA', slug: 'contrast-minimum' },
+    ariaRole: { label: 'Invalid ARIA roles', wcag: '4.1.2', name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' },
+    ariaAttr: { label: 'Invalid ARIA attributes or values', wcag: '4.1.2', name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' },
+    ariaHiddenFocus: { label: 'Focusable elements inside aria-hidden', wcag: '4.1.2', name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' },
+    duplicateId: { label: 'Duplicate IDs referenced by ARIA or labels', wcag: '1.3.1', name: 'Info and Relationships', level: 'A', slug: 'info-and-relationships' },
+    landmarks: { label: 'Landmarks', wcag: '2.4.1', name: 'Bypass Blocks', level: 'A', slug: 'bypass-blocks' },
+    tabindex: { label: 'Positive tabindex', wcag: '2.4.3', name: 'Focus Order', level: 'A', slug: 'focus-order' },
+    lang: { label: 'Page language', wcag: '3.1.1', name: 'Language of Page', level: 'A', slug: 'language-of-page' }
+  };
+}
+
+/**
+ * WAI-ARIA 1.2 roles that may be used in markup (abstract roles excluded),
+ * attributes, and the values the enumerated attributes accept
+ */
+function getAriaSpec() {
+  return {
+    roles: new Set((
+      'alert alertdialog application article banner blockquote button caption cell checkbox code columnheader ' +
+      'combobox complementary contentinfo definition deletion dialog directory document emphasis feed figure form ' +
+      'generic grid gridcell group heading img insertion link list listbox listitem log main marquee math menu ' +
+      'menubar menuitem menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation ' +
+      'progressbar radio radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider ' +
+      'spinbutton status strong subscript superscript switch tab table tablist tabpanel term textbox time timer ' +
+      'toolbar tooltip tree treegrid treeitem graphics-document graphics-object graphics-symbol'
+    ).split(' ')),
+    attributes: new Set((
+      'activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount colindex ' +
+      'colindextext colspan controls current describedby description details disabled dropeffect errormessage ' +
+      'expanded flowto grabbed haspopup hidden invalid keyshortcuts label labelledby level live modal multiline ' +
+      'multiselectable orientation owns placeholder posinset pressed readonly relevant required roledescription ' +
+      'rowcount rowindex rowindextext rowspan selected setsize sort valuemax valuemin valuenow valuetext'
+    ).split(' ').map(a => 'aria-' + a)),
+    idrefs: ['aria-activedescendant', 'aria-controls', 'aria-describedby', 'aria-details', 'aria-errormessage', 'aria-flowto', 'aria-labelledby', 'aria-owns'],
+    values: {
+      'aria-atomic': ['true', 'false'],
+      'aria-busy': ['true', 'false'],
+      'aria-disabled': ['true', 'false'],
+      'aria-modal': ['true', 'false'],
+      'aria-multiline': ['true', 'false'],
+      'aria-multiselectable': ['true', 'false'],
+      'aria-readonly': ['true', 'false'],
+      'aria-required': ['true', 'false'],
+      'aria-checked': ['true', 'false', 'mixed', 'undefined'],
+      'aria-pressed': ['true', 'false', 'mixed', 'undefined'],
+      'aria-expanded': ['true', 'false', 'undefined'],
+      'aria-hidden': ['true', 'false', 'undefined'],
+      'aria-selected': ['true', 'false', 'undefined'],
+      'aria-live': ['assertive', 'off', 'polite'],
+      'aria-autocomplete': ['inline', 'list', 'both', 'none'],
+      'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+      'aria-haspopup': ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+      'aria-invalid': ['grammar', 'false', 'spelling', 'true'],
+      'aria-orientation': ['horizontal', 'vertical', 'undefined'],
+      'aria-sort': ['ascending', 'descending', 'none', 'other']
+    },
+    integers: ['aria-level', 'aria-posinset', 'aria-setsize', 'aria-colcount', 'aria-colindex', 'aria-colspan', 'aria-rowcount', 'aria-rowindex', 'aria-rowspan']
+  };
+}
+
+/**
+ * Run every rule. Returns { score, stats, rules, findings, issues } where each
+ * finding is { rule, type, message, selector } and each issue is
+ * { type, message, wcag } summarizing one rule.
+ */
+function analyzeAccessibility(doc, context) {
+  const rules = getAccessibilityRules();
+  const aria = getAriaSpec();
+  const findings = [];
+  const add = (rule, type, message, el) => {
+    findings.push({ rule, type, message, selector: el ? getElementSelector(el) : null });
+  };
+
+  // Form controls
+  let controls = 0;
+  doc.querySelectorAll('input, select, textarea').forEach(el => {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (el.tagName.toLowerCase() === 'input' && ['hidden', 'submit', 'button', 'reset', 'image'].includes(type)) return;
+    if (isAccessibilityHidden(el)) return;
+    controls++;
+    if (getAccessibleName(el, doc)) return;
+    if (el.getAttribute('placeholder')) {
+      add('placeholderLabel', 'warn', `<${el.tagName.toLowerCase()}${type ? ` type="${type}"` : ''}> has only a placeholder — it disappears while typing`, el);
+    } else {
+      add('label', 'fail', `<${el.tagName.toLowerCase()}${type ? ` type="${type}"` : ''}${el.getAttribute('name') ? ` name="${el.getAttribute('name')}"` : ''}> has no label`, el);
+    }
+  });
+
+  // Buttons
+  doc.querySelectorAll('button, [role="button"], input[type="submit" i], input[type="button" i], input[type="reset" i], input[type="image" i]').forEach(el => {
+    if (isAccessibilityHidden(el)) return;
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    // Submit and reset inputs fall back to a browser-provided label
+    if (el.tagName.toLowerCase() === 'input' && (type === 'submit' || type === 'reset')) return;
+    if (!getAccessibleName(el, doc)) add('buttonName', 'fail', `${describeA11yElement(el)} has no accessible name`, el);
+  });
+
+  // Links
+  doc.querySelectorAll('a[href], [role="link"]').forEach(el => {
+    if (isAccessibilityHidden(el)) return;
+    if (!getAccessibleName(el, doc)) add('linkName', 'fail', `Link to ${(el.getAttribute('href') || '').substring(0, 60) || '(no href)'} has no accessible name`, el);
+  });
+
+  // ARIA roles and attributes
+  const ids = new Map();
+  doc.querySelectorAll('[id]').forEach(el => ids.set(el.id, (ids.get(el.id) || 0) + 1));
+  const referenced = new Set();
+  doc.querySelectorAll('*').forEach(el => {
+    const role = el.getAttribute('role');
+    if (role !== null) {
+      const tokens = role.trim().toLowerCase().split(/\s+/).filter(Boolean);
+      if (!tokens.some(t => aria.roles.has(t) || t.startsWith('doc-'))) {
+        add('ariaRole', 'fail', `role="${role}" is not a valid ARIA role`, el);
+      }
+    }
+
+    Array.from(el.attributes).forEach(attr => {
+      const name = attr.name.toLowerCase();
+      if (!name.startsWith('aria-')) return;
+      const value = attr.value.trim();
+      if (!aria.attributes.has(name)) {
+        add('ariaAttr', 'fail', `${name} is not an ARIA attribute`, el);
+      } else if (aria.values[name] && !aria.values[name].includes(value.toLowerCase())) {
+        add('ariaAttr', 'fail', `${name}="${value}" — expected ${aria.values[name].join(', ')}`, el);
+      } else if (aria.integers.includes(name) && !/^-?\d+$/.test(value)) {
+        add('ariaAttr', 'fail', `${name}="${value}" must be an integer`, el);
+      } else if (aria.idrefs.includes(name)) {
+        value.split(/\s+/).filter(Boolean).forEach(id => {
+          referenced.add(id);
+          if (!ids.has(id)) add('ariaAttr', 'fail', `${name} points at id "${id}", which does not exist`, el);
+        });
+      }
+    });
+
+    const tabindex = el.getAttribute('tabindex');
+    if (tabindex !== null && parseInt(tabindex, 10) > 0) {
+      add('tabindex', 'warn', `tabindex="${tabindex}" overrides the natural focus order`, el);
+    }
+  });
+  doc.querySelectorAll('label[for]').forEach(label => referenced.add(label.getAttribute('for')));
+
+  // Duplicate IDs only break things when something refers to them
+  referenced.forEach(id => {
+    if ((ids.get(id) || 0) > 1) {
+      add('duplicateId', 'fail', `id "${id}" is used ${ids.get(id)} times but referenced by ARIA or a label — only the first is used`, doc.getElementById(id));
+    }
+  });
+
+  // Keyboard users can still reach focusable content that screen readers are told to ignore
+  doc.querySelectorAll('[aria-hidden="true"]').forEach(hidden => {
+    const selector = 'a[href], button, input:not([type="hidden" i]), select, textarea, [tabindex]';
+    const focusable = [hidden, ...hidden.querySelectorAll(selector)]
+      .filter(el => el.matches(selector) && el.getAttribute('tabindex') !== '-1' && !el.disabled);
+    focusable.slice(0, 3).forEach(el => add('ariaHiddenFocus', 'fail', `${describeA11yElement(el)} is focusable inside aria-hidden="true"`, el));
+  });
+
+  // Landmarks
+  const mains = doc.querySelectorAll('main, [role="main"]');
+  if (mains.length === 0) add('landmarks', 'warn', 'No <main> landmark — screen reader users cannot jump to the content', null);
+  else if (mains.length > 1) add('landmarks', 'warn', `${mains.length} main landmarks — there should be one`, mains[1]);
+  if (!doc.querySelector('nav, [role="navigation"]')) add('landmarks', 'info', 'No <nav> landmark', null);
+  if (!doc.querySelector('header, [role="banner"]') && !doc.querySelector('footer, [role="contentinfo"]')) {
+    add('landmarks', 'info', 'No header or footer landmark', null);
+  }
+
+  const lang = doc.documentElement.getAttribute('lang');
+  if (!lang || !lang.trim()) add('lang', 'fail', '<html> has no lang attribute — screen readers may use the wrong voice', null);
+
+  // Contrast needs the rendered styles
+  let textChecked = 0;
+  if (context && context.view) {
+    textChecked = checkTextContrast(doc, context.view, (type, message, el) => add('contrast', type, message, el));
+  }
+
+  // One summary per rule, at the rule's worst severity
+  const issues = [];
+  Object.entries(rules).forEach(([key, rule]) => {
+    const hits = findings.filter(f => f.rule === key);
+    if (hits.length === 0) return;
+    const type = ['fail', 'warn', 'info'].find(t => hits.some(h => h.type === t));
+    issues.push({ type, message: `${rule.label}: ${hits.length} (WCAG ${rule.wcag} ${rule.name}, ${rule.level})`, wcag: rule.wcag });
+  });
+
+  const failedRules = issues.filter(i => i.type === 'fail').length;
+  const warnedRules = issues.filter(i => i.type === 'warn').length;
+
+  return {
+    score: Math.max(0, 100 - failedRules * 12 - warnedRules * 5),
+    stats: {
+      controls,
+      textChecked,
+      failures: findings.filter(f => f.type === 'fail').length,
+      warnings: findings.filter(f => f.type === 'warn').length
+    },
+    rules,
+    // Cap per rule so a page with a thousand unlabeled icons stays readable
+    findings: Object.keys(rules).flatMap(key => findings.filter(f => f.rule === key).slice(0, 25)),
+    issues
+  };
+}
+
+/**
+ * Simplified accessible name computation: aria-labelledby, aria-label,
+ * associated <label>, alt, text content (with image alts), value for
+ * buttons, then title
+ */
+function getAccessibleName(el, doc) {
+  const labelledby = el.getAttribute('aria-labelledby');
+  if (labelledby) {
+    const text = labelledby.split(/\s+/).map(id => doc.getElementById(id)).filter(Boolean)
+      .map(ref => getA11yTextContent(ref)).join(' ').trim();
+    if (text) return text;
+  }
+  const ariaLabel = (el.getAttribute('aria-label') || '').trim();
+  if (ariaLabel) return ariaLabel;
+
+  const tag = el.tagName.toLowerCase();
+  if (['input', 'select', 'textarea'].includes(tag)) {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (type === 'image') return (el.getAttribute('alt') || el.getAttribute('title') || '').trim();
+    if (type === 'button') return (el.getAttribute('value') || el.getAttribute('title') || '').trim();
+    const labels = [];
+    if (el.id) doc.querySelectorAll(`label[for="${CSS.escape(el.id)}"]`).forEach(l => labels.push(l));
+    const wrapping = el.closest('label');
+    if (wrapping && !labels.includes(wrapping)) labels.push(wrapping);
+    const text = labels.map(l => getA11yTextContent(l)).join(' ').trim();
+    if (text) return text;
+    return (el.getAttribute('title') || '').trim();
+  }
+
+  if (tag === 'img') return (el.getAttribute('alt') || el.getAttribute('title') || '').trim();
+  return (getA11yTextContent(el) || el.getAttribute('title') || '').trim();
+}
+
+/**
+ * Text a screen reader would read inside an element: text nodes, image alts
+ * and SVG titles, skipping aria-hidden subtrees
+ */
+function getA11yTextContent(el) {
+  let text = '';
+  el.childNodes.forEach(node => {
+    if (node.nodeType === 3) {
+      text += node.textContent;
+    } else if (node.nodeType === 1) {
+      if (node.getAttribute('aria-hidden') === 'true') return;
+      const tag = node.tagName.toLowerCase();
+      if (tag === 'img' || (tag === 'input' && (node.getAttribute('type') || '').toLowerCase() === 'image')) {
+        text += ' ' + (node.getAttribute('alt') || '') + ' ';
+      } else if (tag === 'svg') {
+        const title = node.querySelector('title');
+        text += ' ' + (node.getAttribute('aria-label') || (title ? title.textContent : '')) + ' ';
+      } else if (node.getAttribute('aria-label')) {
+        text += ' ' + node.getAttribute('aria-label') + ' ';
+      } else if (!['script', 'style', 'template'].includes(tag)) {
+        text += ' ' + getA11yTextContent(node) + ' ';
+      }
+    }
+  });
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function isAccessibilityHidden(el) {
+  return !!el.closest('[hidden], [aria-hidden="true"], template');
+}
+
+function describeA11yElement(el) {
+  const tag = el.tagName.toLowerCase();
+  const role = el.getAttribute('role');
+  const cls = (el.getAttribute('class') || '').trim().split(/\s+/)[0];
+  return `<${tag}${role ? ` role="${role}"` : ''}${cls ? ` class="${cls}"` : ''}>`;
+}
+
+/**
+ * Contrast of every element that directly holds visible text, against the
+ * first opaque background behind it. Text over background images is
+ * skipped — the real backdrop is unknown. Returns how many were checked.
+ */
+function checkTextContrast(doc, view, report) {
+  let checked = 0;
+  const walker = doc.createTreeWalker(doc.body || doc.documentElement, 1);
+  const limit = 2000;
+  let el = walker.currentNode;
+  while (el && checked < limit) {
+    const hasText = Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim());
+    const tag = el.tagName.toLowerCase();
+    // Text in disabled controls is exempt from 1.4.3
+    const disabled = el.closest(':disabled, [aria-disabled="true"]');
+    if (hasText && !disabled && !['script', 'style', 'noscript', 'option'].includes(tag)) {
+      const style = view.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      if (style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0 && rect.width > 0 && rect.height > 0) {
+        const fg = parseCssColor(style.color);
+        const bg = getEffectiveBackground(el, view);
+        if (fg && bg) {
+          checked++;
+          const ratio = getContrastRatio(blendColors(fg, bg), bg);
+          const size = parseFloat(style.fontSize);
+          const bold = parseInt(style.fontWeight, 10) >= 700;
+          const large = size >= 24 || (bold && size >= 18.66);
+          const required = large ? 3 : 4.5;
+          if (ratio < required) {
+            report(ratio < required - 1 ? 'fail' : 'warn', `${ratio.toFixed(2)}:1 (needs ${required}:1) — "${el.textContent.trim().substring(0, 40)}"`, el);
+          }
+        }
+      }
+    }
+    el = walker.nextNode();
+  }
+  return checked;
+}
+
+/**
+ * Walk up until an opaque background color; null if a background image is in the way
+ */
+function getEffectiveBackground(el, view) {
+  const layers = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const style = view.getComputedStyle(node);
+    if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+    const color = parseCssColor(style.backgroundColor);
+    if (color && color.a > 0) {
+      layers.push(color);
+      if (color.a >= 1) break;
+    }
+  }
+  // Composite the translucent layers over white (the canvas default)
+  return layers.reverse().reduce((under, over) => blendColors(over, under), { r: 255, g: 255, b: 255, a: 1 });
+}
+
+function parseCssColor(value) {
+  const match = (value || '').match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+  if (!match) return null;
+  let a = match[4] === undefined ? 1 : parseFloat(match[4]);
+  if (match[4] && match[4].endsWith('%')) a /= 100;
+  return { r: +match[1], g: +match[2], b: +match[3], a };
+}
+
+function blendColors(over, under) {
+  const a = over.a;
+  return {
+    r: over.r * a + under.r * (1 - a),
+    g: over.g * a + under.g * (1 - a),
+    b: over.b * a + under.b * (1 - a),
+    a: 1
+  };
+}
+
+/**
+ * WCAG relative luminance contrast ratio, 1–21
+ */
+function getContrastRatio(c1, c2) {
+  const luminance = ({ r, g, b }) => {
+    const [R, G, B] = [r, g, b].map(v => {
+      const s = v / 255;
+      return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+  };
+  const l1 = luminance(c1);
+  const l2 = luminance(c2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
@@ -0,0 +1,2540 @@
+/**
+ * SEO Analyzer - Page Analyzers
+ * Every analyzer works on a Document passed in, so the same logic runs on the
+ * live page (content script), on fetched HTML parsed with DOMParser, or on a
+ * test fixture. Checks that need layout or the Performance API only run when
+ * the document has a window (doc.defaultView).
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * Analyze a document.
+ * Options: { url, config } — url is the address the document was loaded from
+ * (defaults to doc.URL), config the shared config from loadConfig().
+ */
+async function analyzePage(doc, options = {}) {
+  const context = createAnalysisContext(doc, options);
+
+  // Visible text is extracted once (it means cloning the subtree) and shared by
+  // the text analyzers; the element stays out of the JSON sent to the popup
+  context.pageText = getAnalysisText(doc.body);
+  const { element, ...mainContent } = detectMainContent(doc, context.pageText);
+  context.mainElement = element;
+  context.mainText = element === doc.body ? context.pageText : getAnalysisText(element);
+
+  // Collect web vitals async (2s timeout for buffered entries)
+  const webVitalsPromise = context.view ? analyzeWebVitals(context.view) : Promise.resolve(null);
+
+  // Run all sync analyzers
+  const schema = analyzeSchema(doc, context);
+  const results = {
+    url: context.url,
+    mainContent,
+    meta: analyzeMeta(doc, context),
+    headings: analyzeHeadings(doc),
+    images: analyzeImages(doc),
+    imageOptimization: analyzeImageOptimization(doc, context),
+    accessibility: analyzeAccessibility(doc, context),
+    mobile: analyzeMobile(doc, context),
+    links: analyzeLinks(doc, context),
+    schema,
+    content: analyzeContent(doc, context),
+    readability: analyzeReadability(doc, context),
+    ngrams: analyzeNgrams(doc, context),
+    performance: analyzePerformance(doc, context),
+    resources: analyzeResources(doc, context),
+    textToHtml: analyzeTextToHtml(doc),
+    aboveFold: analyzeAboveFold(doc, context),
+    hreflang: analyzeHreflang(doc, context),
+    canonical: analyzeCanonical(doc, context),
+    schemaValidation: analyzeSchemaValidation(doc, schema, context),
+    richResults: analyzeRichResults([...schema.jsonLd, ...schema.microdataItems, ...schema.rdfaItems]),
+    lazyImages: analyzeLazyImages(doc),
+    mixedContent: analyzeMixedContent(doc, context),
+    iframes: analyzeIframes(doc),
+    socialCards: analyzeSocialCards(doc),
+    faviconAndFeeds: analyzeFaviconAndFeeds(doc),
+    mediaTypes: analyzeMediaTypes(doc),
+    keywordDensity: analyzeKeywordDensity(doc, context),
+    tocNavigation: analyzeTocNavigation(doc),
+    timestamp: Date.now()
+  };
+
+  // Wait for web vitals
+  results.webVitals = await webVitalsPromise;
+
+  return results;
+}
+
+/**
+ * What the analyzers need besides the document itself: the page URL (a parsed
+ * document's own URL is the extension page's), the <base> it resolves links
+ * against, the config, and the window when there is one
+ */
+function createAnalysisContext(doc, options = {}) {
+  const url = options.url || doc.URL;
+  const parsed = new URL(url);
+
+  let baseUrl = url;
+  const base = doc.querySelector('base[href]');
+  if (base) {
+    try {
+      baseUrl = new URL(base.getAttribute('href'), url).href;
+    } catch (e) {
+      // Invalid <base> — browsers fall back to the document URL too
+    }
+  }
+
+  return {
+    url,
+    baseUrl,
+    hostname: parsed.hostname,
+    protocol: parsed.protocol,
+    config: options.config || null,
+    view: doc.defaultView || null
+  };
+}
+
+/**
+ * Analyze meta tags
+ */
+function analyzeMeta(doc, context) {
+  const { titleMin, titleMax, descriptionMin, descriptionMax } = getThresholds(context.config);
+  const results = {
+    score: 0,
+    items: [],
+    issues: []
+  };
+
+  // Title
+  const title = doc.title || '';
+  const titleLength = title.length;
+  results.items.push({
+    key: 'title',
+    label: 'Title',
+    value: title || '(missing)',
+    status: !title ? 'fail' : (titleLength < titleMin || titleLength > titleMax) ? 'warn' : 'pass',
+    detail: `${titleLength} characters${titleLength < titleMin ? ' (too short)' : titleLength > titleMax ? ' (too long)' : ''}`
+  });
+
+  // Meta Description
+  const descMeta = doc.querySelector('meta[name="description"]');
+  const description = descMeta ? descMeta.getAttribute('content') : '';
+  const descLength = description.length;
+  results.items.push({
+    key: 'description',
+    label: 'Meta Description',
+    value: description || '(missing)',
+    status: !description ? 'fail' : (descLength < descriptionMin || descLength > descriptionMax) ? 'warn' : 'pass',
+    detail: description ? `${descLength} characters${descLength < descriptionMin ? ' (too short)' : descLength > descriptionMax ? ' (too long)' : ''}` : 'Missing meta description'
+  });
+
+  // Canonical
+  const canonical = doc.querySelector('link[rel="canonical"]');
+  const canonicalHref = canonical ? canonical.getAttribute('href') : '';
+  results.items.push({
+    key: 'canonical',
+    label: 'Canonical URL',
+    value: canonicalHref || '(missing)',
+    status: canonicalHref ? 'pass' : 'warn'
+  });
+
+  // Robots
+  const robotsMeta = doc.querySelector('meta[name="robots"]');
+  const robots = robotsMeta ? robotsMeta.getAttribute('content') : '';
+  const isNoindex = robots.toLowerCase().includes('noindex');
+  const isNofollow = robots.toLowerCase().includes('nofollow');
+  results.items.push({
+    key: 'robots',
+    label: 'Robots',
+    value: robots || 'index, follow (default)',
+    status: isNoindex ? 'warn' : 'info',
+    detail: isNoindex ? 'Page is noindexed!' : isNofollow ? 'Links are nofollowed' : ''
+  });
+
+  // Open Graph
+  const ogTitle = doc.querySelector('meta[property="og:title"]');
+  const ogDesc = doc.querySelector('meta[property="og:description"]');
+  const ogImage = doc.querySelector('meta[property="og:image"]');
+  const ogCount = [ogTitle, ogDesc, ogImage].filter(Boolean).length;
+  results.items.push({
+    key: 'og',
+    label: 'Open Graph Tags',
+    value: ogCount === 3 ? 'Complete' : `${ogCount}/3 present`,
+    status: ogCount === 3 ? 'pass' : ogCount === 0 ? 'warn' : 'info',
+    detail: `Title: ${ogTitle ? '✓' : '✗'}, Description: ${ogDesc ? '✓' : '✗'}, Image: ${ogImage ? '✓' : '✗'}`
+  });
+
+  // Twitter Card
+  const twitterCard = doc.querySelector('meta[name="twitter:card"]');
+  const twitterTitle = doc.querySelector('meta[name="twitter:title"]');
+  results.items.push({
+    key: 'twitter',
+    label: 'Twitter Card',
+    value: twitterCard ? twitterCard.getAttribute('content') : '(not set)',
+    status: twitterCard ? 'pass' : 'info'
+  });
+
+  // Viewport
+  const viewport = doc.querySelector('meta[name="viewport"]');
+  results.items.push({
+    key: 'viewport',
+    label: 'Viewport',
+    value: viewport ? 'Set' : '(missing)',
+    status: viewport ? 'pass' : 'fail'
+  });
+
+  // Lang attribute
+  const htmlLang = doc.documentElement.lang;
+  results.items.push({
+    key: 'lang',
+    label: 'HTML Lang',
+    value: htmlLang || '(missing)',
+    status: htmlLang ? 'pass' : 'warn'
+  });
+
+  // Calculate score
+  const passCount = results.items.filter(i => i.status === 'pass').length;
+  results.score = Math.round((passCount / results.items.length) * 100);
+
+  return results;
+}
+
+/**
+ * Analyze heading structure
+ */
+function analyzeHeadings(doc) {
+  const results = {
+    score: 0,
+    items: [],
+    issues: [],
+    stats: { h1: 0, h2: 0, h3: 0, h4: 0, h5: 0, h6: 0, total: 0 }
+  };
+
+  const headings = doc.querySelectorAll('h1, h2, h3, h4, h5, h6');
+  const headingEls = [];
+  
+  headings.forEach(h => {
+    const tag = h.tagName.toLowerCase();
+    const text = h.textContent.trim().substring(0, 100);
+    results.stats[tag]++;
+    results.stats.total++;
+    headingEls.push(h);
+    
+    results.items.push({
+      tag: tag,
+      text: text,
+      level: parseInt(tag.charAt(1))
+    });
+  });
+
+  // Check for issues
+  if (results.stats.h1 === 0) {
+    results.issues.push({ type: 'fail', message: 'No H1 tag found' });
+  } else if (results.stats.h1 > 1) {
+    results.issues.push({ type: 'warn', message: `Multiple H1 tags (${results.stats.h1})` });
+  }
+
+  // Check heading order — every skip is recorded so it can be located on the page
+  let lastLevel = 0;
+  let skipIssue = false;
+  results.skips = [];
+  results.items.forEach((h, i) => {
+    if (h.level > lastLevel + 1) {
+      results.skips.push({
+        from: lastLevel,
+        to: h.level,
+        text: h.text.substring(0, 60),
+        selector: getElementSelector(headingEls[i])
+      });
+      if (!skipIssue) {
+        results.issues.push({ 
+          type: 'warn', 
+          message: `Heading level skipped (H${lastLevel} to H${h.level})`
+        });
+        skipIssue = true;
+      }
+    }
+    lastLevel = h.level;
+  });
+
+  // Calculate score
+  let score = 100;
+  if (results.stats.h1 === 0) score -= 40;
+  else if (results.stats.h1 > 1) score -= 20;
+  if (skipIssue) score -= 20;
+  if (results.stats.total === 0) score = 0;
+  
+  results.score = Math.max(0, score);
+
+  return results;
+}
+
+/**
+ * Analyze images
+ */
+function analyzeImages(doc) {
+  const results = {
+    score: 0,
+    items: [],
+    issues: [],
+    stats: { total: 0, withAlt: 0, withoutAlt: 0, decorative: 0 }
+  };
+
+  const images = doc.querySelectorAll('img');
+  // Alt text → the different sources using it, to catch copy-pasted alts
+  const altSources = new Map();
+
+  images.forEach(img => {
+    results.stats.total++;
+    
+    const alt = img.getAttribute('alt');
+    const src = img.src || img.dataset.src || '';
+    const fileName = src.split('/').pop().split('?')[0].substring(0, 40);
+    const flags = getAltTextFlags(img, alt);
+    
+    if (alt === null || alt === undefined) {
+      results.stats.withoutAlt++;
+      results.items.push({
+        src: fileName || '(inline)',
+        alt: '(missing)',
+        status: 'fail',
+        selector: getElementSelector(img),
+        flags
+      });
+    } else if (alt === '') {
+      // Empty alt = decorative
+      results.stats.decorative++;
+      results.items.push({
+        src: fileName || '(inline)',
+        alt: '(decorative)',
+        status: flags.length > 0 ? getWorstStatus(flags) : 'info',
+        selector: flags.length > 0 ? getElementSelector(img) : undefined,
+        flags
+      });
+    } else {
+      results.stats.withAlt++;
+      const key = normalizeAltText(alt);
+      if (!altSources.has(key)) altSources.set(key, new Set());
+      altSources.get(key).add(src);
+      results.items.push({
+        src: fileName || '(inline)',
+        alt: alt.substring(0, 60),
+        status: flags.length > 0 ? getWorstStatus(flags) : 'pass',
+        selector: flags.length > 0 ? getElementSelector(img) : undefined,
+        flags,
+        altKey: key,
+        el: img
+      });
+    }
+  });
+
+  // The same alt on different images describes at most one of them
+  results.items.forEach(item => {
+    if (item.altKey && altSources.get(item.altKey).size > 1) {
+      item.flags.push({ type: 'warn', key: 'duplicate', message: `Same alt used on ${altSources.get(item.altKey).size} different images` });
+      item.status = getWorstStatus(item.flags);
+      if (!item.selector) item.selector = getElementSelector(item.el);
+    }
+    delete item.altKey;
+    delete item.el;
+  });
+
+  // Calculate score
+  if (results.stats.total === 0) {
+    results.score = 100;
+  } else {
+    const goodImages = results.stats.withAlt + results.stats.decorative;
+    results.score = Math.round((goodImages / results.stats.total) * 100);
+  }
+
+  // Issues
+  if (results.stats.withoutAlt > 0) {
+    results.issues.push({
+      type: 'fail',
+      message: `${results.stats.withoutAlt} image(s) missing alt attribute`
+    });
+  }
+
+  // One issue per kind of alt-text flag, at that flag's severity
+  const flagLabels = {
+    linkedEmpty: 'linked image(s) with empty alt — the link has no accessible name',
+    placeholder: 'image(s) with placeholder alt text',
+    filename: 'image(s) with a filename as alt text',
+    duplicate: 'image(s) sharing an alt with a different image',
+    stuffed: 'image(s) with keyword-stuffed alt text',
+    long: 'image(s) with alt text over 125 characters',
+    prefix: 'image(s) whose alt starts with "image of" or similar — screen readers already announce images',
+    caption: 'image(s) whose alt repeats the caption',
+    linkText: 'image(s) whose alt repeats the link text'
+  };
+  Object.entries(flagLabels).forEach(([key, label]) => {
+    const flagged = results.items.map(i => i.flags.find(f => f.key === key)).filter(Boolean);
+    if (flagged.length > 0) results.issues.push({ type: flagged[0].type, message: `${flagged.length} ${label}` });
+  });
+
+  return results;
+}
+
+/**
+ * Alt-text quality flags for one image, each { type, key, message }.
+ * Duplicates across images are added by analyzeImages().
+ */
+function getAltTextFlags(img, alt) {
+  const flags = [];
+  const link = img.closest('a[href]');
+
+  if (alt === '' && link) {
+    // An image that is the only content of a link is informative, not decorative
+    const linkText = (link.textContent || '').trim();
+    const otherImages = Array.from(link.querySelectorAll('img[alt]')).some(other => other !== img && other.getAttribute('alt').trim());
+    if (!linkText && !otherImages && !link.getAttribute('aria-label') && !link.getAttribute('aria-labelledby') && !link.getAttribute('title')) {
+      flags.push({ type: 'fail', key: 'linkedEmpty', message: 'Only content of a link but has empty alt — describe the link target' });
+    }
+  }
+  if (!alt || !alt.trim()) return flags;
+
+  const text = alt.trim();
+  const normalized = normalizeAltText(text);
+  const placeholders = ['image', 'img', 'photo', 'photograph', 'picture', 'pic', 'graphic', 'untitled', 'placeholder',
+    'alt', 'alt text', 'alttext', 'spacer', 'banner', 'icon', 'thumbnail', 'null', 'undefined', 'default', 'blank', 'none', 'todo', 'tbd'];
+
+  if (placeholders.includes(normalized.replace(/\s*\d+$/, ''))) {
+    flags.push({ type: 'fail', key: 'placeholder', message: `Placeholder alt "${text}"` });
+  } else if (/\.(jpe?g|png|gif|webp|avif|svg|bmp|tiff?|heic)$/i.test(text)
+    || /^(img|dsc|dscn|dcim|pxl|mvimg|screenshot|screen[ _-]shot|photo|image|wp[ _-]?image)[ _-]?\d/i.test(text)
+    // One "word" that joins parts with underscores, or with hyphens around a
+    // digit run (ids, dates, 1200x630); plain hyphenated words like
+    // "state-of-the-art" are not filenames
+    || (!/\s/.test(text) && (/[a-z0-9]_[a-z0-9]/i.test(text) || (/[a-z0-9]-[a-z0-9]/i.test(text) && /\d{3,}|\d+x\d+/i.test(text))))) {
+    flags.push({ type: 'warn', key: 'filename', message: `Alt looks like a filename: "${text.substring(0, 40)}"` });
+  }
+
+  if (/^(an?\s+)?(image|picture|photo|photograph|graphic|pic|icon)\s+(of|showing|with|depicting)\b/i.test(text)) {
+    flags.push({ type: 'info', key: 'prefix', message: 'Starts with "image of" — screen readers already say it is an image' });
+  }
+
+  // Stuffing: a word repeated three or more times, or a long comma-separated list
+  const words = normalized.split(' ').filter(w => w.length > 3);
+  const counts = {};
+  words.forEach(w => { counts[w] = (counts[w] || 0) + 1; });
+  const repeated = Object.entries(counts).filter(([, n]) => n >= 3).map(([w]) => w);
+  if (repeated.length > 0 || text.split(/[,|]/).filter(p => p.trim()).length >= 5) {
+    flags.push({ type: 'warn', key: 'stuffed', message: repeated.length > 0 ? `Keyword stuffing: "${repeated[0]}" repeated` : 'Keyword stuffing: long comma-separated list' });
+  }
+
+  if (text.length > 125) {
+    flags.push({ type: 'warn', key: 'long', message: `${text.length} characters — keep alt text under 125` });
+  }
+
+  // Redundant with visible text next to the image: screen readers hear it twice
+  const figure = img.closest('figure');
+  const caption = figure ? figure.querySelector('figcaption') : null;
+  if (caption && normalizeAltText(caption.textContent || '') === normalized) {
+    flags.push({ type: 'info', key: 'caption', message: 'Alt is identical to the figcaption' });
+  }
+  if (link) {
+    const linkText = normalizeAltText(link.textContent || '');
+    if (linkText && linkText === normalized) {
+      flags.push({ type: 'info', key: 'linkText', message: 'Alt is identical to the link text — use alt="" to avoid repetition' });
+    }
+  }
+
+  return flags;
+}
+
+function normalizeAltText(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function getWorstStatus(flags) {
+  return ['fail', 'warn', 'info'].find(type => flags.some(f => f.type === type)) || 'pass';
+}
+
+// ============================================
+// Image Optimization
+// ============================================
+/**
+ * Per-image download checks: intrinsic size vs rendered size (needs layout,
+ * so live pages only), legacy formats, width/height attributes, srcset/sizes
+ * syntax and transfer size from resource timing, with an estimate of the
+ * bytes resizing and re-encoding would save
+ */
+function analyzeImageOptimization(doc, context) {
+  const view = context.view;
+  const dpr = view ? view.devicePixelRatio || 1 : 1;
+  const timings = new Map();
+  try {
+    view.performance.getEntriesByType('resource').forEach(r => timings.set(r.name, r));
+  } catch (e) {}
+
+  const items = [];
+  doc.querySelectorAll('img').forEach(img => {
+    const url = img.currentSrc || img.src || '';
+    if (!url) return;
+    const format = getImageFormat(url, img);
+    const flags = [];
+    const item = {
+      url: url.startsWith('data:') ? url.substring(0, 40) + '…' : url,
+      fileName: url.startsWith('data:') ? '(inline)' : url.split('/').pop().split('?')[0].substring(0, 40) || url,
+      selector: getElementSelector(img),
+      format,
+      rendered: null,
+      natural: null,
+      bytes: null,
+      savings: null,
+      flags
+    };
+
+    // Rendered vs intrinsic size, in device pixels
+    let wasted = 0;
+    if (view && img.complete && img.naturalWidth > 0) {
+      const rect = img.getBoundingClientRect();
+      item.natural = { width: img.naturalWidth, height: img.naturalHeight };
+      item.rendered = { width: Math.round(rect.width), height: Math.round(rect.height) };
+      const neededWidth = rect.width * dpr;
+      const neededHeight = rect.height * dpr;
+      if (rect.width > 0 && format !== 'svg' && img.naturalWidth > neededWidth * 1.5) {
+        wasted = 1 - (neededWidth * neededHeight) / (img.naturalWidth * img.naturalHeight);
+        flags.push({ type: 'warn', key: 'oversized', message: `${img.naturalWidth}×${img.naturalHeight} shown at ${Math.round(neededWidth)}×${Math.round(neededHeight)} device px` });
+      }
+    }
+
+    if (['jpeg', 'png', 'gif', 'bmp', 'tiff'].includes(format)) {
+      flags.push({ type: format === 'gif' || format === 'bmp' || format === 'tiff' ? 'warn' : 'info', key: 'legacyFormat', message: `${format.toUpperCase()} — WebP or AVIF would be smaller` });
+    }
+
+    // Without width/height the browser cannot reserve space before the image loads
+    const aspectRatio = view ? view.getComputedStyle(img).aspectRatio : '';
+    const hasAspectRatio = !!aspectRatio && aspectRatio !== 'auto';
+    if ((!img.hasAttribute('width') || !img.hasAttribute('height')) && !hasAspectRatio) {
+      flags.push({ type: 'warn', key: 'noDimensions', message: 'No width/height attributes — layout shift risk' });
+    }
+
+    const srcsetProblem = validateSrcset(img);
+    if (srcsetProblem) {
+      flags.push({ type: 'fail', key: 'brokenSrcset', message: srcsetProblem });
+    } else if (!img.hasAttribute('srcset') && !img.closest('picture') && format !== 'svg' && item.natural && item.natural.width >= 800) {
+      flags.push({ type: 'info', key: 'noSrcset', message: 'Large image without srcset — phones download the full size' });
+    }
+
+    const timing = timings.get(url);
+    if (timing) item.bytes = timing.transferSize || timing.encodedBodySize || null;
+
+    // Resizing saves the wasted pixels; re-encoding saves ~30% of what is left
+    if (item.bytes && (wasted > 0 || flags.some(f => f.key === 'legacyFormat'))) {
+      const afterResize = item.bytes * (1 - wasted);
+      const afterFormat = flags.some(f => f.key === 'legacyFormat') ? afterResize * 0.7 : afterResize;
+      item.savings = Math.round(item.bytes - afterFormat);
+    }
+
+    items.push(item);
+  });
+
+  const count = key => items.filter(i => i.flags.some(f => f.key === key)).length;
+  const stats = {
+    total: items.length,
+    bytes: items.reduce((n, i) => n + (i.bytes || 0), 0),
+    unknownBytes: items.filter(i => i.bytes == null && !i.url.startsWith('data:')).length,
+    savings: items.reduce((n, i) => n + (i.savings || 0), 0),
+    oversized: count('oversized'),
+    legacyFormat: count('legacyFormat'),
+    noDimensions: count('noDimensions'),
+    brokenSrcset: count('brokenSrcset'),
+    noSrcset: count('noSrcset')
+  };
+
+  const issues = [];
+  if (stats.oversized > 0) issues.push({ type: 'warn', message: `${stats.oversized} image(s) are much larger than they are displayed` });
+  if (stats.legacyFormat > 0) issues.push({ type: 'info', message: `${stats.legacyFormat} image(s) in JPEG/PNG/GIF — serve WebP or AVIF` });
+  if (stats.noDimensions > 0) issues.push({ type: 'warn', message: `${stats.noDimensions} image(s) without width/height attributes` });
+  if (stats.brokenSrcset > 0) issues.push({ type: 'fail', message: `${stats.brokenSrcset} image(s) with an invalid srcset/sizes` });
+  if (stats.noSrcset > 0) issues.push({ type: 'info', message: `${stats.noSrcset} large image(s) without srcset` });
+  if (stats.savings > 0) issues.push({ type: 'info', message: `Estimated savings: ${Math.round(stats.savings / 1024)} KB of ${Math.round(stats.bytes / 1024)} KB` });
+  if (!view) issues.push({ type: 'info', message: 'Rendered sizes and transfer sizes need the live page' });
+
+  return {
+    stats,
+    // Problem images first, then the heaviest
+    items: items
+      .sort((a, b) => (b.flags.length > 0) - (a.flags.length > 0) || (b.savings || 0) - (a.savings || 0) || (b.bytes || 0) - (a.bytes || 0))
+      .slice(0, 200),
+    issues
+  };
+}
+
+/**
+ * Format from a data: URL's MIME type or the file extension; <picture>
+ * sources don't change what the <img> reports as currentSrc, so that is enough
+ */
+function getImageFormat(url, img) {
+  const data = url.match(/^data:image\/([\w.+-]+)/i);
+  let ext = data ? data[1].toLowerCase() : '';
+  if (!ext) {
+    try {
+      const match = new URL(url).pathname.toLowerCase().match(/\.(\w+)$/);
+      ext = match ? match[1] : '';
+    } catch (e) {}
+  }
+  const formats = { jpg: 'jpeg', jpeg: 'jpeg', jfif: 'jpeg', png: 'png', gif: 'gif', webp: 'webp', avif: 'avif', svg: 'svg', 'svg+xml': 'svg', bmp: 'bmp', tif: 'tiff', tiff: 'tiff', ico: 'ico', jxl: 'jxl' };
+  if (formats[ext]) return formats[ext];
+  // CDNs often pick the format from a query parameter: ?format=webp, ?fm=avif
+  const param = url.match(/[?&](?:format|fm|f|auto)=(webp|avif|jpe?g|png)/i);
+  return param ? formats[param[1].toLowerCase()] : 'unknown';
+}
+
+/**
+ * srcset candidates are "url [Nw|Nx]"; w and x descriptors cannot be mixed,
+ * w descriptors need sizes, and sizes="auto" only works with loading=lazy.
+ * Returns a problem description or null.
+ */
+function validateSrcset(img) {
+  const srcset = img.getAttribute('srcset');
+  const sizes = img.getAttribute('sizes');
+  if (srcset === null) {
+    return sizes !== null ? 'sizes without srcset has no effect' : null;
+  }
+  if (!srcset.trim()) return 'Empty srcset';
+
+  // Tokenize as the HTML spec does: URLs may contain commas (CDN transforms),
+  // so a candidate's URL runs to the next whitespace
+  const candidates = [];
+  let rest = srcset;
+  while ((rest = rest.replace(/^[\s,]+/, ''))) {
+    let url = rest.match(/^\S+/)[0];
+    rest = rest.slice(url.length);
+    let descriptor = '';
+    if (/,$/.test(url)) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const end = rest.indexOf(',');
+      descriptor = (end === -1 ? rest : rest.slice(0, end)).trim();
+      rest = end === -1 ? '' : rest.slice(end + 1);
+    }
+    candidates.push({ url, descriptor });
+  }
+
+  const kinds = new Set();
+  const seen = new Set();
+  for (const { url, descriptor: raw } of candidates) {
+    const descriptor = raw || '1x';
+    if (/\s/.test(descriptor)) return `Invalid srcset candidate "${url} ${raw}"`;
+    if (/^\d+w$/.test(descriptor)) kinds.add('w');
+    else if (/^\d+(\.\d+)?x$/.test(descriptor)) kinds.add('x');
+    else return `Invalid srcset descriptor "${descriptor}"`;
+    if (seen.has(descriptor)) return `Duplicate srcset descriptor "${descriptor}"`;
+    seen.add(descriptor);
+  }
+  if (kinds.size > 1) return 'srcset mixes w and x descriptors';
+  if (kinds.has('w') && !sizes) return 'srcset uses w descriptors but sizes is missing';
+  if (sizes && /^\s*auto\b/i.test(sizes) && img.getAttribute('loading') !== 'lazy') return 'sizes="auto" only works with loading="lazy"';
+  return null;
+}
+
+/**
+ * Analyze links
+ */
+function analyzeLinks(doc, context) {
+  const results = {
+    score: 100,
+    items: [],
+    issues: [],
+    stats: { 
+      total: 0, 
+      internal: 0, 
+      external: 0, 
+      nofollow: 0, 
+      noopener: 0,
+      empty: 0,
+      blankWithoutNoopener: 0
+    }
+  };
+
+  const links = doc.querySelectorAll('a[href]');
+  const currentHost = context.hostname;
+  
+  links.forEach(link => {
+    results.stats.total++;
+    
+    const href = link.getAttribute('href');
+    const rel = link.getAttribute('rel') || '';
+    const text = link.textContent.trim().substring(0, 50);
+    
+    // Classify link
+    let linkHost = '';
+    try {
+      const url = new URL(href, context.baseUrl);
+      linkHost = url.hostname;
+    } catch (e) {
+      // Invalid URL
+    }
+    
+    const isInternal = !href.startsWith('http') || linkHost === currentHost;
+    const isExternal = href.startsWith('http') && linkHost !== currentHost;
+    const isNofollow = rel.includes('nofollow');
+    const hasTargetBlank = link.getAttribute('target') === '_blank';
+    const isNoopener = rel.includes('noopener');
+    const isEmpty = !text && !link.querySelector('img');
+    
+    if (isInternal) results.stats.internal++;
+    if (isExternal) results.stats.external++;
+    if (isNofollow) results.stats.nofollow++;
+    if (isNoopener) results.stats.noopener++;
+    if (isEmpty) {
+      results.stats.empty++;
+      results.items.push({
+        issue: 'empty',
+        href: href.substring(0, 100),
+        selector: getElementSelector(link)
+      });
+    }
+    if (isExternal && hasTargetBlank && !isNoopener) results.stats.blankWithoutNoopener++;
+  });
+
+  // External links with target="_blank" but no noopener
+  const externalWithoutNoopener = results.stats.blankWithoutNoopener || 0;
+  
+  // Issues
+  if (results.stats.empty > 0) {
+    results.issues.push({
+      type: 'warn',
+      message: `${results.stats.empty} link(s) with empty anchor text`
+    });
+    results.score -= 10;
+  }
+
+  if (externalWithoutNoopener > 0) {
+    results.issues.push({
+      type: 'info',
+      message: `${externalWithoutNoopener} external link(s) without rel="noopener"`
+    });
+  }
+
+  results.score = Math.max(0, results.score);
+
+  return results;
+}
+
+/**
+ * Analyze schema markup. Microdata and RDFa Lite are also extracted into
+ * nested items shaped like JSON-LD (microdataItems, rdfaItems).
+ */
+function analyzeSchema(doc, context) {
+  const results = {
+    score: 0,
+    types: [],
+    jsonLd: [],
+    microdata: [],
+    microdataItems: extractMicrodata(doc, context.baseUrl),
+    rdfa: false,
+    rdfaItems: extractRdfaLite(doc, context.baseUrl)
+  };
+
+  // JSON-LD
+  const jsonLdScripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  jsonLdScripts.forEach(script => {
+    try {
+      const data = JSON.parse(script.textContent);
+      const types = extractSchemaTypes(data);
+      results.types.push(...types);
+      results.jsonLd.push(data);
+    } catch (e) {
+      // Invalid JSON-LD
+    }
+  });
+
+  // Microdata
+  const microdataElements = doc.querySelectorAll('[itemtype]');
+  microdataElements.forEach(el => {
+    const itemtype = el.getAttribute('itemtype');
+    if (itemtype) {
+      const type = itemtype.split('/').pop();
+      if (!results.types.includes(type)) {
+        results.types.push(type);
+      }
+      results.microdata.push(type);
+    }
+  });
+
+  // RDFa
+  const rdfaElements = doc.querySelectorAll('[typeof]');
+  if (rdfaElements.length > 0) {
+    results.rdfa = true;
+    rdfaElements.forEach(el => {
+      const type = el.getAttribute('typeof');
+      if (type && !results.types.includes(type)) {
+        results.types.push(type);
+      }
+    });
+  }
+
+  // Calculate score — reward breadth and JSON-LD usage
+  if (results.types.length === 0) {
+    results.score = 0;
+  } else {
+    let score = 50; // base for having any schema
+    if (results.jsonLd.length > 0) score += 20; // JSON-LD is preferred format
+    if (results.types.length >= 2) score += 15; // multiple types shows depth
+    if (results.types.length >= 4) score += 15; // comprehensive markup
+    results.score = Math.min(100, score);
+  }
+
+  return results;
+}
+
+// ============================================
+// Main Content Detection
+// ============================================
+/**
+ * Find the element holding the page's main content, so text analyzers can
+ * leave out navigation, footers, banners and sidebars. Uses <main> /
+ * role=main or a dominant <article> when the markup has them, otherwise the
+ * block with the most paragraph text and the fewest links.
+ * pageText is the body's getAnalysisText() when the caller already has it.
+ * Returns { element, selector, method, textLength, pageTextLength, share }
+ * where method is 'main', 'role=main', 'article', 'density' or 'body'.
+ */
+function detectMainContent(doc, pageText = getAnalysisText(doc.body)) {
+  const measure = text => text.replace(/\s+/g, ' ').trim().length;
+  const textLength = el => measure(getAnalysisText(el));
+  const pageTextLength = measure(pageText);
+  const result = (element, method, length = element === doc.body ? pageTextLength : textLength(element)) => ({
+    element,
+    selector: getElementSelector(element),
+    method,
+    textLength: length,
+    pageTextLength,
+    share: pageTextLength > 0 ? +(length / pageTextLength).toFixed(2) : 0
+  });
+  // A landmark that is nearly empty (app shell, skip target) is not the content
+  const substantial = length => length >= 500 || length >= pageTextLength * 0.3;
+  const largest = elements => elements
+    .map(element => ({ element, length: textLength(element) }))
+    .sort((a, b) => b.length - a.length)[0];
+
+  const mains = Array.from(doc.querySelectorAll('main, [role="main"]')).filter(el => !el.closest('[hidden]'));
+  if (mains.length > 0) {
+    const best = largest(mains);
+    if (best.length > 0 && substantial(best.length)) {
+      return result(best.element, best.element.tagName.toLowerCase() === 'main' ? 'main' : 'role=main', best.length);
+    }
+  }
+
+  // One article, or one clearly bigger than the rest (a post with related-post teasers)
+  const articles = Array.from(doc.querySelectorAll('article')).filter(el => !el.closest('[hidden]'));
+  if (articles.length > 0) {
+    const best = largest(articles);
+    const total = articles.reduce((sum, el) => sum + textLength(el), 0);
+    if (best.length > 0 && substantial(best.length) && best.length >= total * 0.6) return result(best.element, 'article', best.length);
+  }
+
+  const dense = findDensestContentBlock(doc);
+  if (dense && substantial(textLength(dense))) return result(dense, 'density');
+
+  return result(doc.body, 'body');
+}
+
+/**
+ * Text-density fallback: each paragraph scores its parent (and half to its
+ * grandparent) by length and commas; candidates are then penalized by how
+ * much of their text is link text and nudged by content-like or
+ * boilerplate-like class names and IDs
+ */
+function findDensestContentBlock(doc) {
+  const boilerplate = 'nav, header, footer, aside, form, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [hidden], [aria-hidden="true"]';
+  const positive = /article|body|content|entry|main|page|post|text|blog|story/i;
+  const negative = /comment|footer|nav|sidebar|menu|cookie|consent|banner|share|social|related|promo|widget|breadcrumb|masthead|header|ad-|sponsor/i;
+  const scores = new Map();
+  const add = (el, points) => {
+    if (!el || el === doc.documentElement) return;
+    scores.set(el, (scores.get(el) || 0) + points);
+  };
+
+  doc.body.querySelectorAll('p, pre, blockquote, td').forEach(block => {
+    if (block.closest(boilerplate)) return;
+    const text = (block.textContent || '').replace(/\s+/g, ' ').trim();
+    if (text.length < 25) return;
+    const points = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    add(block.parentElement, points);
+    if (block.parentElement) add(block.parentElement.parentElement, points / 2);
+  });
+
+  let best = null;
+  scores.forEach((score, el) => {
+    const text = (el.textContent || '').replace(/\s+/g, ' ').trim().length || 1;
+    const linkText = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + (a.textContent || '').replace(/\s+/g, ' ').trim().length, 0);
+    const names = `${el.getAttribute('class') || ''} ${el.id || ''}`;
+    let weighted = score * (1 - Math.min(1, linkText / text));
+    if (positive.test(names)) weighted += 25;
+    if (negative.test(names)) weighted -= 25;
+    if (!best || weighted > best.score) best = { element: el, score: weighted };
+  });
+
+  return best && best.score > 0 ? best.element : null;
+}
+
+/**
+ * Visible text of an element: scripts, styles and hidden subtrees removed
+ */
+function getAnalysisText(root) {
+  const clone = root.cloneNode(true);
+  clone.querySelectorAll('script, style, noscript, svg, template, [hidden], [aria-hidden="true"]').forEach(el => el.remove());
+  return clone.textContent || '';
+}
+
+/**
+ * What the text analyzers measure: the detected main content when analyzePage
+ * found one (the whole body otherwise), and the whole page for fullPage.
+ * Uses the text analyzePage put in the context, extracting it only when an
+ * analyzer is called on its own.
+ * Returns { isPage, text, pageText }; isPage means the two are the same text.
+ */
+function getContentTexts(doc, context) {
+  const root = context && context.mainElement ? context.mainElement : doc.body;
+  const pageText = context && context.pageText != null ? context.pageText : getAnalysisText(doc.body);
+  if (root === doc.body) return { isPage: true, text: pageText, pageText };
+  const text = context.mainText != null ? context.mainText : getAnalysisText(root);
+  return { isPage: false, text, pageText };
+}
+
+/**
+ * Analyze page content — word count, character count, reading time — of the
+ * main content, with page-wide figures in fullPage
+ */
+function analyzeContent(doc, context) {
+  const { contentMinWords, contentThinWords } = getThresholds(context.config);
+
+  // Visible text of the main content, and of the whole page for comparison
+  const { isPage, text, pageText } = getContentTexts(doc, context);
+  const stats = countText(text);
+  const fullPage = isPage ? null : countText(pageText);
+
+  // Title stats
+  const title = doc.title || '';
+  const titleWords = title.trim() ? title.trim().split(/\s+/).length : 0;
+
+  // Meta description stats
+  const descMeta = doc.querySelector('meta[name="description"]');
+  const description = descMeta ? descMeta.getAttribute('content') || '' : '';
+  const descWords = description.trim() ? description.trim().split(/\s+/).length : 0;
+
+  return {
+    score: stats.words >= contentMinWords ? 100 : stats.words >= contentThinWords ? 70 : stats.words > 0 ? 40 : 0,
+    scope: fullPage ? 'main' : 'page',
+    stats: stats,
+    fullPage,
+    title: { characters: title.length, words: titleWords },
+    description: { characters: description.length, words: descWords }
+  };
+}
+
+/**
+ * Thresholds from the shared config, or the built-in defaults
+ */
+function getThresholds(config) {
+  if (config && config.thresholds) return config.thresholds;
+  return typeof getDefaultConfig === 'function' ? getDefaultConfig().thresholds : {
+    titleMin: 30, titleMax: 60, descriptionMin: 120, descriptionMax: 160,
+    contentMinWords: 300, contentThinWords: 100, readabilityTarget: 60
+  };
+}
+
+/**
+ * Count words, characters, sentences, and estimate reading time
+ */
+function countText(text) {
+  const cleaned = text.replace(/\s+/g, ' ').trim();
+  const characters = cleaned.length;
+  const charactersNoSpaces = cleaned.replace(/\s/g, '').length;
+  const words = cleaned ? cleaned.split(/\s+/).length : 0;
+  const sentences = cleaned ? (cleaned.match(/[.!?]+(\s|$)/g) || []).length : 0;
+  const paragraphs = text.trim() ? text.trim().split(/\n\s*\n/).filter(p => p.trim()).length : 0;
+  const readingTimeMin = Math.max(1, Math.ceil(words / 238)); // avg adult reading speed
+
+  return { characters, charactersNoSpaces, words, sentences, paragraphs, readingTimeMin };
+}
+
+/**
+ * Readability in the page language: html lang when present (no score when we
+ * have no formula for it), otherwise detected from the text. Reading ease uses that
+ * language's Flesch adaptation (same 0–100 scale, so the configured target
+ * still applies); English also gets the grade-level formulas.
+ * Measured on the main content; page-wide figures are in fullPage.
+ */
+function analyzeReadability(doc, context) {
+  const { isPage, text, pageText } = getContentTexts(doc, context);
+  const result = computeReadability(text, doc, context);
+  result.scope = isPage ? 'page' : 'main';
+  result.fullPage = isPage ? null : computeReadability(pageText, doc, context);
+  return result;
+}
+
+/**
+ * Readability figures for one block of text
+ */
+function computeReadability(rawText, doc, context) {
+  const { readabilityTarget } = getThresholds(context.config);
+  const text = rawText.replace(/\s+/g, ' ').trim();
+  const words = text.split(/\s+/).map(w => w.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '')).filter(w => /\p{L}/u.test(w));
+
+  if (words.length < 30) {
+    return { score: 0, fleschEase: null, fleschKincaid: null, avgSentenceLen: 0, avgWordLen: 0, syllablesPerWord: 0, message: 'Not enough text to analyze (need 30+ words)' };
+  }
+
+  const { language, source } = detectReadabilityLanguage(doc, words);
+  if (source === 'unsupported') {
+    // Scoring with another language's formula would be meaningless; null keeps it out of the overall score
+    return { score: null, language, languageSource: source, fleschEase: null, fleschKincaid: null, avgSentenceLen: 0, avgWordLen: 0, syllablesPerWord: 0, message: `No readability formula for lang="${language}"` };
+  }
+  const spec = getReadabilityLanguages()[language];
+
+  const wordCount = words.length;
+  const sentenceCount = Math.max(1, (text.match(/[.!?…]+(\s|$)/g) || []).length);
+  const syllables = words.map(w => countSyllables(w, language));
+  const totalSyllables = syllables.reduce((sum, s) => sum + s, 0);
+  const letters = words.reduce((sum, w) => sum + (w.match(/\p{L}/gu) || []).length, 0);
+  const polysyllables = syllables.filter(s => s >= 3).length;
+
+  const stats = {
+    words: wordCount,
+    sentences: sentenceCount,
+    wordsPerSentence: wordCount / sentenceCount,
+    syllablesPerWord: totalSyllables / wordCount,
+    lettersPerWord: letters / wordCount,
+    polysyllables
+  };
+
+  const formulas = spec.formulas.map(f => ({
+    key: f.key,
+    name: f.name,
+    kind: f.kind,
+    value: f.kind === 'ease'
+      ? Math.max(0, Math.min(100, +f.compute(stats).toFixed(1)))
+      : Math.max(0, +f.compute(stats).toFixed(1))
+  }));
+  const ease = formulas.find(f => f.kind === 'ease');
+  const kincaid = formulas.find(f => f.key === 'fleschKincaid');
+
+  // Score: reading ease maps well — the target (60 by default) is good for web content
+  const score = ease.value >= readabilityTarget ? 100
+    : ease.value >= readabilityTarget - 20 ? 70
+    : ease.value >= readabilityTarget - 40 ? 40 : 20;
+
+  return {
+    score,
+    language,
+    languageName: spec.name,
+    languageSource: source,
+    formula: ease.name,
+    fleschEase: ease.value,
+    fleschKincaid: kincaid ? kincaid.value : null,
+    formulas,
+    avgSentenceLen: +stats.wordsPerSentence.toFixed(1),
+    avgWordLen: +stats.lettersPerWord.toFixed(1),
+    syllablesPerWord: +stats.syllablesPerWord.toFixed(2),
+    message: null
+  };
+}
+
+/**
+ * Languages with a readability formula: display name, frequent function words
+ * for detection, and the formulas (first "ease" formula is the scored one).
+ * W/S = words per sentence, Y/W = syllables per word.
+ */
+function getReadabilityLanguages() {
+  return {
+    en: {
+      name: 'English',
+      stopWords: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'are', 'this', 'was', 'you', 'on'],
+      formulas: [
+        { key: 'fleschEase', name: 'Flesch Reading Ease', kind: 'ease', compute: s => 206.835 - 1.015 * s.wordsPerSentence - 84.6 * s.syllablesPerWord },
+        { key: 'fleschKincaid', name: 'Flesch-Kincaid Grade', kind: 'grade', compute: s => 0.39 * s.wordsPerSentence + 11.8 * s.syllablesPerWord - 15.59 },
+        { key: 'gunningFog', name: 'Gunning Fog', kind: 'grade', compute: s => 0.4 * (s.wordsPerSentence + 100 * s.polysyllables / s.words) },
+        { key: 'smog', name: 'SMOG', kind: 'grade', compute: s => 1.043 * Math.sqrt(s.polysyllables * 30 / s.sentences) + 3.1291 },
+        { key: 'colemanLiau', name: 'Coleman-Liau', kind: 'grade', compute: s => 0.0588 * (s.lettersPerWord * 100) - 0.296 * (100 / s.wordsPerSentence) - 15.8 },
+        { key: 'ari', name: 'Automated Readability Index', kind: 'grade', compute: s => 4.71 * s.lettersPerWord + 0.5 * s.wordsPerSentence - 21.43 }
+      ]
+    },
+    es: {
+      name: 'Spanish',
+      stopWords: ['de', 'la', 'que', 'el', 'en', 'y', 'los', 'del', 'se', 'las', 'por', 'un', 'para', 'con', 'una', 'es'],
+      formulas: [
+        // Corrected coefficients (Law 2011); the original mixed up the per-100-words units
+        { key: 'fernandezHuerta', name: 'Fernández Huerta', kind: 'ease', compute: s => 206.84 - 60 * s.syllablesPerWord - 1.02 * s.wordsPerSentence },
+        { key: 'szigrisztPazos', name: 'Szigriszt-Pazos Perspicuity', kind: 'ease', compute: s => 206.835 - 62.3 * s.syllablesPerWord - s.wordsPerSentence }
+      ]
+    },
+    de: {
+      name: 'German',
+      stopWords: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist', 'nicht', 'ein', 'eine'],
+      formulas: [
+        { key: 'amstad', name: 'Amstad (Flesch-Amstad)', kind: 'ease', compute: s => 180 - s.wordsPerSentence - 58.5 * s.syllablesPerWord }
+      ]
+    },
+    fr: {
+      name: 'French',
+      stopWords: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'un', 'une', 'du', 'en', 'que', 'qui', 'pour', 'dans', 'pas', 'sur', 'au'],
+      formulas: [
+        { key: 'kandelMoles', name: 'Kandel-Moles', kind: 'ease', compute: s => 207 - 1.015 * s.wordsPerSentence - 73.6 * s.syllablesPerWord }
+      ]
+    },
+    nl: {
+      name: 'Dutch',
+      stopWords: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'zijn', 'voor', 'met', 'niet', 'ook', 'wordt', 'naar'],
+      formulas: [
+        { key: 'fleschDouma', name: 'Flesch-Douma', kind: 'ease', compute: s => 206.84 - 0.93 * s.wordsPerSentence - 77 * s.syllablesPerWord }
+      ]
+    }
+  };
+}
+
+/**
+ * Primary subtag of <html lang>, flagged 'unsupported' when we have no formula
+ * for it; without a well-formed declared language, the one whose function
+ * words are most frequent in the text, falling back to English.
+ * Returns { language, source: 'html'|'unsupported'|'detected'|'default' }.
+ */
+function detectReadabilityLanguage(doc, words) {
+  const languages = getReadabilityLanguages();
+  const declared = (doc.documentElement.getAttribute('lang') || '').trim().toLowerCase().split(/[-_]/)[0];
+  // Only a well-formed primary subtag counts: the value ends up in a message
+  if (/^[a-z]{2,3}$/.test(declared)) return { language: declared, source: languages[declared] ? 'html' : 'unsupported' };
+
+  const sample = words.slice(0, 2000).map(w => w.toLowerCase());
+  let best = null;
+  Object.entries(languages).forEach(([code, spec]) => {
+    const stopWords = new Set(spec.stopWords);
+    const hits = sample.filter(w => stopWords.has(w)).length;
+    if (!best || hits > best.hits) best = { code, hits };
+  });
+  // Function words make up a good fifth of running text; require a few percent
+  if (best && best.hits >= sample.length * 0.05) return { language: best.code, source: 'detected' };
+  return { language: 'en', source: 'default' };
+}
+
+/**
+ * Count syllables in a word: vowel groups, with per-language rules for silent
+ * endings, diphthongs and hiatus
+ */
+function countSyllables(word, language = 'en') {
+  word = word.toLowerCase();
+
+  if (language === 'en') {
+    word = word.replace(/[^a-z]/g, '');
+    if (!word || word.length <= 2) return 1;
+    // Remove trailing silent e
+    word = word.replace(/e$/, '');
+    const vowelGroups = word.match(/[aeiouy]+/g);
+    return Math.max(1, vowelGroups ? vowelGroups.length : 1);
+  }
+
+  word = word.replace(/[^\p{L}]/gu, '');
+  if (!word) return 1;
+  let groups;
+
+  if (language === 'es') {
+    // Two strong vowels (a, e, o or an accented i/u) are a hiatus: separate syllables
+    groups = word.match(/[aeiouáéíóúü]+/g) || [];
+    return Math.max(1, groups.reduce((sum, g) => sum + 1 + (g.match(/[aeoáéíóú](?=[aeoáéíóú])/g) || []).length, 0));
+  }
+  if (language === 'de') {
+    // ei, ie, au, eu, äu and doubled vowels are single vowel groups already
+    groups = word.match(/[aeiouyäöü]+/g) || [];
+    return Math.max(1, groups.length);
+  }
+  if (language === 'fr') {
+    // Final -e and -es are silent (except in very short words like "le", "les")
+    if (word.length > 3) word = word.replace(/es?$/, '');
+    groups = word.match(/[aeiouyàâäéèêëîïôöùûüœæ]+/g) || [];
+    return Math.max(1, groups.length);
+  }
+  if (language === 'nl') {
+    // "ij" is one vowel sound; a diaeresis starts a new syllable (ideeën, geïnd)
+    word = word.replace(/ij/g, 'y');
+    groups = word.match(/[aeiouyáéíóúèëïöü]+/g) || [];
+    return Math.max(1, groups.length + (word.match(/[aeiouy](?=[ëïü])/g) || []).length);
+  }
+  groups = word.match(/[aeiouy]+/g) || [];
+  return Math.max(1, groups.length);
+}
+
+/**
+ * N-gram / word combination frequency analysis, on the main content with
+ * page-wide figures in fullPage
+ */
+function analyzeNgrams(doc, context) {
+  const { isPage, text, pageText } = getContentTexts(doc, context);
+  const result = computeNgrams(text);
+  result.scope = isPage ? 'page' : 'main';
+  result.fullPage = isPage ? null : computeNgrams(pageText);
+  return result;
+}
+
+/**
+ * Top words and phrases in one block of text
+ */
+function computeNgrams(rawText) {
+  const text = rawText.toLowerCase();
+
+  // Tokenize: letters, numbers, hyphens within words
+  const words = text.match(/[a-z0-9](?:[a-z0-9'-]*[a-z0-9])?/g) || [];
+
+  const stopWords = new Set([
+    'a','an','the','and','or','but','in','on','at','to','for','of','with','by',
+    'from','is','it','its','this','that','are','was','were','be','been','being',
+    'have','has','had','do','does','did','will','would','could','should','may',
+    'might','shall','can','not','no','nor','so','if','then','than','too','very',
+    'just','about','above','after','again','all','also','am','as','because',
+    'before','between','both','each','few','get','got','he','her','here','him',
+    'his','how','i','into','me','more','most','my','new','now','of','only',
+    'other','our','out','over','own','re','same','she','some','such','there',
+    'they','their','them','these','those','through','under','up','us','we',
+    'what','when','where','which','while','who','whom','why','you','your',
+    'able','across','already','always','among','any','around','away','back',
+    'become','been','below','come','down','during','even','every','find',
+    'first','go','going','good','great','help','here','high','however',
+    'into','keep','know','last','let','like','long','look','made','make',
+    'many','much','must','need','next','off','often','old','once','one',
+    'only','part','per','put','said','say','see','seem','set','show',
+    'since','still','take','tell','thing','think','time','two','use',
+    'want','way','well','work','year'
+  ]);
+
+  // Filter out stop words for n-gram analysis
+  const filtered = words.filter(w => !stopWords.has(w) && w.length > 1);
+
+  // Build n-grams (1, 2, 3)
+  const unigrams = buildNgramCounts(filtered, 1);
+  const bigrams = buildNgramCounts(words.filter(w => w.length > 1), 2, stopWords); // use all words but filter results
+  const trigrams = buildNgramCounts(words.filter(w => w.length > 1), 3, stopWords);
+
+  return {
+    unigrams: getTopN(unigrams, 15),
+    bigrams: getTopN(bigrams, 10),
+    trigrams: getTopN(trigrams, 10),
+    totalWords: words.length,
+    uniqueWords: new Set(words).size
+  };
+}
+
+/**
+ * Build n-gram frequency map
+ */
+function buildNgramCounts(words, n, stopWords) {
+  const counts = {};
+  for (let i = 0; i <= words.length - n; i++) {
+    const gram = words.slice(i, i + n).join(' ');
+    // For bigrams/trigrams: skip if ALL words are stop words
+    if (n > 1 && stopWords) {
+      const parts = gram.split(' ');
+      if (parts.every(w => stopWords.has(w))) continue;
+    }
+    counts[gram] = (counts[gram] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Get top N entries from frequency map (minimum count of 2)
+ */
+function getTopN(counts, n) {
+  return Object.entries(counts)
+    .filter(([_, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, n)
+    .map(([phrase, count]) => ({ phrase, count }));
+}
+
+/**
+ * Extract schema types from JSON-LD object
+ */
+function extractSchemaTypes(data) {
+  const types = [];
+  
+  if (Array.isArray(data)) {
+    data.forEach(item => types.push(...extractSchemaTypes(item)));
+  } else if (data && typeof data === 'object') {
+    if (data['@type']) {
+      const type = Array.isArray(data['@type']) ? data['@type'][0] : data['@type'];
+      types.push(type);
+    }
+    if (data['@graph']) {
+      types.push(...extractSchemaTypes(data['@graph']));
+    }
+  }
+  
+  return [...new Set(types)];
+}
+
+/**
+ * Build a CSS selector that uniquely locates an element (id or nth-of-type path)
+ */
+function getElementSelector(el) {
+  const doc = el.ownerDocument;
+  const parts = [];
+  while (el && el.nodeType === 1 && el !== doc.documentElement) {
+    if (el.id && doc.querySelectorAll('#' + CSS.escape(el.id)).length === 1) {
+      parts.unshift('#' + CSS.escape(el.id));
+      break;
+    }
+    let part = el.tagName.toLowerCase();
+    const parent = el.parentElement;
+    if (parent) {
+      const siblings = Array.from(parent.children).filter(c => c.tagName === el.tagName);
+      if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+    }
+    parts.unshift(part);
+    el = parent;
+  }
+  return parts.join(' > ');
+}
+
+// ============================================
+// Core Web Vitals (LCP, CLS, INP) — live pages only
+// ============================================
+/**
+ * Collect LCP, CLS and INP the way Chrome's CrUX does (windowed CLS,
+ * interactionId-grouped INP with the high-percentile rule), plus FCP and TTFB.
+ * Each metric comes with attribution: which element, resource or interaction
+ * caused it, with a selector the popup can highlight.
+ */
+function analyzeWebVitals(view) {
+  const { performance, PerformanceObserver } = view;
+  return new Promise((resolve) => {
+    const vitals = { lcp: null, cls: null, inp: null, fcp: null, ttfb: null, attribution: { lcp: null, cls: null, inp: null } };
+    const observers = [];
+    let lcpEntry = null;
+    const shiftEntries = [];
+    const eventEntries = [];
+    let resolved = false;
+
+    function observe(type, callback, options = {}) {
+      try {
+        const observer = new PerformanceObserver(list => callback(list.getEntries()));
+        observer.observe(Object.assign({ type, buffered: true }, options));
+        observers.push(observer);
+      } catch (e) {}
+    }
+
+    function finish() {
+      if (resolved) return;
+      resolved = true;
+      observers.forEach(o => o.disconnect());
+
+      if (lcpEntry) {
+        vitals.lcp = Math.round(lcpEntry.startTime);
+        vitals.attribution.lcp = getLcpAttribution(lcpEntry, performance);
+      }
+
+      const cls = computeClsWindows(shiftEntries);
+      vitals.cls = +cls.value.toFixed(4);
+      vitals.attribution.cls = getClsAttribution(cls.entries);
+
+      const inp = computeInp(eventEntries, performance.interactionCount);
+      if (inp) {
+        vitals.inp = inp.latency;
+        vitals.attribution.inp = getInpAttribution(inp);
+      }
+      resolve(vitals);
+    }
+
+    // TTFB
+    try {
+      const nav = performance.getEntriesByType('navigation')[0];
+      if (nav) {
+        vitals.ttfb = Math.round(nav.responseStart - nav.requestStart);
+      }
+    } catch (e) {}
+
+    // FCP
+    try {
+      const fcpEntry = performance.getEntriesByName('first-contentful-paint')[0];
+      if (fcpEntry) {
+        vitals.fcp = Math.round(fcpEntry.startTime);
+      }
+    } catch (e) {}
+
+    // LCP: the last candidate reported wins
+    observe('largest-contentful-paint', entries => {
+      if (entries.length > 0) lcpEntry = entries[entries.length - 1];
+    });
+
+    // CLS: shifts right after user input are expected and excluded
+    observe('layout-shift', entries => {
+      entries.forEach(entry => { if (!entry.hadRecentInput) shiftEntries.push(entry); });
+    });
+
+    // INP: event timing entries, grouped per interaction later. The first
+    // input is reported separately and may fall under the duration threshold.
+    observe('event', entries => eventEntries.push(...entries), { durationThreshold: 40 });
+    observe('first-input', entries => eventEntries.push(...entries));
+
+    // Resolve after 2 seconds to capture buffered entries
+    setTimeout(finish, 2000);
+  });
+}
+
+/**
+ * CLS is the largest session window: shifts less than 1s apart, at most 5s
+ * long in total. Returns { value, entries } for that window.
+ */
+function computeClsWindows(entries) {
+  let best = { value: 0, entries: [] };
+  let current = { value: 0, entries: [] };
+  entries.slice().sort((a, b) => a.startTime - b.startTime).forEach(entry => {
+    const first = current.entries[0];
+    const last = current.entries[current.entries.length - 1];
+    if (first && (entry.startTime - last.startTime >= 1000 || entry.startTime - first.startTime >= 5000)) {
+      current = { value: 0, entries: [] };
+    }
+    current.value += entry.value;
+    current.entries.push(entry);
+    if (current.value > best.value) best = { value: current.value, entries: current.entries.slice() };
+  });
+  return best;
+}
+
+/**
+ * INP: each interaction's latency is its longest event entry; with many
+ * interactions one outlier per 50 is ignored (98th percentile, at most the
+ * 10th longest). Returns { latency, entries, count } or null.
+ */
+function computeInp(entries, interactionCount) {
+  const interactions = new Map();
+  entries.forEach(entry => {
+    if (!entry.interactionId) return;
+    const group = interactions.get(entry.interactionId) || { latency: 0, entries: [] };
+    group.latency = Math.max(group.latency, entry.duration);
+    group.entries.push(entry);
+    interactions.set(entry.interactionId, group);
+  });
+  if (interactions.size === 0) return null;
+
+  const count = Math.max(interactionCount || 0, interactions.size);
+  const sorted = Array.from(interactions.values()).sort((a, b) => b.latency - a.latency);
+  const chosen = sorted[Math.min(Math.floor(count / 50), 9, sorted.length - 1)];
+  return { latency: Math.round(chosen.latency), entries: chosen.entries, count };
+}
+
+/**
+ * The LCP element and resource, and how its time splits into TTFB,
+ * resource load delay, resource load time and render delay
+ */
+function getLcpAttribution(entry, performance) {
+  const el = entry.element;
+  const attribution = {
+    selector: el && el.isConnected ? getElementSelector(el) : null,
+    element: el ? el.tagName.toLowerCase() : null,
+    url: entry.url || null,
+    size: entry.size,
+    phases: null
+  };
+
+  try {
+    const nav = performance.getEntriesByType('navigation')[0];
+    if (nav) {
+      const ttfb = nav.responseStart;
+      const resource = entry.url ? performance.getEntriesByType('resource').find(r => r.name === entry.url) : null;
+      const loadStart = resource ? Math.max(ttfb, resource.requestStart || resource.startTime) : ttfb;
+      const loadEnd = resource ? Math.max(loadStart, resource.responseEnd) : ttfb;
+      attribution.phases = {
+        ttfb: Math.round(ttfb),
+        loadDelay: Math.round(loadStart - ttfb),
+        loadTime: Math.round(loadEnd - loadStart),
+        renderDelay: Math.round(Math.max(0, entry.startTime - loadEnd))
+      };
+    }
+  } catch (e) {}
+
+  return attribution;
+}
+
+/**
+ * Elements that moved in the worst CLS window, largest contribution first.
+ * A shift's value is shared between its sources by the area they moved.
+ */
+function getClsAttribution(entries) {
+  const byElement = new Map();
+  entries.forEach(entry => {
+    const sources = (entry.sources || []).filter(s => s.node && s.node.nodeType === 1);
+    const areas = sources.map(s => {
+      const prev = s.previousRect || { width: 0, height: 0 };
+      const curr = s.currentRect || { width: 0, height: 0 };
+      return prev.width * prev.height + curr.width * curr.height;
+    });
+    const total = areas.reduce((a, b) => a + b, 0);
+    sources.forEach((source, i) => {
+      const share = total > 0 ? entry.value * areas[i] / total : entry.value / sources.length;
+      const current = byElement.get(source.node) || { value: 0, shifts: 0 };
+      current.value += share;
+      current.shifts++;
+      byElement.set(source.node, current);
+    });
+  });
+
+  const sources = Array.from(byElement.entries())
+    .map(([node, { value, shifts }]) => ({
+      selector: node.isConnected ? getElementSelector(node) : null,
+      element: node.tagName.toLowerCase(),
+      value: +value.toFixed(4),
+      shifts
+    }))
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 5);
+
+  return {
+    windowStart: entries.length > 0 ? Math.round(entries[0].startTime) : null,
+    shifts: entries.length,
+    sources
+  };
+}
+
+/**
+ * The interaction behind INP: its target, event type, and how its latency
+ * splits into input delay, processing time and presentation delay
+ */
+function getInpAttribution(inp) {
+  const entry = inp.entries.reduce((a, b) => (b.duration > a.duration ? b : a));
+  const processingStart = Math.min(...inp.entries.map(e => e.processingStart));
+  const processingEnd = Math.max(...inp.entries.map(e => e.processingEnd));
+  const target = inp.entries.map(e => e.target).find(t => t && t.nodeType === 1);
+  return {
+    selector: target && target.isConnected ? getElementSelector(target) : null,
+    element: target ? target.tagName.toLowerCase() : null,
+    eventType: entry.name,
+    startTime: Math.round(entry.startTime),
+    inputDelay: Math.round(processingStart - entry.startTime),
+    processingTime: Math.round(processingEnd - processingStart),
+    presentationDelay: Math.round(Math.max(0, entry.startTime + entry.duration - processingEnd)),
+    interactions: inp.count
+  };
+}
+
+// ============================================
+// Page Performance
+// ============================================
+function analyzePerformance(doc, context) {
+  const results = {
+    loadTime: null,
+    domContentLoaded: null,
+    domSize: 0,
+    resourceCounts: { scripts: 0, stylesheets: 0, fonts: 0, images: 0, total: 0 },
+    totalTransferSize: 0,
+  };
+
+  // Timing and resources only exist for a rendered page
+  const performance = context.view && context.view.performance;
+
+  // Load timing
+  try {
+    const nav = performance.getEntriesByType('navigation')[0];
+    if (nav) {
+      results.loadTime = Math.round(nav.loadEventEnd - nav.startTime);
+      results.domContentLoaded = Math.round(nav.domContentLoadedEventEnd - nav.startTime);
+    }
+  } catch (e) {}
+
+  // DOM size
+  results.domSize = doc.querySelectorAll('*').length;
+
+  // Resource counts
+  try {
+    const resources = performance.getEntriesByType('resource');
+    results.resourceCounts.total = resources.length;
+    for (const r of resources) {
+      const type = r.initiatorType;
+      if (type === 'script') results.resourceCounts.scripts++;
+      else if (type === 'link' || type === 'css') results.resourceCounts.stylesheets++;
+      else if (type === 'img') results.resourceCounts.images++;
+      else if (r.name.match(/\.(woff2?|ttf|otf|eot)(\?|$)/i)) results.resourceCounts.fonts++;
+
+      if (r.transferSize) results.totalTransferSize += r.transferSize;
+    }
+  } catch (e) {}
+
+  return results;
+}
+
+// ============================================
+// Resource Waterfall — resource timing, so live pages only
+// ============================================
+/**
+ * Every resource the page loaded, from resource timing: a waterfall sorted by
+ * start time, bytes per origin split into first and third party, the largest
+ * assets, render-blocking <head> scripts and stylesheets, text served
+ * uncompressed and static assets that came from the network instead of cache.
+ * Cross-origin resources without Timing-Allow-Origin report no sizes.
+ */
+function analyzeResources(doc, context) {
+  const performance = context.view && context.view.performance;
+  if (!performance) return null;
+
+  let entries = [];
+  let navigationType = 'navigate';
+  try {
+    entries = performance.getEntriesByType('resource');
+    const nav = performance.getEntriesByType('navigation')[0];
+    if (nav) navigationType = nav.type;
+  } catch (e) {}
+
+  const pageSite = getSiteKey(context.hostname);
+  const resources = entries.map(r => {
+    let url;
+    try { url = new URL(r.name); } catch (e) { return null; }
+    const category = getResourceCategory(r, url);
+    const size = r.transferSize || r.encodedBodySize || r.decodedBodySize || 0;
+    // transferSize 0 with a body means it came from the HTTP cache; a network
+    // fetch transfers headers plus the body, so less than the body is a 304
+    const cache = r.decodedBodySize > 0 && r.transferSize === 0 ? 'cache'
+      : r.transferSize > 0 && r.transferSize < r.encodedBodySize ? 'revalidated'
+      : r.transferSize > 0 ? 'network' : 'unknown';
+    return {
+      url: r.name,
+      origin: url.origin,
+      firstParty: getSiteKey(url.hostname) === pageSite,
+      category,
+      initiator: r.initiatorType,
+      start: Math.round(r.startTime),
+      duration: Math.round(r.duration),
+      transferSize: r.transferSize || 0,
+      encodedSize: r.encodedBodySize || 0,
+      decodedSize: r.decodedBodySize || 0,
+      size,
+      cache,
+      renderBlocking: r.renderBlockingStatus === 'blocking'
+    };
+  }).filter(Boolean).sort((a, b) => a.start - b.start);
+
+  // Bytes per origin, heaviest first
+  const origins = new Map();
+  resources.forEach(r => {
+    const o = origins.get(r.origin) || { origin: r.origin, firstParty: r.firstParty, count: 0, size: 0, unknownSize: 0 };
+    o.count++;
+    o.size += r.size;
+    if (r.size === 0 && r.cache !== 'cache') o.unknownSize++;
+    origins.set(r.origin, o);
+  });
+  const byOrigin = Array.from(origins.values()).sort((a, b) => b.size - a.size);
+  const party = firstParty => {
+    const list = byOrigin.filter(o => o.firstParty === firstParty);
+    return { origins: list.length, count: list.reduce((n, o) => n + o.count, 0), size: list.reduce((n, o) => n + o.size, 0) };
+  };
+
+  // Render-blocking: classic scripts and stylesheets in <head>, plus anything
+  // the browser itself marked as blocking
+  const blocking = [];
+  doc.querySelectorAll('head script[src]').forEach(el => {
+    if (el.async || el.defer || el.hasAttribute('async') || el.hasAttribute('defer') || el.type === 'module') return;
+    blocking.push({ url: resolveResourceUrl(el.getAttribute('src'), context), category: 'script' });
+  });
+  doc.querySelectorAll('head link[rel~="stylesheet" i][href]').forEach(el => {
+    const media = (el.getAttribute('media') || 'all').trim();
+    if (el.disabled || /^print$/i.test(media)) return;
+    if (context.view.matchMedia && media !== 'all' && !context.view.matchMedia(media).matches) return;
+    blocking.push({ url: resolveResourceUrl(el.getAttribute('href'), context), category: 'stylesheet' });
+  });
+  resources.filter(r => r.renderBlocking && !blocking.some(b => b.url === r.url)).forEach(r => {
+    blocking.push({ url: r.url, category: r.category });
+  });
+  blocking.forEach(b => {
+    const timing = resources.find(r => r.url === b.url);
+    b.duration = timing ? timing.duration : null;
+    b.size = timing ? timing.size : null;
+  });
+
+  // Text that went over the wire at its full decoded size
+  const uncompressed = resources.filter(r => ['script', 'stylesheet', 'document', 'data'].includes(r.category)
+    && r.cache === 'network' && r.decodedSize > 1024 && r.encodedSize >= r.decodedSize);
+
+  const staticAssets = resources.filter(r => ['script', 'stylesheet', 'font', 'image'].includes(r.category));
+  const cacheMisses = staticAssets.filter(r => r.cache === 'network');
+  const repeatView = navigationType === 'reload' || navigationType === 'back_forward';
+
+  const issues = [];
+  const totalSize = resources.reduce((n, r) => n + r.size, 0);
+  const thirdParty = party(false);
+  if (blocking.length > 0) {
+    issues.push({ type: 'warn', message: `${blocking.length} render-blocking resource(s) in <head> — defer scripts and inline critical CSS` });
+  }
+  if (uncompressed.length > 0) {
+    const kb = Math.round(uncompressed.reduce((n, r) => n + r.decodedSize, 0) / 1024);
+    issues.push({ type: 'warn', message: `${uncompressed.length} text resource(s) served uncompressed (${kb} KB) — enable gzip or Brotli` });
+  }
+  if (cacheMisses.length > 0) {
+    issues.push(repeatView
+      ? { type: 'warn', message: `${cacheMisses.length} of ${staticAssets.length} static asset(s) were downloaded again on a repeat view — check their Cache-Control headers` }
+      : { type: 'info', message: `${cacheMisses.length} static asset(s) came from the network — reload the page to see which ones stay uncached` });
+  }
+  if (totalSize > 0 && thirdParty.size / totalSize > 0.5) {
+    issues.push({ type: 'warn', message: `Third parties account for ${Math.round(thirdParty.size / totalSize * 100)}% of the page weight across ${thirdParty.origins} origin(s)` });
+  }
+  if (resources.length > 0 && issues.length === 0) {
+    issues.push({ type: 'pass', message: 'No render-blocking, uncompressed or uncached resources found' });
+  }
+
+  return {
+    count: resources.length,
+    totalSize,
+    navigationType,
+    firstParty: party(true),
+    thirdParty,
+    byOrigin,
+    largest: resources.filter(r => r.size > 0).sort((a, b) => b.size - a.size).slice(0, 10),
+    // Enough rows for a waterfall without bloating the message to the popup
+    waterfall: resources.slice(0, 150),
+    renderBlocking: blocking,
+    uncompressed,
+    cacheMisses: repeatView ? cacheMisses : [],
+    issues
+  };
+}
+
+/**
+ * What kind of resource an entry is, from its initiator and file extension
+ */
+function getResourceCategory(entry, url) {
+  const path = url.pathname.toLowerCase();
+  if (/\.(woff2?|ttf|otf|eot)$/.test(path)) return 'font';
+  if (/\.css$/.test(path) || entry.initiatorType === 'css' && !/\.(png|jpe?g|gif|webp|avif|svg)$/.test(path)) return 'stylesheet';
+  if (/\.(png|jpe?g|gif|webp|avif|svg|ico|bmp)$/.test(path) || entry.initiatorType === 'img' || entry.initiatorType === 'image') return 'image';
+  if (/\.m?js$/.test(path) || entry.initiatorType === 'script') return 'script';
+  if (entry.initiatorType === 'link' && /\.css/.test(path)) return 'stylesheet';
+  if (entry.initiatorType === 'fetch' || entry.initiatorType === 'xmlhttprequest' || entry.initiatorType === 'beacon') return 'data';
+  if (/\.(mp4|webm|mp3|ogg|m3u8)$/.test(path) || entry.initiatorType === 'video' || entry.initiatorType === 'audio') return 'media';
+  if (entry.initiatorType === 'iframe' || /\.html?$/.test(path)) return 'document';
+  return 'other';
+}
+
+/**
+ * Registrable domain, close enough to tell first from third party without a
+ * public suffix list: "cdn.example.co.uk" → "example.co.uk"
+ */
+function getSiteKey(hostname) {
+  const labels = hostname.toLowerCase().replace(/\.$/, '').split('.');
+  if (labels.length <= 2 || /^[\d.]+$/.test(hostname)) return labels.join('.');
+  const secondLevel = /^(co|com|net|org|gov|edu|ac|ne|or|go)$/.test(labels[labels.length - 2]) && labels[labels.length - 1].length === 2;
+  return labels.slice(secondLevel ? -3 : -2).join('.');
+}
+
+function resolveResourceUrl(href, context) {
+  try {
+    return new URL(href, context.baseUrl).href;
+  } catch (e) {
+    return href;
+  }
+}
+
+// ============================================
+// Text-to-HTML Ratio
+// ============================================
+function analyzeTextToHtml(doc) {
+  const htmlSize = doc.documentElement.outerHTML.length;
+  const bodyClone = doc.body.cloneNode(true);
+  bodyClone.querySelectorAll('script, style, noscript, svg, [hidden], [aria-hidden="true"]').forEach(el => el.remove());
+  const textSize = (bodyClone.textContent || '').replace(/\s+/g, ' ').trim().length;
+  const ratio = htmlSize > 0 ? +(textSize / htmlSize * 100).toFixed(1) : 0;
+
+  return {
+    textSize,
+    htmlSize,
+    ratio,
+    status: ratio >= 25 ? 'good' : ratio >= 10 ? 'fair' : 'poor',
+  };
+}
+
+// ============================================
+// Above-the-fold Content Density — needs layout, so live pages only
+// ============================================
+function analyzeAboveFold(doc, context) {
+  if (!context.view) return null;
+  const viewportHeight = context.view.innerHeight;
+  const viewportWidth = context.view.innerWidth;
+  let textElements = 0;
+  let totalElements = 0;
+  let textLength = 0;
+  let imageCount = 0;
+  let ctaCount = 0;
+
+  const allElements = doc.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, span, a, button, img, input, textarea');
+  allElements.forEach(el => {
+    const rect = el.getBoundingClientRect();
+    if (rect.top < viewportHeight && rect.bottom > 0 && rect.left < viewportWidth && rect.right > 0) {
+      totalElements++;
+      const tag = el.tagName.toLowerCase();
+      if (['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'span'].includes(tag)) {
+        textElements++;
+        textLength += (el.textContent || '').trim().length;
+      }
+      if (tag === 'img') imageCount++;
+      if (tag === 'button' || tag === 'input' || (tag === 'a' && el.classList.length > 0)) ctaCount++;
+    }
+  });
+
+  return {
+    viewportHeight,
+    viewportWidth,
+    totalElements,
+    textElements,
+    textLength,
+    imageCount,
+    ctaCount,
+  };
+}
+
+// ============================================
+// Mobile-friendliness — viewport meta on any document; tap targets, font
+// sizes and overflow need layout, so live pages only
+// ============================================
+/**
+ * Viewport meta, tap targets, legible font sizes, horizontal overflow and
+ * fixed-width elements. Layout checks measure the window as it is, so they
+ * are only meaningful at a phone width (DevTools device mode).
+ */
+function analyzeMobile(doc, context) {
+  const limits = { tapTarget: 48, tapSpacing: 8, minFontSize: 12, smallTextShare: 0.4, fixedWidth: 400 };
+  const issues = [];
+  const view = context.view;
+
+  // Viewport meta
+  const meta = doc.querySelector('meta[name="viewport" i]');
+  const viewport = meta ? parseViewportContent(meta.getAttribute('content') || '') : null;
+  if (!viewport) {
+    issues.push({ type: 'fail', message: 'No viewport meta tag — phones render the page at desktop width and zoom out' });
+  } else {
+    if (viewport.width !== 'device-width') {
+      issues.push({
+        type: 'fail',
+        message: viewport.width ? `Viewport width=${viewport.width} — use width=device-width so the layout follows the screen` : 'Viewport has no width=device-width'
+      });
+    }
+    if (viewport.userScalable === false) {
+      issues.push({ type: 'fail', message: 'user-scalable=no disables pinch zoom (WCAG 1.4.4 Resize Text)' });
+    }
+    if (viewport.maximumScale != null && viewport.maximumScale <= 1) {
+      issues.push({ type: 'fail', message: `maximum-scale=${viewport.maximumScale} prevents zooming (WCAG 1.4.4 Resize Text)` });
+    } else if (viewport.maximumScale != null && viewport.maximumScale < 2) {
+      issues.push({ type: 'warn', message: `maximum-scale=${viewport.maximumScale} limits zoom to less than 200%` });
+    }
+  }
+
+  const fixedWidth = findFixedWidthElements(doc, view, limits.fixedWidth);
+  if (fixedWidth.length > 0) {
+    issues.push({ type: 'warn', message: `${fixedWidth.length} element(s) with a fixed width of ${limits.fixedWidth}px or more` });
+  }
+
+  let tapTargets = null;
+  let fontSize = null;
+  let overflow = null;
+  if (view) {
+    const viewportWidth = view.innerWidth;
+    if (viewportWidth > 600) {
+      issues.push({ type: 'info', message: `Measured at ${viewportWidth}px wide — open DevTools device mode and re-run for phone-width results` });
+    }
+
+    tapTargets = checkTapTargets(doc, view, limits);
+    if (tapTargets.crowded > 0) {
+      issues.push({ type: 'fail', message: `${tapTargets.crowded} tap target(s) smaller than ${limits.tapTarget}px with another target within ${limits.tapSpacing}px` });
+    }
+    if (tapTargets.small > tapTargets.crowded) {
+      issues.push({ type: 'warn', message: `${tapTargets.small - tapTargets.crowded} more tap target(s) smaller than ${limits.tapTarget}×${limits.tapTarget}px` });
+    }
+
+    fontSize = checkFontSizes(doc, view, limits.minFontSize);
+    if (fontSize.smallShare > limits.smallTextShare) {
+      issues.push({ type: 'fail', message: `${Math.round(fontSize.smallShare * 100)}% of the text is smaller than ${limits.minFontSize}px` });
+    } else if (fontSize.smallChars > 0) {
+      issues.push({ type: 'warn', message: `${Math.round(fontSize.smallShare * 100)}% of the text is smaller than ${limits.minFontSize}px` });
+    }
+
+    overflow = checkHorizontalOverflow(doc, view);
+    if (overflow.scrollWidth > overflow.viewportWidth) {
+      issues.push({ type: 'fail', message: `Page is ${overflow.scrollWidth}px wide in a ${overflow.viewportWidth}px viewport — content scrolls sideways` });
+    }
+  }
+
+  const penalty = issues.reduce((sum, i) => sum + (i.type === 'fail' ? 20 : i.type === 'warn' ? 8 : 0), 0);
+
+  return {
+    score: Math.max(0, 100 - penalty),
+    viewport: viewport ? Object.assign({ content: meta.getAttribute('content') || '' }, viewport) : null,
+    viewportWidth: view ? view.innerWidth : null,
+    tapTargets,
+    fontSize,
+    overflow,
+    fixedWidth,
+    issues
+  };
+}
+
+/**
+ * Parse a viewport content attribute ("width=device-width, initial-scale=1").
+ * Browsers accept ";" as well as "," between properties.
+ */
+function parseViewportContent(content) {
+  const properties = {};
+  content.split(/[,;]/).forEach(part => {
+    const [key, ...rest] = part.split('=');
+    if (!key.trim()) return;
+    properties[key.trim().toLowerCase()] = rest.join('=').trim().toLowerCase();
+  });
+  const number = value => (value != null && value !== '' && isFinite(parseFloat(value)) ? parseFloat(value) : null);
+  const userScalable = properties['user-scalable'];
+  return {
+    properties,
+    width: properties.width || null,
+    initialScale: number(properties['initial-scale']),
+    maximumScale: number(properties['maximum-scale']),
+    // "no" and "0" (or anything between -1 and 1) turn zoom off
+    userScalable: userScalable == null ? null : !(userScalable === 'no' || (number(userScalable) != null && Math.abs(number(userScalable)) < 1))
+  };
+}
+
+/**
+ * Visible interactive elements smaller than the minimum size, and which of
+ * those have another target inside their finger-sized area. Text links
+ * inside a sentence are exempt, as in WCAG 2.5.8.
+ */
+function checkTapTargets(doc, view, limits) {
+  const targets = [];
+  doc.querySelectorAll('a[href], button, input:not([type="hidden" i]), select, textarea, summary, [role="button"], [role="link"], [role="checkbox"], [role="tab"], [onclick]').forEach(el => {
+    if (targets.length >= 500) return;
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    const style = view.getComputedStyle(el);
+    if (style.visibility === 'hidden' || style.pointerEvents === 'none') return;
+    if (style.display === 'inline' && isInlineTextLink(el)) return;
+    targets.push({ el, rect });
+  });
+
+  const items = [];
+  let small = 0;
+  let crowded = 0;
+  targets.forEach(target => {
+    const { el, rect } = target;
+    if (rect.width >= limits.tapTarget && rect.height >= limits.tapTarget) return;
+    small++;
+    // A finger-sized area centered on the target, less the allowed spacing
+    const cx = rect.left + rect.width / 2;
+    const cy = rect.top + rect.height / 2;
+    const half = limits.tapTarget / 2 - limits.tapSpacing;
+    const area = {
+      left: Math.min(rect.left, cx - half) - limits.tapSpacing,
+      right: Math.max(rect.right, cx + half) + limits.tapSpacing,
+      top: Math.min(rect.top, cy - half) - limits.tapSpacing,
+      bottom: Math.max(rect.bottom, cy + half) + limits.tapSpacing
+    };
+    const neighbour = targets.find(other => other !== target &&
+      !other.el.contains(el) && !el.contains(other.el) &&
+      other.rect.left < area.right && other.rect.right > area.left &&
+      other.rect.top < area.bottom && other.rect.bottom > area.top);
+    if (neighbour) crowded++;
+    if (items.length < 20 || (neighbour && items.filter(i => i.crowdedWith).length < 20)) {
+      items.push({
+        selector: getElementSelector(el),
+        text: (el.textContent || el.getAttribute('aria-label') || el.getAttribute('value') || '').trim().substring(0, 40),
+        width: Math.round(rect.width),
+        height: Math.round(rect.height),
+        crowdedWith: neighbour ? getElementSelector(neighbour.el) : null
+      });
+    }
+  });
+
+  return {
+    total: targets.length,
+    small,
+    crowded,
+    // Crowded targets first, they are the ones that get mis-tapped
+    items: items.sort((a, b) => (b.crowdedWith ? 1 : 0) - (a.crowdedWith ? 1 : 0)).slice(0, 20)
+  };
+}
+
+function isInlineTextLink(el) {
+  const parent = el.parentElement;
+  if (!parent) return false;
+  const own = (el.textContent || '').trim().length;
+  const around = (parent.textContent || '').trim().length;
+  return around > own + 20;
+}
+
+/**
+ * Share of visible text characters rendered below the minimum font size
+ */
+function checkFontSizes(doc, view, minFontSize) {
+  let chars = 0;
+  let smallChars = 0;
+  const sizes = new Map();
+  const items = [];
+  const walker = doc.createTreeWalker(doc.body || doc.documentElement, 4);
+  let node = walker.nextNode();
+  while (node) {
+    const text = node.textContent.trim();
+    const el = node.parentElement;
+    if (text && el && !['script', 'style', 'noscript', 'template'].includes(el.tagName.toLowerCase())) {
+      let size = sizes.get(el);
+      if (size === undefined) {
+        const style = view.getComputedStyle(el);
+        const rect = el.getBoundingClientRect();
+        size = style.visibility === 'hidden' || rect.width === 0 || rect.height === 0 ? null : parseFloat(style.fontSize);
+        sizes.set(el, size);
+      }
+      if (size != null) {
+        chars += text.length;
+        if (size < minFontSize) {
+          smallChars += text.length;
+          if (items.length < 20 && !items.some(i => i.element === el)) {
+            items.push({ element: el, selector: getElementSelector(el), size, text: text.substring(0, 40) });
+          }
+        }
+      }
+    }
+    node = walker.nextNode();
+  }
+
+  return {
+    chars,
+    smallChars,
+    smallShare: chars > 0 ? smallChars / chars : 0,
+    items: items.map(({ element, ...item }) => item)
+  };
+}
+
+/**
+ * Document width against the viewport, with the elements where the overflow
+ * starts (those sticking out while their parent does not)
+ */
+function checkHorizontalOverflow(doc, view) {
+  const viewportWidth = doc.documentElement.clientWidth || view.innerWidth;
+  const scrollWidth = Math.max(doc.documentElement.scrollWidth, doc.body ? doc.body.scrollWidth : 0);
+  const items = [];
+  if (scrollWidth > viewportWidth) {
+    const sticksOut = el => el.getBoundingClientRect().right + view.scrollX > viewportWidth + 1;
+    const all = (doc.body || doc.documentElement).querySelectorAll('*');
+    for (let i = 0; i < all.length && items.length < 10; i++) {
+      const el = all[i];
+      const rect = el.getBoundingClientRect();
+      if (rect.width === 0 || !sticksOut(el)) continue;
+      if (el.parentElement && el.parentElement !== doc.body && sticksOut(el.parentElement)) continue;
+      if (view.getComputedStyle(el).position === 'fixed') continue;
+      items.push({ selector: getElementSelector(el), right: Math.round(rect.right + view.scrollX), width: Math.round(rect.width) });
+    }
+  }
+  return { scrollWidth, viewportWidth, items };
+}
+
+/**
+ * Elements given a large width in pixels: width attributes, inline styles and,
+ * on live pages, anything rendered wider than the viewport. Images are left
+ * out — max-width usually scales them down.
+ */
+function findFixedWidthElements(doc, view, minWidth) {
+  const found = [];
+  const seen = new Set();
+  const add = (el, width, source) => {
+    if (seen.has(el) || found.length >= 20) return;
+    seen.add(el);
+    found.push({ selector: getElementSelector(el), tag: el.tagName.toLowerCase(), width: Math.round(width), source });
+  };
+
+  doc.querySelectorAll('[width], [style*="width"]').forEach(el => {
+    const tag = el.tagName.toLowerCase();
+    if (['img', 'svg', 'video', 'canvas', 'picture', 'source'].includes(tag)) return;
+    const attr = el.getAttribute('width');
+    if (attr && /^\d+$/.test(attr.trim()) && +attr >= minWidth) add(el, +attr, `width="${attr}"`);
+    const style = el.getAttribute('style') || '';
+    const match = style.match(/(?:^|;)\s*(min-width|width)\s*:\s*(\d+(?:\.\d+)?)px/i);
+    if (match && +match[2] >= minWidth) add(el, +match[2], `${match[1].toLowerCase()}: ${match[2]}px`);
+  });
+
+  if (view) {
+    const viewportWidth = doc.documentElement.clientWidth || view.innerWidth;
+    (doc.body || doc.documentElement).querySelectorAll('*').forEach(el => {
+      if (['img', 'svg', 'video', 'canvas', 'picture'].includes(el.tagName.toLowerCase())) return;
+      const rect = el.getBoundingClientRect();
+      if (rect.width <= viewportWidth + 1 || (el.parentElement && el.parentElement.getBoundingClientRect().width > viewportWidth + 1)) return;
+      add(el, rect.width, 'wider than the viewport');
+    });
+  }
+  return found;
+}
+
+// ============================================
+// Canonical URL
+// ============================================
+/**
+ * Canonical tag checks: count, placement, href form, how the target differs
+ * from the current URL, and conflicts with og:url and hreflang
+ */
+function analyzeCanonical(doc, context) {
+  const issues = [];
+  const tags = Array.from(doc.querySelectorAll('link[rel~="canonical" i]')).map(el => {
+    const href = (el.getAttribute('href') || '').trim();
+    let resolved = '';
+    try { resolved = href ? new URL(href, context.baseUrl).href : ''; } catch (e) {}
+    return {
+      href,
+      resolved,
+      inHead: !!el.closest('head'),
+      form: !href ? 'empty' : href.startsWith('//') ? 'protocol-relative' : /^[a-z][a-z0-9+.-]*:/i.test(href) ? 'absolute' : 'relative',
+      selector: getElementSelector(el)
+    };
+  });
+
+  const result = {
+    tags,
+    canonical: null,
+    current: context.url,
+    selfReferencing: false,
+    crossDomain: false,
+    differences: [],
+    ogUrl: null,
+    issues
+  };
+
+  if (tags.length === 0) {
+    issues.push({ type: 'warn', message: 'No canonical tag — search engines pick the canonical URL themselves' });
+    return result;
+  }
+
+  const headTags = tags.filter(t => t.inHead);
+  tags.filter(t => !t.inHead).forEach(t => {
+    issues.push({ type: 'fail', message: `Canonical in <body> is ignored by Google: ${t.href || '(empty)'}` });
+  });
+
+  const distinct = [...new Set(headTags.map(t => t.resolved))];
+  if (distinct.length > 1) {
+    issues.push({ type: 'fail', message: `${headTags.length} canonical tags point to different URLs — Google ignores all of them` });
+  } else if (headTags.length > 1) {
+    issues.push({ type: 'warn', message: `${headTags.length} canonical tags (same URL) — keep only one` });
+  }
+
+  headTags.forEach(t => {
+    if (t.form === 'empty') issues.push({ type: 'fail', message: 'Canonical tag with an empty href' });
+    else if (!t.resolved) issues.push({ type: 'fail', message: `Canonical href is not a valid URL: ${t.href}` });
+    else if (t.form === 'relative') issues.push({ type: 'warn', message: `Relative canonical "${t.href}" — use an absolute URL (resolves to ${t.resolved})` });
+    else if (t.form === 'protocol-relative') issues.push({ type: 'warn', message: `Protocol-relative canonical "${t.href}" — include https:` });
+  });
+
+  const primary = headTags.find(t => t.resolved);
+  if (!primary) return result;
+  result.canonical = primary.resolved;
+
+  const target = new URL(primary.resolved);
+  const current = new URL(context.url);
+  current.hash = '';
+  result.differences = describeUrlDifferences(target, current);
+  result.selfReferencing = result.differences.length === 0;
+
+  const siteHost = host => host.replace(/^www\./, '');
+  result.crossDomain = siteHost(target.hostname) !== siteHost(current.hostname);
+
+  if (target.hash) {
+    issues.push({ type: 'warn', message: `Canonical contains a fragment (${target.hash}) — fragments are ignored` });
+  }
+  if (result.crossDomain) {
+    issues.push({ type: 'warn', message: `Cross-domain canonical to ${target.hostname} — this page's signals are passed to another site` });
+  } else if (!result.selfReferencing) {
+    issues.push({ type: 'info', message: `Canonical points to another URL (${result.differences.join(', ')}) — this page asks not to be indexed itself` });
+  }
+
+  // og:url should name the same URL as the canonical
+  const ogUrl = doc.querySelector('meta[property="og:url"]');
+  if (ogUrl && ogUrl.getAttribute('content')) {
+    try {
+      result.ogUrl = new URL(ogUrl.getAttribute('content'), context.baseUrl).href;
+      const ogDiff = describeUrlDifferences(new URL(result.ogUrl), target);
+      if (ogDiff.length > 0) issues.push({ type: 'warn', message: `og:url differs from the canonical (${ogDiff.join(', ')}): ${result.ogUrl}` });
+    } catch (e) {
+      issues.push({ type: 'warn', message: `og:url is not a valid URL: ${ogUrl.getAttribute('content')}` });
+    }
+  }
+
+  // hreflang belongs on canonical URLs, and the self-reference should be the canonical
+  const hreflangUrls = Array.from(doc.querySelectorAll('link[rel="alternate"][hreflang]')).map(el => {
+    try { return new URL(el.getAttribute('href'), context.baseUrl).href; } catch (e) { return null; }
+  }).filter(Boolean);
+  if (hreflangUrls.length > 0) {
+    if (!result.selfReferencing) {
+      issues.push({ type: 'warn', message: 'Page has hreflang but canonicalizes elsewhere — its hreflang annotations are ignored' });
+    }
+    const targetNoHash = new URL(target.href);
+    targetNoHash.hash = '';
+    const hasCanonicalAlternate = hreflangUrls.some(u => describeUrlDifferences(new URL(u), targetNoHash).length === 0);
+    const hasCurrentAlternate = hreflangUrls.some(u => describeUrlDifferences(new URL(u), current).length === 0);
+    if (!hasCanonicalAlternate && hasCurrentAlternate) {
+      issues.push({ type: 'warn', message: 'hreflang self-reference uses the current URL, not the canonical' });
+    } else if (!hasCanonicalAlternate) {
+      issues.push({ type: 'warn', message: 'No hreflang alternate matches the canonical URL' });
+    }
+  }
+
+  if (issues.length === 0) issues.push({ type: 'pass', message: 'Single, absolute, self-referencing canonical in <head>' });
+  return result;
+}
+
+/**
+ * Why two URLs differ, from most to least specific: protocol, host, port,
+ * trailing slash, case, path, parameters. Fragments are ignored. Empty when
+ * they are the same.
+ */
+function describeUrlDifferences(a, b) {
+  const reasons = [];
+  if (a.protocol !== b.protocol) reasons.push(`protocol ${a.protocol.slice(0, -1)} vs ${b.protocol.slice(0, -1)}`);
+  if (a.hostname !== b.hostname) {
+    const strip = h => h.replace(/^www\./, '');
+    reasons.push(strip(a.hostname) === strip(b.hostname) ? 'www vs non-www host' : `host ${a.hostname} vs ${b.hostname}`);
+  }
+  if (a.port !== b.port) reasons.push('port');
+
+  if (a.pathname !== b.pathname) {
+    const trim = p => p.replace(/\/+$/, '') || '/';
+    if (trim(a.pathname) === trim(b.pathname)) reasons.push('trailing slash');
+    else if (a.pathname.toLowerCase() === b.pathname.toLowerCase()) reasons.push('letter case in path');
+    else if (trim(a.pathname).toLowerCase() === trim(b.pathname).toLowerCase()) reasons.push('trailing slash', 'letter case in path');
+    else reasons.push('different path');
+  }
+
+  if (a.search !== b.search) {
+    const keys = url => [...new URLSearchParams(url.search).keys()];
+    const onlyA = keys(a).filter(k => !keys(b).includes(k));
+    const onlyB = keys(b).filter(k => !keys(a).includes(k));
+    if (onlyB.length > 0) reasons.push(`parameters dropped: ${onlyB.join(', ')}`);
+    if (onlyA.length > 0) reasons.push(`parameters added: ${onlyA.join(', ')}`);
+    if (onlyA.length === 0 && onlyB.length === 0) reasons.push('parameter values or order');
+  }
+
+  return reasons;
+}
+
+// ============================================
+// Hreflang Tags
+// ============================================
+function analyzeHreflang(doc, context) {
+  const tags = doc.querySelectorAll('link[rel="alternate"][hreflang]');
+  const codes = getHreflangCodes();
+  const entries = [];
+  tags.forEach(tag => {
+    const check = validateHreflangCode(tag.getAttribute('hreflang'), codes);
+    entries.push({
+      lang: tag.getAttribute('hreflang'),
+      href: tag.getAttribute('href'),
+      valid: check.valid,
+      problem: check.problem
+    });
+  });
+
+  const issues = [];
+  if (entries.length > 0) {
+    const hasXDefault = entries.some(e => e.lang === 'x-default');
+    if (!hasXDefault) issues.push('Missing x-default hreflang');
+
+    const currentUrl = context.url;
+    const hasSelfRef = entries.some(e => {
+      try { return new URL(e.href, context.baseUrl).href === currentUrl; } catch { return false; }
+    });
+    if (!hasSelfRef) issues.push('Missing self-referencing hreflang');
+
+    entries.filter(e => !e.valid).forEach(e => issues.push(e.problem));
+
+    const resolved = entries.map(e => {
+      try { return { lang: e.lang, url: new URL(e.href, context.baseUrl).href }; } catch { return { lang: e.lang, url: e.href }; }
+    });
+    findDuplicateHreflangPairs(resolved).forEach(dup => {
+      issues.push(`"${dup.lang}" is declared for ${dup.urls.length} different URLs`);
+    });
+  }
+
+  return { count: entries.length, entries, issues };
+}
+
+// ============================================
+// Structured Data Validation
+// ============================================
+/**
+ * Validate all JSON-LD, Microdata and RDFa items against the bundled
+ * schema.org vocabulary (schema-validator.js) — one entry per top-level node,
+ * with JSON-path issues
+ */
+function analyzeSchemaValidation(doc, schema, context) {
+  const sources = [
+    ...Array.from(doc.querySelectorAll('script[type="application/ld+json"]')).map(s => s.textContent),
+    ...schema.microdataItems.map(data => ({ format: 'Microdata', data })),
+    ...schema.rdfaItems.map(data => ({ format: 'RDFa', data }))
+  ];
+  return validateJsonLd(sources, context.baseUrl);
+}
+
+// ============================================
+// Lazy-loaded vs Eager Images
+// ============================================
+function analyzeLazyImages(doc) {
+  const images = doc.querySelectorAll('img');
+  let lazy = 0, eager = 0, noAttr = 0, dataSrc = 0;
+
+  images.forEach(img => {
+    const loading = img.getAttribute('loading');
+    if (loading === 'lazy') lazy++;
+    else if (loading === 'eager') eager++;
+    else noAttr++;
+
+    if (img.dataset.src || img.dataset.lazySrc || img.dataset.original) dataSrc++;
+  });
+
+  return {
+    total: images.length,
+    lazy,
+    eager,
+    noAttribute: noAttr,
+    dataSrcPattern: dataSrc,
+  };
+}
+
+// ============================================
+// Mixed Content Detection
+// ============================================
+function analyzeMixedContent(doc, context) {
+  const isHttps = context.protocol === 'https:';
+  if (!isHttps) return { isHttps: false, mixedCount: 0, items: [] };
+
+  const items = [];
+  // Check images
+  doc.querySelectorAll('img[src^="http:"]').forEach(el => {
+    items.push({ type: 'image', url: el.getAttribute('src').substring(0, 100), selector: getElementSelector(el) });
+  });
+  // Check scripts
+  doc.querySelectorAll('script[src^="http:"]').forEach(el => {
+    items.push({ type: 'script', url: el.getAttribute('src').substring(0, 100), selector: getElementSelector(el) });
+  });
+  // Check stylesheets
+  doc.querySelectorAll('link[rel="stylesheet"][href^="http:"]').forEach(el => {
+    items.push({ type: 'stylesheet', url: el.getAttribute('href').substring(0, 100), selector: getElementSelector(el) });
+  });
+  // Check iframes
+  doc.querySelectorAll('iframe[src^="http:"]').forEach(el => {
+    items.push({ type: 'iframe', url: el.getAttribute('src').substring(0, 100), selector: getElementSelector(el) });
+  });
+
+  return { isHttps, mixedCount: items.length, items: items.slice(0, 20) };
+}
+
+// ============================================
+// iFrame Detection
+// ============================================
+function analyzeIframes(doc) {
+  const iframes = doc.querySelectorAll('iframe');
+  const items = [];
+
+  iframes.forEach(iframe => {
+    const src = iframe.getAttribute('src') || '';
+    let type = 'unknown';
+    if (src.includes('youtube.com') || src.includes('youtu.be')) type = 'youtube';
+    else if (src.includes('vimeo.com')) type = 'vimeo';
+    else if (src.includes('maps.google') || src.includes('google.com/maps')) type = 'google-maps';
+    else if (src.includes('facebook.com')) type = 'facebook';
+    else if (src.includes('twitter.com') || src.includes('x.com')) type = 'twitter';
+    else if (src.includes('instagram.com')) type = 'instagram';
+    else if (src) type = 'external';
+
+    items.push({
+      type,
+      src: src.substring(0, 150),
+      width: iframe.getAttribute('width') || iframe.style.width || 'auto',
+      height: iframe.getAttribute('height') || iframe.style.height || 'auto',
+      loading: iframe.getAttribute('loading') || 'none',
+      title: (iframe.getAttribute('title') || '').substring(0, 60),
+    });
+  });
+
+  return { count: iframes.length, items: items.slice(0, 20) };
+}
+
+// ============================================
+// Full OG / Twitter Card Validation
+// ============================================
+function analyzeSocialCards(doc) {
+  const og = {};
+  const twitter = {};
+  const ogIssues = [];
+  const twitterIssues = [];
+
+  // Collect all OG tags
+  doc.querySelectorAll('meta[property^="og:"]').forEach(el => {
+    const prop = el.getAttribute('property').replace('og:', '');
+    og[prop] = el.getAttribute('content') || '';
+  });
+
+  // Collect all Twitter tags
+  doc.querySelectorAll('meta[name^="twitter:"]').forEach(el => {
+    const name = el.getAttribute('name').replace('twitter:', '');
+    twitter[name] = el.getAttribute('content') || '';
+  });
+
+  // Validate OG
+  const ogRequired = ['title', 'description', 'image', 'url', 'type'];
+  ogRequired.forEach(field => {
+    if (!og[field]) ogIssues.push(`Missing og:${field}`);
+  });
+  if (og.title && og.title.length > 95) ogIssues.push('og:title too long (>95 chars)');
+  if (og.description && og.description.length > 200) ogIssues.push('og:description too long (>200 chars)');
+
+  // Validate Twitter
+  if (!twitter.card) twitterIssues.push('Missing twitter:card');
+  if (!twitter.title && !og.title) twitterIssues.push('Missing twitter:title (no OG fallback)');
+  if (!twitter.description && !og.description) twitterIssues.push('Missing twitter:description (no OG fallback)');
+  if (!twitter.image && !og.image) twitterIssues.push('Missing twitter:image (no OG fallback)');
+
+  return {
+    og: { tags: og, tagCount: Object.keys(og).length, issues: ogIssues },
+    twitter: { tags: twitter, tagCount: Object.keys(twitter).length, issues: twitterIssues },
+  };
+}
+
+// ============================================
+// Favicon & RSS/Atom Feed Detection
+// ============================================
+function analyzeFaviconAndFeeds(doc) {
+  // Favicons
+  const favicons = [];
+  doc.querySelectorAll('link[rel*="icon"]').forEach(el => {
+    favicons.push({
+      rel: el.getAttribute('rel'),
+      href: el.getAttribute('href'),
+      sizes: el.getAttribute('sizes') || null,
+      type: el.getAttribute('type') || null,
+    });
+  });
+
+  // RSS/Atom feeds
+  const feeds = [];
+  doc.querySelectorAll('link[type="application/rss+xml"], link[type="application/atom+xml"]').forEach(el => {
+    feeds.push({
+      type: el.getAttribute('type').includes('rss') ? 'rss' : 'atom',
+      title: el.getAttribute('title') || '',
+      href: el.getAttribute('href'),
+    });
+  });
+
+  return {
+    favicon: { count: favicons.length, items: favicons, hasFavicon: favicons.length > 0 },
+    feeds: { count: feeds.length, items: feeds },
+  };
+}
+
+// ============================================
+// Media Type Detection
+// ============================================
+function analyzeMediaTypes(doc) {
+  const videos = [];
+  const audio = [];
+  const pdfs = [];
+
+  // Video elements
+  doc.querySelectorAll('video').forEach(el => {
+    videos.push({ type: 'native', src: (el.getAttribute('src') || el.querySelector('source')?.getAttribute('src') || '').substring(0, 100) });
+  });
+
+  // Video embeds (iframes already captured, just count types here)
+  doc.querySelectorAll('iframe').forEach(iframe => {
+    const src = iframe.getAttribute('src') || '';
+    if (src.includes('youtube.com') || src.includes('youtu.be')) videos.push({ type: 'youtube', src: src.substring(0, 100) });
+    else if (src.includes('vimeo.com')) videos.push({ type: 'vimeo', src: src.substring(0, 100) });
+    else if (src.includes('wistia.')) videos.push({ type: 'wistia', src: src.substring(0, 100) });
+  });
+
+  // Audio elements
+  doc.querySelectorAll('audio').forEach(el => {
+    audio.push({ src: (el.getAttribute('src') || el.querySelector('source')?.getAttribute('src') || '').substring(0, 100) });
+  });
+
+  // PDF links
+  doc.querySelectorAll('a[href$=".pdf"], a[href*=".pdf?"]').forEach(el => {
+    pdfs.push({ href: el.getAttribute('href').substring(0, 100), text: (el.textContent || '').trim().substring(0, 60) });
+  });
+
+  return {
+    videos: { count: videos.length, items: videos.slice(0, 10) },
+    audio: { count: audio.length, items: audio.slice(0, 10) },
+    pdfs: { count: pdfs.length, items: pdfs.slice(0, 10) },
+  };
+}
+
+// ============================================
+// Keyword Density (title/H1 terms in body)
+// ============================================
+function analyzeKeywordDensity(doc, context) {
+  const { isPage, text, pageText } = getContentTexts(doc, context);
+  const result = computeKeywordDensity(doc, text);
+  result.scope = isPage ? 'page' : 'main';
+  result.fullPage = isPage ? null : computeKeywordDensity(doc, pageText);
+  return result;
+}
+
+/**
+ * Density of the title and H1 terms in one block of text
+ */
+function computeKeywordDensity(doc, rawText) {
+  const title = doc.title || '';
+  const h1 = doc.querySelector('h1');
+  const h1Text = h1 ? h1.textContent.trim() : '';
+
+  const bodyText = rawText.toLowerCase();
+  const bodyWords = bodyText.match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || [];
+  const totalWords = bodyWords.length;
+
+  if (totalWords === 0) return { titleTerms: [], h1Terms: [], totalWords: 0 };
+
+  const stopWords = new Set(['a','an','the','and','or','but','in','on','at','to','for','of','with','by','is','it','this','that','are','was','be','have','do','not','from','as','i','you','we','they','he','she','your','my','our','their']);
+
+  function getTermDensity(text) {
+    const words = text.toLowerCase().match(/[a-z0-9]+(?:['-][a-z0-9]+)*/g) || [];
+    const meaningful = words.filter(w => !stopWords.has(w) && w.length > 2);
+    return meaningful.map(term => {
+      const count = bodyWords.filter(w => w === term).length;
+      return { term, count, density: +(count / totalWords * 100).toFixed(2) };
+    }).filter(t => t.count > 0);
+  }
+
+  return {
+    titleTerms: getTermDensity(title),
+    h1Terms: getTermDensity(h1Text),
+    totalWords,
+  };
+}
+
+// ============================================
+// TOC / Anchor Navigation Detection
+// ============================================
+function analyzeTocNavigation(doc) {
+  // Check for elements with IDs that are linked to from the same page
+  const anchors = doc.querySelectorAll('a[href^="#"]');
+  const jumpLinks = [];
+
+  anchors.forEach(a => {
+    const href = a.getAttribute('href');
+    if (href === '#' || href === '#top') return;
+    const targetId = href.substring(1);
+    const target = doc.getElementById(targetId);
+    if (target) {
+      jumpLinks.push({
+        text: (a.textContent || '').trim().substring(0, 60),
+        targetTag: target.tagName.toLowerCase(),
+        targetId,
+      });
+    }
+  });
+
+  // Check for nav/toc containers
+  const hasTocElement = !!(
+    doc.querySelector('[class*="toc"]') ||
+    doc.querySelector('[class*="table-of-contents"]') ||
+    doc.querySelector('[id*="toc"]') ||
+    doc.querySelector('nav[aria-label*="content"]')
+  );
+
+  return {
+    hasToc: hasTocElement || jumpLinks.length >= 3,
+    jumpLinkCount: jumpLinks.length,
+    jumpLinks: jumpLinks.slice(0, 15),
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * SEO Analyzer - Canonical Target Check
+ * Fetches a URL the way a crawler would and reads its indexing signals
+ * (status, redirects, meta robots / X-Robots-Tag, canonical from HTML or Link
+ * header) — used to confirm a canonical target is a valid final destination
+ */
+
+/**
+ * Status, redirect, noindex and canonical for one URL.
+ * Needs fetchRawDocument() from render-diff.js.
+ */
+async function fetchIndexingSignals(url) {
+  const fetched = await fetchRawDocument(url);
+  const doc = fetched.doc;
+  const links = parseLinkHeader(fetched.linkHeader, fetched.finalUrl);
+
+  // noindex from <meta name="robots|googlebot"> or an X-Robots-Tag header
+  let noindexSource = null;
+  const robotsMeta = Array.from(doc.querySelectorAll('meta[name="robots" i], meta[name="googlebot" i]'))
+    .find(m => /noindex|none/i.test(m.getAttribute('content') || ''));
+  if (robotsMeta) noindexSource = `meta ${robotsMeta.getAttribute('name').toLowerCase()}`;
+  else if (isNoindexHeader(fetched.robotsHeader)) noindexSource = 'X-Robots-Tag header';
+
+  let canonical = null;
+  let canonicalSource = null;
+  const canonicalEl = doc.querySelector('head link[rel~="canonical" i][href]');
+  if (canonicalEl) {
+    try {
+      canonical = new URL(canonicalEl.getAttribute('href'), fetched.finalUrl).href;
+      canonicalSource = 'HTML';
+    } catch (e) {}
+  }
+  const canonicalHeader = links.find(l => l.rel.includes('canonical'));
+  if (!canonical && canonicalHeader) {
+    canonical = canonicalHeader.url;
+    canonicalSource = 'Link header';
+  }
+
+  return {
+    url,
+    status: fetched.status,
+    finalUrl: fetched.finalUrl,
+    redirected: fetched.redirected,
+    noindex: !!noindexSource,
+    noindexSource,
+    canonical,
+    canonicalSource,
+    links,
+    doc
+  };
+}
+
+/**
+ * X-Robots-Tag: "noindex", "googlebot: noindex, nofollow" — directives after a
+ * user-agent prefix only apply to that crawler, so only unscoped and
+ * googlebot-scoped ones count. Directives that take a value ("max-snippet:-1")
+ * use the same colon and are not user-agents.
+ */
+function isNoindexHeader(header) {
+  const valueDirectives = ['max-snippet', 'max-image-preview', 'max-video-preview', 'unavailable_after'];
+  let agent = null;
+  return (header || '').split(',').some(part => {
+    let directive = part.trim().toLowerCase();
+    const scoped = directive.match(/^([\w-]+):\s*(.*)$/);
+    if (scoped && !valueDirectives.includes(scoped[1])) {
+      agent = scoped[1];
+      directive = scoped[2];
+    }
+    return (agent === null || agent === 'googlebot') && (directive === 'noindex' || directive === 'none');
+  });
+}
+
+/**
+ * Parse an HTTP Link header: <url>; rel="canonical", <url>; rel="alternate"; hreflang="de"
+ */
+function parseLinkHeader(header, baseUrl) {
+  const links = [];
+  const re = /<([^>]*)>\s*((?:;\s*[^;,]+(?:="[^"]*")?)*)/g;
+  let match;
+  while ((match = re.exec(header || ''))) {
+    const params = {};
+    match[2].split(';').forEach(part => {
+      const pair = part.trim().match(/^([\w*-]+)\s*=\s*"?([^"]*)"?$/);
+      if (pair) params[pair[1].toLowerCase()] = pair[2];
+    });
+    let url = match[1];
+    try { url = new URL(url, baseUrl).href; } catch (e) {}
+    links.push({ url, rel: (params.rel || '').toLowerCase().split(/\s+/).filter(Boolean), hreflang: params.hreflang || null });
+  }
+  return links;
+}
+
+/**
+ * Follow a canonical target: it should answer 200 without redirecting, be
+ * indexable, and name itself as canonical
+ */
+async function checkCanonicalTarget(url) {
+  const signals = await fetchIndexingSignals(url);
+  const issues = [];
+
+  if (signals.status !== 200) {
+    issues.push({ type: 'fail', message: `Canonical target returns HTTP ${signals.status}` });
+  }
+  if (signals.redirected) {
+    issues.push({ type: 'fail', message: `Canonical target redirects to ${signals.finalUrl} — point the canonical at the final URL` });
+  }
+  if (signals.noindex) {
+    issues.push({ type: 'fail', message: `Canonical target is noindex (${signals.noindexSource}) — mixed signals, Google may ignore the canonical` });
+  }
+  if (signals.canonical) {
+    const differences = describeUrlDifferences(new URL(signals.canonical), new URL(signals.finalUrl));
+    if (differences.length > 0) {
+      issues.push({ type: 'fail', message: `Canonical target is itself canonicalized to ${signals.canonical} (${signals.canonicalSource}) — canonical chain` });
+    }
+  } else if (signals.status === 200) {
+    issues.push({ type: 'info', message: 'Canonical target has no canonical tag of its own' });
+  }
+  if (issues.every(i => i.type === 'info')) {
+    issues.unshift({ type: 'pass', message: 'Canonical target returns 200 and is indexable' });
+  }
+
+  delete signals.doc;
+  return Object.assign(signals, { issues });
+}
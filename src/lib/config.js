@@ -0,0 +1,121 @@
+/**
+ * SEO Analyzer - Shared Config
+ * Thresholds and scoring weights, stored in chrome.storage.sync.
+ * Loaded by the content script, the popup and the options page.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * Defaults — these match the values the analyzers shipped with
+ */
+function getDefaultConfig() {
+  return {
+    thresholds: {
+      titleMin: 30,
+      titleMax: 60,
+      descriptionMin: 120,
+      descriptionMax: 160,
+      contentMinWords: 300,
+      contentThinWords: 100,
+      readabilityTarget: 60
+    },
+    sections: {
+      meta: { label: 'Meta Tags', weight: 1, enabled: true },
+      headings: { label: 'Headings', weight: 1, enabled: true },
+      images: { label: 'Images', weight: 1, enabled: true },
+      links: { label: 'Links', weight: 1, enabled: true },
+      schema: { label: 'Schema Markup', weight: 1, enabled: true },
+      content: { label: 'Word Count', weight: 1, enabled: true },
+      readability: { label: 'Readability', weight: 1, enabled: true },
+      // Added after the first release: opt-in so existing overall scores and history trends don't shift
+      mobile: { label: 'Mobile', weight: 1, enabled: false }
+    },
+    // Evaluated against robots.txt in addition to Googlebot and Bingbot
+    robotsUserAgents: [],
+    // Record LCP/CLS/INP over every visit (field-vitals.js)
+    fieldVitals: false
+  };
+}
+
+/**
+ * Merge stored values over the defaults so new keys always have a value
+ */
+function mergeConfig(stored) {
+  const config = getDefaultConfig();
+  if (!stored || typeof stored !== 'object') return config;
+
+  Object.keys(config.thresholds).forEach(key => {
+    const value = stored.thresholds?.[key];
+    if (typeof value === 'number' && isFinite(value)) config.thresholds[key] = value;
+  });
+
+  Object.keys(config.sections).forEach(key => {
+    const section = stored.sections?.[key];
+    if (!section) return;
+    if (typeof section.weight === 'number' && isFinite(section.weight) && section.weight >= 0) {
+      config.sections[key].weight = section.weight;
+    }
+    if (typeof section.enabled === 'boolean') config.sections[key].enabled = section.enabled;
+  });
+
+  if (Array.isArray(stored.robotsUserAgents)) {
+    config.robotsUserAgents = stored.robotsUserAgents
+      .filter(a => typeof a === 'string' && a.trim())
+      .map(a => a.trim());
+  }
+
+  if (typeof stored.fieldVitals === 'boolean') config.fieldVitals = stored.fieldVitals;
+
+  return config;
+}
+
+/**
+ * Load the config from chrome.storage.sync (falls back to defaults)
+ */
+async function loadConfig() {
+  try {
+    const result = await chrome.storage.sync.get('config');
+    return mergeConfig(result.config);
+  } catch (e) {
+    return getDefaultConfig();
+  }
+}
+
+/**
+ * Save the config (labels are not stored — they come from the defaults)
+ */
+async function saveConfig(config) {
+  const merged = mergeConfig(config);
+  const stored = { thresholds: merged.thresholds, sections: {}, robotsUserAgents: merged.robotsUserAgents, fieldVitals: merged.fieldVitals };
+  Object.entries(merged.sections).forEach(([key, section]) => {
+    stored.sections[key] = { weight: section.weight, enabled: section.enabled };
+  });
+  await chrome.storage.sync.set({ config: stored });
+  return merged;
+}
+
+async function resetConfig() {
+  await chrome.storage.sync.remove('config');
+  return getDefaultConfig();
+}
+
+/**
+ * Weighted average of the enabled section scores
+ */
+function computeOverallScore(data, config) {
+  const sections = (config || getDefaultConfig()).sections;
+  let total = 0;
+  let weightSum = 0;
+
+  Object.entries(sections).forEach(([key, section]) => {
+    if (!section.enabled || section.weight <= 0) return;
+    const score = data[key]?.score;
+    if (typeof score !== 'number') return;
+    total += score * section.weight;
+    weightSum += section.weight;
+  });
+
+  return weightSum > 0 ? Math.round(total / weightSum) : 0;
+}
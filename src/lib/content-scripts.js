@@ -0,0 +1,13 @@
+/**
+ * SEO Analyzer - Content Scripts
+ * The files injected into a page before asking it to analyze itself. The list
+ * lives in manifest.json content_scripts; popup, batch and the context menu
+ * all inject from here so an on-demand injection never misses a dependency.
+ */
+
+// Assigned to the global object instead of declared: the service worker is an
+// ES module and loads this file with a side-effect import, where a function
+// declaration would stay module-scoped
+globalThis.getContentScriptFiles = function () {
+  return chrome.runtime.getManifest().content_scripts[0].js.slice();
+};
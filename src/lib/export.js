@@ -0,0 +1,186 @@
+/**
+ * SEO Analyzer - Export
+ * Turns an analyzePage() result into downloadable JSON, CSV and HTML reports
+ */
+
+/**
+ * Build a filename like seo-analysis-example.com-2026-01-31.json
+ */
+function getExportFilename(data, extension) {
+  let host = 'page';
+  try {
+    host = new URL(data.url).hostname.replace(/^www\./, '');
+  } catch (e) {}
+  const date = new Date(data.timestamp || Date.now()).toISOString().slice(0, 10);
+  return `seo-analysis-${host}-${date}.${extension}`;
+}
+
+/**
+ * Trigger a browser download for a string
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Full raw result as pretty-printed JSON
+ */
+function buildJsonExport(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Flatten the result into rows of { section, kind, field, value, status }.
+ * "issue" rows come from every issues[] array; everything else is a "metric".
+ */
+function flattenAnalysis(data) {
+  const rows = [];
+  const skip = new Set(['url', 'timestamp']);
+
+  function walk(section, path, value, status) {
+    if (value === null || value === undefined) {
+      rows.push({ section, kind: 'metric', field: path, value: '', status: status || '' });
+    } else if (Array.isArray(value)) {
+      const isIssues = /(^|\.)issues$/i.test(path) || /Issues$/.test(path);
+      value.forEach((entry, i) => {
+        if (isIssues) {
+          const message = typeof entry === 'string' ? entry : (entry.message || JSON.stringify(entry));
+          const type = typeof entry === 'string' ? 'warn' : (entry.type || entry.severity || '');
+          rows.push({ section, kind: 'issue', field: path, value: message, status: type });
+        } else {
+          walk(section, `${path}[${i}]`, entry, entry && typeof entry === 'object' ? entry.status : status);
+        }
+      });
+    } else if (typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => {
+        // A status field is carried onto its siblings instead of getting its own row
+        if (key === 'status' && typeof child === 'string') return;
+        walk(section, path ? `${path}.${key}` : key, child, value.status || status);
+      });
+    } else {
+      // Kept as is (not stringified) so csvCell can tell numbers from page text
+      rows.push({ section, kind: 'metric', field: path, value, status: status || '' });
+    }
+  }
+
+  Object.entries(data).forEach(([section, value]) => {
+    if (skip.has(section)) return;
+    walk(section, '', value);
+  });
+
+  return rows;
+}
+
+/**
+ * Escape a single CSV cell (RFC 4180). A string that starts like a formula
+ * (= + - @, tab, CR) gets a leading ' so Excel and Sheets show it instead of
+ * evaluating it; numbers are left as they are.
+ */
+function csvCell(value) {
+  let str = value == null ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = "'" + str;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Every issue and metric as CSV: url, section, kind, field, value, status
+ */
+function buildCsvExport(data) {
+  const header = ['url', 'section', 'kind', 'field', 'value', 'status'];
+  const rows = flattenAnalysis(data)
+    // Issues first so they are visible at the top when pasted into a ticket
+    .sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'issue' ? -1 : 1));
+
+  const lines = [header.join(',')];
+  rows.forEach(r => {
+    lines.push([data.url, r.section, r.kind, r.field, r.value, r.status].map(csvCell).join(','));
+  });
+  // BOM so Excel opens UTF-8 correctly
+  return '\uFEFF' + lines.join('\r\n');
+}
+
+/**
+ * Standalone HTML report built from the rendered popup sections.
+ * Inlines popup.css so the file has no external dependencies.
+ */
+async function buildHtmlReport(data, resultsEl, overallScore) {
+  let css = '';
+  try {
+    const res = await fetch(chrome.runtime.getURL('src/styles/popup.css'));
+    css = await res.text();
+  } catch (e) {}
+
+  // Clone so we can expand every section without touching the popup
+  const clone = resultsEl.cloneNode(true);
+  clone.classList.remove('hidden');
+  clone.querySelectorAll('.section').forEach(s => s.classList.add('open'));
+  clone.querySelectorAll('button, .section-cta, .export-menu').forEach(el => el.remove());
+
+  const title = escapeReportHtml(data.meta?.items?.find(i => i.key === 'title')?.value || data.url);
+  const when = new Date(data.timestamp || Date.now()).toLocaleString();
+  const scoreClass = overallScore >= 80 ? 'good' : overallScore >= 50 ? 'warning' : 'bad';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>SEO Report — ${title}</title>
+  <style>
+${css}
+    body { width: auto; max-width: 900px; max-height: none; margin: 0 auto; overflow: visible; }
+    .section.open .section-content { max-height: none; overflow: visible; }
+    .section-header { cursor: default; }
+    .report-meta { padding: 12px 16px; background: white; border-bottom: 1px solid var(--gray-200); font-size: 12px; color: var(--gray-500); }
+    .report-meta a { color: var(--primary); word-break: break-all; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <header class="header">
+      <div class="logo"><span>SEO Analyzer Report</span></div>
+      <div class="score-badge ${scoreClass}">${overallScore}%</div>
+    </header>
+    <div class="report-meta">
+      <div><strong>${title}</strong></div>
+      <div><a href="${escapeReportHtml(data.url)}">${escapeReportHtml(data.url)}</a></div>
+      <div>Analyzed ${escapeReportHtml(when)} · SEO Analyzer v${escapeReportHtml(chrome.runtime.getManifest().version)}</div>
+    </div>
+    ${clone.outerHTML}
+    <footer class="footer">
+      <a href="https://seobandwagon.com?utm_source=chrome_extension&utm_medium=report">Generated by <strong>SEO Bandwagon</strong></a>
+    </footer>
+  </div>
+</body>
+</html>`;
+}
+
+function escapeReportHtml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Run one export format and download it
+ */
+async function exportAnalysis(format, data, resultsEl, overallScore) {
+  if (format === 'json') {
+    downloadFile(buildJsonExport(data), getExportFilename(data, 'json'), 'application/json');
+  } else if (format === 'csv') {
+    downloadFile(buildCsvExport(data), getExportFilename(data, 'csv'), 'text/csv;charset=utf-8');
+  } else if (format === 'html') {
+    const html = await buildHtmlReport(data, resultsEl, overallScore);
+    downloadFile(html, getExportFilename(data, 'html'), 'text/html;charset=utf-8');
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * SEO Analyzer - Field Vitals
+ * Opt-in (Options page): the content script keeps observing LCP, CLS and INP
+ * for the whole visit and stores one sample per page view when the page is
+ * hidden or unloaded, so pages without CrUX data (staging, new URLs) still get
+ * realistic p75 numbers from our own visits. Samples live in
+ * chrome.storage.local, keyed by URL without the fragment; the service
+ * worker (src/background/field-vitals.js) does all writes, one at a time,
+ * and caps how many URLs are kept.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+function getFieldVitalsKey(url) {
+  return 'fieldVitals:' + String(url).split('#')[0];
+}
+
+/**
+ * Observe the page until it is hidden. Needs computeInp() from analyzers.js.
+ * Safe to call more than once per page. State stays small however long the
+ * tab lives: the current and worst CLS session window, and the longest entry
+ * of the 10 longest interactions (INP never looks further down).
+ */
+function startFieldVitals(view) {
+  if (view.__seoFieldVitals) return;
+  view.__seoFieldVitals = true;
+
+  const { document: doc, performance, PerformanceObserver } = view;
+  const sample = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    url: view.location.href.split('#')[0],
+    time: Date.now(),
+    lcp: null,
+    cls: null,
+    inp: null,
+    interactions: 0
+  };
+  let clsWindow = null;
+  let worstCls = 0;
+  const longestEvents = [];
+  let lastInteractionId = 0;
+  let interactionCount = 0;
+  let lcpTime = null;
+  // LCP only counts while the page was in the foreground; background tabs
+  // (batch audits, middle-clicks) are not visits at all
+  let firstHidden = doc.visibilityState === 'hidden' ? 0 : Infinity;
+  let wasVisible = doc.visibilityState === 'visible';
+
+  function observe(type, callback, options = {}) {
+    try {
+      new PerformanceObserver(list => callback(list.getEntries()))
+        .observe(Object.assign({ type, buffered: true }, options));
+    } catch (e) {}
+  }
+
+  observe('largest-contentful-paint', entries => {
+    entries.forEach(entry => { if (entry.startTime < firstHidden) lcpTime = entry.startTime; });
+  });
+  // Session windows as in computeClsWindows(): shifts less than 1s apart, at most 5s long
+  observe('layout-shift', entries => {
+    entries.forEach(entry => {
+      if (entry.hadRecentInput) return;
+      if (!clsWindow || entry.startTime - clsWindow.last >= 1000 || entry.startTime - clsWindow.start >= 5000) {
+        clsWindow = { start: entry.startTime, last: entry.startTime, value: 0 };
+      }
+      clsWindow.value += entry.value;
+      clsWindow.last = entry.startTime;
+      worstCls = Math.max(worstCls, clsWindow.value);
+    });
+  });
+
+  function addEvents(entries) {
+    entries.forEach(entry => {
+      if (!entry.interactionId) return;
+      // Interaction IDs only go up, so a higher one is a new interaction
+      if (entry.interactionId > lastInteractionId) {
+        lastInteractionId = entry.interactionId;
+        interactionCount++;
+      }
+      const existing = longestEvents.findIndex(e => e.interactionId === entry.interactionId);
+      if (existing !== -1) {
+        if (entry.duration <= longestEvents[existing].duration) return;
+        longestEvents.splice(existing, 1);
+      }
+      longestEvents.push(entry);
+      longestEvents.sort((a, b) => b.duration - a.duration);
+      if (longestEvents.length > 10) longestEvents.pop();
+    });
+  }
+  observe('event', addEvents, { durationThreshold: 40 });
+  observe('first-input', addEvents);
+
+  // Report on every hide: a page that comes back is still the same visit, so
+  // later reports overwrite the earlier one with the more complete values
+  function report() {
+    if (!wasVisible) return;
+    sample.lcp = lcpTime != null ? Math.round(lcpTime) : null;
+    sample.cls = +worstCls.toFixed(4);
+    const inp = computeInp(longestEvents, Math.max(performance.interactionCount || 0, interactionCount));
+    sample.inp = inp ? inp.latency : null;
+    sample.interactions = inp ? inp.count : 0;
+    saveFieldVitalsSample(Object.assign({}, sample));
+  }
+
+  doc.addEventListener('visibilitychange', () => {
+    if (doc.visibilityState === 'hidden') {
+      firstHidden = Math.min(firstHidden, performance.now());
+      report();
+    } else {
+      wasVisible = true;
+    }
+  });
+  view.addEventListener('pagehide', report);
+}
+
+/**
+ * Hand a sample to the service worker. Sending is synchronous from the
+ * page's side, so it still goes out while the page unloads.
+ */
+function saveFieldVitalsSample(sample) {
+  try {
+    chrome.runtime.sendMessage({ action: 'saveFieldVitals', sample }).catch(() => {
+      // Service worker unavailable — drop the sample
+    });
+  } catch (e) {
+    // Extension reloaded — drop the sample
+  }
+}
+
+async function loadFieldVitals(url) {
+  const key = getFieldVitalsKey(url);
+  const result = await chrome.storage.local.get(key);
+  return Array.isArray(result[key]) ? result[key] : [];
+}
+
+async function clearFieldVitals(url) {
+  const response = await chrome.runtime.sendMessage({ action: 'clearFieldVitals', url });
+  if (response && response.error) throw new Error(response.error);
+}
+
+/**
+ * p75 per metric across samples, as CrUX reports it.
+ * Returns { samples, lcp, cls, inp } where each metric is { p75, count } or null.
+ */
+function summarizeFieldVitals(samples) {
+  const p75 = values => {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return { p75: sorted[Math.ceil(sorted.length * 0.75) - 1], count: values.length };
+  };
+  const values = key => samples.map(s => s[key]).filter(v => typeof v === 'number');
+  return {
+    samples: samples.length,
+    lcp: p75(values('lcp')),
+    cls: p75(values('cls')),
+    inp: p75(values('inp'))
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * SEO Analyzer - Local History
+ * Stores every analysis in IndexedDB so past runs survive the popup closing.
+ * Independent of the data sharing toggle — nothing here leaves the browser.
+ */
+
+const HISTORY_DB_NAME = 'seo-analyzer-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = 'analyses';
+
+// Retention limits — applied after every save
+const HISTORY_MAX_PER_URL = 25;
+const HISTORY_MAX_ENTRIES = 1000;
+const HISTORY_MAX_AGE_DAYS = 180;
+
+// Tracking params that should not split one page into several timelines
+const HISTORY_IGNORED_PARAMS = /^(utm_\w+|gclid|fbclid|msclkid|mc_cid|mc_eid|_ga|ref)$/i;
+
+let historyDbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the history database
+ */
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+
+  historyDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('urlKey', 'urlKey', { unique: false });
+        store.createIndex('domain', 'domain', { unique: false });
+        store.createIndex('timestamp', 'timestamp', { unique: false });
+        store.createIndex('urlKey_timestamp', ['urlKey', 'timestamp'], { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      historyDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return historyDbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve once a transaction has committed
+ */
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Normalize a URL into a stable history key:
+ * lowercase host, no hash, no default port, sorted query without tracking params,
+ * no trailing slash (except for the root path)
+ */
+function normalizeHistoryUrl(rawUrl) {
+  try {
+    const url = new URL(rawUrl);
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+
+    const params = [...url.searchParams.entries()]
+      .filter(([key]) => !HISTORY_IGNORED_PARAMS.test(key))
+      .sort((a, b) => a[0].localeCompare(b[0]) || a[1].localeCompare(b[1]));
+    url.search = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+
+    if (url.pathname.length > 1 && url.pathname.endsWith('/')) {
+      url.pathname = url.pathname.replace(/\/+$/, '');
+    }
+
+    return url.href;
+  } catch (e) {
+    return rawUrl;
+  }
+}
+
+/**
+ * Get the domain used for grouping history entries (www. stripped)
+ */
+function getHistoryDomain(rawUrl) {
+  try {
+    return new URL(rawUrl).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Save one analysis result. Returns the new record id.
+ */
+async function saveToHistory(data, overallScore) {
+  const db = await openHistoryDb();
+  const record = {
+    url: data.url,
+    urlKey: normalizeHistoryUrl(data.url),
+    domain: getHistoryDomain(data.url),
+    timestamp: data.timestamp || Date.now(),
+    overallScore: overallScore != null ? overallScore : null,
+    data: data
+  };
+
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const id = await idbRequest(tx.objectStore(HISTORY_STORE).add(record));
+  await idbTransactionDone(tx);
+
+  await pruneHistory(record.urlKey);
+  return id;
+}
+
+/**
+ * Enforce retention limits: max age, max runs per URL, max total entries
+ */
+async function pruneHistory(urlKey) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+
+  // Drop everything older than the max age
+  const cutoff = Date.now() - HISTORY_MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  const expiredKeys = await idbRequest(store.index('timestamp').getAllKeys(IDBKeyRange.upperBound(cutoff, true)));
+  expiredKeys.forEach(key => store.delete(key));
+
+  // Keep only the newest runs for this URL
+  if (urlKey) {
+    const range = IDBKeyRange.bound([urlKey, 0], [urlKey, Infinity]);
+    const urlKeys = await idbRequest(store.index('urlKey_timestamp').getAllKeys(range));
+    const live = urlKeys.filter(key => !expiredKeys.includes(key));
+    live.slice(0, Math.max(0, live.length - HISTORY_MAX_PER_URL)).forEach(key => store.delete(key));
+  }
+
+  // Cap the total size, oldest first
+  const total = await idbRequest(store.count());
+  if (total > HISTORY_MAX_ENTRIES) {
+    const oldestKeys = await idbRequest(store.index('timestamp').getAllKeys(null, total - HISTORY_MAX_ENTRIES));
+    oldestKeys.forEach(key => store.delete(key));
+  }
+
+  await idbTransactionDone(tx);
+}
+
+/**
+ * All runs for one URL, newest first
+ */
+async function getHistoryForUrl(rawUrl) {
+  const db = await openHistoryDb();
+  const urlKey = normalizeHistoryUrl(rawUrl);
+  const range = IDBKeyRange.bound([urlKey, 0], [urlKey, Infinity]);
+  const tx = db.transaction(HISTORY_STORE, 'readonly');
+  const records = await idbRequest(tx.objectStore(HISTORY_STORE).index('urlKey_timestamp').getAll(range));
+  return records.reverse();
+}
+
+/**
+ * Summaries (no full data) grouped by URL, optionally limited to one domain.
+ * Returns [{ urlKey, url, domain, runs, lastScore, previousScore, lastTimestamp }] newest first.
+ */
+async function getHistoryUrls(domain) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readonly');
+  const store = tx.objectStore(HISTORY_STORE);
+  const source = domain ? store.index('domain') : store.index('timestamp');
+  const query = domain ? IDBKeyRange.only(domain) : null;
+
+  const byUrl = new Map();
+  await new Promise((resolve, reject) => {
+    const request = source.openCursor(query);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      const r = cursor.value;
+      const entry = byUrl.get(r.urlKey) || {
+        urlKey: r.urlKey, url: r.url, domain: r.domain, runs: 0,
+        lastScore: null, previousScore: null, lastTimestamp: 0
+      };
+      entry.runs++;
+      if (r.timestamp >= entry.lastTimestamp) {
+        entry.previousScore = entry.runs > 1 ? entry.lastScore : null;
+        entry.lastScore = r.overallScore;
+        entry.lastTimestamp = r.timestamp;
+        entry.url = r.url;
+      }
+      byUrl.set(r.urlKey, entry);
+      cursor.continue();
+    };
+  });
+
+  return [...byUrl.values()].sort((a, b) => b.lastTimestamp - a.lastTimestamp);
+}
+
+/**
+ * Domains with their run counts, most runs first
+ */
+async function getHistoryDomains() {
+  const urls = await getHistoryUrls();
+  const counts = {};
+  urls.forEach(u => {
+    counts[u.domain] = (counts[u.domain] || 0) + u.runs;
+  });
+  return Object.entries(counts)
+    .map(([domain, count]) => ({ domain, count }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Fetch a single stored run by id
+ */
+async function getHistoryEntry(id) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readonly');
+  return idbRequest(tx.objectStore(HISTORY_STORE).get(id));
+}
+
+/**
+ * Delete a single run
+ */
+async function deleteHistoryEntry(id) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  tx.objectStore(HISTORY_STORE).delete(id);
+  await idbTransactionDone(tx);
+}
+
+/**
+ * Clear history — everything, or only one domain
+ */
+async function clearHistory(domain) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = tx.objectStore(HISTORY_STORE);
+
+  if (domain) {
+    const keys = await idbRequest(store.index('domain').getAllKeys(IDBKeyRange.only(domain)));
+    keys.forEach(key => store.delete(key));
+  } else {
+    store.clear();
+  }
+
+  await idbTransactionDone(tx);
+}
@@ -0,0 +1,252 @@
+/**
+ * SEO Analyzer - Hreflang Codes & Cluster Check
+ * Validates hreflang values against ISO 639-1 languages and ISO 3166-1
+ * alpha-2 regions, and (from the popup) fetches every alternate in a cluster
+ * to build the full return-link matrix.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * ISO 639-1 language codes and ISO 3166-1 alpha-2 region codes, plus the
+ * region mistakes seen most often in the wild
+ */
+function getHreflangCodes() {
+  return {
+    languages: new Set((
+      'aa ab ae af ak am an ar as av ay az ba be bg bh bi bm bn bo br bs ca ce ch co cr cs cu cv cy ' +
+      'da de dv dz ee el en eo es et eu fa ff fi fj fo fr fy ga gd gl gn gu gv ha he hi ho hr ht hu ' +
+      'hy hz ia id ie ig ii ik io is it iu ja jv ka kg ki kj kk kl km kn ko kr ks ku kv kw ky la lb ' +
+      'lg li ln lo lt lu lv mg mh mi mk ml mn mr ms mt my na nb nd ne ng nl nn no nr nv ny oc oj om ' +
+      'or os pa pi pl ps pt qu rm rn ro ru rw sa sc sd se sg si sk sl sm sn so sq sr ss st su sv sw ' +
+      'ta te tg th ti tk tl tn to tr ts tt tw ty ug uk ur uz ve vi vo wa wo xh yi yo za zh zu'
+    ).split(' ')),
+    regions: new Set((
+      'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR ' +
+      'BS BT BV BW BY BZ CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ ' +
+      'EC EE EG EH ER ES ET FI FJ FK FM FO FR GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW ' +
+      'GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO JP KE KG KH KI KM KN KP KR KW KY ' +
+      'KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR MS MT MU MV ' +
+      'MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY ' +
+      'QA RE RO RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG ' +
+      'TH TJ TK TL TM TN TO TR TT TV TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS YE YT ZA ZM ZW'
+    ).split(' ')),
+    commonMistakes: { UK: 'GB', EN: 'GB', EU: null, LA: null }
+  };
+}
+
+/**
+ * Check one hreflang value: "x-default", "de", "en-GB", "zh-Hant", "zh-Hant-TW".
+ * Returns { valid, language, region, problem }.
+ */
+function validateHreflangCode(code, codes = getHreflangCodes()) {
+  const value = (code || '').trim();
+  if (value.toLowerCase() === 'x-default') return { valid: true, language: 'x-default', region: null, problem: null };
+  if (!value) return { valid: false, language: null, region: null, problem: 'Empty hreflang value' };
+  if (value.includes('_')) {
+    return { valid: false, language: null, region: null, problem: `"${value}" uses an underscore — use a hyphen (${value.replace(/_/g, '-')})` };
+  }
+
+  const parts = value.split('-');
+  const language = parts[0].toLowerCase();
+  // An optional 4-letter script subtag sits between language and region
+  const script = parts.length > 1 && /^[a-z]{4}$/i.test(parts[1]) ? parts[1] : null;
+  const rest = parts.slice(script ? 2 : 1);
+  const region = rest.length > 0 ? rest[0].toUpperCase() : null;
+
+  if (!codes.languages.has(language)) {
+    const hint = codes.regions.has(parts[0].toUpperCase()) ? ' — hreflang starts with a language, not a country' : '';
+    return { valid: false, language, region, problem: `"${value}": "${parts[0]}" is not an ISO 639-1 language code${hint}` };
+  }
+  if (rest.length > 1) {
+    return { valid: false, language, region, problem: `"${value}" has too many parts — use language or language-REGION` };
+  }
+  if (region && !codes.regions.has(region)) {
+    const fix = codes.commonMistakes[region];
+    const hint = fix ? ` (use ${language}-${fix})` : '';
+    return { valid: false, language, region, problem: `"${value}": "${rest[0]}" is not an ISO 3166-1 alpha-2 region code${hint}` };
+  }
+
+  return { valid: true, language, region, problem: null };
+}
+
+/**
+ * Language-region pairs that appear more than once with different URLs.
+ * Entries are { lang, url }; returns [{ lang, urls }].
+ */
+function findDuplicateHreflangPairs(entries) {
+  const byLang = new Map();
+  entries.forEach(({ lang, url }) => {
+    const key = (lang || '').toLowerCase();
+    if (!byLang.has(key)) byLang.set(key, new Set());
+    byLang.get(key).add(url);
+  });
+  return Array.from(byLang.entries())
+    .filter(([, urls]) => urls.size > 1)
+    .map(([lang, urls]) => ({ lang, urls: Array.from(urls) }));
+}
+
+/**
+ * Fetch every URL in a page's hreflang cluster (following alternates the
+ * alternates declare too) and cross-check them. Needs fetchIndexingSignals()
+ * from canonical.js. Returns:
+ * { pages: [{ url, status, finalUrl, redirected, noindex, canonical, annotations }],
+ *   matrix: [{ from, to, lang, linked }], issues: [{ type, message }], truncated }
+ * where annotations are [{ lang, url, source: 'HTML'|'Link header' }].
+ */
+async function checkHreflangCluster(pageUrl, options = {}) {
+  const maxPages = options.maxPages || 50;
+  const onProgress = options.onProgress || (() => {});
+  const codes = getHreflangCodes();
+  const pages = new Map();
+  const queue = [pageUrl];
+  const queued = new Set([pageUrl]);
+
+  while (queue.length > 0 && pages.size < maxPages) {
+    // A few fetches at a time keeps large clusters quick without hammering the site
+    const batch = queue.splice(0, Math.min(4, maxPages - pages.size));
+    const results = await Promise.all(batch.map(url => readHreflangPage(url).catch(e => ({
+      url, status: 0, error: e.message, finalUrl: url, redirected: false, noindex: false, canonical: null, annotations: []
+    }))));
+    results.forEach(page => {
+      pages.set(page.url, page);
+      page.annotations.forEach(a => {
+        if (a.url && !queued.has(a.url)) {
+          queued.add(a.url);
+          queue.push(a.url);
+        }
+      });
+    });
+    onProgress(pages.size, queued.size);
+  }
+
+  const issues = [];
+  const list = Array.from(pages.values());
+  const matrix = [];
+
+  // Whatever a page declares, across both sources, de-duplicated
+  const declared = page => {
+    const seen = new Set();
+    return page.annotations.filter(a => {
+      const key = `${a.lang.toLowerCase()} ${a.url}`;
+      return !seen.has(key) && seen.add(key);
+    });
+  };
+
+  list.forEach(page => {
+    const label = page.url;
+    if (page.error) {
+      issues.push({ type: 'fail', message: `${label} could not be fetched: ${page.error}` });
+      return;
+    }
+    if (page.status !== 200) {
+      issues.push({ type: 'fail', message: `${label} returns HTTP ${page.status}` });
+    } else if (page.redirected) {
+      issues.push({ type: 'fail', message: `${label} redirects to ${page.finalUrl} — hreflang should point at final URLs` });
+    }
+    if (page.noindex) {
+      issues.push({ type: 'fail', message: `${label} is noindex (${page.noindexSource}) — it cannot rank as an alternate` });
+    }
+    if (page.canonical && page.status === 200 && describeUrlDifferences(new URL(page.canonical), new URL(page.finalUrl)).length > 0) {
+      issues.push({ type: 'fail', message: `${label} canonicalizes to ${page.canonical} — Google ignores hreflang pointing at non-canonical URLs` });
+    }
+
+    const annotations = declared(page);
+    if (page.status === 200 && annotations.length === 0) {
+      issues.push({ type: 'fail', message: `${label} has no hreflang annotations — none of its alternates get a return link` });
+    }
+
+    annotations.forEach(a => {
+      const check = validateHreflangCode(a.lang, codes);
+      if (!check.valid) issues.push({ type: 'fail', message: `${label}: ${check.problem}` });
+    });
+
+    findDuplicateHreflangPairs(annotations).forEach(dup => {
+      issues.push({ type: 'fail', message: `${label} declares "${dup.lang}" for ${dup.urls.length} different URLs: ${dup.urls.join(', ')}` });
+    });
+
+    // <link> and Link header should agree when both are present
+    const html = page.annotations.filter(a => a.source === 'HTML');
+    const header = page.annotations.filter(a => a.source === 'Link header');
+    if (html.length > 0 && header.length > 0) {
+      header.forEach(h => {
+        const match = html.find(a => a.lang.toLowerCase() === h.lang.toLowerCase());
+        const sameUrl = html.find(a => a.url === h.url);
+        if (match && match.url !== h.url) {
+          issues.push({ type: 'fail', message: `${label}: "${h.lang}" is ${match.url} in <link> but ${h.url} in the Link header` });
+        } else if (!match && sameUrl) {
+          issues.push({ type: 'fail', message: `${label}: ${h.url} is "${sameUrl.lang}" in <link> but "${h.lang}" in the Link header` });
+        } else if (!match) {
+          issues.push({ type: 'warn', message: `${label}: "${h.lang}" is only in the Link header, not in the <link> tags` });
+        }
+      });
+    }
+
+    if (page.status === 200 && !annotations.some(a => a.url === page.url || a.url === page.finalUrl)) {
+      issues.push({ type: 'warn', message: `${label} has no self-referencing hreflang` });
+    }
+  });
+
+  // Return links: if A lists B, B must list A
+  list.forEach(from => {
+    declared(from).forEach(a => {
+      const to = pages.get(a.url);
+      if (!to || a.url === from.url || a.lang.toLowerCase() === 'x-default') return;
+      const linked = declared(to).some(b => b.url === from.url);
+      matrix.push({ from: from.url, to: a.url, lang: a.lang, linked });
+      if (!linked && !to.error && to.status === 200) {
+        issues.push({ type: 'fail', message: `No return link: ${from.url} → ${a.url} (${a.lang}), but ${a.url} does not link back` });
+      }
+    });
+  });
+
+  // The same URL should carry the same code on every page of the cluster
+  const langsByUrl = new Map();
+  list.forEach(page => declared(page).forEach(a => {
+    if (a.lang.toLowerCase() === 'x-default') return;
+    if (!langsByUrl.has(a.url)) langsByUrl.set(a.url, new Set());
+    langsByUrl.get(a.url).add(a.lang.toLowerCase());
+  }));
+  langsByUrl.forEach((langs, url) => {
+    if (langs.size > 1) issues.push({ type: 'warn', message: `${url} is annotated inconsistently across the cluster: ${Array.from(langs).join(', ')}` });
+  });
+
+  const truncated = queue.length > 0;
+  if (truncated) {
+    issues.push({ type: 'info', message: `Stopped after ${maxPages} URLs — ${queue.length} more alternate(s) not checked` });
+  }
+  if (issues.every(i => i.type === 'info')) {
+    issues.unshift({ type: 'pass', message: `All ${list.length} URLs in the cluster return 200, are canonical and link back to each other` });
+  }
+
+  return {
+    pages: list.map(({ url, status, finalUrl, redirected, noindex, canonical, annotations, error }) => ({
+      url, status, finalUrl, redirected, noindex, canonical, annotations, error: error || null
+    })),
+    matrix,
+    issues,
+    truncated
+  };
+}
+
+/**
+ * One cluster member: its indexing signals plus hreflang from <link> tags and
+ * the HTTP Link header
+ */
+async function readHreflangPage(url) {
+  const signals = await fetchIndexingSignals(url);
+  const annotations = [];
+
+  signals.doc.querySelectorAll('link[rel~="alternate" i][hreflang]').forEach(el => {
+    try {
+      annotations.push({ lang: el.getAttribute('hreflang').trim(), url: new URL(el.getAttribute('href'), signals.finalUrl).href, source: 'HTML' });
+    } catch (e) {}
+  });
+  signals.links.filter(l => l.rel.includes('alternate') && l.hreflang).forEach(l => {
+    annotations.push({ lang: l.hreflang.trim(), url: l.url, source: 'Link header' });
+  });
+
+  delete signals.doc;
+  return Object.assign(signals, { annotations });
+}
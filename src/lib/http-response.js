@@ -0,0 +1,142 @@
+/**
+ * SEO Analyzer - HTTP Response Inspection
+ * Reads the main document response captured by the service worker
+ * (background/http-headers.js): status, redirect chain, X-Robots-Tag, Link
+ * headers, content type and charset, Content-Language, caching and
+ * compression, and cross-checks them against what the HTML says.
+ */
+
+/**
+ * Summarize a captured response. `data` is the page's analyzePage() result,
+ * used to compare header signals with their HTML counterparts. Needs
+ * parseLinkHeader() and isNoindexHeader() from canonical.js.
+ * Returns { status, finalUrl, source, chain, contentType, charset,
+ * contentLanguage, robots, links, caching, compression, headers, issues }.
+ */
+function analyzeHttpResponse(response, data) {
+  const header = name => (response.headers[name] || []).join(', ');
+  const issues = [];
+
+  // Redirect chain: every hop, then the final response
+  const chain = response.redirects.map(hop => ({ url: hop.url, status: hop.status, location: hop.location }));
+  chain.push({ url: response.finalUrl, status: response.status, location: null });
+
+  if (response.status >= 400) {
+    issues.push({ type: 'fail', message: `Page returns HTTP ${response.status} — it cannot be indexed` });
+  } else if (response.status >= 300 && response.status < 400) {
+    issues.push({ type: 'warn', message: `Page returns HTTP ${response.status}` });
+  }
+  const temporary = response.redirects.filter(hop => [302, 303, 307].includes(hop.status));
+  if (temporary.length > 0) {
+    issues.push({ type: 'warn', message: `${temporary.length} temporary redirect(s) (${temporary.map(h => h.status).join(', ')}) — use 301 or 308 for permanent moves so signals consolidate` });
+  }
+  if (response.redirects.length > 1) {
+    issues.push({ type: 'warn', message: `Redirect chain of ${response.redirects.length} hops — link straight to the final URL` });
+  }
+  if (response.redirects.some(hop => hop.location && hop.location.startsWith('http:'))) {
+    issues.push({ type: 'warn', message: 'Redirect chain passes through an http:// URL' });
+  }
+
+  // X-Robots-Tag may be sent more than once; every value applies
+  const robotsHeaders = response.headers['x-robots-tag'] || [];
+  const headerNoindex = robotsHeaders.some(isNoindexHeader);
+  if (headerNoindex) {
+    issues.push({ type: 'fail', message: `X-Robots-Tag noindex: "${robotsHeaders.join(', ')}" — the page is excluded from search regardless of its meta tags` });
+  } else if (robotsHeaders.length > 0) {
+    issues.push({ type: 'info', message: `X-Robots-Tag: ${robotsHeaders.join(', ')}` });
+  }
+  const metaRobots = data && data.meta ? data.meta.items.find(i => i.key === 'robots') : null;
+  if (headerNoindex && metaRobots && !/noindex|none/i.test(metaRobots.value)) {
+    issues.push({ type: 'warn', message: 'Header says noindex but the meta robots tag does not — the header wins' });
+  }
+
+  // Link header: canonical and hreflang alternates
+  const links = parseLinkHeader(header('link'), response.finalUrl);
+  const headerCanonicals = links.filter(l => l.rel.includes('canonical'));
+  const htmlCanonical = data && data.canonical ? data.canonical.canonical : null;
+  if (headerCanonicals.length > 1) {
+    issues.push({ type: 'fail', message: `${headerCanonicals.length} canonical URLs in the Link header — Google ignores them all` });
+  }
+  if (headerCanonicals.length > 0 && htmlCanonical && !headerCanonicals.some(l => l.url === htmlCanonical)) {
+    issues.push({ type: 'fail', message: `Link header canonical (${headerCanonicals[0].url}) differs from the HTML canonical (${htmlCanonical})` });
+  }
+  const headerAlternates = links.filter(l => l.rel.includes('alternate') && l.hreflang);
+  if (headerAlternates.length > 0 && data && data.hreflang && data.hreflang.count > 0) {
+    issues.push({ type: 'info', message: `hreflang in both the Link header (${headerAlternates.length}) and <link> tags (${data.hreflang.count}) — run the hreflang cluster check to compare them` });
+  }
+
+  // Content-Type and charset
+  const contentTypeHeader = header('content-type');
+  const contentType = contentTypeHeader.split(';')[0].trim().toLowerCase();
+  const charsetMatch = contentTypeHeader.match(/charset\s*=\s*"?([^";,\s]+)/i);
+  const charset = charsetMatch ? charsetMatch[1].toLowerCase() : null;
+  if (!contentType) {
+    issues.push({ type: 'warn', message: 'No Content-Type header' });
+  } else if (contentType !== 'text/html' && contentType !== 'application/xhtml+xml') {
+    issues.push({ type: 'warn', message: `Unexpected Content-Type for a web page: ${contentType}` });
+  }
+  if (contentType && !charset) {
+    issues.push({ type: 'info', message: 'Content-Type has no charset — the browser relies on <meta charset> or sniffing' });
+  } else if (charset && charset !== 'utf-8' && charset !== 'utf8') {
+    issues.push({ type: 'info', message: `Charset is ${charset} — UTF-8 is recommended` });
+  }
+
+  // Content-Language vs <html lang>
+  const contentLanguage = header('content-language') || null;
+  const htmlLang = data && data.meta ? (data.meta.items.find(i => i.key === 'lang') || {}).value : null;
+  if (contentLanguage && htmlLang && htmlLang !== '(missing)') {
+    const languages = contentLanguage.split(',').map(l => l.trim().toLowerCase().split('-')[0]);
+    if (!languages.includes(htmlLang.toLowerCase().split('-')[0])) {
+      issues.push({ type: 'warn', message: `Content-Language (${contentLanguage}) does not match <html lang="${htmlLang}">` });
+    }
+  }
+
+  // Caching
+  const cacheControl = header('cache-control');
+  const maxAge = cacheControl.match(/(?:^|,)\s*(?:s-)?max-age\s*=\s*(\d+)/i);
+  const caching = {
+    cacheControl: cacheControl || null,
+    maxAge: maxAge ? parseInt(maxAge[1], 10) : null,
+    expires: header('expires') || null,
+    etag: header('etag') || null,
+    lastModified: header('last-modified') || null,
+    age: header('age') || null,
+    vary: header('vary') || null,
+    fromCache: response.fromCache
+  };
+  if (/no-store/i.test(cacheControl)) {
+    issues.push({ type: 'info', message: 'Cache-Control: no-store — every visit goes back to the server' });
+  }
+  if (!caching.etag && !caching.lastModified) {
+    issues.push({ type: 'info', message: 'No ETag or Last-Modified — crawlers cannot make conditional requests (304)' });
+  }
+
+  // Compression
+  const compression = header('content-encoding').toLowerCase() || null;
+  if (!compression && response.source === 'navigation') {
+    issues.push({ type: 'warn', message: 'HTML is served uncompressed — enable gzip or Brotli' });
+  }
+
+  if (response.source === 'refetch') {
+    issues.push({ type: 'info', message: 'Headers come from a fresh request, not the page load — individual redirect hops are not visible. Reload the tab to capture them.' });
+  }
+  if (issues.every(i => i.type === 'info')) {
+    issues.unshift({ type: 'pass', message: `HTTP ${response.status} with no indexing problems in the headers` });
+  }
+
+  return {
+    status: response.status,
+    finalUrl: response.finalUrl,
+    source: response.source,
+    chain,
+    contentType: contentType || null,
+    charset,
+    contentLanguage,
+    robots: robotsHeaders,
+    links,
+    caching,
+    compression,
+    headers: response.headers,
+    issues
+  };
+}
@@ -0,0 +1,193 @@
+/**
+ * SEO Analyzer - Microdata & RDFa Lite Extraction
+ * Reads itemscope/itemprop (Microdata) and vocab/typeof/property (RDFa Lite)
+ * markup into the same nested item objects JSON-LD produces, so both can be
+ * shown as a tree and run through the JSON-LD validator and rich result rules.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * Top-level Microdata items (itemscope without itemprop), following the
+ * WHATWG microdata algorithm including itemref and itemid
+ */
+function extractMicrodata(doc, baseUrl) {
+  return Array.from(doc.querySelectorAll('[itemscope]'))
+    .filter(el => !el.hasAttribute('itemprop'))
+    .map(el => readMicrodataItem(el, baseUrl, new Set()));
+}
+
+function readMicrodataItem(root, baseUrl, memory) {
+  memory.add(root);
+  const item = {};
+
+  const itemtypes = (root.getAttribute('itemtype') || '').trim().split(/\s+/).filter(Boolean);
+  if (itemtypes.length > 0) {
+    // Types share one vocabulary: https://schema.org/Product → @context https://schema.org/, @type Product
+    const vocabulary = itemtypes[0].replace(/[^/#]*$/, '');
+    item['@context'] = vocabulary || 'https://schema.org/';
+    const types = itemtypes.map(t => (vocabulary && t.startsWith(vocabulary) ? t.slice(vocabulary.length) : t));
+    item['@type'] = types.length === 1 ? types[0] : types;
+  }
+  const itemid = root.getAttribute('itemid');
+  if (itemid) item['@id'] = resolveStructuredDataUrl(itemid, baseUrl);
+
+  collectMicrodataProperties(root).forEach(el => {
+    let value;
+    if (el.hasAttribute('itemscope')) {
+      // An item nested inside itself (via itemref) cannot be expanded
+      if (memory.has(el)) return;
+      value = readMicrodataItem(el, baseUrl, new Set(memory));
+      delete value['@context'];
+    } else {
+      value = getMicrodataValue(el, baseUrl);
+    }
+    el.getAttribute('itemprop').trim().split(/\s+/).filter(Boolean).forEach(name => {
+      addStructuredDataValue(item, name, value);
+    });
+  });
+
+  return item;
+}
+
+/**
+ * Elements carrying itemprop that belong to an item: its descendants (not
+ * crossing into nested items) plus anything pulled in with itemref, in tree order
+ */
+function collectMicrodataProperties(root) {
+  const doc = root.ownerDocument;
+  const pending = Array.from(root.children);
+  (root.getAttribute('itemref') || '').trim().split(/\s+/).filter(Boolean).forEach(id => {
+    const ref = doc.getElementById(id);
+    if (ref) pending.push(ref);
+  });
+
+  const found = [];
+  const seen = new Set();
+  while (pending.length > 0) {
+    const el = pending.shift();
+    if (seen.has(el) || el === root) continue;
+    seen.add(el);
+    if (el.hasAttribute('itemprop')) found.push(el);
+    if (!el.hasAttribute('itemscope')) pending.push(...el.children);
+  }
+
+  return found.sort((a, b) => (a.compareDocumentPosition(b) & 4 ? -1 : 1));
+}
+
+/**
+ * A property's value depends on the element it is on
+ */
+function getMicrodataValue(el, baseUrl) {
+  const tag = el.tagName.toLowerCase();
+  if (tag === 'meta') return el.getAttribute('content') || '';
+  if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag)) {
+    return resolveStructuredDataUrl(el.getAttribute('src') || '', baseUrl);
+  }
+  if (['a', 'area', 'link'].includes(tag)) return resolveStructuredDataUrl(el.getAttribute('href') || '', baseUrl);
+  if (tag === 'object') return resolveStructuredDataUrl(el.getAttribute('data') || '', baseUrl);
+  if (tag === 'data' || tag === 'meter') return el.getAttribute('value') || '';
+  if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+  return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Top-level RDFa Lite resources: elements with typeof that are not themselves
+ * the value of a parent's property
+ */
+function extractRdfaLite(doc, baseUrl) {
+  return Array.from(doc.querySelectorAll('[typeof]'))
+    .filter(el => !el.hasAttribute('property'))
+    .map(el => readRdfaItem(el, baseUrl));
+}
+
+function readRdfaItem(root, baseUrl) {
+  const item = {};
+  const vocabEl = root.closest('[vocab]');
+  const vocabulary = vocabEl ? vocabEl.getAttribute('vocab') : '';
+  const prefixes = getRdfaPrefixes(root);
+
+  const types = (root.getAttribute('typeof') || '').trim().split(/\s+/).filter(Boolean)
+    .map(t => expandRdfaTerm(t, vocabulary, prefixes));
+  item['@context'] = vocabulary || 'https://schema.org/';
+  if (types.length > 0) item['@type'] = types.length === 1 ? types[0] : types;
+  const resource = root.getAttribute('resource');
+  if (resource) item['@id'] = resolveStructuredDataUrl(resource, baseUrl);
+
+  // Walk descendants until the next typeof, which starts its own resource
+  const walk = parent => {
+    Array.from(parent.children).forEach(el => {
+      if (el.hasAttribute('property')) {
+        let value = getRdfaValue(el, baseUrl);
+        if (el.hasAttribute('typeof')) {
+          value = readRdfaItem(el, baseUrl);
+          delete value['@context'];
+        }
+        el.getAttribute('property').trim().split(/\s+/).filter(Boolean).forEach(name => {
+          addStructuredDataValue(item, expandRdfaTerm(name, vocabulary, prefixes), value);
+        });
+      }
+      if (!el.hasAttribute('typeof')) walk(el);
+    });
+  };
+  walk(root);
+
+  return item;
+}
+
+function getRdfaValue(el, baseUrl) {
+  if (el.hasAttribute('content')) return el.getAttribute('content');
+  if (el.hasAttribute('resource')) return { '@id': resolveStructuredDataUrl(el.getAttribute('resource'), baseUrl) };
+  const tag = el.tagName.toLowerCase();
+  if (['a', 'area', 'link'].includes(tag) && el.hasAttribute('href')) return resolveStructuredDataUrl(el.getAttribute('href'), baseUrl);
+  if (['audio', 'embed', 'iframe', 'img', 'source', 'track', 'video'].includes(tag) && el.hasAttribute('src')) {
+    return resolveStructuredDataUrl(el.getAttribute('src'), baseUrl);
+  }
+  if (tag === 'time' && el.hasAttribute('datetime')) return el.getAttribute('datetime');
+  return (el.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * prefix="og: https://ogp.me/ns# schema: https://schema.org/" on the element or an ancestor
+ */
+function getRdfaPrefixes(el) {
+  const prefixes = { schema: 'https://schema.org/' };
+  const chain = [];
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    if (node.hasAttribute('prefix')) chain.unshift(node.getAttribute('prefix'));
+  }
+  chain.forEach(attr => {
+    const parts = attr.trim().split(/\s+/);
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      prefixes[parts[i].replace(/:$/, '')] = parts[i + 1];
+    }
+  });
+  return prefixes;
+}
+
+/**
+ * Terms are relative to vocab; "schema:name" uses a prefix; full IRIs stay as they are.
+ * schema.org terms come back as bare names to match JSON-LD.
+ */
+function expandRdfaTerm(term, vocabulary, prefixes) {
+  let iri = term;
+  const prefixed = term.match(/^([\w-]+):(?!\/\/)(.+)$/);
+  if (prefixed && prefixes[prefixed[1]]) iri = prefixes[prefixed[1]] + prefixed[2];
+  else if (!/^[a-z][a-z0-9+.-]*:/i.test(term) && vocabulary) iri = vocabulary + term;
+  return iri.replace(/^https?:\/\/schema\.org\//i, '');
+}
+
+function addStructuredDataValue(item, name, value) {
+  if (!(name in item)) item[name] = value;
+  else if (Array.isArray(item[name])) item[name].push(value);
+  else item[name] = [item[name], value];
+}
+
+function resolveStructuredDataUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).href;
+  } catch (e) {
+    return value;
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * SEO Analyzer - Raw vs Rendered
+ * Fetches the server HTML for a page, runs the same analyzers over it and
+ * compares the result with the live (post-JavaScript) analysis
+ */
+
+const RAW_FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * Fetch the page's original HTML and parse it without running scripts.
+ * Cookies are omitted so the response matches what a crawler receives.
+ * Rejects with "Timed out" when the server takes longer than 10s.
+ */
+async function fetchRawDocument(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), RAW_FETCH_TIMEOUT_MS);
+  let response, html;
+  try {
+    response = await fetch(url, {
+      redirect: 'follow',
+      credentials: 'omit',
+      cache: 'no-store',
+      signal: controller.signal
+    });
+    html = await response.text();
+  } catch (e) {
+    throw new Error(e.name === 'AbortError' ? 'Timed out' : (e.message || 'Request failed'));
+  } finally {
+    clearTimeout(timer);
+  }
+  return {
+    status: response.status,
+    finalUrl: response.url || url,
+    redirected: response.redirected,
+    contentType: response.headers.get('content-type') || '',
+    robotsHeader: response.headers.get('x-robots-tag') || '',
+    linkHeader: response.headers.get('link') || '',
+    size: html.length,
+    doc: new DOMParser().parseFromString(html, 'text/html')
+  };
+}
+
+/**
+ * Fetch the raw HTML, analyze it and diff it against the rendered analysis
+ */
+async function analyzeRawVsRendered(rendered, config) {
+  const raw = await fetchRawDocument(rendered.url);
+  const rawAnalysis = await analyzePage(raw.doc, { url: rendered.url, config });
+  return {
+    url: rendered.url,
+    status: raw.status,
+    finalUrl: raw.finalUrl,
+    redirected: raw.redirected,
+    contentType: raw.contentType,
+    size: raw.size,
+    fields: compareRawAndRendered(rawAnalysis, rendered),
+    raw: rawAnalysis
+  };
+}
+
+/**
+ * Field-by-field comparison of two analyzePage() results.
+ * Each row: { key, label, raw, rendered, change, status, message }
+ * change is 'same', 'added' (only after render), 'removed' (only in raw) or 'changed'.
+ */
+function compareRawAndRendered(raw, rendered) {
+  const rows = [];
+  const metaValue = (data, key) => {
+    const item = data.meta.items.find(i => i.key === key);
+    if (!item) return '';
+    if (key === 'robots') return item.value === 'index, follow (default)' ? '' : item.value;
+    return item.value === '(missing)' ? '' : item.value;
+  };
+  const firstH1 = data => {
+    const h1 = data.headings.items.find(h => h.tag === 'h1');
+    return h1 ? h1.text : '';
+  };
+
+  // Text fields — where a value comes from matters more than the exact wording
+  [
+    { key: 'title', label: 'Title', get: d => metaValue(d, 'title'), critical: true },
+    { key: 'description', label: 'Meta description', get: d => metaValue(d, 'description') },
+    { key: 'canonical', label: 'Canonical', get: d => metaValue(d, 'canonical'), critical: true },
+    { key: 'robots', label: 'Meta robots', get: d => metaValue(d, 'robots'), critical: true },
+    { key: 'lang', label: 'HTML lang', get: d => metaValue(d, 'lang') },
+    { key: 'h1', label: 'First H1', get: firstH1, critical: true }
+  ].forEach(field => {
+    rows.push(compareText(field, field.get(raw), field.get(rendered)));
+  });
+
+  // A noindex in the raw HTML wins: Google may skip rendering the page entirely
+  const rawNoindex = /noindex/i.test(metaValue(raw, 'robots'));
+  const renderedNoindex = /noindex/i.test(metaValue(rendered, 'robots'));
+  if (rawNoindex !== renderedNoindex) {
+    const robotsRow = rows.find(r => r.key === 'robots');
+    robotsRow.status = 'fail';
+    robotsRow.message = rawNoindex
+      ? 'noindex in the server HTML is removed by JavaScript — Google may never render the page, so it stays noindexed'
+      : 'noindex is only added by JavaScript — other crawlers will index the page';
+  }
+
+  // Counts — large gaps mean content or links depend on rendering
+  [
+    { key: 'h1Count', label: 'H1 tags', get: d => d.headings.stats.h1 },
+    { key: 'headings', label: 'Headings', get: d => d.headings.stats.total },
+    { key: 'internalLinks', label: 'Internal links', get: d => d.links.stats.internal, critical: true },
+    { key: 'externalLinks', label: 'External links', get: d => d.links.stats.external },
+    { key: 'images', label: 'Images', get: d => d.images.stats.total },
+    { key: 'words', label: 'Word count', get: d => d.content.stats.words, critical: true },
+    { key: 'hreflang', label: 'Hreflang tags', get: d => d.hreflang.count, critical: true },
+    { key: 'ogTags', label: 'Open Graph tags', get: d => d.socialCards.og.tagCount }
+  ].forEach(field => {
+    rows.push(compareCount(field, field.get(raw), field.get(rendered)));
+  });
+
+  // Structured data — compare the set of JSON-LD types
+  const rawTypes = extractSchemaTypes(raw.schema.jsonLd);
+  const renderedTypes = extractSchemaTypes(rendered.schema.jsonLd);
+  const addedTypes = renderedTypes.filter(t => !rawTypes.includes(t));
+  const removedTypes = rawTypes.filter(t => !renderedTypes.includes(t));
+  let schemaMessage = '';
+  if (rawTypes.length === 0 && renderedTypes.length > 0) schemaMessage = 'JSON-LD added by JavaScript';
+  else if (addedTypes.length > 0) schemaMessage = `Added by JavaScript: ${addedTypes.join(', ')}`;
+  if (removedTypes.length > 0) schemaMessage += `${schemaMessage ? '; r' : 'R'}emoved by JavaScript: ${removedTypes.join(', ')}`;
+  rows.push({
+    key: 'jsonLd',
+    label: 'JSON-LD types',
+    raw: rawTypes.join(', '),
+    rendered: renderedTypes.join(', '),
+    change: addedTypes.length === 0 && removedTypes.length === 0 ? 'same'
+      : rawTypes.length === 0 ? 'added' : renderedTypes.length === 0 ? 'removed' : 'changed',
+    status: addedTypes.length === 0 && removedTypes.length === 0 ? 'pass' : 'warn',
+    message: schemaMessage || (rawTypes.length > 0 ? 'JSON-LD: identical in raw and rendered HTML' : 'JSON-LD: missing in both')
+  });
+
+  return rows;
+}
+
+function compareText(field, raw, rendered) {
+  const row = { key: field.key, label: field.label, raw, rendered, change: 'same', status: 'pass', message: '' };
+  const name = field.label.charAt(0).toLowerCase() + field.label.slice(1);
+
+  if (raw === rendered) {
+    row.message = raw ? `${field.label}: identical in raw and rendered HTML` : `${field.label}: missing in both`;
+    row.status = raw ? 'pass' : 'info';
+  } else if (!raw) {
+    row.change = 'added';
+    row.status = field.critical ? 'warn' : 'info';
+    row.message = `${field.label} only present after render`;
+  } else if (!rendered) {
+    row.change = 'removed';
+    row.status = 'warn';
+    row.message = `${field.label} in the server HTML is removed by JavaScript`;
+  } else {
+    row.change = 'changed';
+    row.status = field.critical ? 'warn' : 'info';
+    row.message = `JavaScript changes the ${name}`;
+  }
+  return row;
+}
+
+function compareCount(field, raw, rendered) {
+  const row = { key: field.key, label: field.label, raw, rendered, change: 'same', status: 'pass', message: '' };
+
+  if (raw === rendered) {
+    row.message = `${field.label}: ${raw} in both`;
+    return row;
+  }
+
+  row.change = raw === 0 ? 'added' : rendered === 0 ? 'removed' : 'changed';
+  row.message = `${field.label}: ${raw.toLocaleString()} raw vs ${rendered.toLocaleString()} rendered`;
+
+  // Small differences (a cookie banner, a widget) are normal
+  const diff = Math.abs(rendered - raw);
+  const significant = diff >= 5 && diff / Math.max(raw, rendered) >= 0.2;
+  if (raw === 0 && rendered > 0) row.status = field.critical ? 'warn' : 'info';
+  else if (significant) row.status = field.critical ? 'warn' : 'info';
+  else row.status = 'info';
+  return row;
+}
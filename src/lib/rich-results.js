@@ -0,0 +1,351 @@
+/**
+ * SEO Analyzer - Rich Result Eligibility
+ * Applies Google's required and recommended property rules for each rich
+ * result feature to the structured data parsed by analyzeSchema() (JSON-LD
+ * plus Microdata and RDFa items), and reports whether the page is eligible,
+ * eligible with warnings, or not eligible.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * Rules per feature, following Google's structured data documentation.
+ * Paths use dots for nesting and "|" for alternatives; `each` applies rules
+ * to every value of a property; `when` narrows the candidate nodes; `check`
+ * adds feature-specific rules and notes.
+ */
+function getRichResultRules() {
+  return [
+    {
+      key: 'product',
+      label: 'Product snippet',
+      types: ['Product', 'ProductGroup'],
+      required: ['name', 'offers|review|aggregateRating'],
+      recommended: ['image', 'description', 'brand', 'sku|gtin|gtin8|gtin12|gtin13|gtin14|mpn'],
+      each: [
+        { path: 'offers', required: ['price|lowPrice|priceSpecification.price'], recommended: ['priceCurrency|priceSpecification.priceCurrency', 'availability'] },
+        { path: 'review', required: ['author', 'reviewRating.ratingValue'] },
+        { path: 'aggregateRating', required: ['ratingValue', 'ratingCount|reviewCount'] }
+      ]
+    },
+    {
+      key: 'review',
+      label: 'Review snippet',
+      types: ['Review', 'AggregateRating'],
+      check: checkReviewSnippet
+    },
+    {
+      key: 'faq',
+      label: 'FAQ',
+      types: ['FAQPage'],
+      required: ['mainEntity'],
+      each: [{ path: 'mainEntity', required: ['name', 'acceptedAnswer.text'] }],
+      notes: ['FAQ rich results are only shown for well-known, authoritative government and health sites']
+    },
+    {
+      key: 'howto',
+      label: 'HowTo',
+      types: ['HowTo'],
+      required: ['name', 'step'],
+      recommended: ['image', 'totalTime', 'supply', 'tool', 'estimatedCost'],
+      each: [{ path: 'step', required: ['text|itemListElement'], recommended: ['name', 'image', 'url'] }],
+      deprecated: 'Google no longer shows HowTo rich results (since September 2023)'
+    },
+    {
+      key: 'breadcrumb',
+      label: 'Breadcrumb',
+      types: ['BreadcrumbList'],
+      required: ['itemListElement'],
+      each: [{ path: 'itemListElement', required: ['position', 'name|item.name'] }],
+      check: checkBreadcrumb
+    },
+    {
+      key: 'article',
+      label: 'Article',
+      types: ['Article'],
+      recommended: ['headline', 'image', 'datePublished', 'dateModified', 'author', 'author.name', 'author.url']
+    },
+    {
+      key: 'event',
+      label: 'Event',
+      types: ['Event'],
+      required: ['name', 'startDate', 'location'],
+      recommended: ['description', 'endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'offers', 'organizer', 'performer'],
+      each: [
+        { path: 'offers', recommended: ['price', 'priceCurrency', 'availability', 'url', 'validFrom'] }
+      ],
+      check: checkEventLocation
+    },
+    {
+      key: 'recipe',
+      label: 'Recipe',
+      types: ['Recipe'],
+      required: ['name', 'image'],
+      recommended: ['author', 'datePublished', 'description', 'recipeIngredient', 'recipeInstructions', 'recipeYield', 'recipeCategory', 'recipeCuisine', 'prepTime', 'cookTime', 'totalTime', 'nutrition.calories', 'keywords', 'aggregateRating', 'video']
+    },
+    {
+      key: 'video',
+      label: 'Video',
+      types: ['VideoObject'],
+      required: ['name', 'thumbnailUrl', 'uploadDate'],
+      recommended: ['description', 'contentUrl|embedUrl', 'duration', 'expires', 'interactionStatistic', 'regionsAllowed']
+    },
+    {
+      key: 'localBusiness',
+      label: 'Local business',
+      types: ['LocalBusiness'],
+      required: ['name', 'address'],
+      recommended: ['url', 'telephone', 'geo.latitude', 'geo.longitude', 'openingHoursSpecification|openingHours', 'priceRange', 'image', 'aggregateRating', 'review'],
+      each: [{ path: 'address', recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] }]
+    },
+    {
+      key: 'sitelinksSearchBox',
+      label: 'Sitelinks search box',
+      types: ['WebSite'],
+      when: (node, ids) => getJsonLdPathValues(node, 'potentialAction', ids).length > 0,
+      required: ['url', 'potentialAction.target', 'potentialAction.query-input'],
+      check: checkSearchAction,
+      deprecated: 'Google stopped showing the sitelinks search box (November 2024)'
+    }
+  ];
+}
+
+/**
+ * Evaluate every rich result feature against parsed JSON-LD blocks.
+ * Returns { features: [...], eligible, warnings, ineligible } where each
+ * feature is { key, label, status, note, items } and status is
+ * 'eligible' | 'warnings' | 'ineligible'. Features with no candidate nodes
+ * are left out.
+ */
+function analyzeRichResults(jsonLd) {
+  const vocab = compileSchemaVocabulary(getSchemaVocabulary());
+  const { nodes, ids } = collectRichResultNodes(jsonLd);
+  const features = [];
+
+  getRichResultRules().forEach(rule => {
+    const candidates = nodes.filter(({ node }) => {
+      const types = getJsonLdTypes(node);
+      if (!types.some(t => rule.types.some(rt => isSchemaSubtype(vocab, t, rt)))) return false;
+      return !rule.when || rule.when(node, ids);
+    });
+    if (candidates.length === 0) return;
+
+    const items = candidates.map(candidate => evaluateRichResultItem(rule, candidate, ids, vocab));
+    const order = ['eligible', 'warnings', 'ineligible'];
+    let status = items.map(i => i.status).sort((a, b) => order.indexOf(a) - order.indexOf(b))[0];
+    if (rule.deprecated) status = 'ineligible';
+
+    features.push({
+      key: rule.key,
+      label: rule.label,
+      status,
+      note: rule.deprecated || null,
+      items
+    });
+  });
+
+  return {
+    features,
+    eligible: features.filter(f => f.status === 'eligible').length,
+    warnings: features.filter(f => f.status === 'warnings').length,
+    ineligible: features.filter(f => f.status === 'ineligible').length
+  };
+}
+
+/**
+ * Every typed node in every block (top level, @graph and nested), with its
+ * parent, plus a map of @id → node definition for resolving references
+ */
+function collectRichResultNodes(jsonLd) {
+  const nodes = [];
+  const ids = new Map();
+
+  function walk(value, parent, parentKey) {
+    if (Array.isArray(value)) {
+      value.forEach(v => walk(v, parent, parentKey));
+      return;
+    }
+    if (!value || typeof value !== 'object') return;
+
+    const keys = Object.keys(value);
+    const isReference = keys.length === 1 && keys[0] === '@id';
+    if (!isReference && typeof value['@id'] === 'string') {
+      ids.set(value['@id'], Object.assign({}, ids.get(value['@id']), value));
+    }
+    if (value['@type']) nodes.push({ node: value, parent, parentKey });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (key === '@graph') walk(child, null, null);
+      else if (!key.startsWith('@')) walk(child, value['@type'] ? value : parent, key);
+    });
+  }
+
+  jsonLd.forEach(block => walk(block, null, null));
+
+  // A node split across several definitions of the same @id is checked as one
+  nodes.forEach(entry => {
+    if (typeof entry.node['@id'] === 'string' && ids.has(entry.node['@id'])) entry.node = ids.get(entry.node['@id']);
+  });
+  const seen = new Set();
+  return {
+    nodes: nodes.filter(({ node }) => !seen.has(node) && seen.add(node)),
+    ids
+  };
+}
+
+/**
+ * Values at a dotted path, flattening arrays and following @id references
+ */
+function getJsonLdPathValues(node, path, ids) {
+  let current = [node];
+  path.split('.').forEach(key => {
+    const next = [];
+    current.forEach(value => {
+      if (!value || typeof value !== 'object') return;
+      const resolved = typeof value['@id'] === 'string' && ids.has(value['@id']) ? ids.get(value['@id']) : value;
+      const child = resolved[key] !== undefined ? resolved[key] : resolved['schema:' + key];
+      (Array.isArray(child) ? child : [child]).forEach(c => {
+        if (c !== undefined && c !== null && c !== '') next.push(c);
+      });
+    });
+    current = next;
+  });
+  return current;
+}
+
+/**
+ * Of a list of (alternative) paths, the ones with no value on the node
+ */
+function findMissingRichResultProps(node, paths, ids, prefix = '') {
+  return (paths || []).filter(path => {
+    return !path.split('|').some(alt => getJsonLdPathValues(node, alt, ids).length > 0);
+  }).map(path => prefix + path.split('|').join(' or ' + prefix));
+}
+
+function evaluateRichResultItem(rule, candidate, ids, vocab) {
+  const { node } = candidate;
+  const missingRequired = findMissingRichResultProps(node, rule.required, ids);
+  const missingRecommended = findMissingRichResultProps(node, rule.recommended, ids);
+  const notes = [...(rule.notes || [])];
+
+  (rule.each || []).forEach(sub => {
+    getJsonLdPathValues(node, sub.path, ids).forEach((value, i, all) => {
+      if (!value || typeof value !== 'object') return;
+      const prefix = all.length > 1 ? `${sub.path}[${i}].` : `${sub.path}.`;
+      missingRequired.push(...findMissingRichResultProps(value, sub.required, ids, prefix));
+      missingRecommended.push(...findMissingRichResultProps(value, sub.recommended, ids, prefix));
+    });
+  });
+
+  if (rule.check) {
+    const result = rule.check(candidate, ids, vocab) || {};
+    missingRequired.push(...(result.missingRequired || []));
+    notes.push(...(result.notes || []));
+  }
+
+  const status = missingRequired.length > 0 ? 'ineligible'
+    : missingRecommended.length > 0 || notes.length > 0 ? 'warnings'
+    : 'eligible';
+
+  const name = getJsonLdPathValues(node, 'name', ids)[0] || getJsonLdPathValues(node, 'headline', ids)[0] || '';
+  return {
+    type: getJsonLdTypes(node).join(', '),
+    name: typeof name === 'string' ? name : '',
+    status,
+    missingRequired: [...new Set(missingRequired)],
+    missingRecommended: [...new Set(missingRecommended)],
+    notes
+  };
+}
+
+// ============================================
+// Feature-specific checks
+// ============================================
+
+/**
+ * Reviews need a rating, an author and a reviewed item of a supported type;
+ * reviews a business publishes about itself are not shown
+ */
+function checkReviewSnippet({ node, parent, parentKey }, ids, vocab) {
+  const supported = ['Book', 'Course', 'Event', 'LocalBusiness', 'MediaObject', 'Movie', 'MusicRecording', 'Organization', 'Product', 'Recipe', 'SoftwareApplication'];
+  const isAggregate = getJsonLdTypes(node).some(t => isSchemaSubtype(vocab, t, 'AggregateRating'));
+  const missingRequired = isAggregate
+    ? findMissingRichResultProps(node, ['ratingValue', 'ratingCount|reviewCount'], ids)
+    : findMissingRichResultProps(node, ['author', 'reviewRating.ratingValue'], ids);
+  const notes = [];
+
+  // Nested under the reviewed item (Product.review, Recipe.aggregateRating, ...)
+  let reviewed = parent && (parentKey === 'review' || parentKey === 'aggregateRating') ? parent : null;
+  if (!reviewed) {
+    reviewed = getJsonLdPathValues(node, 'itemReviewed', ids)[0];
+    if (!reviewed || typeof reviewed !== 'object') {
+      missingRequired.push('itemReviewed');
+      return { missingRequired, notes };
+    }
+    if (typeof reviewed['@id'] === 'string' && ids.has(reviewed['@id'])) reviewed = ids.get(reviewed['@id']);
+    if (getJsonLdPathValues(reviewed, 'name', ids).length === 0) missingRequired.push('itemReviewed.name');
+  }
+
+  const reviewedTypes = getJsonLdTypes(reviewed);
+  if (!reviewedTypes.some(t => supported.some(s => isSchemaSubtype(vocab, t, s)))) {
+    missingRequired.push(`a supported reviewed item type (${reviewedTypes.join(', ') || 'no @type'} is not one)`);
+  } else if (reviewedTypes.some(t => isSchemaSubtype(vocab, t, 'Organization'))) {
+    notes.push('Self-serving reviews of a LocalBusiness or Organization are not shown as review snippets');
+  }
+
+  return { missingRequired, notes };
+}
+
+/**
+ * At least two crumbs; every crumb except the last needs an item URL
+ */
+function checkBreadcrumb({ node }, ids) {
+  const crumbs = getJsonLdPathValues(node, 'itemListElement', ids).filter(c => c && typeof c === 'object');
+  const missingRequired = [];
+  const notes = [];
+  if (crumbs.length === 1) notes.push('Only one breadcrumb — Google recommends at least two');
+  crumbs.slice(0, -1).forEach((crumb, i) => {
+    if (getJsonLdPathValues(crumb, 'item', ids).length === 0) missingRequired.push(`itemListElement[${i}].item`);
+  });
+  return { missingRequired, notes };
+}
+
+/**
+ * A Place location needs an address; an online event needs a VirtualLocation url
+ */
+function checkEventLocation({ node }, ids, vocab) {
+  const missingRequired = [];
+  getJsonLdPathValues(node, 'location', ids).forEach((location, i, all) => {
+    const prefix = all.length > 1 ? `location[${i}].` : 'location.';
+    if (typeof location !== 'object') {
+      missingRequired.push(`${prefix.slice(0, -1)} as a Place or VirtualLocation`);
+      return;
+    }
+    const types = getJsonLdTypes(location);
+    if (types.some(t => isSchemaSubtype(vocab, t, 'VirtualLocation'))) {
+      missingRequired.push(...findMissingRichResultProps(location, ['url'], ids, prefix));
+    } else {
+      missingRequired.push(...findMissingRichResultProps(location, ['address'], ids, prefix));
+    }
+  });
+  return { missingRequired };
+}
+
+/**
+ * The search target must be a URL template with the query-input placeholder
+ */
+function checkSearchAction({ node }, ids) {
+  const missingRequired = [];
+  getJsonLdPathValues(node, 'potentialAction', ids).forEach(action => {
+    if (!action || typeof action !== 'object') return;
+    const target = getJsonLdPathValues(action, 'target', ids)[0];
+    const template = target && typeof target === 'object' ? getJsonLdPathValues(target, 'urlTemplate', ids)[0] : target;
+    const input = String(getJsonLdPathValues(action, 'query-input', ids)[0] || '');
+    const placeholder = (input.match(/name=([\w-]+)/) || [])[1];
+    if (template && placeholder && !String(template).includes(`{${placeholder}}`)) {
+      missingRequired.push(`potentialAction.target containing {${placeholder}}`);
+    }
+  });
+  return { missingRequired };
+}
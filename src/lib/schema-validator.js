@@ -0,0 +1,434 @@
+/**
+ * SEO Analyzer - JSON-LD Validator
+ * Validates every JSON-LD block on a page against the bundled schema.org
+ * vocabulary (schema-vocabulary.js): walks the full graph, resolves @id
+ * references across blocks and checks each property's name and value type.
+ * Microdata and RDFa items (microdata.js) go through the same checks.
+ * Every problem carries a JSON path into its script block or item.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * Validate the text of each <script type="application/ld+json"> on a page.
+ * Sources are script texts, or already-built items as { format, data } for
+ * Microdata and RDFa. Relative URLs resolve against baseUrl (the page URL),
+ * as Google does. Returns one entry per top-level node (or per
+ * unparseable block):
+ * { type, types, id, format, block, path, valid, missingFields, fieldCount, issues }
+ * where each issue is { severity: 'error'|'warning', block, path, message }.
+ * Blocks are numbered per format.
+ */
+function validateJsonLd(sources, baseUrl, vocabulary = getSchemaVocabulary()) {
+  const vocab = compileSchemaVocabulary(vocabulary);
+  const blocks = [];
+  const entries = [];
+
+  const counts = {};
+  sources.forEach(source => {
+    const format = typeof source === 'string' ? 'JSON-LD' : source.format;
+    counts[format] = (counts[format] || 0) + 1;
+    const block = counts[format];
+    if (typeof source !== 'string') {
+      blocks.push({ format, block, data: source.data });
+      return;
+    }
+    try {
+      blocks.push({ format, block, data: JSON.parse(source) });
+    } catch (e) {
+      entries.push({
+        type: null,
+        types: [],
+        id: null,
+        format,
+        block,
+        path: '$',
+        valid: false,
+        missingFields: [],
+        fieldCount: 0,
+        issues: [{ severity: 'error', block, path: '$', message: `Invalid JSON: ${e.message}` }]
+      });
+    }
+  });
+
+  // Every node that defines an @id, across all blocks, so references resolve page-wide
+  const idTypes = new Map();
+  blocks.forEach(({ data }) => collectJsonLdIds(data, idTypes, baseUrl));
+
+  blocks.forEach(({ format, block, data }) => {
+    const topLevel = [];
+    if (Array.isArray(data)) {
+      data.forEach((node, i) => topLevel.push({ node, path: `$[${i}]` }));
+    } else if (data && typeof data === 'object') {
+      if (Array.isArray(data['@graph'])) {
+        data['@graph'].forEach((node, i) => topLevel.push({ node, path: `$['@graph'][${i}]`, context: data['@context'] }));
+      } else {
+        topLevel.push({ node: data, path: '$' });
+      }
+    }
+
+    topLevel.forEach(({ node, path, context }) => {
+      const issues = [];
+      const state = { vocab, idTypes, baseUrl, block, issues, visited: new Set() };
+
+      if (!node || typeof node !== 'object' || Array.isArray(node)) {
+        issues.push({ severity: 'error', block, path, message: 'Expected an object' });
+        entries.push(buildJsonLdEntry(node, format, block, path, issues));
+        return;
+      }
+
+      const nodeContext = node['@context'] || context || (!Array.isArray(data) ? data['@context'] : undefined);
+      if (!nodeContext) {
+        issues.push({ severity: 'error', block, path, message: 'Missing @context — search engines cannot tell this is schema.org' });
+      } else if (!/schema\.org/i.test(JSON.stringify(nodeContext))) {
+        issues.push({ severity: 'warning', block, path: `${path}['@context']`, message: `@context does not reference schema.org: ${JSON.stringify(nodeContext)}` });
+      }
+
+      validateJsonLdNode(node, path, state);
+      entries.push(buildJsonLdEntry(node, format, block, path, issues));
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Turn the compact vocabulary into lookup tables
+ */
+function compileSchemaVocabulary(vocabulary) {
+  const parents = new Map();
+  Object.entries(vocabulary.types).forEach(([type, list]) => {
+    parents.set(type, list ? list.split(' ') : []);
+  });
+
+  const enumerations = new Map();
+  Object.entries(vocabulary.enumerations).forEach(([type, members]) => {
+    enumerations.set(type, new Set(members.split(' ')));
+    if (!parents.has(type)) parents.set(type, ['Enumeration']);
+  });
+
+  const properties = new Map();
+  Object.entries(vocabulary.properties).forEach(([name, spec]) => {
+    const [domains, ranges] = spec.split('|');
+    properties.set(name, { domains: domains.split(' '), ranges: ranges.split(' ') });
+  });
+
+  return { parents, enumerations, properties, dataTypes: new Set(vocabulary.dataTypes) };
+}
+
+/**
+ * Is `type` the same as, or a subtype of, `ancestor`?
+ */
+function isSchemaSubtype(vocab, type, ancestor) {
+  const queue = [type];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === ancestor) return true;
+    if (seen.has(current)) continue;
+    seen.add(current);
+    queue.push(...(vocab.parents.get(current) || []));
+  }
+  return false;
+}
+
+/**
+ * Strip schema.org prefixes: "https://schema.org/Product" and "schema:Product" → "Product"
+ */
+function normalizeSchemaTerm(term) {
+  return String(term).replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, '');
+}
+
+function getJsonLdTypes(node) {
+  const raw = node['@type'];
+  if (raw == null) return [];
+  return (Array.isArray(raw) ? raw : [raw]).map(normalizeSchemaTerm);
+}
+
+/**
+ * @id values are IRIs: "#org" on https://site/ and "https://site/#org" are
+ * the same node, so both are resolved against the page URL before comparing
+ */
+function resolveJsonLdId(id, baseUrl) {
+  if (!baseUrl) return id;
+  try {
+    return new URL(id, baseUrl).href;
+  } catch (e) {
+    return id;
+  }
+}
+
+function collectJsonLdIds(value, idTypes, baseUrl) {
+  if (Array.isArray(value)) {
+    value.forEach(v => collectJsonLdIds(v, idTypes, baseUrl));
+  } else if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => k !== '@id');
+    if (typeof value['@id'] === 'string' && keys.length > 0) {
+      const id = resolveJsonLdId(value['@id'], baseUrl);
+      const known = idTypes.get(id) || [];
+      idTypes.set(id, [...new Set([...known, ...getJsonLdTypes(value)])]);
+    }
+    Object.values(value).forEach(v => collectJsonLdIds(v, idTypes, baseUrl));
+  }
+}
+
+/**
+ * Check a node's types and each of its properties, recursing into nested nodes
+ */
+function validateJsonLdNode(node, path, state) {
+  if (state.visited.has(node)) return;
+  state.visited.add(node);
+
+  const { vocab, block, issues } = state;
+  const types = getJsonLdTypes(node);
+  const knownTypes = types.filter(t => vocab.parents.has(t));
+
+  if (types.length === 0) {
+    issues.push({ severity: 'error', block, path, message: 'Missing @type' });
+  }
+  types.filter(t => !vocab.parents.has(t)).forEach(t => {
+    issues.push({ severity: 'warning', block, path: `${path}['@type']`, message: `Unknown type "${t}" (not in the bundled schema.org vocabulary)` });
+  });
+
+  Object.keys(node).forEach(key => {
+    if (key.startsWith('@')) return;
+    const name = normalizeSchemaTerm(key);
+    const propPath = /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+    const prop = vocab.properties.get(name);
+
+    if (!prop) {
+      issues.push({ severity: 'warning', block, path: propPath, message: `Unknown property "${name}" (not in the bundled schema.org vocabulary)` });
+      return;
+    }
+    if (knownTypes.length > 0 && !knownTypes.some(t => prop.domains.some(d => isSchemaSubtype(vocab, t, d)))) {
+      issues.push({ severity: 'warning', block, path: propPath, message: `"${name}" is not a property of ${knownTypes.join('/')} (expected on ${prop.domains.join(', ')})` });
+    }
+
+    const values = Array.isArray(node[key]) ? node[key] : [node[key]];
+    values.forEach((value, i) => {
+      const valuePath = Array.isArray(node[key]) ? `${propPath}[${i}]` : propPath;
+      validateJsonLdValue(value, name, prop.ranges, valuePath, state);
+    });
+  });
+}
+
+/**
+ * Check one property value against the property's expected types (rangeIncludes)
+ */
+function validateJsonLdValue(value, name, ranges, path, state) {
+  const { vocab, idTypes, baseUrl, block, issues } = state;
+  const dataTypes = ranges.filter(r => vocab.dataTypes.has(r));
+  const classes = ranges.filter(r => !vocab.dataTypes.has(r));
+  const expected = ranges.join(' or ');
+  const report = (severity, message) => issues.push({ severity, block, path, message });
+
+  if (value === null || value === undefined) {
+    report('warning', `"${name}" is empty`);
+    return;
+  }
+
+  // A JSON-LD value object — check its @value instead
+  if (typeof value === 'object' && !Array.isArray(value) && '@value' in value) {
+    validateJsonLdValue(value['@value'], name, ranges, path, state);
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    report('error', 'Nested arrays are not valid JSON-LD values');
+    return;
+  }
+
+  if (typeof value === 'object') {
+    const keys = Object.keys(value);
+
+    // Reference to a node defined elsewhere
+    if (keys.length === 1 && keys[0] === '@id') {
+      const id = value['@id'];
+      const resolved = resolveJsonLdId(id, baseUrl);
+      if (!idTypes.has(resolved)) {
+        report('warning', `Unresolved @id reference "${id}" — no node on the page defines it`);
+        return;
+      }
+      checkJsonLdObjectTypes(idTypes.get(resolved), classes, dataTypes, expected, `Referenced node "${id}"`, report, vocab);
+      return;
+    }
+
+    const types = getJsonLdTypes(value);
+    if (types.length === 0) {
+      report('warning', `Object without @type (expected ${expected})`);
+    } else {
+      checkJsonLdObjectTypes(types, classes, dataTypes, expected, 'Value', report, vocab);
+    }
+    validateJsonLdNode(value, path, state);
+    return;
+  }
+
+  if (typeof value === 'number') {
+    // Quantities such as width/height (Distance, QuantitativeValue) may be bare numbers
+    if (classes.some(c => isSchemaSubtype(vocab, c, 'Quantity') || c === 'QuantitativeValue')) return;
+    if (dataTypes.includes('Integer') && !dataTypes.some(t => t === 'Number' || t === 'Float' || t === 'Text') && !Number.isInteger(value)) {
+      report('error', `"${name}" expects a whole number, got ${value}`);
+    } else if (!dataTypes.some(t => t === 'Number' || t === 'Integer' || t === 'Float' || t === 'Text')) {
+      report('warning', `"${name}" expects ${expected}, got the number ${value}`);
+    }
+    return;
+  }
+
+  if (typeof value === 'boolean') {
+    if (!dataTypes.includes('Boolean')) report('warning', `"${name}" expects ${expected}, got ${value}`);
+    return;
+  }
+
+  const text = String(value).trim();
+  if (text === '') {
+    report('warning', `"${name}" is empty`);
+    return;
+  }
+
+  // Enumeration members ("https://schema.org/InStock" or "InStock")
+  const enumTypes = classes.filter(c => vocab.enumerations.has(c));
+  if (enumTypes.length > 0) {
+    const member = normalizeSchemaTerm(text);
+    if (enumTypes.some(t => vocab.enumerations.get(t).has(member))) return;
+    if (!dataTypes.includes('Text')) {
+      report('error', `"${text}" is not a valid ${enumTypes.join('/')} value (expected e.g. https://schema.org/${[...vocab.enumerations.get(enumTypes[0])][0]})`);
+      return;
+    }
+  }
+
+  if (dataTypes.includes('Text')) return;
+
+  if (dataTypes.includes('URL')) {
+    if (!isValidSchemaUrl(text, baseUrl)) report('error', `Invalid URL "${text}"`);
+    return;
+  }
+
+  const dateTypes = dataTypes.filter(t => t === 'Date' || t === 'DateTime' || t === 'Time');
+  if (dateTypes.length > 0) {
+    if (!isValidSchemaDate(text, dateTypes)) {
+      const example = dateTypes.includes('DateTime') ? '2024-05-01T09:00:00+02:00' : dateTypes.includes('Date') ? '2024-05-01' : '09:00';
+      report('error', `Invalid ${dateTypes.join('/')} "${text}" (expected ISO 8601, e.g. ${example})`);
+    }
+    return;
+  }
+
+  if (dataTypes.some(t => t === 'Number' || t === 'Integer' || t === 'Float')) {
+    const isNumber = dataTypes.includes('Integer') && dataTypes.length === 1 ? /^-?\d+$/.test(text) : /^-?\d+(\.\d+)?$/.test(text);
+    if (!isNumber) report('error', `"${name}" expects ${expected}, got "${text}"`);
+    return;
+  }
+
+  if (dataTypes.includes('Boolean')) {
+    if (!/^(true|false|https?:\/\/schema\.org\/(True|False))$/i.test(text)) report('error', `"${name}" expects true or false, got "${text}"`);
+    return;
+  }
+
+  // Only classes expected. Durations and quantities are written as text;
+  // a URL is taken as a reference to the thing; other text is a type mismatch.
+  if (classes.includes('Duration')) {
+    if (!/^P(?!$)(\d+Y)?(\d+M)?(\d+W)?(\d+D)?(T(?=\d)(\d+H)?(\d+M)?(\d+(\.\d+)?S)?)?$/.test(text)) {
+      report('error', `Invalid Duration "${text}" (expected ISO 8601, e.g. PT1H30M)`);
+    }
+    return;
+  }
+  if (classes.some(c => isSchemaSubtype(vocab, c, 'Quantity'))) return;
+  if (isValidSchemaUrl(text)) return;
+  report('warning', `"${name}" expects ${expected}, got text "${text.length > 60 ? text.slice(0, 57) + '...' : text}"`);
+}
+
+function checkJsonLdObjectTypes(types, classes, dataTypes, expected, label, report, vocab) {
+  const known = types.filter(t => vocab.parents.has(t));
+  if (known.length === 0) return;
+  if (classes.length === 0) {
+    report('error', `${label} is a ${known.join('/')} but ${expected} is expected`);
+    return;
+  }
+  const matches = known.some(t => classes.some(c => isSchemaSubtype(vocab, t, c)));
+  if (!matches) report('error', `${label} is a ${known.join('/')}, expected ${expected}`);
+}
+
+/**
+ * Absolute URLs, or relative ones that resolve against baseUrl
+ * ("images/photo.jpg"). Without a base, only relative URLs that clearly are
+ * paths count — used where plain text could be either a name or a URL.
+ */
+function isValidSchemaUrl(text, baseUrl) {
+  if (/\s/.test(text)) return false;
+  if (/^[a-z][a-z0-9+.-]*:/i.test(text)) {
+    try {
+      const url = new URL(text);
+      return url.protocol !== 'http:' && url.protocol !== 'https:' ? true : !!url.hostname;
+    } catch (e) {
+      return false;
+    }
+  }
+  if (!baseUrl) return /^[/.#?]/.test(text);
+  try {
+    return !!new URL(text, baseUrl).hostname;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * ISO 8601 date, date-time or time, as allowed by the property
+ */
+function isValidSchemaDate(text, dateTypes) {
+  const date = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const dateTime = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+  const time = /^(\d{2}):(\d{2})(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+  if (dateTypes.includes('Time') && time.test(text)) {
+    const [, h, m] = text.match(time);
+    return +h <= 24 && +m < 60;
+  }
+  const match = (dateTypes.includes('Date') || dateTypes.includes('DateTime')) && (text.match(date) || text.match(dateTime));
+  if (!match) return false;
+  const [, y, mo, d] = match;
+  const parsed = new Date(Date.UTC(+y, +mo - 1, +d));
+  return parsed.getUTCFullYear() === +y && parsed.getUTCMonth() === +mo - 1 && parsed.getUTCDate() === +d;
+}
+
+/**
+ * Required fields by type — a quick completeness check on top of validation
+ */
+function getRequiredSchemaFields() {
+  return {
+    'Article': ['headline', 'author', 'datePublished', 'image'],
+    'Product': ['name', 'image', 'offers'],
+    'LocalBusiness': ['name', 'address', 'telephone'],
+    'Organization': ['name', 'url', 'logo'],
+    'Person': ['name'],
+    'BreadcrumbList': ['itemListElement'],
+    'FAQPage': ['mainEntity'],
+    'HowTo': ['name', 'step'],
+    'Recipe': ['name', 'recipeIngredient', 'recipeInstructions'],
+    'Event': ['name', 'startDate', 'location'],
+    'VideoObject': ['name', 'description', 'thumbnailUrl', 'uploadDate'],
+    'Review': ['itemReviewed', 'reviewRating', 'author'],
+    'WebSite': ['name', 'url'],
+    'WebPage': ['name'],
+  };
+}
+
+function buildJsonLdEntry(node, format, block, path, issues) {
+  const isObject = node && typeof node === 'object' && !Array.isArray(node);
+  const types = isObject ? getJsonLdTypes(node) : [];
+  // A node with several types must have what each of them requires
+  const requiredByType = getRequiredSchemaFields();
+  const required = [...new Set(types.flatMap(t => requiredByType[t] || []))];
+  const missingFields = isObject ? required.filter(f => node[f] == null || node[f] === '') : [];
+  return {
+    type: types[0] || null,
+    types,
+    id: isObject && typeof node['@id'] === 'string' ? node['@id'] : null,
+    format,
+    block,
+    path,
+    valid: missingFields.length === 0 && !issues.some(i => i.severity === 'error'),
+    missingFields,
+    fieldCount: isObject ? Object.keys(node).filter(k => !k.startsWith('@')).length : 0,
+    issues
+  };
+}
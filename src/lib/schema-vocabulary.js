@@ -0,0 +1,679 @@
+/**
+ * SEO Analyzer - schema.org Vocabulary
+ * A bundled subset of schema.org: the types Google reads for rich results and
+ * the types they reference, with each property's domainIncludes/rangeIncludes.
+ * Types and properties outside this subset are reported as "not in the bundled
+ * vocabulary" rather than as errors.
+ */
+
+// No top-level const/let here: this file is also injected as a content script,
+// which runs again every time the popup opens
+
+/**
+ * types:        Type → space-separated parent types
+ * properties:   property → "Domain Domain|Range Range"
+ * enumerations: Enumeration type → space-separated members
+ */
+function getSchemaVocabulary() {
+  return {
+    dataTypes: ['Text', 'URL', 'Date', 'DateTime', 'Time', 'Number', 'Integer', 'Float', 'Boolean'],
+
+    types: {
+      Thing: '',
+
+      // Creative works
+      CreativeWork: 'Thing',
+      Article: 'CreativeWork',
+      NewsArticle: 'Article',
+      Report: 'Article',
+      TechArticle: 'Article',
+      ScholarlyArticle: 'Article',
+      SocialMediaPosting: 'Article',
+      BlogPosting: 'SocialMediaPosting',
+      DiscussionForumPosting: 'SocialMediaPosting',
+      LiveBlogPosting: 'BlogPosting',
+      Blog: 'CreativeWork',
+      Book: 'CreativeWork',
+      Claim: 'CreativeWork',
+      Clip: 'CreativeWork',
+      Comment: 'CreativeWork',
+      Answer: 'Comment',
+      Question: 'Comment',
+      Course: 'CreativeWork LearningResource',
+      LearningResource: 'CreativeWork',
+      Quiz: 'LearningResource',
+      Dataset: 'CreativeWork',
+      DataCatalog: 'CreativeWork',
+      EducationalOccupationalCredential: 'CreativeWork',
+      HowTo: 'CreativeWork',
+      Recipe: 'HowTo',
+      HowToDirection: 'CreativeWork ListItem',
+      HowToTip: 'CreativeWork ListItem',
+      HowToStep: 'CreativeWork ItemList ListItem',
+      HowToSection: 'CreativeWork ItemList ListItem',
+      Map: 'CreativeWork',
+      MediaObject: 'CreativeWork',
+      AudioObject: 'MediaObject',
+      DataDownload: 'MediaObject',
+      ImageObject: 'MediaObject',
+      VideoObject: 'MediaObject',
+      Menu: 'CreativeWork',
+      Movie: 'CreativeWork',
+      MusicRecording: 'CreativeWork',
+      Photograph: 'CreativeWork',
+      Review: 'CreativeWork',
+      ClaimReview: 'Review',
+      CriticReview: 'Review',
+      EmployerReview: 'Review',
+      SoftwareApplication: 'CreativeWork',
+      MobileApplication: 'SoftwareApplication',
+      WebApplication: 'SoftwareApplication',
+      VideoGame: 'SoftwareApplication',
+      TVSeries: 'CreativeWork',
+      WebContent: 'CreativeWork',
+      WebPage: 'CreativeWork',
+      AboutPage: 'WebPage',
+      CheckoutPage: 'WebPage',
+      CollectionPage: 'WebPage',
+      ContactPage: 'WebPage',
+      FAQPage: 'WebPage',
+      ItemPage: 'WebPage',
+      MedicalWebPage: 'WebPage',
+      ProfilePage: 'WebPage',
+      QAPage: 'WebPage',
+      RealEstateListing: 'WebPage',
+      SearchResultsPage: 'WebPage',
+      WebPageElement: 'CreativeWork',
+      SiteNavigationElement: 'WebPageElement',
+      WPFooter: 'WebPageElement',
+      WPHeader: 'WebPageElement',
+      WPSideBar: 'WebPageElement',
+      WebSite: 'CreativeWork',
+
+      // Intangibles and structured values
+      Intangible: 'Thing',
+      Audience: 'Intangible',
+      Brand: 'Intangible',
+      DefinedTerm: 'Intangible',
+      CategoryCode: 'DefinedTerm',
+      DefinedTermSet: 'CreativeWork',
+      EntryPoint: 'Intangible',
+      ItemList: 'Intangible',
+      BreadcrumbList: 'ItemList',
+      OfferCatalog: 'ItemList',
+      ListItem: 'Intangible',
+      HowToItem: 'ListItem',
+      HowToSupply: 'HowToItem',
+      HowToTool: 'HowToItem',
+      JobPosting: 'Intangible',
+      Language: 'Intangible',
+      MenuItem: 'Intangible',
+      MerchantReturnPolicy: 'Intangible',
+      Offer: 'Intangible',
+      AggregateOffer: 'Offer',
+      Demand: 'Intangible',
+      ProgramMembership: 'Intangible',
+      PropertyValueSpecification: 'Intangible',
+      Quantity: 'Intangible',
+      Distance: 'Quantity',
+      Duration: 'Quantity',
+      Energy: 'Quantity',
+      Mass: 'Quantity',
+      Rating: 'Intangible',
+      AggregateRating: 'Rating',
+      EmployerAggregateRating: 'AggregateRating',
+      Schedule: 'Intangible',
+      Service: 'Intangible',
+      SpeakableSpecification: 'Intangible',
+      VirtualLocation: 'Intangible',
+      StructuredValue: 'Intangible',
+      ContactPoint: 'StructuredValue',
+      PostalAddress: 'ContactPoint',
+      DefinedRegion: 'StructuredValue',
+      GeoCoordinates: 'StructuredValue',
+      GeoShape: 'StructuredValue',
+      InteractionCounter: 'StructuredValue',
+      MonetaryAmount: 'StructuredValue',
+      NutritionInformation: 'StructuredValue',
+      OfferShippingDetails: 'StructuredValue',
+      OpeningHoursSpecification: 'StructuredValue',
+      PriceSpecification: 'StructuredValue',
+      UnitPriceSpecification: 'PriceSpecification',
+      PropertyValue: 'StructuredValue',
+      QuantitativeValue: 'StructuredValue',
+      ShippingDeliveryTime: 'StructuredValue',
+      Enumeration: 'Intangible',
+
+      // Actions
+      Action: 'Thing',
+      SearchAction: 'Action',
+      CommentAction: 'Action',
+      FollowAction: 'Action',
+      LikeAction: 'Action',
+      ReadAction: 'Action',
+      WatchAction: 'Action',
+      WriteAction: 'Action',
+
+      // Events
+      Event: 'Thing',
+      BusinessEvent: 'Event',
+      ComedyEvent: 'Event',
+      CourseInstance: 'Event',
+      EducationEvent: 'Event',
+      Festival: 'Event',
+      MusicEvent: 'Event',
+      PublicationEvent: 'Event',
+      BroadcastEvent: 'PublicationEvent',
+      SportsEvent: 'Event',
+      TheaterEvent: 'Event',
+
+      // Organizations and people
+      Organization: 'Thing',
+      Corporation: 'Organization',
+      EducationalOrganization: 'Organization',
+      NGO: 'Organization',
+      NewsMediaOrganization: 'Organization',
+      OnlineBusiness: 'Organization',
+      OnlineStore: 'OnlineBusiness',
+      LocalBusiness: 'Organization Place',
+      AutomotiveBusiness: 'LocalBusiness',
+      Dentist: 'LocalBusiness',
+      FinancialService: 'LocalBusiness',
+      FoodEstablishment: 'LocalBusiness',
+      Bakery: 'FoodEstablishment',
+      BarOrPub: 'FoodEstablishment',
+      CafeOrCoffeeShop: 'FoodEstablishment',
+      Restaurant: 'FoodEstablishment',
+      HealthAndBeautyBusiness: 'LocalBusiness',
+      HomeAndConstructionBusiness: 'LocalBusiness',
+      LegalService: 'LocalBusiness',
+      LodgingBusiness: 'LocalBusiness',
+      Hotel: 'LodgingBusiness',
+      MedicalBusiness: 'LocalBusiness',
+      ProfessionalService: 'LocalBusiness',
+      RealEstateAgent: 'LocalBusiness',
+      Store: 'LocalBusiness',
+      Person: 'Thing',
+
+      // Places
+      Place: 'Thing',
+      AdministrativeArea: 'Place',
+      City: 'AdministrativeArea',
+      Country: 'AdministrativeArea',
+      State: 'AdministrativeArea',
+
+      // Products
+      Product: 'Thing',
+      ProductGroup: 'Product',
+      ProductModel: 'Product',
+      Vehicle: 'Product',
+      Car: 'Vehicle'
+    },
+
+    enumerations: {
+      BookFormatType: 'AudiobookFormat EBook GraphicNovel Hardcover Paperback',
+      DayOfWeek: 'Monday Tuesday Wednesday Thursday Friday Saturday Sunday PublicHolidays',
+      EventAttendanceModeEnumeration: 'MixedEventAttendanceMode OfflineEventAttendanceMode OnlineEventAttendanceMode',
+      EventStatusType: 'EventCancelled EventMovedOnline EventPostponed EventRescheduled EventScheduled',
+      GenderType: 'Female Male',
+      ItemAvailability: 'BackOrder Discontinued InStock InStoreOnly LimitedAvailability MadeToOrder OnlineOnly OutOfStock PreOrder PreSale Reserved SoldOut',
+      ItemListOrderType: 'ItemListOrderAscending ItemListOrderDescending ItemListUnordered',
+      MerchantReturnEnumeration: 'MerchantReturnFiniteReturnWindow MerchantReturnNotPermitted MerchantReturnUnlimitedWindow MerchantReturnUnspecified',
+      OfferItemCondition: 'DamagedCondition NewCondition RefurbishedCondition UsedCondition',
+      PriceTypeEnumeration: 'InvoicePrice ListPrice MinimumAdvertisedPrice MSRP SalePrice SRP',
+      RestrictedDiet: 'DiabeticDiet GlutenFreeDiet HalalDiet HinduDiet KosherDiet LowCalorieDiet LowFatDiet LowLactoseDiet LowSaltDiet VeganDiet VegetarianDiet',
+      ReturnFeesEnumeration: 'FreeReturn OriginalShippingFees RestockingFees ReturnFeesCustomerResponsibility ReturnShippingFees',
+      ReturnMethodEnumeration: 'KeepProduct ReturnAtKiosk ReturnByMail ReturnInStore'
+    },
+
+    properties: {
+      // Thing
+      additionalType: 'Thing|Text URL',
+      alternateName: 'Thing|Text',
+      description: 'Thing|Text',
+      disambiguatingDescription: 'Thing|Text',
+      identifier: 'Thing|PropertyValue Text URL',
+      image: 'Thing|ImageObject URL',
+      mainEntityOfPage: 'Thing|CreativeWork URL',
+      name: 'Thing|Text',
+      potentialAction: 'Thing|Action',
+      sameAs: 'Thing|URL',
+      subjectOf: 'Thing|CreativeWork Event',
+      url: 'Thing|URL',
+
+      // CreativeWork
+      about: 'CreativeWork Event|Thing',
+      abstract: 'CreativeWork|Text',
+      accountablePerson: 'CreativeWork|Person',
+      acquireLicensePage: 'CreativeWork|CreativeWork URL',
+      aggregateRating: 'Brand CreativeWork Event Offer Organization Place Product Service|AggregateRating',
+      audience: 'CreativeWork Event LodgingBusiness Product Service|Audience',
+      audio: 'CreativeWork|AudioObject Clip MusicRecording',
+      author: 'CreativeWork Rating|Organization Person',
+      award: 'CreativeWork Organization Person Product Service|Text',
+      citation: 'CreativeWork|CreativeWork Text',
+      comment: 'CreativeWork|Comment',
+      commentCount: 'CreativeWork|Integer',
+      contentRating: 'CreativeWork|Rating Text',
+      contributor: 'CreativeWork Event|Organization Person',
+      copyrightHolder: 'CreativeWork|Organization Person',
+      copyrightNotice: 'CreativeWork|Text',
+      copyrightYear: 'CreativeWork|Number',
+      creativeWorkStatus: 'CreativeWork|DefinedTerm Text',
+      creator: 'CreativeWork|Organization Person',
+      creditText: 'CreativeWork|Text',
+      dateCreated: 'CreativeWork|Date DateTime',
+      dateModified: 'CreativeWork|Date DateTime',
+      datePublished: 'CreativeWork|Date DateTime',
+      editor: 'CreativeWork|Person',
+      educationalLevel: 'CreativeWork EducationalOccupationalCredential|DefinedTerm Text URL',
+      encoding: 'CreativeWork|MediaObject',
+      encodingFormat: 'CreativeWork MediaObject|Text URL',
+      expires: 'CreativeWork|Date DateTime',
+      funder: 'CreativeWork Event Organization Person|Organization Person',
+      genre: 'CreativeWork|Text URL',
+      hasPart: 'CreativeWork|CreativeWork',
+      headline: 'CreativeWork|Text',
+      inLanguage: 'CreativeWork Event WriteAction|Language Text',
+      interactionStatistic: 'CreativeWork Organization Person|InteractionCounter',
+      isAccessibleForFree: 'CreativeWork Event Place|Boolean',
+      isFamilyFriendly: 'CreativeWork Offer Product|Boolean',
+      isPartOf: 'CreativeWork|CreativeWork URL',
+      keywords: 'CreativeWork Event Organization Place Product|DefinedTerm Text URL',
+      learningResourceType: 'CreativeWork LearningResource|DefinedTerm Text',
+      license: 'CreativeWork|CreativeWork URL',
+      mainEntity: 'CreativeWork|Thing',
+      offers: 'AggregateOffer CreativeWork Event MenuItem Product Service|Demand Offer',
+      position: 'CreativeWork ListItem|Integer Text',
+      publication: 'CreativeWork|PublicationEvent',
+      publisher: 'CreativeWork|Organization Person',
+      publishingPrinciples: 'CreativeWork Organization Person|CreativeWork URL',
+      review: 'Brand CreativeWork Event Offer Organization Place Product Service|Review',
+      sourceOrganization: 'CreativeWork|Organization',
+      spatialCoverage: 'CreativeWork|Place',
+      speakable: 'Article WebPage|SpeakableSpecification URL',
+      sponsor: 'CreativeWork Event Organization Person|Organization Person',
+      teaches: 'CreativeWork|DefinedTerm Text',
+      temporalCoverage: 'CreativeWork|DateTime Text URL',
+      text: 'CreativeWork|Text',
+      thumbnail: 'CreativeWork|ImageObject',
+      thumbnailUrl: 'CreativeWork|URL',
+      timeRequired: 'CreativeWork|Duration',
+      translator: 'CreativeWork Event|Organization Person',
+      version: 'CreativeWork|Number Text',
+      video: 'CreativeWork|Clip VideoObject',
+      workExample: 'CreativeWork|CreativeWork',
+
+      // Article and friends
+      articleBody: 'Article|Text',
+      articleSection: 'Article|Text',
+      backstory: 'Article|CreativeWork Text',
+      dateline: 'NewsArticle|Text',
+      pageEnd: 'Article|Integer Text',
+      pageStart: 'Article|Integer Text',
+      sharedContent: 'SocialMediaPosting|CreativeWork',
+      wordCount: 'Article|Integer',
+      coverageStartTime: 'LiveBlogPosting|DateTime',
+      coverageEndTime: 'LiveBlogPosting|DateTime',
+      liveBlogUpdate: 'LiveBlogPosting|BlogPosting',
+
+      // WebPage and WebSite
+      breadcrumb: 'WebPage|BreadcrumbList Text',
+      cssSelector: 'SpeakableSpecification WebPageElement|Text',
+      lastReviewed: 'WebPage|Date',
+      mainContentOfPage: 'WebPage|WebPageElement',
+      primaryImageOfPage: 'WebPage|ImageObject',
+      relatedLink: 'WebPage|URL',
+      reviewedBy: 'WebPage|Organization Person',
+      significantLink: 'WebPage|URL',
+      xpath: 'SpeakableSpecification WebPageElement|Text',
+
+      // Media
+      bitrate: 'MediaObject|Text',
+      caption: 'AudioObject ImageObject VideoObject|MediaObject Text',
+      contentSize: 'MediaObject|Text',
+      contentUrl: 'MediaObject|URL',
+      duration: 'Event MediaObject Movie QuantitativeValue Schedule|Duration',
+      embedUrl: 'MediaObject|URL',
+      endOffset: 'Clip|Number',
+      exifData: 'ImageObject|PropertyValue Text',
+      height: 'MediaObject Product|Distance QuantitativeValue',
+      isLiveBroadcast: 'BroadcastEvent|Boolean',
+      regionsAllowed: 'MediaObject|Place',
+      representativeOfPage: 'ImageObject|Boolean',
+      requiresSubscription: 'MediaObject|Boolean',
+      startOffset: 'Clip|Number',
+      transcript: 'AudioObject VideoObject|Text',
+      uploadDate: 'MediaObject|Date DateTime',
+      width: 'MediaObject Product|Distance QuantitativeValue',
+      actor: 'Clip Event Movie TVSeries VideoGame VideoObject|Person',
+      director: 'Clip Event Movie TVSeries VideoGame VideoObject|Person',
+      trailer: 'Movie TVSeries VideoGame|VideoObject',
+
+      // Review and rating
+      bestRating: 'Rating|Number Text',
+      itemReviewed: 'AggregateRating Review|Thing',
+      negativeNotes: 'Review|ItemList ListItem Text WebContent',
+      positiveNotes: 'Review|ItemList ListItem Text WebContent',
+      ratingCount: 'AggregateRating|Integer',
+      ratingExplanation: 'Rating|Text',
+      ratingValue: 'Rating|Number Text',
+      reviewAspect: 'Rating Review|Text',
+      reviewBody: 'Review|Text',
+      reviewCount: 'AggregateRating|Integer',
+      reviewRating: 'Review|Rating',
+      worstRating: 'Rating|Number Text',
+      claimReviewed: 'ClaimReview|Text',
+
+      // Comment, Question, Answer
+      acceptedAnswer: 'Question|Answer ItemList',
+      answerCount: 'Question|Integer',
+      downvoteCount: 'Comment|Integer',
+      eduQuestionType: 'Question|Text',
+      parentItem: 'Comment|Comment CreativeWork',
+      suggestedAnswer: 'Question|Answer ItemList',
+      upvoteCount: 'Comment|Integer',
+
+      // HowTo and Recipe
+      cookingMethod: 'Recipe|Text',
+      cookTime: 'Recipe|Duration',
+      estimatedCost: 'HowTo HowToSupply|MonetaryAmount Text',
+      ingredients: 'Recipe|Text',
+      nutrition: 'Recipe|NutritionInformation',
+      performTime: 'HowTo HowToDirection|Duration',
+      prepTime: 'HowTo HowToDirection|Duration',
+      recipeCategory: 'Recipe|Text',
+      recipeCuisine: 'Recipe|Text',
+      recipeIngredient: 'Recipe|Text',
+      recipeInstructions: 'Recipe|CreativeWork ItemList Text',
+      recipeYield: 'Recipe|QuantitativeValue Text',
+      requiredQuantity: 'HowToItem|Number QuantitativeValue Text',
+      step: 'HowTo|CreativeWork HowToSection HowToStep Text',
+      suitableForDiet: 'MenuItem Recipe|RestrictedDiet',
+      supply: 'HowTo HowToDirection|HowToSupply Text',
+      tool: 'HowTo HowToDirection|HowToTool Text',
+      totalTime: 'HowTo HowToDirection|Duration',
+      yield: 'HowTo|QuantitativeValue Text',
+
+      // NutritionInformation
+      calories: 'NutritionInformation|Energy',
+      carbohydrateContent: 'NutritionInformation|Mass',
+      cholesterolContent: 'NutritionInformation|Mass',
+      fatContent: 'NutritionInformation|Mass',
+      fiberContent: 'NutritionInformation|Mass',
+      proteinContent: 'NutritionInformation|Mass',
+      saturatedFatContent: 'NutritionInformation|Mass',
+      servingSize: 'NutritionInformation|Text',
+      sodiumContent: 'NutritionInformation|Mass',
+      sugarContent: 'NutritionInformation|Mass',
+      transFatContent: 'NutritionInformation|Mass',
+      unsaturatedFatContent: 'NutritionInformation|Mass',
+
+      // Lists
+      item: 'ListItem|Thing',
+      itemListElement: 'ItemList|ListItem Text Thing',
+      itemListOrder: 'ItemList|ItemListOrderType Text',
+      nextItem: 'ListItem|ListItem',
+      numberOfItems: 'ItemList|Integer',
+      previousItem: 'ListItem|ListItem',
+
+      // Actions and EntryPoint
+      actionPlatform: 'EntryPoint|Text URL',
+      agent: 'Action|Organization Person',
+      contentType: 'EntryPoint|Text',
+      encodingType: 'EntryPoint|Text',
+      httpMethod: 'EntryPoint|Text',
+      interactionType: 'InteractionCounter|Action',
+      object: 'Action|Thing',
+      query: 'SearchAction|Text',
+      'query-input': 'SearchAction|PropertyValueSpecification Text',
+      result: 'Action|Thing',
+      target: 'Action|EntryPoint URL',
+      urlTemplate: 'EntryPoint|Text',
+      userInteractionCount: 'InteractionCounter|Integer',
+      valueName: 'PropertyValueSpecification|Text',
+      valueRequired: 'PropertyValueSpecification|Boolean',
+
+      // Person
+      additionalName: 'Person|Text',
+      affiliation: 'Person|Organization',
+      alumniOf: 'Person|EducationalOrganization Organization',
+      birthDate: 'Person|Date',
+      birthPlace: 'Person|Place',
+      deathDate: 'Person|Date',
+      familyName: 'Person|Text',
+      gender: 'Person|GenderType Text',
+      givenName: 'Person|Text',
+      homeLocation: 'Person|ContactPoint Place',
+      honorificPrefix: 'Person|Text',
+      honorificSuffix: 'Person|Text',
+      jobTitle: 'Person|DefinedTerm Text',
+      knowsAbout: 'Organization Person|Text Thing URL',
+      knowsLanguage: 'Organization Person|Language Text',
+      nationality: 'Person|Country',
+      workLocation: 'Person|ContactPoint Place',
+      worksFor: 'Person|Organization',
+
+      // Organization
+      address: 'GeoCoordinates GeoShape Organization Person Place|PostalAddress Text',
+      areaServed: 'ContactPoint Demand Offer Organization Service|AdministrativeArea GeoShape Place Text',
+      brand: 'Organization Person Product Service|Brand Organization',
+      contactPoint: 'Organization Person|ContactPoint',
+      department: 'Organization|Organization',
+      duns: 'Organization Person|Text',
+      email: 'ContactPoint Organization Person|Text',
+      employee: 'Organization|Person',
+      faxNumber: 'ContactPoint Organization Person Place|Text',
+      founder: 'Organization|Organization Person',
+      foundingDate: 'Organization|Date',
+      foundingLocation: 'Organization|Place',
+      hasMerchantReturnPolicy: 'Offer Organization Product|MerchantReturnPolicy',
+      hasOfferCatalog: 'Organization Person Service|OfferCatalog',
+      iso6523Code: 'Organization|Text',
+      legalName: 'Organization|Text',
+      leiCode: 'Organization|Text',
+      location: 'Action Event InteractionCounter Organization|Place PostalAddress Text VirtualLocation',
+      logo: 'Brand Organization Place Product Service|ImageObject URL',
+      makesOffer: 'Organization Person|Offer',
+      member: 'Organization ProgramMembership|Organization Person',
+      memberOf: 'Organization Person|Organization ProgramMembership',
+      naics: 'Organization Person|Text',
+      numberOfEmployees: 'Organization|QuantitativeValue',
+      parentOrganization: 'Organization|Organization',
+      slogan: 'Brand Organization Place Product Service|Text',
+      subOrganization: 'Organization|Organization',
+      taxID: 'Organization Person|Text',
+      telephone: 'ContactPoint Organization Person Place|Text',
+      vatID: 'Organization Person|Text',
+
+      // ContactPoint and PostalAddress
+      addressCountry: 'DefinedRegion GeoCoordinates PostalAddress|Country Text',
+      addressLocality: 'PostalAddress|Text',
+      addressRegion: 'DefinedRegion PostalAddress|Text',
+      availableLanguage: 'ContactPoint LodgingBusiness|Language Text',
+      contactOption: 'ContactPoint|Text',
+      contactType: 'ContactPoint|Text',
+      hoursAvailable: 'ContactPoint|OpeningHoursSpecification',
+      postalCode: 'DefinedRegion GeoCoordinates GeoShape PostalAddress|Text',
+      postOfficeBoxNumber: 'PostalAddress|Text',
+      streetAddress: 'PostalAddress|Text',
+
+      // Place and LocalBusiness
+      acceptsReservations: 'FoodEstablishment|Boolean Text URL',
+      amenityFeature: 'LodgingBusiness Place|PropertyValue',
+      box: 'GeoShape|Text',
+      circle: 'GeoShape|Text',
+      containedInPlace: 'Place|Place',
+      currenciesAccepted: 'LocalBusiness|Text',
+      elevation: 'GeoCoordinates GeoShape|Number Text',
+      geo: 'Place|GeoCoordinates GeoShape',
+      hasMap: 'Place|Map URL',
+      hasMenu: 'FoodEstablishment|Menu Text URL',
+      latitude: 'GeoCoordinates Place|Number Text',
+      longitude: 'GeoCoordinates Place|Number Text',
+      maximumAttendeeCapacity: 'Event Place|Integer',
+      menu: 'FoodEstablishment|Menu Text URL',
+      openingHours: 'LocalBusiness|Text',
+      openingHoursSpecification: 'Place|OpeningHoursSpecification',
+      paymentAccepted: 'LocalBusiness|Text',
+      photo: 'Place|ImageObject Photograph',
+      polygon: 'GeoShape|Text',
+      priceRange: 'LocalBusiness|Text',
+      publicAccess: 'Place|Boolean',
+      servesCuisine: 'FoodEstablishment|Text',
+      starRating: 'FoodEstablishment LodgingBusiness|Rating',
+
+      // OpeningHoursSpecification and Schedule
+      byDay: 'Schedule|DayOfWeek Text',
+      closes: 'OpeningHoursSpecification|Time',
+      dayOfWeek: 'OpeningHoursSpecification|DayOfWeek',
+      endTime: 'Schedule|DateTime Time',
+      opens: 'OpeningHoursSpecification|Time',
+      repeatCount: 'Schedule|Integer',
+      repeatFrequency: 'Schedule|Duration Text',
+      scheduleTimezone: 'Schedule|Text',
+      startTime: 'Schedule|DateTime Time',
+      validFrom: 'MerchantReturnPolicy Offer OpeningHoursSpecification PriceSpecification ProgramMembership|Date DateTime',
+      validThrough: 'JobPosting Offer OpeningHoursSpecification PriceSpecification|Date DateTime',
+
+      // Product
+      category: 'Offer Product Service|CategoryCode Text Thing URL',
+      color: 'Offer Product|Text',
+      countryOfOrigin: 'CreativeWork Product|Country',
+      depth: 'Product|Distance QuantitativeValue',
+      gtin: 'Demand Offer Product|Text URL',
+      gtin8: 'Demand Offer Product|Text',
+      gtin12: 'Demand Offer Product|Text',
+      gtin13: 'Demand Offer Product|Text',
+      gtin14: 'Demand Offer Product|Text',
+      hasVariant: 'ProductGroup|Product',
+      isRelatedTo: 'Product Service|Product Service',
+      isSimilarTo: 'Product Service|Product Service',
+      isVariantOf: 'Product|ProductGroup ProductModel',
+      manufacturer: 'Product|Organization',
+      material: 'CreativeWork Product|Product Text URL',
+      model: 'Product|ProductModel Text',
+      mpn: 'Demand Offer Product|Text',
+      pattern: 'CreativeWork Product|DefinedTerm Text',
+      productGroupID: 'ProductGroup|Text',
+      productID: 'Product|Text',
+      releaseDate: 'Product|Date',
+      size: 'CreativeWork Product|DefinedTerm QuantitativeValue Text',
+      sku: 'Demand Offer Product|Text',
+      variesBy: 'ProductGroup|DefinedTerm Text',
+      weight: 'Product|QuantitativeValue',
+      additionalProperty: 'MerchantReturnPolicy Place Product QuantitativeValue Service|PropertyValue',
+
+      // Offer
+      availability: 'Demand Offer|ItemAvailability',
+      availabilityEnds: 'Demand Offer|Date DateTime Time',
+      availabilityStarts: 'Demand Offer|Date DateTime Time',
+      eligibleRegion: 'Demand Offer|GeoShape Place Text',
+      highPrice: 'AggregateOffer|Number Text',
+      ineligibleRegion: 'Demand Offer|GeoShape Place Text',
+      inventoryLevel: 'Demand Offer|QuantitativeValue',
+      itemCondition: 'Demand Offer Product|OfferItemCondition',
+      itemOffered: 'Demand Offer|AggregateOffer CreativeWork Event MenuItem Product Service',
+      lowPrice: 'AggregateOffer|Number Text',
+      offerCount: 'AggregateOffer|Integer',
+      price: 'Offer PriceSpecification|Number Text',
+      priceCurrency: 'Offer PriceSpecification|Text',
+      priceSpecification: 'Demand Offer|PriceSpecification',
+      priceValidUntil: 'Offer|Date',
+      seller: 'Demand Offer|Organization Person',
+      shippingDetails: 'Offer|OfferShippingDetails',
+
+      // PriceSpecification, MonetaryAmount, QuantitativeValue, PropertyValue
+      currency: 'MonetaryAmount|Text',
+      eligibleQuantity: 'Offer PriceSpecification|QuantitativeValue',
+      maxPrice: 'PriceSpecification|Number',
+      maxValue: 'MonetaryAmount PropertyValue QuantitativeValue|Number',
+      minPrice: 'PriceSpecification|Number',
+      minValue: 'MonetaryAmount PropertyValue QuantitativeValue|Number',
+      priceType: 'UnitPriceSpecification|PriceTypeEnumeration Text',
+      propertyID: 'PropertyValue|Text URL',
+      referenceQuantity: 'UnitPriceSpecification|QuantitativeValue',
+      unitCode: 'PropertyValue QuantitativeValue UnitPriceSpecification|Text URL',
+      unitText: 'PropertyValue QuantitativeValue UnitPriceSpecification|Text',
+      value: 'MonetaryAmount PropertyValue QuantitativeValue|Boolean Number StructuredValue Text',
+      valueAddedTaxIncluded: 'PriceSpecification|Boolean',
+
+      // Shipping and returns
+      applicableCountry: 'MerchantReturnPolicy|Country Text',
+      businessDays: 'ShippingDeliveryTime|DayOfWeek OpeningHoursSpecification',
+      cutoffTime: 'ShippingDeliveryTime|Time',
+      deliveryTime: 'OfferShippingDetails|ShippingDeliveryTime',
+      doesNotShip: 'OfferShippingDetails|Boolean',
+      handlingTime: 'ShippingDeliveryTime|QuantitativeValue',
+      merchantReturnDays: 'MerchantReturnPolicy|Date DateTime Integer',
+      returnFees: 'MerchantReturnPolicy|ReturnFeesEnumeration',
+      returnMethod: 'MerchantReturnPolicy|ReturnMethodEnumeration',
+      returnPolicyCategory: 'MerchantReturnPolicy|MerchantReturnEnumeration',
+      returnPolicyCountry: 'MerchantReturnPolicy|Country Text',
+      returnShippingFeesAmount: 'MerchantReturnPolicy|MonetaryAmount',
+      shippingDestination: 'OfferShippingDetails|DefinedRegion',
+      shippingRate: 'OfferShippingDetails|MonetaryAmount',
+      transitTime: 'ShippingDeliveryTime|QuantitativeValue',
+
+      // Event
+      attendee: 'Event|Organization Person',
+      doorTime: 'Event|DateTime Time',
+      endDate: 'CreativeWork Event JobPosting Schedule|Date DateTime',
+      eventAttendanceMode: 'Event|EventAttendanceModeEnumeration',
+      eventSchedule: 'Event|Schedule',
+      eventStatus: 'Event|EventStatusType',
+      organizer: 'Event|Organization Person',
+      performer: 'Event|Organization Person',
+      previousStartDate: 'Event|Date',
+      startDate: 'CreativeWork Event Schedule|Date DateTime',
+      subEvent: 'Event|Event',
+      superEvent: 'Event|Event',
+
+      // Service, SoftwareApplication, Book, Course, Dataset, JobPosting
+      provider: 'CreativeWork Service|Organization Person',
+      serviceType: 'Service|Text',
+      termsOfService: 'Service|Text URL',
+      applicationCategory: 'SoftwareApplication|Text URL',
+      applicationSubCategory: 'SoftwareApplication|Text URL',
+      downloadUrl: 'SoftwareApplication|URL',
+      featureList: 'SoftwareApplication|Text URL',
+      fileSize: 'SoftwareApplication|Text',
+      installUrl: 'SoftwareApplication|URL',
+      operatingSystem: 'SoftwareApplication|Text',
+      screenshot: 'SoftwareApplication|ImageObject URL',
+      softwareVersion: 'SoftwareApplication|Text',
+      bookEdition: 'Book|Text',
+      bookFormat: 'Book|BookFormatType',
+      illustrator: 'Book|Person',
+      isbn: 'Book|Text',
+      numberOfPages: 'Book|Integer',
+      courseCode: 'Course|Text',
+      courseMode: 'CourseInstance|Text URL',
+      coursePrerequisites: 'Course|Course Text',
+      courseWorkload: 'CourseInstance|Text',
+      educationalCredentialAwarded: 'Course|EducationalOccupationalCredential Text URL',
+      hasCourseInstance: 'Course|CourseInstance',
+      instructor: 'CourseInstance|Person',
+      distribution: 'Dataset|DataDownload',
+      includedInDataCatalog: 'Dataset|DataCatalog',
+      measurementTechnique: 'Dataset PropertyValue|DefinedTerm Text URL',
+      variableMeasured: 'Dataset|PropertyValue Text',
+      applicantLocationRequirements: 'JobPosting|AdministrativeArea',
+      baseSalary: 'JobPosting|MonetaryAmount Number PriceSpecification',
+      datePosted: 'JobPosting|Date DateTime',
+      directApply: 'JobPosting|Boolean',
+      employmentType: 'JobPosting|Text',
+      hiringOrganization: 'JobPosting|Organization Person',
+      jobLocation: 'JobPosting|Place',
+      jobLocationType: 'JobPosting|Text',
+      title: 'JobPosting|Text',
+
+      // Misc
+      audienceType: 'Audience|Text',
+      inDefinedTermSet: 'DefinedTerm|DefinedTermSet URL',
+      membershipNumber: 'ProgramMembership|Text',
+      programName: 'ProgramMembership|Text',
+      termCode: 'DefinedTerm|Text'
+    }
+  };
+}
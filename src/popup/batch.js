@@ -0,0 +1,346 @@
+/**
+ * SEO Analyzer - Batch Audit Page
+ * Analyzes a list of URLs in background tabs, a few at a time, and shows the
+ * results in one sortable table
+ */
+
+const BATCH_MAX_URLS = 500;
+const BATCH_LOAD_TIMEOUT_MS = 30000;
+
+// Table columns, in display order (numeric ones sort as numbers)
+const BATCH_COLUMNS = [
+  { key: 'url', label: 'URL' },
+  { key: 'httpStatus', label: 'HTTP', numeric: true },
+  { key: 'score', label: 'Score', numeric: true },
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'h1Count', label: 'H1', numeric: true },
+  { key: 'canonical', label: 'Canonical' },
+  { key: 'words', label: 'Words', numeric: true },
+  { key: 'status', label: 'Status' }
+];
+
+let rows = [];
+let sortState = { key: null, dir: 1 };
+let running = false;
+let stopRequested = false;
+let batchConfig = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('startBtn').addEventListener('click', startBatch);
+  document.getElementById('stopBtn').addEventListener('click', () => {
+    stopRequested = true;
+    document.getElementById('stopBtn').disabled = true;
+    setProgressText('Stopping after the pages already open...');
+  });
+  document.getElementById('csvInput').addEventListener('change', onCsvSelected);
+  document.getElementById('exportCsvBtn').addEventListener('click', exportBatchCsv);
+  document.getElementById('exportJsonBtn').addEventListener('click', exportBatchJson);
+});
+
+/**
+ * Every unique http(s) URL in pasted text or a CSV file, in order
+ */
+function extractUrls(text) {
+  const found = text.match(/https?:\/\/[^\s,;"'<>]+/gi) || [];
+  const urls = [];
+  const seen = new Set();
+  found.forEach(raw => {
+    try {
+      const url = new URL(raw).href;
+      if (!seen.has(url)) {
+        seen.add(url);
+        urls.push(url);
+      }
+    } catch (e) {
+      // Not a valid URL — skip it
+    }
+  });
+  return urls;
+}
+
+async function onCsvSelected(e) {
+  const file = e.target.files[0];
+  if (!file) return;
+  const urls = extractUrls(await file.text());
+  const input = document.getElementById('urlInput');
+  const existing = input.value.trim();
+  input.value = (existing ? existing + '\n' : '') + urls.join('\n');
+  setProgressText(`Loaded ${urls.length} URL(s) from ${file.name}`);
+  e.target.value = '';
+}
+
+async function startBatch() {
+  if (running) return;
+
+  const urls = extractUrls(document.getElementById('urlInput').value);
+  if (urls.length === 0) {
+    setProgressText('No http(s) URLs found');
+    return;
+  }
+  if (urls.length > BATCH_MAX_URLS) {
+    setProgressText(`Only the first ${BATCH_MAX_URLS} of ${urls.length} URLs will be audited`);
+    urls.length = BATCH_MAX_URLS;
+  }
+
+  const concurrencyInput = document.getElementById('concurrencyInput');
+  const concurrency = Math.min(6, Math.max(1, parseInt(concurrencyInput.value, 10) || 3));
+  concurrencyInput.value = concurrency;
+
+  batchConfig = await loadConfig();
+  rows = urls.map(url => ({ url, state: 'queued', status: 'Queued' }));
+  sortState = { key: null, dir: 1 };
+  running = true;
+  stopRequested = false;
+  setRunning(true);
+  renderTable();
+  updateProgress();
+
+  // Pages open in their own unfocused window so the user's tabs stay untouched
+  let windowId = null;
+  try {
+    const win = await chrome.windows.create({ url: 'about:blank', focused: false, type: 'normal' });
+    windowId = win.id;
+
+    let next = 0;
+    const worker = async () => {
+      while (next < rows.length && !stopRequested) {
+        const row = rows[next++];
+        await auditRow(row, windowId);
+        updateProgress();
+        renderTable();
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, rows.length) }, worker));
+  } catch (e) {
+    setProgressText('Batch failed: ' + e.message);
+  } finally {
+    if (windowId != null) chrome.windows.remove(windowId).catch(() => {});
+    rows.filter(r => r.state === 'queued').forEach(r => { r.status = 'Skipped'; });
+    running = false;
+    setRunning(false);
+    renderTable();
+    updateProgress();
+  }
+}
+
+/**
+ * Open one URL in a background tab, run the content-script analysis, close the tab
+ */
+async function auditRow(row, windowId) {
+  row.state = 'running';
+  row.status = 'Loading...';
+  renderTable();
+
+  let tabId = null;
+  try {
+    const tab = await chrome.tabs.create({ windowId, url: row.url, active: false });
+    tabId = tab.id;
+    const loaded = await waitForTabLoad(tabId);
+
+    // An error page loads like any other; only the response status tells them apart
+    const response = await getTabHttpResponse(tabId, loaded.finalUrl || row.url);
+    row.httpStatus = response ? response.status : null;
+    if (row.httpStatus >= 400) throw new Error(`HTTP ${row.httpStatus}`);
+
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: getContentScriptFiles()
+    });
+    const data = await chrome.tabs.sendMessage(tabId, { action: 'analyze' });
+    if (!data) throw new Error('No response from page');
+
+    const score = computeOverallScore(data, batchConfig);
+    Object.assign(row, summarizeAnalysis(data, score));
+    row.state = 'done';
+    row.status = loaded.finalUrl && loaded.finalUrl.split('#')[0] !== row.url.split('#')[0]
+      ? `Redirected → ${loaded.finalUrl}`
+      : loaded.timedOut ? 'OK (still loading after 30s)' : 'OK';
+    row.data = data;
+
+    saveToHistory(data, score).catch(e => console.error('Could not save batch result to history:', e));
+  } catch (e) {
+    row.state = 'failed';
+    row.status = 'Failed: ' + (e.message || 'Unknown error');
+  } finally {
+    if (tabId != null) chrome.tabs.remove(tabId).catch(() => {});
+  }
+}
+
+/**
+ * The tab's main document response as captured by the service worker
+ * (http-headers.js); null when it cannot be read
+ */
+async function getTabHttpResponse(tabId, url) {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getHttpResponse', tabId, url });
+    return response && !response.error ? response.result : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolve once the tab finishes loading (or after the timeout)
+ */
+function waitForTabLoad(tabId) {
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = (timedOut) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(onUpdated);
+      chrome.tabs.get(tabId)
+        .then(tab => resolve({ timedOut, finalUrl: tab.url }))
+        .catch(() => resolve({ timedOut, finalUrl: null }));
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === 'complete') finish(false);
+    };
+    const timer = setTimeout(() => finish(true), BATCH_LOAD_TIMEOUT_MS);
+    chrome.tabs.onUpdated.addListener(onUpdated);
+
+    // Fast pages can finish before the listener is attached
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete' && tab.url !== 'about:blank') finish(false);
+    }).catch(() => {});
+  });
+}
+
+/**
+ * The columns shown in the table, read from a full analysis
+ */
+function summarizeAnalysis(data, score) {
+  const meta = key => {
+    const item = data.meta.items.find(i => i.key === key);
+    return item && item.value !== '(missing)' ? item.value : '';
+  };
+  return {
+    score,
+    title: meta('title'),
+    description: meta('description'),
+    h1Count: data.headings.stats.h1,
+    canonical: meta('canonical'),
+    words: data.content.stats.words
+  };
+}
+
+function setRunning(isRunning) {
+  document.getElementById('startBtn').disabled = isRunning;
+  document.getElementById('stopBtn').disabled = !isRunning;
+  const done = rows.some(r => r.state === 'done');
+  document.getElementById('exportCsvBtn').disabled = isRunning || !done;
+  document.getElementById('exportJsonBtn').disabled = isRunning || !done;
+}
+
+function updateProgress() {
+  const finished = rows.filter(r => r.state === 'done' || r.state === 'failed').length;
+  const failed = rows.filter(r => r.state === 'failed').length;
+  const pct = rows.length > 0 ? Math.round(finished / rows.length * 100) : 0;
+  document.getElementById('progressBar').style.width = pct + '%';
+  if (running && stopRequested) return;
+  setProgressText(rows.length > 0
+    ? `${finished} of ${rows.length} analyzed${failed > 0 ? ` · ${failed} failed` : ''}${running ? '' : ' · done'}`
+    : '');
+}
+
+function setProgressText(text) {
+  document.getElementById('progressText').textContent = text;
+}
+
+/**
+ * Rows in the current sort order; empty values always sort last
+ */
+function getSortedRows() {
+  if (!sortState.key) return rows;
+  const column = BATCH_COLUMNS.find(c => c.key === sortState.key);
+  return rows.slice().sort((a, b) => {
+    const va = a[column.key];
+    const vb = b[column.key];
+    const emptyA = va == null || va === '';
+    const emptyB = vb == null || vb === '';
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : emptyA ? 1 : -1;
+    const cmp = column.numeric ? va - vb : String(va).localeCompare(String(vb));
+    return cmp * sortState.dir;
+  });
+}
+
+function renderTable() {
+  const container = document.getElementById('results');
+  if (rows.length === 0) {
+    container.innerHTML = '<div class="empty">No batch run yet.</div>';
+    return;
+  }
+
+  let html = '<table><thead><tr>';
+  BATCH_COLUMNS.forEach(c => {
+    const arrow = sortState.key === c.key ? `<span class="arrow">${sortState.dir === 1 ? '▲' : '▼'}</span>` : '';
+    html += `<th data-sort="${c.key}">${c.label}${arrow}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  getSortedRows().forEach(r => {
+    const statusClass = r.state === 'failed' ? 'bad' : r.state === 'done' ? (r.status === 'OK' ? 'good' : 'warn') : 'muted';
+    html += `<tr>
+      <td class="url-cell" title="${escapeHtml(r.url)}"><a href="${escapeHtml(r.url)}" target="_blank" rel="noopener">${escapeHtml(r.url.replace(/^https?:\/\//, ''))}</a></td>
+      <td class="${r.httpStatus >= 400 ? 'bad' : r.httpStatus >= 300 ? 'warn' : r.httpStatus == null ? 'muted' : ''}">${r.httpStatus != null ? r.httpStatus : '-'}</td>
+      <td>${scoreBadge(r.score)}</td>
+      <td class="text-cell" title="${escapeHtml(r.title || '')}">${textCell(r, 'title')}</td>
+      <td class="text-cell" title="${escapeHtml(r.description || '')}">${textCell(r, 'description')}</td>
+      <td class="${r.h1Count === 1 ? '' : r.h1Count == null ? 'muted' : 'warn'}">${r.h1Count != null ? r.h1Count : '-'}</td>
+      <td class="text-cell" title="${escapeHtml(r.canonical || '')}">${textCell(r, 'canonical')}</td>
+      <td>${r.words != null ? r.words.toLocaleString() : '-'}</td>
+      <td class="text-cell ${statusClass}" title="${escapeHtml(r.status)}">${escapeHtml(r.status)}</td>
+    </tr>`;
+  });
+
+  html += '</tbody></table>';
+  container.innerHTML = html;
+
+  container.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => {
+      const key = th.dataset.sort;
+      sortState = { key, dir: sortState.key === key ? -sortState.dir : 1 };
+      renderTable();
+    });
+  });
+}
+
+function textCell(row, key) {
+  if (row.state !== 'done') return '<span class="muted">-</span>';
+  return row[key] ? escapeHtml(row[key]) : '<span class="bad">(missing)</span>';
+}
+
+function exportBatchCsv() {
+  const header = BATCH_COLUMNS.map(c => csvCell(c.label)).join(',');
+  const lines = getSortedRows().map(r => BATCH_COLUMNS.map(c => csvCell(r[c.key])).join(','));
+  downloadFile('\uFEFF' + [header, ...lines].join('\r\n'), getBatchFilename('csv'), 'text/csv;charset=utf-8');
+}
+
+function exportBatchJson() {
+  const results = rows.map(r => ({
+    url: r.url,
+    httpStatus: r.httpStatus != null ? r.httpStatus : null,
+    status: r.status,
+    overallScore: r.score != null ? r.score : null,
+    analysis: r.data || null
+  }));
+  downloadFile(JSON.stringify({ generated: new Date().toISOString(), results }, null, 2), getBatchFilename('json'), 'application/json');
+}
+
+function getBatchFilename(extension) {
+  return `seo-batch-audit-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function scoreBadge(score) {
+  if (score == null) return '-';
+  const scoreClass = score >= 80 ? 'score-good' : score >= 50 ? 'score-ok' : 'score-bad';
+  return `<span class="score-badge ${scoreClass}">${score}%</span>`;
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
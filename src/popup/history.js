@@ -0,0 +1,213 @@
+/**
+ * SEO Analyzer - History Page
+ * Lists locally stored analyses per domain and URL, with a timeline per URL
+ */
+
+let activeDomain = null;
+let activeUrlKey = null;
+
+document.addEventListener('DOMContentLoaded', () => {
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('url')) {
+    activeUrlKey = normalizeHistoryUrl(params.get('url'));
+    activeDomain = getHistoryDomain(params.get('url')) || null;
+  }
+
+  document.getElementById('refreshBtn').addEventListener('click', loadHistory);
+  document.getElementById('clearBtn').addEventListener('click', onClearHistory);
+  document.getElementById('retention').textContent =
+    `Stored locally in this browser. Keeps the last ${HISTORY_MAX_PER_URL} runs per URL, ` +
+    `up to ${HISTORY_MAX_ENTRIES.toLocaleString()} runs in total, for ${HISTORY_MAX_AGE_DAYS} days.`;
+
+  loadHistory();
+});
+
+/**
+ * Load domains, URL summaries and (if selected) the URL timeline
+ */
+async function loadHistory() {
+  try {
+    const [domains, urls] = await Promise.all([getHistoryDomains(), getHistoryUrls(activeDomain)]);
+
+    // Selected domain may have been cleared
+    if (activeDomain && !domains.some(d => d.domain === activeDomain)) {
+      activeDomain = null;
+      return loadHistory();
+    }
+
+    renderStats(domains, urls);
+    renderDomains(domains);
+    renderUrlTable(urls);
+
+    if (activeUrlKey && urls.some(u => u.urlKey === activeUrlKey)) {
+      await renderTimeline(urls.find(u => u.urlKey === activeUrlKey).url);
+    } else {
+      activeUrlKey = null;
+      document.getElementById('timeline').innerHTML = '';
+    }
+  } catch (e) {
+    document.getElementById('content').innerHTML = `<div class="empty">Failed to read local history: ${escapeHtml(e.message || String(e))}</div>`;
+  }
+}
+
+function renderStats(domains, urls) {
+  const totalRuns = domains.reduce((s, d) => s + d.count, 0);
+  const scored = urls.filter(u => u.lastScore != null);
+  const avgScore = scored.length > 0
+    ? Math.round(scored.reduce((s, u) => s + u.lastScore, 0) / scored.length)
+    : 0;
+  document.getElementById('statsBar').innerHTML = `
+    <div class="stat-card"><div class="value">${totalRuns}</div><div class="label">Runs</div></div>
+    <div class="stat-card"><div class="value">${domains.length}</div><div class="label">Domains</div></div>
+    <div class="stat-card"><div class="value">${avgScore}%</div><div class="label">Avg Latest Score</div></div>
+  `;
+  document.getElementById('clearBtn').textContent = activeDomain ? `Clear ${activeDomain}` : 'Clear history';
+}
+
+function renderDomains(domains) {
+  if (domains.length === 0) { document.getElementById('domainFilter').innerHTML = ''; return; }
+  const total = domains.reduce((s, d) => s + d.count, 0);
+  let html = '<h2>Domains</h2><div class="domain-chips">';
+  html += `<div class="domain-chip ${!activeDomain ? 'active' : ''}" data-domain="">All<span class="count">(${total})</span></div>`;
+  domains.forEach(d => {
+    html += `<div class="domain-chip ${activeDomain === d.domain ? 'active' : ''}" data-domain="${escapeHtml(d.domain)}">${escapeHtml(d.domain)}<span class="count">(${d.count})</span></div>`;
+  });
+  html += '</div>';
+  document.getElementById('domainFilter').innerHTML = html;
+
+  document.querySelectorAll('.domain-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      activeDomain = chip.dataset.domain || null;
+      activeUrlKey = null;
+      loadHistory();
+    });
+  });
+}
+
+function renderUrlTable(urls) {
+  if (urls.length === 0) {
+    document.getElementById('content').innerHTML = '<div class="empty">No analyses stored yet. Open the extension on any page to start building history.</div>';
+    return;
+  }
+
+  let html = `<table><thead><tr>
+    <th>URL</th><th>Runs</th><th>Latest Score</th><th>Last Analyzed</th>
+  </tr></thead><tbody>`;
+
+  urls.forEach(u => {
+    const delta = u.lastScore != null && u.previousScore != null ? u.lastScore - u.previousScore : 0;
+    const deltaHtml = delta !== 0
+      ? `<span class="delta ${delta > 0 ? 'delta-up' : 'delta-down'}">${delta > 0 ? '▲' : '▼'} ${Math.abs(delta)}</span>`
+      : '';
+    const shortUrl = u.url.replace(/^https?:\/\//, '').substring(0, 70);
+
+    html += `<tr class="url-row ${u.urlKey === activeUrlKey ? 'active' : ''}" data-url-key="${escapeHtml(u.urlKey)}">
+      <td class="url-cell" title="${escapeHtml(u.url)}">${escapeHtml(shortUrl)}</td>
+      <td>${u.runs}</td>
+      <td>${scoreBadge(u.lastScore)}${deltaHtml}</td>
+      <td class="time-ago">${timeAgo(u.lastTimestamp)}</td>
+    </tr>`;
+  });
+
+  html += '</tbody></table>';
+  document.getElementById('content').innerHTML = html;
+
+  document.querySelectorAll('.url-row').forEach(row => {
+    row.addEventListener('click', () => {
+      activeUrlKey = row.dataset.urlKey;
+      loadHistory();
+    });
+  });
+}
+
+/**
+ * Timeline of every stored run for one URL
+ */
+async function renderTimeline(url) {
+  const runs = await getHistoryForUrl(url);
+  const timelineEl = document.getElementById('timeline');
+
+  // Oldest → newest for the bar chart
+  const bars = runs.slice().reverse().map(r => {
+    const score = r.overallScore || 0;
+    return `<div style="height:${Math.max(5, score)}%" title="${score}% — ${new Date(r.timestamp).toLocaleString()}"></div>`;
+  }).join('');
+
+  let html = `<h2>Timeline — <a href="${escapeHtml(url)}" target="_blank" rel="noopener" style="color:#60a5fa;text-decoration:none;">${escapeHtml(url)}</a></h2>
+    <div class="spark">${bars}</div>
+    <table><thead><tr>
+      <th>When</th><th>Score</th><th>Meta</th><th>Headings</th><th>Images</th><th>Links</th><th>Schema</th><th>Words</th><th>LCP</th><th>CLS</th><th></th>
+    </tr></thead><tbody>`;
+
+  runs.forEach(r => {
+    const d = r.data || {};
+    const words = d.content?.stats?.words != null ? d.content.stats.words.toLocaleString() : '-';
+
+    const lcp = d.webVitals?.lcp;
+    const lcpStr = lcp != null ? (lcp / 1000).toFixed(1) + 's' : '-';
+    const lcpClass = lcp == null ? '' : lcp <= 2500 ? 'cwv-good' : lcp <= 4000 ? 'cwv-warn' : 'cwv-bad';
+
+    const cls = d.webVitals?.cls;
+    const clsStr = cls != null ? cls.toString() : '-';
+    const clsClass = cls == null ? '' : cls <= 0.1 ? 'cwv-good' : cls <= 0.25 ? 'cwv-warn' : 'cwv-bad';
+
+    html += `<tr>
+      <td class="time-ago" title="${new Date(r.timestamp).toLocaleString()}">${new Date(r.timestamp).toLocaleString()}</td>
+      <td>${scoreBadge(r.overallScore)}</td>
+      <td>${sectionScore(d.meta)}</td>
+      <td>${sectionScore(d.headings)}</td>
+      <td>${sectionScore(d.images)}</td>
+      <td>${sectionScore(d.links)}</td>
+      <td>${sectionScore(d.schema)}</td>
+      <td>${words}</td>
+      <td class="cwv-cell ${lcpClass}">${lcpStr}</td>
+      <td class="cwv-cell ${clsClass}">${clsStr}</td>
+      <td><button class="row-btn" data-delete-id="${r.id}" title="Delete this run">✕</button></td>
+    </tr>`;
+  });
+
+  html += '</tbody></table>';
+  timelineEl.innerHTML = html;
+
+  timelineEl.querySelectorAll('[data-delete-id]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await deleteHistoryEntry(Number(btn.dataset.deleteId));
+      loadHistory();
+    });
+  });
+}
+
+async function onClearHistory() {
+  const scope = activeDomain ? `all history for ${activeDomain}` : 'all stored history';
+  if (!confirm(`Delete ${scope}? This cannot be undone.`)) return;
+  await clearHistory(activeDomain);
+  activeUrlKey = null;
+  loadHistory();
+}
+
+function scoreBadge(score) {
+  if (score == null) return '-';
+  const scoreClass = score >= 80 ? 'score-good' : score >= 50 ? 'score-ok' : 'score-bad';
+  return `<span class="score-badge ${scoreClass}">${score}%</span>`;
+}
+
+function sectionScore(section) {
+  return section && section.score != null ? section.score + '%' : '-';
+}
+
+function timeAgo(timestamp) {
+  const diff = Date.now() - timestamp;
+  const mins = Math.floor(diff / 60000);
+  if (mins < 1) return 'just now';
+  if (mins < 60) return mins + 'm ago';
+  const hrs = Math.floor(mins / 60);
+  if (hrs < 24) return hrs + 'h ago';
+  const days = Math.floor(hrs / 24);
+  return days + 'd ago';
+}
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
@@ -0,0 +1,133 @@
+/**
+ * SEO Analyzer - Options Page
+ * Edits thresholds and overall-score weights in chrome.storage.sync
+ */
+
+// Labels and hints for each threshold field, in display order
+const THRESHOLD_FIELDS = [
+  { key: 'titleMin', label: 'Title — minimum length', unit: 'chars' },
+  { key: 'titleMax', label: 'Title — maximum length', unit: 'chars' },
+  { key: 'descriptionMin', label: 'Meta description — minimum length', unit: 'chars' },
+  { key: 'descriptionMax', label: 'Meta description — maximum length', unit: 'chars' },
+  { key: 'contentMinWords', label: 'Word count for full content score', unit: 'words' },
+  { key: 'contentThinWords', label: 'Word count below which content is thin', unit: 'words' },
+  { key: 'readabilityTarget', label: 'Target reading ease (Flesch scale, any language)', unit: '0–100' }
+];
+
+let config = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  config = await loadConfig();
+  render();
+
+  document.getElementById('saveBtn').addEventListener('click', onSave);
+  document.getElementById('resetBtn').addEventListener('click', onReset);
+  document.getElementById('sections').addEventListener('input', () => {
+    readForm();
+    renderShares();
+  });
+});
+
+function render() {
+  const defaults = getDefaultConfig();
+
+  document.getElementById('thresholds').innerHTML = THRESHOLD_FIELDS.map(f => `
+    <div class="field">
+      <div>
+        <div>${f.label}</div>
+        <div class="desc">Default: ${defaults.thresholds[f.key]} ${f.unit}</div>
+      </div>
+      <input type="number" min="0" step="1" data-threshold="${f.key}" value="${config.thresholds[f.key]}">
+    </div>
+  `).join('');
+
+  document.getElementById('sections').innerHTML = Object.entries(config.sections).map(([key, s]) => `
+    <tr>
+      <td>${s.label}</td>
+      <td><input type="checkbox" data-enabled="${key}" ${s.enabled ? 'checked' : ''}></td>
+      <td><input type="number" min="0" step="0.5" data-weight="${key}" value="${s.weight}"></td>
+      <td class="share" data-share="${key}"></td>
+    </tr>
+  `).join('');
+
+  document.getElementById('robotsAgents').value = config.robotsUserAgents.join(', ');
+  document.getElementById('fieldVitals').checked = config.fieldVitals;
+
+  renderShares();
+}
+
+/**
+ * Show each section's effective share of the overall score
+ */
+function renderShares() {
+  const active = Object.values(config.sections).filter(s => s.enabled && s.weight > 0);
+  const total = active.reduce((sum, s) => sum + s.weight, 0);
+  Object.entries(config.sections).forEach(([key, s]) => {
+    const el = document.querySelector(`[data-share="${key}"]`);
+    if (!el) return;
+    el.textContent = s.enabled && s.weight > 0 && total > 0 ? `${Math.round(s.weight / total * 100)}%` : '—';
+  });
+}
+
+/**
+ * Copy form values into the in-memory config
+ */
+function readForm() {
+  document.querySelectorAll('[data-threshold]').forEach(input => {
+    const value = parseFloat(input.value);
+    if (isFinite(value)) config.thresholds[input.dataset.threshold] = value;
+  });
+  document.querySelectorAll('[data-enabled]').forEach(input => {
+    config.sections[input.dataset.enabled].enabled = input.checked;
+  });
+  document.querySelectorAll('[data-weight]').forEach(input => {
+    const value = parseFloat(input.value);
+    if (isFinite(value) && value >= 0) config.sections[input.dataset.weight].weight = value;
+  });
+  config.robotsUserAgents = document.getElementById('robotsAgents').value
+    .split(',')
+    .map(a => a.trim())
+    .filter(Boolean);
+  config.fieldVitals = document.getElementById('fieldVitals').checked;
+}
+
+/**
+ * Reject configs that would make every page fail or divide by zero
+ */
+function validate() {
+  const t = config.thresholds;
+  if (t.titleMin > t.titleMax) return 'Title minimum must not exceed the maximum';
+  if (t.descriptionMin > t.descriptionMax) return 'Description minimum must not exceed the maximum';
+  if (t.contentThinWords > t.contentMinWords) return 'Thin-content word count must not exceed the full-score word count';
+  if (t.readabilityTarget < 0 || t.readabilityTarget > 100) return 'Readability target must be between 0 and 100';
+  if (!Object.values(config.sections).some(s => s.enabled && s.weight > 0)) return 'At least one section must count toward the overall score';
+  return null;
+}
+
+async function onSave() {
+  readForm();
+  const error = validate();
+  if (error) return showStatus(error, true);
+
+  try {
+    config = await saveConfig(config);
+    render();
+    showStatus('Saved');
+  } catch (e) {
+    showStatus('Could not save: ' + e.message, true);
+  }
+}
+
+async function onReset() {
+  config = await resetConfig();
+  render();
+  showStatus('Defaults restored');
+}
+
+function showStatus(message, isError) {
+  const el = document.getElementById('status');
+  el.textContent = message;
+  el.className = 'status' + (isError ? ' error' : '');
+  clearTimeout(showStatus.timer);
+  showStatus.timer = setTimeout(() => { el.textContent = ''; }, 3000);
+}
@@ -10,6 +10,10 @@ const errorEl = document.getElementById('error');
 const errorDetailEl = document.getElementById('errorDetail');
 const overallScoreEl = document.getElementById('overallScore');
 let currentTabUrl = '';
+let currentTabId = null;
+let currentResults = null;
+let currentOverallScore = null;
+let currentConfig = null;
 
 // Start analysis when popup opens
 document.addEventListener('DOMContentLoaded', () => {
@@ -23,6 +27,37 @@ document.addEventListener('DOMContentLoaded', () => {
       chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/dashboard.html') });
     });
   }
+
+  initExportMenu();
+
+  // Options button
+  const optionsBtn = document.getElementById('optionsBtn');
+  if (optionsBtn) {
+    optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  }
+
+  // Overlay button — outlines offending elements on the page
+  const overlayBtn = document.getElementById('overlayBtn');
+  if (overlayBtn) {
+    overlayBtn.addEventListener('click', toggleOverlay);
+  }
+
+  // History button — opens the local history page focused on this tab's URL
+  const historyBtn = document.getElementById('historyBtn');
+  if (historyBtn) {
+    historyBtn.addEventListener('click', () => {
+      const query = currentTabUrl ? `?url=${encodeURIComponent(currentTabUrl)}` : '';
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/history.html') + query });
+    });
+  }
+
+  // Batch button — audit a pasted list of URLs
+  const batchBtn = document.getElementById('batchBtn');
+  if (batchBtn) {
+    batchBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('src/popup/batch.html') });
+    });
+  }
 });
 
 /**
@@ -41,6 +76,67 @@ async function initDataToggle() {
   });
 }
 
+/**
+ * Initialize export menu (JSON / CSV / HTML report)
+ */
+function initExportMenu() {
+  const btn = document.getElementById('exportBtn');
+  const options = document.getElementById('exportOptions');
+  if (!btn || !options) return;
+
+  btn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    if (!currentResults) return;
+    options.classList.toggle('hidden');
+  });
+
+  options.addEventListener('click', async (e) => {
+    const option = e.target.closest('[data-export]');
+    if (!option || !currentResults) return;
+    options.classList.add('hidden');
+    try {
+      await exportAnalysis(option.dataset.export, currentResults, resultsEl, currentOverallScore);
+    } catch (err) {
+      console.error('Export failed:', err);
+    }
+  });
+
+  // Close when clicking anywhere else
+  document.addEventListener('click', (e) => {
+    if (!e.target.closest('#exportMenu')) options.classList.add('hidden');
+  });
+}
+
+/**
+ * Toggle the on-page issue overlay in the analyzed tab
+ */
+async function toggleOverlay() {
+  if (currentTabId == null) return;
+  const btn = document.getElementById('overlayBtn');
+  try {
+    const state = await chrome.tabs.sendMessage(currentTabId, { action: 'toggleOverlay' });
+    if (btn && state) {
+      btn.classList.toggle('active', state.active);
+      btn.title = state.active ? `Hide highlights (${state.count} issues)` : 'Highlight issues on page';
+    }
+  } catch (e) {
+    console.error('Overlay toggle failed:', e);
+  }
+}
+
+/**
+ * Toggle the outline around the detected main content in the analyzed tab
+ */
+async function toggleMainContentHighlight(btn) {
+  if (currentTabId == null) return;
+  try {
+    const state = await chrome.tabs.sendMessage(currentTabId, { action: 'toggleMainContent' });
+    if (btn && state) btn.textContent = state.active ? 'Hide highlight' : 'Highlight on page';
+  } catch (e) {
+    console.error('Main content highlight failed:', e);
+  }
+}
+
 /**
  * Start the page analysis
  */
@@ -55,6 +151,7 @@ async function startAnalysis() {
     
     // Check if we can analyze this URL
     currentTabUrl = tab.url;
+    currentTabId = tab.id;
 
     if (tab.url.startsWith('chrome://') || 
         tab.url.startsWith('chrome-extension://') ||
@@ -67,12 +164,15 @@ async function startAnalysis() {
     try {
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['src/content/analyzer.js']
+        files: getContentScriptFiles()
       });
     } catch (e) {
       // Script might already be injected, continue
     }
 
+    // Thresholds and weights from the options page
+    currentConfig = await loadConfig();
+
     // Request analysis
     const results = await chrome.tabs.sendMessage(tab.id, { action: 'analyze' });
     
@@ -95,42 +195,52 @@ function displayResults(data) {
   loadingEl.classList.add('hidden');
   resultsEl.classList.remove('hidden');
   
-  // Calculate overall score
-  const scores = [
-    data.meta.score,
-    data.headings.score,
-    data.images.score,
-    data.links.score,
-    data.schema.score,
-    data.content.score,
-    data.readability.score
-  ];
-  const overallScore = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+  // Calculate overall score — weighted per the options page
+  const overallScore = computeOverallScore(data, currentConfig);
   
   // Set overall score
   overallScoreEl.textContent = `${overallScore}%`;
   overallScoreEl.className = 'score-badge ' + getScoreClass(overallScore);
+
+  // Keep for export
+  currentResults = data;
+  currentOverallScore = overallScore;
+  const exportBtn = document.getElementById('exportBtn');
+  if (exportBtn) exportBtn.disabled = false;
   
   // Render each section
-  renderContentSection(data.content);
+  renderContentSection(data.content, data.mainContent);
   renderReadabilitySection(data.readability);
   renderNgramsSection(data.ngrams);
   renderMetaSection(data.meta);
+  if (data.canonical) renderCanonicalSection(data);
   renderHeadingsSection(data.headings);
   renderImagesSection(data.images);
+  if (data.imageOptimization) renderImageOptimizationSection(data.imageOptimization);
+  if (data.accessibility) renderAccessibilitySection(data.accessibility);
+  if (data.mobile) renderMobileSection(data.mobile);
   renderLinksSection(data.links);
   renderSchemaSection(data.schema);
+  loadHttpResponseSection(data);
+  loadRobotsSection(data);
+  renderSitemapSection(data);
+  renderRenderingSection(data);
   
   // Open first section by default
   document.querySelector('.section').classList.add('open');
 
   // Render new sections
-  if (data.webVitals) renderWebVitalsSection(data.webVitals);
+  if (data.webVitals) {
+    renderWebVitalsSection(data.webVitals);
+    loadFieldVitalsSection(data.url);
+  }
   if (data.performance) renderPerformanceSection(data.performance);
+  if (data.resources) renderResourcesSection(data.resources);
   if (data.textToHtml) renderTextToHtmlSection(data.textToHtml);
   if (data.socialCards) renderSocialCardsSection(data.socialCards);
-  if (data.hreflang) renderHreflangSection(data.hreflang);
+  if (data.hreflang) renderHreflangSection(data);
   if (data.schemaValidation) renderSchemaValidationSection(data.schemaValidation);
+  if (data.richResults) renderRichResultsSection(data.richResults);
   if (data.lazyImages) renderLazyImagesSection(data.lazyImages);
   if (data.mixedContent) renderMixedContentSection(data.mixedContent);
   if (data.iframes) renderIframesSection(data.iframes);
@@ -140,6 +250,13 @@ function displayResults(data) {
   if (data.aboveFold) renderAboveFoldSection(data.aboveFold);
   if (data.tocNavigation) renderTocSection(data.tocNavigation);
 
+  // Save to local history (works with data sharing off)
+  if (typeof saveToHistory === 'function') {
+    saveToHistory(data, overallScore).catch(e => {
+      console.warn('SEO Analyzer: Could not save history', e);
+    });
+  }
+
   // Send data to API (fire and forget)
   if (typeof sendAnalysis === 'function') {
     sendAnalysis(data);
@@ -149,9 +266,12 @@ function displayResults(data) {
 /**
  * Render Content (word/character count) section
  */
-function renderContentSection(data) {
+function renderContentSection(data, mainContent) {
   const scoreEl = document.getElementById('contentScore');
   const contentEl = document.getElementById('contentContent');
+  const t = (currentConfig || getDefaultConfig()).thresholds;
+  const titleOk = data.title.characters >= t.titleMin && data.title.characters <= t.titleMax;
+  const descOk = data.description.characters >= t.descriptionMin && data.description.characters <= t.descriptionMax;
   
   scoreEl.textContent = `${data.stats.words.toLocaleString()} words`;
   scoreEl.className = 'section-score ' + getScoreClass(data.score);
@@ -181,17 +301,37 @@ function renderContentSection(data) {
         <div class="item-label">Characters (no spaces): ${data.stats.charactersNoSpaces.toLocaleString()}</div>
       </div>
     </div>
+  `;
+
+  // Figures above are for the main content; show where it is and what the whole page adds
+  if (mainContent) {
+    const methods = { main: '<main> element', 'role=main': 'role="main"', article: '<article> element', density: 'text density', body: 'whole page (no main region found)' };
+    html += `
+      <div class="item">
+        <div class="item-status info">ℹ</div>
+        <div class="item-content">
+          <div class="item-label">Main content: ${escapeHtml(methods[mainContent.method] || mainContent.method)}</div>
+          <div class="item-value">
+            ${data.fullPage ? `${Math.round(mainContent.share * 100)}% of the page text — full page: ${data.fullPage.words.toLocaleString()} words, ${data.fullPage.sentences.toLocaleString()} sentences` : 'Word counts cover the whole page'}
+          </div>
+          <div style="margin-top: 6px;"><button class="action-btn" id="highlightMainContentBtn">Highlight on page</button></div>
+        </div>
+      </div>
+    `;
+  }
+
+  html += `
     <div class="item">
-      <div class="item-status ${data.title.characters >= 30 && data.title.characters <= 60 ? 'pass' : 'warn'}">
-        ${data.title.characters >= 30 && data.title.characters <= 60 ? '✓' : '!'}
+      <div class="item-status ${titleOk ? 'pass' : 'warn'}">
+        ${titleOk ? '✓' : '!'}
       </div>
       <div class="item-content">
         <div class="item-label">Title: ${data.title.words} words, ${data.title.characters} chars</div>
       </div>
     </div>
     <div class="item">
-      <div class="item-status ${data.description.characters >= 120 && data.description.characters <= 160 ? 'pass' : 'warn'}">
-        ${data.description.characters >= 120 && data.description.characters <= 160 ? '✓' : '!'}
+      <div class="item-status ${descOk ? 'pass' : 'warn'}">
+        ${descOk ? '✓' : '!'}
       </div>
       <div class="item-content">
         <div class="item-label">Meta Description: ${data.description.words} words, ${data.description.characters} chars</div>
@@ -200,13 +340,13 @@ function renderContentSection(data) {
   `;
 
   // Thin content warning
-  if (data.stats.words < 300) {
+  if (data.stats.words < t.contentMinWords) {
     html += `
       <div class="item">
         <div class="item-status warn">!</div>
         <div class="item-content">
-          <div class="item-label">Thin content — under 300 words</div>
-          <div class="item-value">Search engines generally prefer pages with 300+ words of substantive content</div>
+          <div class="item-label">Thin content — under ${t.contentMinWords} words</div>
+          <div class="item-value">Search engines generally prefer pages with ${t.contentMinWords}+ words of substantive content</div>
         </div>
       </div>
     `;
@@ -222,6 +362,8 @@ function renderContentSection(data) {
   `;
   
   contentEl.innerHTML = html;
+  const highlightBtn = document.getElementById('highlightMainContentBtn');
+  if (highlightBtn) highlightBtn.addEventListener('click', () => toggleMainContentHighlight(highlightBtn));
 }
 
 /**
@@ -237,7 +379,7 @@ function renderReadabilitySection(data) {
     contentEl.innerHTML = `
       <div class="item">
         <div class="item-status info">ℹ</div>
-        <div class="item-content"><div class="item-label">${data.message}</div></div>
+        <div class="item-content"><div class="item-label">${escapeHtml(data.message)}</div></div>
       </div>
     `;
     return;
@@ -246,29 +388,41 @@ function renderReadabilitySection(data) {
   scoreEl.textContent = `${data.score}%`;
   scoreEl.className = 'section-score ' + getScoreClass(data.score);
 
-  // Flesch ease label
-  let easeLabel, easeStatus;
-  if (data.fleschEase >= 80) { easeLabel = 'Very Easy (conversational)'; easeStatus = 'pass'; }
-  else if (data.fleschEase >= 60) { easeLabel = 'Standard (good for web)'; easeStatus = 'pass'; }
-  else if (data.fleschEase >= 40) { easeLabel = 'Somewhat Difficult'; easeStatus = 'warn'; }
-  else if (data.fleschEase >= 20) { easeLabel = 'Difficult (academic)'; easeStatus = 'warn'; }
-  else { easeLabel = 'Very Difficult'; easeStatus = 'fail'; }
-
-  // Grade label
-  let gradeLabel;
-  if (data.fleschKincaid <= 6) gradeLabel = 'Elementary';
-  else if (data.fleschKincaid <= 8) gradeLabel = 'Middle School';
-  else if (data.fleschKincaid <= 12) gradeLabel = 'High School';
-  else gradeLabel = 'College+';
+  const target = (currentConfig || getDefaultConfig()).thresholds.readabilityTarget;
+
+  // Reading ease label (all formulas share Flesch's 0–100 scale) — status is relative to the configured target
+  let easeLabel;
+  if (data.fleschEase >= 80) easeLabel = 'Very Easy (conversational)';
+  else if (data.fleschEase >= 60) easeLabel = 'Standard (good for web)';
+  else if (data.fleschEase >= 40) easeLabel = 'Somewhat Difficult';
+  else if (data.fleschEase >= 20) easeLabel = 'Difficult (academic)';
+  else easeLabel = 'Very Difficult';
+  const easeStatus = data.fleschEase >= target ? 'pass' : data.fleschEase >= 20 ? 'warn' : 'fail';
+
+  const formula = data.formula || 'Flesch Reading Ease';
+  const language = data.languageName
+    ? `${data.languageName} (${data.languageSource === 'html' ? 'from html lang' : data.languageSource === 'detected' ? 'detected from text' : 'default'})`
+    : null;
+
+  // Grade label (English only)
+  let gradeLabel = null;
+  if (data.fleschKincaid != null) {
+    if (data.fleschKincaid <= 6) gradeLabel = 'Elementary';
+    else if (data.fleschKincaid <= 8) gradeLabel = 'Middle School';
+    else if (data.fleschKincaid <= 12) gradeLabel = 'High School';
+    else gradeLabel = 'College+';
+  }
+
+  const otherFormulas = (data.formulas || []).filter(f => f.name !== formula && f.key !== 'fleschKincaid');
 
   contentEl.innerHTML = `
     <div class="stats-grid">
       <div class="stat">
         <div class="stat-value">${data.fleschEase}</div>
-        <div class="stat-label">Flesch Ease</div>
+        <div class="stat-label">Reading Ease</div>
       </div>
       <div class="stat">
-        <div class="stat-value">${data.fleschKincaid}</div>
+        <div class="stat-value">${data.fleschKincaid != null ? data.fleschKincaid : '—'}</div>
         <div class="stat-label">Grade Level</div>
       </div>
       <div class="stat">
@@ -280,26 +434,50 @@ function renderReadabilitySection(data) {
         <div class="stat-label">Chars/Word</div>
       </div>
     </div>
+    ${language ? `
+    <div class="item">
+      <div class="item-status info">ℹ</div>
+      <div class="item-content">
+        <div class="item-label">Language: ${escapeHtml(language)}</div>
+      </div>
+    </div>` : ''}
     <div class="item">
       <div class="item-status ${easeStatus}">${getStatusIcon(easeStatus)}</div>
       <div class="item-content">
-        <div class="item-label">Flesch Reading Ease: ${data.fleschEase} — ${easeLabel}</div>
-        <div class="item-value">60+ recommended for web content. Higher = easier to read.</div>
+        <div class="item-label">${escapeHtml(formula)}: ${data.fleschEase} — ${easeLabel}</div>
+        <div class="item-value">${target}+ recommended for web content. Higher = easier to read.</div>
       </div>
     </div>
+    ${gradeLabel ? `
     <div class="item">
       <div class="item-status info">ℹ</div>
       <div class="item-content">
         <div class="item-label">Grade Level: ${data.fleschKincaid} — ${gradeLabel}</div>
         <div class="item-value">Flesch-Kincaid grade. Most web content targets 6th–8th grade.</div>
       </div>
-    </div>
+    </div>` : ''}
+    ${otherFormulas.map(f => `
+    <div class="item">
+      <div class="item-status info">ℹ</div>
+      <div class="item-content">
+        <div class="item-label">${escapeHtml(f.name)}: ${f.value}</div>
+        <div class="item-value">${f.kind === 'grade' ? 'US school grade' : 'Reading ease, 0–100. Higher = easier to read.'}</div>
+      </div>
+    </div>`).join('')}
     <div class="item">
       <div class="item-status info">ℹ</div>
       <div class="item-content">
         <div class="item-label">Avg syllables per word: ${data.syllablesPerWord}</div>
       </div>
     </div>
+    ${data.fullPage && data.fullPage.fleschEase != null ? `
+    <div class="item">
+      <div class="item-status info">ℹ</div>
+      <div class="item-content">
+        <div class="item-label">Full page: ${escapeHtml(data.fullPage.formula || formula)} ${data.fullPage.fleschEase}, ${data.fullPage.avgSentenceLen} words/sentence</div>
+        <div class="item-value">Figures above are for the main content only</div>
+      </div>
+    </div>` : ''}
   `;
 }
 
@@ -326,6 +504,10 @@ function renderNgramsSection(data) {
     </div>
   `;
 
+  if (data.fullPage) {
+    html += `<div class="item-value">Main content only — the full page has ${data.fullPage.totalWords.toLocaleString()} words, ${data.fullPage.uniqueWords.toLocaleString()} unique</div>`;
+  }
+
   // Render each n-gram group
   const groups = [
     { label: 'Top Single Words', items: data.unigrams },
@@ -385,6 +567,81 @@ function renderMetaSection(data) {
   contentEl.innerHTML = html;
 }
 
+/**
+ * Render Canonical section, with an on-demand check of the canonical target
+ */
+function renderCanonicalSection(data) {
+  const canonical = data.canonical;
+  const scoreEl = document.getElementById('canonicalScore');
+  const contentEl = document.getElementById('canonicalContent');
+
+  const failing = canonical.issues.some(i => i.type === 'fail');
+  const warning = canonical.issues.some(i => i.type === 'warn');
+  scoreEl.textContent = !canonical.canonical ? (canonical.tags.length > 0 ? '✗' : 'None')
+    : canonical.selfReferencing ? 'Self' : canonical.crossDomain ? 'Cross-domain' : 'Other URL';
+  scoreEl.className = 'section-score ' + (failing ? 'bad' : warning ? 'warning' : 'good');
+
+  let html = '';
+  if (canonical.canonical) {
+    html += `
+      <div class="item">
+        <div class="item-status ${canonical.selfReferencing ? 'pass' : 'info'}">${canonical.selfReferencing ? '✓' : 'ℹ'}</div>
+        <div class="item-content">
+          <div class="item-label">${canonical.selfReferencing ? 'Self-referencing canonical' : 'Canonical points elsewhere'}</div>
+          <div class="item-value ellipsis" title="${escapeHtml(canonical.canonical)}">${escapeHtml(canonical.canonical)}</div>
+          ${canonical.differences.length > 0 ? `<div class="item-value">Differs from current URL: ${escapeHtml(canonical.differences.join(', '))}</div>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  canonical.issues.filter(i => i.type !== 'pass' || !canonical.canonical).forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+
+  if (canonical.canonical) {
+    html += `
+      <div style="margin-top: 10px;">
+        <button class="action-btn" id="checkCanonicalBtn">Check canonical target</button>
+        <span class="item-value" id="checkCanonicalStatus" style="margin-left: 8px;"></span>
+      </div>
+      <div id="checkCanonicalResults"></div>
+    `;
+  }
+  contentEl.innerHTML = html;
+  if (!canonical.canonical) return;
+
+  document.getElementById('checkCanonicalBtn').addEventListener('click', async () => {
+    const btn = document.getElementById('checkCanonicalBtn');
+    const statusEl = document.getElementById('checkCanonicalStatus');
+    btn.disabled = true;
+    statusEl.textContent = 'Fetching canonical target...';
+    try {
+      canonical.target = await checkCanonicalTarget(canonical.canonical);
+      renderCanonicalTarget(canonical.target);
+      statusEl.textContent = '';
+    } catch (e) {
+      statusEl.textContent = 'Could not fetch canonical target: ' + e.message;
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+function renderCanonicalTarget(target) {
+  const resultsEl = document.getElementById('checkCanonicalResults');
+  let html = `
+    <div class="stats-grid" style="margin-top: 10px;">
+      <div class="stat"><div class="stat-value">${target.status}</div><div class="stat-label">HTTP status</div></div>
+      <div class="stat"><div class="stat-value">${target.noindex ? 'noindex' : 'index'}</div><div class="stat-label">Indexing</div></div>
+    </div>
+  `;
+  target.issues.forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+  resultsEl.innerHTML = html;
+}
+
 /**
  * Render Headings section
  */
@@ -494,16 +751,22 @@ function renderImagesSection(data) {
     `;
   });
   
-  // Show problem images first
-  const problemImages = data.items.filter(i => i.status === 'fail' || i.status === 'warn');
+  // Show problem images first, worst first; each alt-text flag at its own severity
+  const order = ['fail', 'warn', 'info'];
+  const problemImages = data.items
+    .filter(i => i.status === 'fail' || i.status === 'warn' || (i.flags && i.flags.length > 0))
+    .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
   problemImages.slice(0, 10).forEach(img => {
+    const flags = (img.flags || []).map(f => `<div class="item-value"><span class="item-status ${f.type}" style="display: inline-flex; width: 14px; height: 14px; margin-right: 4px;">${getStatusIcon(f.type)}</span>${escapeHtml(f.message)}</div>`).join('');
     html += `
       <div class="item">
         <div class="item-status ${img.status}">${getStatusIcon(img.status)}</div>
         <div class="item-content">
           <div class="item-label">${escapeHtml(img.src)}</div>
           <div class="item-value">Alt: ${escapeHtml(img.alt)}</div>
+          ${flags}
         </div>
+        ${img.selector ? `<button class="locate-btn" data-locate="${escapeHtml(img.selector)}" title="Locate on page">📍</button>` : ''}
       </div>
     `;
   });
@@ -513,6 +776,209 @@ function renderImagesSection(data) {
   }
   
   contentEl.innerHTML = html;
+  contentEl.querySelectorAll('[data-locate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.tabs.sendMessage(currentTabId, { action: 'locateElement', selector: btn.dataset.locate });
+    });
+  });
+}
+
+/**
+ * Render Image Optimization section: per-image table with sizes, format,
+ * bytes and flags, plus the estimated savings
+ */
+function renderImageOptimizationSection(data) {
+  const scoreEl = document.getElementById('imageOptimizationScore');
+  const contentEl = document.getElementById('imageOptimizationContent');
+  const kb = bytes => (bytes / 1024).toFixed(0) + ' KB';
+  const stats = data.stats;
+
+  const problems = data.items.filter(i => i.flags.some(f => f.type !== 'info')).length;
+  scoreEl.textContent = stats.savings > 0 ? `−${kb(stats.savings)}` : stats.total === 0 ? 'None' : problems === 0 ? '✓' : `${problems} issues`;
+  scoreEl.className = 'section-score ' + (stats.brokenSrcset > 0 ? 'bad' : problems > 0 || stats.savings > 100 * 1024 ? 'warning' : 'good');
+
+  let html = `
+    <div class="stats-grid">
+      <div class="stat"><div class="stat-value">${stats.total}</div><div class="stat-label">Images</div></div>
+      <div class="stat"><div class="stat-value">${kb(stats.bytes)}</div><div class="stat-label">Transferred</div></div>
+      <div class="stat"><div class="stat-value">${kb(stats.savings)}</div><div class="stat-label">Est. savings</div></div>
+      <div class="stat"><div class="stat-value">${problems}</div><div class="stat-label">With problems</div></div>
+    </div>
+  `;
+
+  data.issues.forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+  if (stats.unknownBytes > 0) {
+    html += `<div class="item-value">${stats.unknownBytes} cross-origin image(s) report no size (no Timing-Allow-Origin) and are left out of the totals</div>`;
+  }
+
+  if (data.items.length > 0) {
+    const size = s => (s ? `${s.width}×${s.height}` : '—');
+    html += '<div class="image-table-wrap"><table class="image-table"><tr><th>Image</th><th>Shown</th><th>Intrinsic</th><th>Format</th><th>Size</th><th>Save</th><th></th></tr>';
+    data.items.slice(0, 50).forEach(img => {
+      const worst = img.flags.some(f => f.type === 'fail') ? 'fail' : img.flags.some(f => f.type === 'warn') ? 'warn' : img.flags.length > 0 ? 'info' : 'pass';
+      html += `
+        <tr title="${escapeHtml(img.flags.map(f => f.message).join('\n') || 'No problems')}">
+          <td class="ellipsis"><span class="item-status ${worst}" style="display: inline-flex; width: 14px; height: 14px;">${getStatusIcon(worst)}</span> ${escapeHtml(img.fileName)}</td>
+          <td>${size(img.rendered)}</td>
+          <td>${size(img.natural)}</td>
+          <td>${escapeHtml(img.format)}</td>
+          <td>${img.bytes ? kb(img.bytes) : '—'}</td>
+          <td>${img.savings ? kb(img.savings) : '—'}</td>
+          <td><button class="locate-btn" data-locate="${escapeHtml(img.selector)}" title="Locate on page">📍</button></td>
+        </tr>
+      `;
+    });
+    html += '</table></div>';
+    if (data.items.length > 50) html += `<div class="item-value">...and ${data.items.length - 50} more</div>`;
+  }
+
+  contentEl.innerHTML = html;
+  contentEl.querySelectorAll('[data-locate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.tabs.sendMessage(currentTabId, { action: 'locateElement', selector: btn.dataset.locate });
+    });
+  });
+}
+
+/**
+ * Render Accessibility section: one row per failing rule with its WCAG
+ * criterion, then the individual findings with locate buttons
+ */
+function renderAccessibilitySection(data) {
+  const scoreEl = document.getElementById('accessibilityScore');
+  const contentEl = document.getElementById('accessibilityContent');
+
+  scoreEl.textContent = `${data.score}%`;
+  scoreEl.className = 'section-score ' + getScoreClass(data.score);
+
+  let html = `
+    <div class="stats-grid">
+      <div class="stat"><div class="stat-value">${data.stats.failures}</div><div class="stat-label">Failures</div></div>
+      <div class="stat"><div class="stat-value">${data.stats.warnings}</div><div class="stat-label">Warnings</div></div>
+      <div class="stat"><div class="stat-value">${data.stats.controls}</div><div class="stat-label">Form controls</div></div>
+      <div class="stat"><div class="stat-value">${data.stats.textChecked || '—'}</div><div class="stat-label">Text contrast checked</div></div>
+    </div>
+  `;
+
+  if (data.issues.length === 0) {
+    html += `<div class="item"><div class="item-status pass">${getStatusIcon('pass')}</div><div class="item-content"><div class="item-label">No problems found by the automated checks</div></div></div>`;
+  }
+
+  Object.entries(data.rules).forEach(([key, rule]) => {
+    const findings = data.findings.filter(f => f.rule === key);
+    if (findings.length === 0) return;
+    const type = ['fail', 'warn', 'info'].find(t => findings.some(f => f.type === t));
+    html += `
+      <div class="item">
+        <div class="item-status ${type}">${getStatusIcon(type)}</div>
+        <div class="item-content">
+          <div class="item-label">${escapeHtml(rule.label)}</div>
+          <div class="item-value">
+            <a href="https://www.w3.org/WAI/WCAG22/Understanding/${rule.slug}" target="_blank" rel="noopener">WCAG ${rule.wcag} ${escapeHtml(rule.name)}</a> (Level ${rule.level})
+          </div>
+    `;
+    findings.forEach(f => {
+      html += `
+          <div class="item-value">
+            ${getStatusIcon(f.type)} ${escapeHtml(f.message)}
+            ${f.selector ? `<button class="locate-btn" data-locate="${escapeHtml(f.selector)}" title="Locate on page">📍</button>` : ''}
+          </div>
+      `;
+    });
+    html += '</div></div>';
+  });
+
+  if (!data.stats.textChecked) {
+    html += '<div class="item-value">Contrast is only checked on the live page</div>';
+  }
+
+  contentEl.innerHTML = html;
+  contentEl.querySelectorAll('[data-locate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.tabs.sendMessage(currentTabId, { action: 'locateElement', selector: btn.dataset.locate });
+    });
+  });
+}
+
+/**
+ * Render Mobile section: viewport meta, then tap targets, small text,
+ * overflow and fixed-width elements with locate buttons
+ */
+function renderMobileSection(data) {
+  const scoreEl = document.getElementById('mobileScore');
+  const contentEl = document.getElementById('mobileContent');
+  const locate = selector => `<button class="locate-btn" data-locate="${escapeHtml(selector)}" title="Locate on page">📍</button>`;
+
+  scoreEl.textContent = `${data.score}%`;
+  scoreEl.className = 'section-score ' + getScoreClass(data.score);
+
+  let html = '';
+  if (data.tapTargets) {
+    html += `
+      <div class="stats-grid">
+        <div class="stat"><div class="stat-value">${data.viewportWidth}px</div><div class="stat-label">Viewport</div></div>
+        <div class="stat"><div class="stat-value">${data.tapTargets.small}/${data.tapTargets.total}</div><div class="stat-label">Small targets</div></div>
+        <div class="stat"><div class="stat-value">${data.tapTargets.crowded}</div><div class="stat-label">Crowded</div></div>
+        <div class="stat"><div class="stat-value">${Math.round(data.fontSize.smallShare * 100)}%</div><div class="stat-label">Text &lt; 12px</div></div>
+      </div>
+    `;
+  }
+
+  html += `
+    <div class="item">
+      <div class="item-status ${data.viewport ? 'pass' : 'fail'}">${getStatusIcon(data.viewport ? 'pass' : 'fail')}</div>
+      <div class="item-content">
+        <div class="item-label">Viewport</div>
+        <div class="item-value">${data.viewport ? escapeHtml(data.viewport.content) || '(empty)' : '(missing)'}</div>
+      </div>
+    </div>
+  `;
+
+  data.issues.forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+
+  if (data.tapTargets && data.tapTargets.items.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Small tap targets</div>';
+    data.tapTargets.items.forEach(t => {
+      html += `
+        <div class="item-value">
+          ${getStatusIcon(t.crowdedWith ? 'fail' : 'warn')} ${t.width}×${t.height}px ${escapeHtml(t.text || t.selector)}${t.crowdedWith ? ' — too close to another target' : ''}
+          ${locate(t.selector)}
+        </div>
+      `;
+    });
+  }
+
+  if (data.fontSize && data.fontSize.items.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Small text</div>';
+    data.fontSize.items.forEach(t => {
+      html += `<div class="item-value">${t.size}px "${escapeHtml(t.text)}" ${locate(t.selector)}</div>`;
+    });
+  }
+
+  if (data.overflow && data.overflow.items.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Wider than the viewport</div>';
+    data.overflow.items.forEach(o => {
+      html += `<div class="item-value">${escapeHtml(o.selector)} — ends at ${o.right}px ${locate(o.selector)}</div>`;
+    });
+  }
+
+  if (data.fixedWidth.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Fixed-width elements</div>';
+    data.fixedWidth.forEach(f => {
+      html += `<div class="item-value">&lt;${escapeHtml(f.tag)}&gt; ${escapeHtml(f.source)} ${locate(f.selector)}</div>`;
+    });
+  }
+
+  contentEl.innerHTML = html;
+  contentEl.querySelectorAll('[data-locate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.tabs.sendMessage(currentTabId, { action: 'locateElement', selector: btn.dataset.locate });
+    });
+  });
 }
 
 /**
@@ -569,6 +1035,15 @@ function renderLinksSection(data) {
     `;
   }
 
+  // On-demand broken link / redirect check (runs in the service worker)
+  html += `
+    <div style="margin-top: 10px;">
+      <button class="action-btn" id="checkLinksBtn">Check links</button>
+      <span class="item-value" id="checkLinksStatus" style="margin-left: 8px;"></span>
+    </div>
+    <div id="checkLinksResults"></div>
+  `;
+
   // CTA link to full link analysis on seobandwagon.dev
   const currentUrl = encodeURIComponent(currentTabUrl);
   html += `
@@ -582,53 +1057,577 @@ function renderLinksSection(data) {
   `;
   
   contentEl.innerHTML = html;
+
+  document.getElementById('checkLinksBtn').addEventListener('click', runLinkCheck);
 }
 
 /**
- * Render Schema section
+ * Check every unique link on the page for 4xx/5xx responses and redirects
  */
-function renderSchemaSection(data) {
-  const scoreEl = document.getElementById('schemaScore');
-  const contentEl = document.getElementById('schemaContent');
-  
-  scoreEl.textContent = data.types.length > 0 ? '✓' : '✗';
-  scoreEl.className = 'section-score ' + (data.types.length > 0 ? 'good' : 'bad');
-  
-  let html = '';
-  
-  if (data.types.length > 0) {
-    html += `
-      <div class="item">
-        <div class="item-status pass">✓</div>
-        <div class="item-content">
-          <div class="item-label">${data.types.length} schema type(s) found</div>
-        </div>
-      </div>
-      <div class="schema-types">
-    `;
-    data.types.forEach(type => {
-      html += `<span class="schema-badge">${escapeHtml(type)}</span>`;
+async function runLinkCheck() {
+  const btn = document.getElementById('checkLinksBtn');
+  const statusEl = document.getElementById('checkLinksStatus');
+  const resultsEl = document.getElementById('checkLinksResults');
+  if (currentTabId == null) return;
+
+  btn.disabled = true;
+  resultsEl.innerHTML = '';
+  statusEl.textContent = 'Collecting links...';
+
+  const jobId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const onProgress = (message) => {
+    if (message.action === 'checkLinksProgress' && message.jobId === jobId) {
+      statusEl.textContent = `Checked ${message.done}/${message.total}`;
+    }
+  };
+  chrome.runtime.onMessage.addListener(onProgress);
+
+  try {
+    const links = await chrome.tabs.sendMessage(currentTabId, { action: 'collectLinks' });
+
+    // Group anchors by URL so each URL is only requested once
+    const byUrl = new Map();
+    (links || []).forEach(link => {
+      if (!/^https?:/.test(link.href)) return;
+      const key = link.href.split('#')[0];
+      const entry = byUrl.get(key) || { url: key, internal: link.internal, anchors: [] };
+      entry.anchors.push({ text: link.text, selector: link.selector });
+      byUrl.set(key, entry);
     });
-    html += '</div>';
-    
-    // Format info
-    const formats = [];
-    if (data.jsonLd.length > 0) formats.push('JSON-LD');
-    if (data.microdata.length > 0) formats.push('Microdata');
-    if (data.rdfa) formats.push('RDFa');
-    
-    html += `
-      <div class="item" style="margin-top: 12px">
-        <div class="item-status info">ℹ</div>
-        <div class="item-content">
-          <div class="item-label">Format: ${formats.join(', ')}</div>
-        </div>
-      </div>
-    `;
-  } else {
-    html += `
-      <div class="item">
-        <div class="item-status fail">✗</div>
+
+    if (byUrl.size === 0) {
+      statusEl.textContent = 'No http(s) links to check';
+      return;
+    }
+
+    statusEl.textContent = `Checking ${byUrl.size} unique links...`;
+    const response = await chrome.runtime.sendMessage({ action: 'checkLinks', urls: [...byUrl.keys()], jobId });
+    if (!response || response.error) throw new Error(response?.error || 'Link check failed');
+
+    response.results.forEach(r => Object.assign(byUrl.get(r.url), r));
+    renderLinkCheckResults([...byUrl.values()]);
+    statusEl.textContent = `Checked ${byUrl.size} unique links`;
+  } catch (e) {
+    statusEl.textContent = 'Link check failed: ' + e.message;
+  } finally {
+    chrome.runtime.onMessage.removeListener(onProgress);
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Render link check results grouped as 4xx / 5xx / errors / redirects
+ */
+function renderLinkCheckResults(entries) {
+  const resultsEl = document.getElementById('checkLinksResults');
+  const groups = [
+    { label: 'Client errors (4xx)', status: 'fail', items: entries.filter(e => e.status >= 400 && e.status < 500) },
+    { label: 'Server errors (5xx)', status: 'fail', items: entries.filter(e => e.status >= 500) },
+    { label: 'Unreachable', status: 'fail', items: entries.filter(e => e.status == null) },
+    { label: 'Redirects', status: 'warn', items: entries.filter(e => e.ok && e.redirects && e.redirects.length > 0) }
+  ];
+  const okCount = entries.filter(e => e.ok && (!e.redirects || e.redirects.length === 0)).length;
+
+  let html = `
+    <div class="item" style="margin-top: 8px;">
+      <div class="item-status pass">✓</div>
+      <div class="item-content"><div class="item-label">${okCount} link(s) returned 2xx directly</div></div>
+    </div>
+  `;
+
+  groups.forEach(group => {
+    if (group.items.length === 0) return;
+    // Broken internal links first — those are the ones we can fix
+    group.items.sort((a, b) => (b.internal ? 1 : 0) - (a.internal ? 1 : 0));
+
+    html += `<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">${group.label} — ${group.items.length}</div>`;
+    group.items.forEach(entry => {
+      const code = entry.status != null ? entry.status : '—';
+      const hops = (entry.redirects || []).map(h => `${h.status || '3xx'} → ${escapeHtml(h.location || '')}`).join('<br>');
+      const anchors = entry.anchors.slice(0, 3).map(a => `
+        <div style="display: flex; align-items: center; gap: 6px;">
+          <span class="ellipsis" style="flex: 1; min-width: 0;">“${escapeHtml(a.text || '(no text)')}”</span>
+          <button class="locate-btn" data-locate="${escapeHtml(a.selector)}" title="Locate on page">📍</button>
+        </div>
+      `).join('');
+
+      html += `
+        <div class="item">
+          <div class="item-status ${group.status}">${getStatusIcon(group.status)}</div>
+          <div class="item-content">
+            <div class="item-label ellipsis" title="${escapeHtml(entry.url)}">${code} · ${entry.internal ? '' : '↗ '}${escapeHtml(entry.url)}</div>
+            ${entry.error ? `<div class="item-value">${escapeHtml(entry.error)}</div>` : ''}
+            ${hops ? `<div class="item-value">${hops}</div>` : ''}
+            <div class="item-value">${anchors}${entry.anchors.length > 3 ? `…and ${entry.anchors.length - 3} more` : ''}</div>
+          </div>
+        </div>
+      `;
+    });
+  });
+
+  resultsEl.innerHTML = html;
+  resultsEl.querySelectorAll('[data-locate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.tabs.sendMessage(currentTabId, { action: 'locateElement', selector: btn.dataset.locate });
+    });
+  });
+}
+
+/**
+ * Get the main document response the service worker captured for this tab
+ * and render the HTTP Response section
+ */
+async function loadHttpResponseSection(data) {
+  const scoreEl = document.getElementById('httpResponseScore');
+  const contentEl = document.getElementById('httpResponseContent');
+  scoreEl.textContent = '…';
+  scoreEl.className = 'section-score';
+  contentEl.innerHTML = '<div class="item-value">Reading response headers...</div>';
+
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getHttpResponse', tabId: currentTabId, url: data.url });
+    if (!response || response.error) throw new Error(response?.error || 'No response');
+    data.httpResponse = analyzeHttpResponse(response.result, data);
+    renderHttpResponseSection(data.httpResponse);
+  } catch (e) {
+    scoreEl.textContent = 'N/A';
+    contentEl.innerHTML = `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">Could not read the HTTP response</div><div class="item-value">${escapeHtml(e.message)}</div></div></div>`;
+  }
+}
+
+/**
+ * Render HTTP Response section
+ */
+function renderHttpResponseSection(http) {
+  const scoreEl = document.getElementById('httpResponseScore');
+  const contentEl = document.getElementById('httpResponseContent');
+
+  const failing = http.issues.some(i => i.type === 'fail');
+  const warning = http.issues.some(i => i.type === 'warn');
+  scoreEl.textContent = String(http.status);
+  scoreEl.className = 'section-score ' + (failing ? 'bad' : warning ? 'warning' : 'good');
+
+  let html = `
+    <div class="stats-grid">
+      <div class="stat"><div class="stat-value">${http.status}</div><div class="stat-label">Status</div></div>
+      <div class="stat"><div class="stat-value">${http.chain.length - 1}</div><div class="stat-label">Redirects</div></div>
+    </div>
+  `;
+
+  // Redirect chain, one row per hop
+  if (http.chain.length > 1) {
+    html += '<div class="item-label" style="margin-bottom: 4px; font-weight: 600;">Redirect chain</div>';
+    http.chain.forEach(hop => {
+      const status = hop.status == null ? 'info' : hop.status >= 400 ? 'fail' : [301, 308, 200].includes(hop.status) ? 'pass' : 'warn';
+      html += `<div class="item"><div class="item-status ${status}">${getStatusIcon(status)}</div><div class="item-content"><div class="item-label">${hop.status == null ? 'Redirect' : hop.status}</div><div class="item-value ellipsis" title="${escapeHtml(hop.url)}">${escapeHtml(hop.url)}</div></div></div>`;
+    });
+  }
+
+  http.issues.forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+
+  // Key headers at a glance
+  const rows = [
+    ['Content-Type', http.contentType ? http.contentType + (http.charset ? `; charset=${http.charset}` : '') : null],
+    ['Content-Language', http.contentLanguage],
+    ['Content-Encoding', http.compression],
+    ['X-Robots-Tag', http.robots.join(', ') || null],
+    ['Link', http.links.map(l => `<${l.url}>; rel=${l.rel.join(' ')}${l.hreflang ? `; hreflang=${l.hreflang}` : ''}`).join(', ') || null],
+    ['Cache-Control', http.caching.cacheControl],
+    ['Expires', http.caching.expires],
+    ['ETag', http.caching.etag],
+    ['Last-Modified', http.caching.lastModified],
+    ['Age', http.caching.age],
+    ['Vary', http.caching.vary]
+  ];
+  html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Headers</div>';
+  rows.forEach(([name, value]) => {
+    html += `<div class="item"><div class="item-content"><div class="item-label">${name}</div><div class="item-value truncate">${value ? escapeHtml(value) : '(not set)'}</div></div></div>`;
+  });
+
+  contentEl.innerHTML = html;
+}
+
+/**
+ * Fetch robots.txt in the service worker and render the Robots.txt section
+ */
+async function loadRobotsSection(data, extraAgents = []) {
+  const scoreEl = document.getElementById('robotsScore');
+  const contentEl = document.getElementById('robotsContent');
+  scoreEl.textContent = '…';
+  scoreEl.className = 'section-score';
+  contentEl.innerHTML = '<div class="item-value">Checking robots.txt...</div>';
+
+  try {
+    const userAgents = [...((currentConfig && currentConfig.robotsUserAgents) || []), ...extraAgents];
+    const response = await chrome.runtime.sendMessage({ action: 'checkRobots', url: data.url, userAgents });
+    if (!response || response.error) throw new Error(response?.error || 'No response');
+    data.robots = response.result;
+    renderRobotsSection(response.result, data);
+  } catch (e) {
+    scoreEl.textContent = 'N/A';
+    contentEl.innerHTML = `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">Could not check robots.txt</div><div class="item-value">${escapeHtml(e.message)}</div></div></div>`;
+  }
+}
+
+/**
+ * Render Robots.txt section
+ */
+function renderRobotsSection(robots, data) {
+  const scoreEl = document.getElementById('robotsScore');
+  const contentEl = document.getElementById('robotsContent');
+
+  const google = robots.agents.find(a => a.userAgent.toLowerCase() === 'googlebot');
+  const blockedCount = robots.agents.filter(a => !a.allowed).length;
+
+  scoreEl.textContent = blockedCount === 0 ? '✓ Crawlable' : google && !google.allowed ? 'Blocked' : `${blockedCount} blocked`;
+  scoreEl.className = 'section-score ' + (blockedCount === 0 ? 'good' : google && !google.allowed ? 'bad' : 'warning');
+
+  let html = '';
+
+  // File status
+  if (robots.state === 'missing') {
+    html += `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">No robots.txt (HTTP ${robots.status}) — everything is crawlable</div></div></div>`;
+  } else if (robots.state === 'unreachable') {
+    html += `<div class="item"><div class="item-status fail">✗</div><div class="item-content"><div class="item-label">robots.txt unreachable (${escapeHtml(robots.error || 'HTTP ' + robots.status)})</div><div class="item-value">Google treats an unreachable robots.txt as "disallow all" until it can be fetched</div></div></div>`;
+  } else {
+    html += `<div class="item"><div class="item-status pass">✓</div><div class="item-content"><div class="item-label">robots.txt found — ${robots.groupCount} group(s), ${(robots.size / 1024).toFixed(1)} KB</div><div class="item-value truncate">${escapeHtml(robots.finalUrl)}</div></div></div>`;
+    if (robots.truncated) {
+      html += `<div class="item"><div class="item-status warn">!</div><div class="item-content"><div class="item-label">robots.txt is larger than 500 KiB</div><div class="item-value">Google ignores everything after the first 500 KiB; only that part was evaluated.</div></div></div>`;
+    }
+  }
+
+  // Per user-agent verdict
+  robots.agents.forEach(a => {
+    const status = a.allowed ? 'pass' : 'fail';
+    const rule = a.rule ? `${a.rule.type === 'allow' ? 'Allow' : 'Disallow'}: ${a.rule.pattern} (line ${a.rule.line})` : 'No matching rule';
+    const group = a.group ? `group "${a.group}"` : 'no group';
+    html += `<div class="item"><div class="item-status ${status}">${getStatusIcon(status)}</div><div class="item-content"><div class="item-label">${escapeHtml(a.userAgent)}: ${a.allowed ? 'allowed' : 'blocked'}</div><div class="item-value">${escapeHtml(rule)} · ${escapeHtml(group)}</div></div></div>`;
+  });
+
+  // Blocked pages can't have their meta directives read
+  if (google && !google.allowed) {
+    const robotsItem = data.meta.items.find(i => i.key === 'robots');
+    const hasNoindex = robotsItem && /noindex/i.test(robotsItem.value);
+    const hasCanonical = data.meta.items.some(i => i.key === 'canonical' && i.status === 'pass');
+    if (hasNoindex) {
+      html += `<div class="item"><div class="item-status fail">✗</div><div class="item-content"><div class="item-label">Blocked by robots.txt but carries noindex</div><div class="item-value">Googlebot can't crawl the page, so it never sees the noindex — the URL can still be indexed from links. Allow crawling or remove the noindex.</div></div></div>`;
+    } else if ((robotsItem && robotsItem.value !== 'index, follow (default)') || hasCanonical) {
+      html += `<div class="item"><div class="item-status warn">!</div><div class="item-content"><div class="item-label">Blocked by robots.txt but has meta directives</div><div class="item-value">Meta robots and canonical tags on a blocked page are never read by Googlebot.</div></div></div>`;
+    }
+  }
+
+  // Sitemaps
+  if (robots.sitemaps.length > 0) {
+    html += `<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Sitemaps declared (${robots.sitemaps.length})</div>`;
+    robots.sitemaps.slice(0, 10).forEach(url => {
+      html += `<div class="item-value truncate">${escapeHtml(url)}</div>`;
+    });
+  } else if (robots.state === 'parsed') {
+    html += `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">No Sitemap: lines in robots.txt</div></div></div>`;
+  }
+
+  if (robots.invalidLines.length > 0) {
+    html += `<div class="item"><div class="item-status warn">!</div><div class="item-content"><div class="item-label">${robots.invalidLines.length} unrecognized line(s)</div><div class="item-value">${robots.invalidLines.slice(0, 5).map(l => `Line ${l.line}: ${escapeHtml(l.text)}`).join('<br>')}</div></div></div>`;
+  }
+
+  // Ad-hoc user-agent test
+  html += `
+    <div style="margin-top: 10px; display: flex; gap: 6px;">
+      <input type="text" id="robotsAgentInput" class="text-input" placeholder="Test another user-agent, e.g. GPTBot">
+      <button class="action-btn" id="robotsAgentBtn">Test</button>
+    </div>
+  `;
+
+  contentEl.innerHTML = html;
+
+  const input = document.getElementById('robotsAgentInput');
+  const runTest = () => {
+    const agent = input.value.trim();
+    if (agent) loadRobotsSection(data, [agent]);
+  };
+  document.getElementById('robotsAgentBtn').addEventListener('click', runTest);
+  input.addEventListener('keydown', (e) => { if (e.key === 'Enter') runTest(); });
+}
+
+/**
+ * Sitemap section — the scan can cover many files, so it only runs on demand
+ */
+function renderSitemapSection(data) {
+  const scoreEl = document.getElementById('sitemapScore');
+  const contentEl = document.getElementById('sitemapContent');
+
+  scoreEl.textContent = '--';
+  scoreEl.className = 'section-score';
+  contentEl.innerHTML = `
+    <div class="item-value">Finds sitemaps via robots.txt and /sitemap.xml, expands indexes and checks whether this page is listed.</div>
+    <div style="margin-top: 10px;">
+      <button class="action-btn" id="checkSitemapsBtn">Check sitemaps</button>
+      <span class="item-value" id="checkSitemapsStatus" style="margin-left: 8px;"></span>
+    </div>
+    <div id="checkSitemapsResults"></div>
+  `;
+
+  document.getElementById('checkSitemapsBtn').addEventListener('click', () => runSitemapCheck(data));
+}
+
+async function runSitemapCheck(data) {
+  const btn = document.getElementById('checkSitemapsBtn');
+  const statusEl = document.getElementById('checkSitemapsStatus');
+  const resultsEl = document.getElementById('checkSitemapsResults');
+
+  btn.disabled = true;
+  resultsEl.innerHTML = '';
+  statusEl.textContent = 'Discovering sitemaps...';
+
+  const jobId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  const onProgress = (message) => {
+    if (message.action === 'checkSitemapsProgress' && message.jobId === jobId) {
+      statusEl.textContent = `Reading file ${message.done} of ${message.total}...`;
+    }
+  };
+  chrome.runtime.onMessage.addListener(onProgress);
+
+  try {
+    const canonicalItem = data.meta.items.find(i => i.key === 'canonical');
+    const canonical = canonicalItem && canonicalItem.value !== '(missing)' ? canonicalItem.value : null;
+    const response = await chrome.runtime.sendMessage({ action: 'checkSitemaps', url: data.url, canonical, jobId });
+    if (!response || response.error) throw new Error(response?.error || 'Sitemap check failed');
+
+    data.sitemap = response.result;
+    renderSitemapResults(response.result);
+    statusEl.textContent = '';
+  } catch (e) {
+    statusEl.textContent = 'Sitemap check failed: ' + e.message;
+  } finally {
+    chrome.runtime.onMessage.removeListener(onProgress);
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Render sitemap membership for the page plus a summary of every file read
+ */
+function renderSitemapResults(sitemap) {
+  const scoreEl = document.getElementById('sitemapScore');
+  const resultsEl = document.getElementById('checkSitemapsResults');
+  const readable = sitemap.files.filter(f => f.kind === 'urlset' || f.kind === 'index');
+  const match = sitemap.match;
+
+  scoreEl.textContent = match ? '✓' : '✗';
+  scoreEl.className = 'section-score ' + (match ? 'good' : readable.length > 0 ? 'warning' : 'bad');
+
+  let html = '';
+
+  if (readable.length === 0) {
+    html += `<div class="item"><div class="item-status fail">✗</div><div class="item-content"><div class="item-label">No readable sitemap found</div><div class="item-value">Tried ${sitemap.discovered.map(d => escapeHtml(d.loc)).join(', ')}. Add a Sitemap: line to robots.txt.</div></div></div>`;
+  } else if (match) {
+    const how = match.exact
+      ? (match.viaCanonical ? 'Listed under its canonical URL' : 'Listed in sitemap')
+      : 'Listed with a slightly different URL';
+    const details = [
+      match.lastmod ? `lastmod ${escapeHtml(match.lastmod)}` : 'no lastmod',
+      match.changefreq ? `changefreq ${escapeHtml(match.changefreq)}` : null,
+      match.priority ? `priority ${escapeHtml(match.priority)}` : null,
+      match.alternates.length > 0 ? `${match.alternates.length} hreflang alternate(s)` : null,
+      match.images.length > 0 ? `${match.images.length} image(s)` : null
+    ].filter(Boolean).join(' · ');
+
+    html += `
+      <div class="item">
+        <div class="item-status ${match.exact ? 'pass' : 'warn'}">${getStatusIcon(match.exact ? 'pass' : 'warn')}</div>
+        <div class="item-content">
+          <div class="item-label">${how}</div>
+          <div class="item-value ellipsis" title="${escapeHtml(match.loc)}">${escapeHtml(match.loc)}</div>
+          <div class="item-value">${details}</div>
+          <div class="item-value ellipsis" title="${escapeHtml(match.sitemap)}">in ${escapeHtml(match.sitemap)}</div>
+        </div>
+      </div>
+    `;
+    if (!match.exact) {
+      html += `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-value">Sitemap URLs should match the canonical exactly (protocol, host case, trailing slash).</div></div></div>`;
+    }
+  } else {
+    html += `<div class="item"><div class="item-status warn">!</div><div class="item-content"><div class="item-label">This page is not listed in any sitemap</div><div class="item-value">Searched ${sitemap.totalUrls.toLocaleString()} URL(s)${sitemap.truncated ? ' (scan stopped early)' : ''}${sitemap.canonical ? ', including the canonical URL' : ''}.</div></div></div>`;
+  }
+
+  if (readable.length > 0) {
+    html += `
+      <div class="stats-grid" style="margin-top: 10px;">
+        <div class="stat"><div class="stat-value">${sitemap.files.length}</div><div class="stat-label">Files</div></div>
+        <div class="stat"><div class="stat-value">${sitemap.totalUrls.toLocaleString()}</div><div class="stat-label">URLs</div></div>
+        <div class="stat"><div class="stat-value">${sitemap.totalUrls > 0 ? Math.round(sitemap.withLastmod / sitemap.totalUrls * 100) : 0}%</div><div class="stat-label">With lastmod</div></div>
+        <div class="stat"><div class="stat-value">${sitemap.imageCount.toLocaleString()}</div><div class="stat-label">Images</div></div>
+      </div>
+    `;
+    if (sitemap.withAlternates > 0) {
+      html += `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">${sitemap.withAlternates.toLocaleString()} URL(s) declare hreflang alternates</div></div></div>`;
+    }
+  }
+
+  html += `<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Files read (${sitemap.files.length})</div>`;
+  sitemap.files.slice(0, 20).forEach(f => {
+    const status = f.errors.length > 0 ? (f.kind ? 'warn' : 'fail') : 'pass';
+    const kind = f.kind === 'index' ? `index · ${f.urlCount} sitemap(s)` : f.kind === 'urlset' ? `${f.urlCount.toLocaleString()} URL(s)` : (f.status ? `HTTP ${f.status}` : 'not fetched');
+    html += `
+      <div class="item">
+        <div class="item-status ${status}">${getStatusIcon(status)}</div>
+        <div class="item-content">
+          <div class="item-label ellipsis" title="${escapeHtml(f.loc)}">${escapeHtml(f.loc)}</div>
+          <div class="item-value">${kind}${f.gzipped ? ' · gzip' : ''}${f.source ? ` · from ${escapeHtml(f.source)}` : ''}</div>
+          ${f.errors.length > 0 ? `<div class="item-value">${f.errors.map(e => escapeHtml(e)).join('<br>')}</div>` : ''}
+        </div>
+      </div>
+    `;
+  });
+  if (sitemap.files.length > 20) {
+    html += `<div class="item-value">…and ${sitemap.files.length - 20} more</div>`;
+  }
+
+  resultsEl.innerHTML = html;
+}
+
+/**
+ * Raw vs Rendered section — fetches the server HTML on demand
+ */
+function renderRenderingSection(data) {
+  const scoreEl = document.getElementById('renderingScore');
+  const contentEl = document.getElementById('renderingContent');
+
+  scoreEl.textContent = '--';
+  scoreEl.className = 'section-score';
+  contentEl.innerHTML = `
+    <div class="item-value">Fetches the original HTML (no JavaScript, no cookies) and compares it with the rendered page.</div>
+    <div style="margin-top: 10px;">
+      <button class="action-btn" id="compareRawBtn">Compare with raw HTML</button>
+      <span class="item-value" id="compareRawStatus" style="margin-left: 8px;"></span>
+    </div>
+    <div id="compareRawResults"></div>
+  `;
+
+  document.getElementById('compareRawBtn').addEventListener('click', async () => {
+    const btn = document.getElementById('compareRawBtn');
+    const statusEl = document.getElementById('compareRawStatus');
+    btn.disabled = true;
+    statusEl.textContent = 'Fetching raw HTML...';
+    try {
+      data.rendering = await analyzeRawVsRendered(data, currentConfig);
+      renderRenderingResults(data.rendering);
+      statusEl.textContent = '';
+    } catch (e) {
+      statusEl.textContent = 'Could not fetch raw HTML: ' + e.message;
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Render the field-by-field raw vs rendered diff
+ */
+function renderRenderingResults(rendering) {
+  const scoreEl = document.getElementById('renderingScore');
+  const resultsEl = document.getElementById('compareRawResults');
+  const changed = rendering.fields.filter(f => f.change !== 'same');
+  const failing = rendering.fields.filter(f => f.status === 'fail').length;
+  const warning = rendering.fields.filter(f => f.status === 'warn').length;
+
+  scoreEl.textContent = failing > 0 ? '✗' : warning > 0 ? '!' : '✓';
+  scoreEl.className = 'section-score ' + (failing > 0 ? 'bad' : warning > 0 ? 'warning' : 'good');
+
+  let html = '';
+
+  if (rendering.status !== 200 || rendering.redirected) {
+    html += `<div class="item"><div class="item-status warn">!</div><div class="item-content"><div class="item-label">Server returned HTTP ${rendering.status}${rendering.redirected ? ' after redirecting' : ''}</div><div class="item-value ellipsis" title="${escapeHtml(rendering.finalUrl)}">${escapeHtml(rendering.finalUrl)}</div></div></div>`;
+  }
+
+  html += `
+    <div class="stats-grid" style="margin-top: 10px;">
+      <div class="stat"><div class="stat-value">${(rendering.size / 1024).toFixed(1)} KB</div><div class="stat-label">Raw HTML</div></div>
+      <div class="stat"><div class="stat-value">${changed.length}</div><div class="stat-label">Fields changed by JS</div></div>
+      <div class="stat"><div class="stat-value">${failing + warning}</div><div class="stat-label">Need attention</div></div>
+    </div>
+  `;
+
+  // Problems first, unchanged fields last
+  const order = { fail: 0, warn: 1, info: 2, pass: 3 };
+  rendering.fields.slice().sort((a, b) => order[a.status] - order[b.status]).forEach(f => {
+    const showValues = f.change !== 'same' && typeof f.raw === 'string';
+    html += `
+      <div class="item">
+        <div class="item-status ${f.status}">${getStatusIcon(f.status)}</div>
+        <div class="item-content">
+          <div class="item-label">${escapeHtml(f.message)}</div>
+          ${showValues ? `
+            <div class="item-value ellipsis" title="${escapeHtml(f.raw)}">Raw: ${f.raw ? escapeHtml(f.raw) : '(missing)'}</div>
+            <div class="item-value ellipsis" title="${escapeHtml(f.rendered)}">Rendered: ${f.rendered ? escapeHtml(f.rendered) : '(missing)'}</div>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  });
+
+  resultsEl.innerHTML = html;
+}
+
+/**
+ * Render Schema section
+ */
+function renderSchemaSection(data) {
+  const scoreEl = document.getElementById('schemaScore');
+  const contentEl = document.getElementById('schemaContent');
+  
+  scoreEl.textContent = data.types.length > 0 ? '✓' : '✗';
+  scoreEl.className = 'section-score ' + (data.types.length > 0 ? 'good' : 'bad');
+  
+  let html = '';
+  
+  if (data.types.length > 0) {
+    html += `
+      <div class="item">
+        <div class="item-status pass">✓</div>
+        <div class="item-content">
+          <div class="item-label">${data.types.length} schema type(s) found</div>
+        </div>
+      </div>
+      <div class="schema-types">
+    `;
+    data.types.forEach(type => {
+      html += `<span class="schema-badge">${escapeHtml(type)}</span>`;
+    });
+    html += '</div>';
+    
+    // Format info
+    const formats = [];
+    if (data.jsonLd.length > 0) formats.push('JSON-LD');
+    if (data.microdata.length > 0) formats.push('Microdata');
+    if (data.rdfa) formats.push('RDFa');
+    
+    html += `
+      <div class="item" style="margin-top: 12px">
+        <div class="item-status info">ℹ</div>
+        <div class="item-content">
+          <div class="item-label">Format: ${formats.join(', ')}</div>
+        </div>
+      </div>
+    `;
+
+    // Every item as a collapsible tree, grouped by format
+    [
+      { label: 'JSON-LD', items: data.jsonLd },
+      { label: 'Microdata', items: data.microdataItems || [] },
+      { label: 'RDFa', items: data.rdfaItems || [] }
+    ].forEach(group => {
+      if (group.items.length === 0) return;
+      html += `<div class="schema-tree"><div class="schema-tree-format">${group.label}</div>`;
+      group.items.forEach(item => { html += renderSchemaTreeNode(null, item); });
+      html += '</div>';
+    });
+  } else {
+    html += `
+      <div class="item">
+        <div class="item-status fail">✗</div>
         <div class="item-content">
           <div class="item-label">No schema markup detected</div>
           <div class="item-value">Add structured data to help search engines understand your content</div>
@@ -640,6 +1639,27 @@ function renderSchemaSection(data) {
   contentEl.innerHTML = html;
 }
 
+/**
+ * One structured data value as a <details> tree: objects and arrays expand,
+ * scalars are leaves
+ */
+function renderSchemaTreeNode(key, value) {
+  const keyHtml = key != null ? `<span class="tree-key">${escapeHtml(String(key))}</span>` : '';
+
+  if (value && typeof value === 'object') {
+    const isArray = Array.isArray(value);
+    const entries = isArray ? value.map((v, i) => [i, v]) : Object.entries(value).filter(([k]) => k !== '@context' && k !== '@type');
+    const type = !isArray && value['@type'] ? [].concat(value['@type']).join(', ') : '';
+    const summary = isArray ? `[${value.length}]` : type ? `<span class="schema-badge">${escapeHtml(type)}</span>` : '{}';
+    let html = `<details${key == null ? ' open' : ''}><summary>${keyHtml}${keyHtml ? ' ' : ''}${summary}</summary><div class="tree-children">`;
+    entries.forEach(([k, v]) => { html += renderSchemaTreeNode(k, v); });
+    return html + '</div></details>';
+  }
+
+  const text = String(value);
+  return `<div class="tree-leaf">${keyHtml}${keyHtml ? ': ' : ''}<span class="tree-value">${escapeHtml(text.length > 120 ? text.slice(0, 117) + '...' : text)}</span></div>`;
+}
+
 /**
  * Show error state
  */
@@ -696,7 +1716,7 @@ function getStatusIcon(status) {
 function escapeHtml(text) {
   const div = document.createElement('div');
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 // ============================================
@@ -756,7 +1776,114 @@ function renderWebVitalsSection(data) {
       </div>
     </div>
     ${data.fcp != null ? `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">FCP: ${(data.fcp / 1000).toFixed(1)}s</div></div></div>` : ''}
+    ${data.attribution ? renderWebVitalsAttribution(data.attribution) : ''}
+    <div id="fieldVitalsResults"></div>
+  `;
+
+  contentEl.querySelectorAll('[data-locate]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      chrome.tabs.sendMessage(currentTabId, { action: 'locateElement', selector: btn.dataset.locate });
+    });
+  });
+}
+
+/**
+ * p75 of the samples recorded over our own visits (field-vitals.js)
+ */
+async function loadFieldVitalsSection(url) {
+  const resultsEl = document.getElementById('fieldVitalsResults');
+  let html = '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Field data (your visits)</div>';
+
+  let samples = [];
+  try {
+    samples = await loadFieldVitals(url);
+  } catch (e) {}
+
+  if (samples.length === 0) {
+    const enabled = currentConfig && currentConfig.fieldVitals;
+    html += `<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">${enabled ? 'No visits recorded for this URL yet' : 'Field vitals are off'}</div><div class="item-value">${enabled ? 'A sample is saved each time you leave or hide the page' : 'Turn on "Record vitals on every visit" in Options to measure the whole visit, not just the first 2 seconds'}</div></div></div>`;
+    if (!enabled) html += '<button class="action-btn" id="fieldVitalsOptionsBtn">Open options</button>';
+    resultsEl.innerHTML = html;
+    const optionsBtn = document.getElementById('fieldVitalsOptionsBtn');
+    if (optionsBtn) optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    return;
+  }
+
+  const summary = summarizeFieldVitals(samples);
+  const grade = (metric, good, poor) => (metric == null ? 'info' : metric.p75 <= good ? 'pass' : metric.p75 <= poor ? 'warn' : 'fail');
+  const metrics = [
+    { label: 'LCP', metric: summary.lcp, status: grade(summary.lcp, 2500, 4000), format: v => (v / 1000).toFixed(1) + 's' },
+    { label: 'CLS', metric: summary.cls, status: grade(summary.cls, 0.1, 0.25), format: v => v },
+    { label: 'INP', metric: summary.inp, status: grade(summary.inp, 200, 500), format: v => v + 'ms' }
+  ];
+  metrics.forEach(({ label, metric, status, format }) => {
+    html += `<div class="item"><div class="item-status ${status}">${getStatusIcon(status)}</div><div class="item-content"><div class="item-label">${label} p75: ${metric ? format(metric.p75) : 'Not measured'}</div><div class="item-value">${metric ? `${metric.count} sample(s)` : 'No sample has this metric yet'}</div></div></div>`;
+  });
+  html += `
+    <div style="margin-top: 6px;">
+      <span class="item-value">${summary.samples} visit(s) since ${new Date(samples[0].time).toLocaleDateString()}</span>
+      <button class="action-btn" id="clearFieldVitalsBtn" style="margin-left: 8px;">Clear</button>
+    </div>
   `;
+  resultsEl.innerHTML = html;
+
+  document.getElementById('clearFieldVitalsBtn').addEventListener('click', async () => {
+    await clearFieldVitals(url);
+    loadFieldVitalsSection(url);
+  });
+}
+
+/**
+ * What caused each metric, with a locate button for elements still on the page
+ */
+function renderWebVitalsAttribution(attribution) {
+  const locate = selector => (selector ? `<button class="locate-btn" data-locate="${escapeHtml(selector)}" title="Locate on page">📍</button>` : '');
+  const row = (label, selector, details) => `
+    <div class="item">
+      <div class="item-status info">ℹ</div>
+      <div class="item-content">
+        <div class="item-label ellipsis" title="${escapeHtml(selector || '')}">${label}</div>
+        ${details.filter(Boolean).map(d => `<div class="item-value">${d}</div>`).join('')}
+      </div>
+      ${locate(selector)}
+    </div>
+  `;
+
+  let html = '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Attribution</div>';
+
+  const lcp = attribution.lcp;
+  if (lcp) {
+    const phases = lcp.phases
+      ? `TTFB ${lcp.phases.ttfb}ms · load delay ${lcp.phases.loadDelay}ms · load ${lcp.phases.loadTime}ms · render delay ${lcp.phases.renderDelay}ms`
+      : null;
+    html += row(`LCP element: ${escapeHtml(lcp.selector || `<${lcp.element || 'unknown'}> (no longer on the page)`)}`, lcp.selector, [
+      lcp.url ? `<span class="ellipsis" title="${escapeHtml(lcp.url)}">Resource: ${escapeHtml(lcp.url)}</span>` : 'Text block (no resource)',
+      phases
+    ]);
+  }
+
+  const cls = attribution.cls;
+  if (cls && cls.sources.length > 0) {
+    cls.sources.forEach(source => {
+      html += row(`Layout shift: ${escapeHtml(source.selector || `<${source.element}> (no longer on the page)`)}`, source.selector, [
+        `${source.value} CLS from ${source.shifts} shift(s) in the worst window (starting ${(cls.windowStart / 1000).toFixed(1)}s)`
+      ]);
+    });
+  } else if (cls && cls.shifts > 0) {
+    html += row('Layout shifts with no element attribution', null, [`${cls.shifts} shift(s) in the worst window`]);
+  }
+
+  const inp = attribution.inp;
+  if (inp) {
+    html += row(`Slowest interaction: ${escapeHtml(inp.eventType)} on ${escapeHtml(inp.selector || (inp.element ? `<${inp.element}>` : 'unknown target'))}`, inp.selector, [
+      `Input delay ${inp.inputDelay}ms · processing ${inp.processingTime}ms · presentation ${inp.presentationDelay}ms`,
+      `${inp.interactions} interaction(s) measured`
+    ]);
+  } else {
+    html += row('No interactions yet', null, ['INP needs a click, tap or key press on the page before opening the popup']);
+  }
+
+  return html;
 }
 
 // ============================================
@@ -796,6 +1923,95 @@ function renderPerformanceSection(data) {
   `;
 }
 
+// ============================================
+// Render: Resources
+// ============================================
+function renderResourcesSection(data) {
+  const scoreEl = document.getElementById('resourcesScore');
+  const contentEl = document.getElementById('resourcesContent');
+  const kb = bytes => (bytes / 1024).toFixed(0) + ' KB';
+
+  scoreEl.textContent = kb(data.totalSize);
+  scoreEl.className = 'section-score ' + (data.issues.some(i => i.type === 'warn' || i.type === 'fail') ? 'warning' : 'good');
+
+  const thirdShare = data.totalSize > 0 ? Math.round(data.thirdParty.size / data.totalSize * 100) : 0;
+  let html = `
+    <div class="stats-grid">
+      <div class="stat"><div class="stat-value">${data.count}</div><div class="stat-label">Requests</div></div>
+      <div class="stat"><div class="stat-value">${kb(data.totalSize)}</div><div class="stat-label">Weight</div></div>
+      <div class="stat"><div class="stat-value">${kb(data.firstParty.size)}</div><div class="stat-label">1st party (${data.firstParty.count})</div></div>
+      <div class="stat"><div class="stat-value">${kb(data.thirdParty.size)}</div><div class="stat-label">3rd party (${data.thirdParty.count}) · ${thirdShare}%</div></div>
+    </div>
+  `;
+
+  data.issues.forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+
+  const urlRow = (status, label, url, value) => `
+    <div class="item">
+      <div class="item-status ${status}">${getStatusIcon(status)}</div>
+      <div class="item-content">
+        <div class="item-label ellipsis" title="${escapeHtml(url)}">${label}</div>
+        <div class="item-value">${value}</div>
+      </div>
+    </div>
+  `;
+  const fileName = url => {
+    try {
+      const parsed = new URL(url);
+      return escapeHtml(parsed.pathname.split('/').filter(Boolean).pop() || parsed.hostname);
+    } catch (e) {
+      return escapeHtml(url);
+    }
+  };
+
+  if (data.renderBlocking.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Render-blocking</div>';
+    data.renderBlocking.forEach(r => {
+      html += urlRow('warn', fileName(r.url), r.url, `${r.category}${r.duration != null ? ` · ${r.duration}ms` : ''}${r.size ? ` · ${kb(r.size)}` : ''}`);
+    });
+  }
+  if (data.uncompressed.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Uncompressed</div>';
+    data.uncompressed.forEach(r => html += urlRow('warn', fileName(r.url), r.url, `${r.category} · ${kb(r.decodedSize)}`));
+  }
+  if (data.cacheMisses.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Not served from cache</div>';
+    data.cacheMisses.slice(0, 10).forEach(r => html += urlRow('warn', fileName(r.url), r.url, `${r.category} · ${kb(r.transferSize)}`));
+  }
+
+  // Size per origin, first party first
+  html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">By origin</div>';
+  [true, false].forEach(firstParty => {
+    data.byOrigin.filter(o => o.firstParty === firstParty).slice(0, 10).forEach(o => {
+      const unknown = o.unknownSize > 0 ? ` · ${o.unknownSize} without size (no Timing-Allow-Origin)` : '';
+      html += urlRow(firstParty ? 'pass' : 'info', `${firstParty ? '1st' : '3rd'} · ${escapeHtml(o.origin)}`, o.origin, `${o.count} request(s) · ${kb(o.size)}${unknown}`);
+    });
+  });
+
+  if (data.largest.length > 0) {
+    html += '<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Largest assets</div>';
+    data.largest.forEach(r => html += urlRow('info', fileName(r.url), r.url, `${r.category} · ${kb(r.size)}${r.firstParty ? '' : ' · 3rd party'}`));
+  }
+
+  // Waterfall: bars scaled to the last resource to finish
+  const end = Math.max(1, ...data.waterfall.map(r => r.start + r.duration));
+  html += `<div class="item-label" style="margin-top: 10px; margin-bottom: 4px; font-weight: 600;">Waterfall (${(end / 1000).toFixed(1)}s)</div>`;
+  data.waterfall.forEach(r => {
+    const left = (r.start / end * 100).toFixed(1);
+    const width = Math.max(0.5, r.duration / end * 100).toFixed(1);
+    html += `
+      <div class="waterfall-row" title="${escapeHtml(r.url)} · ${r.start}ms + ${r.duration}ms · ${r.cache}">
+        <div class="waterfall-name ellipsis">${fileName(r.url)}</div>
+        <div class="waterfall-track"><div class="waterfall-bar ${r.category}${r.firstParty ? '' : ' third-party'}" style="left: ${left}%; width: ${width}%;"></div></div>
+      </div>
+    `;
+  });
+
+  contentEl.innerHTML = html;
+}
+
 // ============================================
 // Render: Text-to-HTML Ratio
 // ============================================
@@ -863,29 +2079,109 @@ function renderSocialCardsSection(data) {
 // ============================================
 // Render: Hreflang
 // ============================================
+/**
+ * Render Hreflang section, with an on-demand check of the whole cluster
+ */
 function renderHreflangSection(data) {
+  const hreflang = data.hreflang;
   const scoreEl = document.getElementById('hreflangScore');
   const contentEl = document.getElementById('hreflangContent');
 
-  if (data.count === 0) {
+  if (hreflang.count === 0) {
     scoreEl.textContent = 'None';
     scoreEl.className = 'section-score';
     contentEl.innerHTML = '<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">No hreflang tags — single-language site</div></div></div>';
     return;
   }
 
-  scoreEl.textContent = data.count + ' tags';
-  scoreEl.className = 'section-score ' + (data.issues.length === 0 ? 'good' : 'warning');
+  scoreEl.textContent = hreflang.count + ' tags';
+  scoreEl.className = 'section-score ' + (hreflang.issues.length === 0 ? 'good' : 'warning');
 
   let html = '';
-  data.entries.forEach(e => {
-    html += `<div class="item"><div class="item-status pass">✓</div><div class="item-content"><div class="item-label">${escapeHtml(e.lang)}</div><div class="item-value truncate">${escapeHtml(e.href || '')}</div></div></div>`;
+  hreflang.entries.forEach(e => {
+    // Entries from history predate code validation
+    const valid = e.valid !== false;
+    html += `<div class="item"><div class="item-status ${valid ? 'pass' : 'fail'}">${valid ? '✓' : '✗'}</div><div class="item-content"><div class="item-label">${escapeHtml(e.lang)}</div><div class="item-value truncate">${escapeHtml(e.href || '')}</div></div></div>`;
   });
-  data.issues.forEach(i => {
+  hreflang.issues.forEach(i => {
     html += `<div class="item"><div class="item-status warn">!</div><div class="item-content"><div class="item-label">${escapeHtml(i)}</div></div></div>`;
   });
 
+  html += `
+    <div style="margin-top: 10px;">
+      <button class="action-btn" id="checkHreflangBtn">Check hreflang cluster</button>
+      <span class="item-value" id="checkHreflangStatus" style="margin-left: 8px;"></span>
+    </div>
+    <div id="checkHreflangResults"></div>
+  `;
   contentEl.innerHTML = html;
+  if (data.hreflangCluster) renderHreflangCluster(data.hreflangCluster);
+
+  document.getElementById('checkHreflangBtn').addEventListener('click', async () => {
+    const btn = document.getElementById('checkHreflangBtn');
+    const statusEl = document.getElementById('checkHreflangStatus');
+    btn.disabled = true;
+    statusEl.textContent = 'Fetching alternates...';
+    try {
+      data.hreflangCluster = await checkHreflangCluster(data.url, {
+        onProgress: (done, found) => { statusEl.textContent = `Fetched ${done} of ${found} URLs...`; }
+      });
+      renderHreflangCluster(data.hreflangCluster);
+      statusEl.textContent = '';
+    } catch (e) {
+      statusEl.textContent = 'Could not check cluster: ' + e.message;
+    } finally {
+      btn.disabled = false;
+    }
+  });
+}
+
+/**
+ * Cluster matrix: one row per page, one column per URL it should link to,
+ * ✓ when the annotation exists, ✗ when it is missing
+ */
+function renderHreflangCluster(cluster) {
+  const resultsEl = document.getElementById('checkHreflangResults');
+  const failing = cluster.issues.filter(i => i.type === 'fail').length;
+  const pages = cluster.pages;
+
+  // Column headers use each URL's code as the cluster declares it
+  const codeFor = url => {
+    const row = cluster.matrix.find(m => m.to === url);
+    if (row) return row.lang;
+    const own = pages.find(p => p.url === url);
+    const self = own && own.annotations.find(a => a.url === url);
+    return self ? self.lang : '?';
+  };
+
+  let html = `
+    <div class="stats-grid" style="margin-top: 10px;">
+      <div class="stat"><div class="stat-value">${pages.length}</div><div class="stat-label">URLs in cluster</div></div>
+      <div class="stat"><div class="stat-value">${failing}</div><div class="stat-label">Errors</div></div>
+    </div>
+  `;
+
+  if (pages.length > 1) {
+    html += '<div class="hreflang-matrix-wrap"><table class="hreflang-matrix"><tr><th>From ↓ / To →</th>';
+    pages.forEach(p => { html += `<th title="${escapeHtml(p.url)}">${escapeHtml(codeFor(p.url))}</th>`; });
+    html += '</tr>';
+    pages.forEach(from => {
+      const urls = new Set(from.annotations.map(a => a.url));
+      html += `<tr><th title="${escapeHtml(from.url)}">${escapeHtml(codeFor(from.url))} <span class="item-value">${from.status || 'ERR'}</span></th>`;
+      pages.forEach(to => {
+        if (to.url === from.url) html += `<td class="self">${urls.has(to.url) ? '✓' : '–'}</td>`;
+        else if (urls.has(to.url)) html += '<td class="linked">✓</td>';
+        else html += '<td class="missing">✗</td>';
+      });
+      html += '</tr>';
+    });
+    html += '</table></div>';
+  }
+
+  cluster.issues.forEach(issue => {
+    html += `<div class="item"><div class="item-status ${issue.type}">${getStatusIcon(issue.type)}</div><div class="item-content"><div class="item-label">${escapeHtml(issue.message)}</div></div></div>`;
+  });
+  resultsEl.innerHTML = html;
 }
 
 // ============================================
@@ -903,15 +2199,76 @@ function renderSchemaValidationSection(data) {
   }
 
   const valid = data.filter(d => d.valid).length;
+  const errors = data.reduce((n, d) => n + d.issues.filter(i => i.severity === 'error').length, 0);
+  const warnings = data.reduce((n, d) => n + d.issues.filter(i => i.severity === 'warning').length, 0);
   scoreEl.textContent = valid + '/' + data.length;
-  scoreEl.className = 'section-score ' + (valid === data.length ? 'good' : 'warning');
+  scoreEl.className = 'section-score ' + (valid === data.length ? (warnings === 0 ? 'good' : 'warning') : errors > 0 ? 'bad' : 'warning');
 
-  let html = '';
+  let html = `<div class="stats-grid">
+    <div class="stat"><div class="stat-value">${errors}</div><div class="stat-label">Errors</div></div>
+    <div class="stat"><div class="stat-value">${warnings}</div><div class="stat-label">Warnings</div></div>
+  </div>`;
   data.forEach(item => {
-    html += `<div class="item"><div class="item-status ${item.valid ? 'pass' : 'warn'}">${item.valid ? '✓' : '!'}</div><div class="item-content"><div class="item-label">${escapeHtml(item.type)} — ${item.fieldCount} fields</div>`;
+    const hasErrors = item.issues.some(i => i.severity === 'error');
+    const status = hasErrors ? 'fail' : item.valid && item.issues.length === 0 ? 'pass' : 'warn';
+    const label = item.type ? `${escapeHtml(item.types.join(', '))} — ${item.fieldCount} fields` : 'Unreadable JSON-LD';
+    html += `<div class="item"><div class="item-status ${status}">${getStatusIcon(status)}</div><div class="item-content"><div class="item-label">${label}</div>`;
+    const source = item.format === 'JSON-LD' || !item.format ? 'Script' : `${item.format} item`;
+    html += `<div class="item-value">${source} ${item.block} · <span class="json-path">${escapeHtml(item.path)}</span>${item.id ? ' · ' + escapeHtml(item.id) : ''}</div>`;
     if (item.missingFields.length > 0) {
       html += `<div class="item-value">Missing: ${item.missingFields.map(f => escapeHtml(f)).join(', ')}</div>`;
     }
+    item.issues.forEach(issue => {
+      html += `<div class="item-value">${issue.severity === 'error' ? '✗' : '!'} <span class="json-path">${escapeHtml(issue.path)}</span> ${escapeHtml(issue.message)}</div>`;
+    });
+    html += '</div></div>';
+  });
+
+  contentEl.innerHTML = html;
+}
+
+// ============================================
+// Render: Rich Results
+// ============================================
+function renderRichResultsSection(data) {
+  const scoreEl = document.getElementById('richResultsScore');
+  const contentEl = document.getElementById('richResultsContent');
+
+  if (data.features.length === 0) {
+    scoreEl.textContent = 'None';
+    scoreEl.className = 'section-score';
+    contentEl.innerHTML = '<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">No markup for Google rich result features</div></div></div>';
+    return;
+  }
+
+  const qualifying = data.eligible + data.warnings;
+  scoreEl.textContent = qualifying + '/' + data.features.length;
+  scoreEl.className = 'section-score ' + (data.ineligible === 0 ? (data.warnings === 0 ? 'good' : 'warning') : qualifying > 0 ? 'warning' : 'bad');
+
+  const statusLabels = { eligible: 'Eligible', warnings: 'Eligible with warnings', ineligible: 'Not eligible' };
+  const statusClasses = { eligible: 'pass', warnings: 'warn', ineligible: 'fail' };
+
+  let html = '';
+  data.features.forEach(feature => {
+    const status = statusClasses[feature.status];
+    html += `<div class="item"><div class="item-status ${status}">${getStatusIcon(status)}</div><div class="item-content">`;
+    html += `<div class="item-label">${escapeHtml(feature.label)} — ${statusLabels[feature.status]}</div>`;
+    if (feature.note) html += `<div class="item-value">${escapeHtml(feature.note)}</div>`;
+    feature.items.forEach(item => {
+      const prefix = feature.items.length > 1 || item.name ? `${escapeHtml(item.type)}${item.name ? ' “' + escapeHtml(item.name) + '”' : ''}: ` : '';
+      if (item.missingRequired.length > 0) {
+        html += `<div class="item-value">${prefix}missing required ${item.missingRequired.map(p => escapeHtml(p)).join(', ')}</div>`;
+      }
+      if (item.missingRecommended.length > 0) {
+        html += `<div class="item-value">${prefix}missing recommended ${item.missingRecommended.map(p => escapeHtml(p)).join(', ')}</div>`;
+      }
+      item.notes.forEach(note => {
+        html += `<div class="item-value">${prefix}${escapeHtml(note)}</div>`;
+      });
+      if (item.status === 'eligible' && feature.items.length > 1) {
+        html += `<div class="item-value">${prefix}all required and recommended properties present</div>`;
+      }
+    });
     html += '</div></div>';
   });
 
@@ -1039,6 +2396,13 @@ function renderKeywordDensitySection(data) {
 
   if (html === '') {
     html = '<div class="item"><div class="item-status info">ℹ</div><div class="item-content"><div class="item-label">No meaningful title/H1 keywords to track</div></div></div>';
+  } else if (data.fullPage) {
+    const pageTerms = [...data.fullPage.titleTerms, ...data.fullPage.h1Terms];
+    const summary = Array.from(new Map(pageTerms.map(t => [t.term, t])).values())
+      .slice(0, 5)
+      .map(t => `"${escapeHtml(t.term)}" ${t.density}%`)
+      .join(', ');
+    html += `<div class="item-value" style="margin-top: 8px;">Densities are for the main content (${data.totalWords} words). Full page (${data.fullPage.totalWords} words): ${summary || 'no matches'}</div>`;
   }
 
   contentEl.innerHTML = html;
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+import { loadScripts } from './helpers/load-script.js';
+
+const { window } = new JSDOM('');
+const { analyzePage } = loadScripts([
+  'src/lib/config.js',
+  'src/lib/schema-vocabulary.js',
+  'src/lib/schema-validator.js',
+  'src/lib/rich-results.js',
+  'src/lib/microdata.js',
+  'src/lib/hreflang.js',
+  'src/lib/accessibility.js',
+  'src/lib/analyzers.js'
+], { DOMParser: window.DOMParser, Node: window.Node, NodeFilter: window.NodeFilter });
+
+const PAGE_URL = 'https://example.com/guides/pour-over';
+const html = readFileSync(new URL('./fixtures/article.html', import.meta.url), 'utf8');
+
+// Parsed without a window, as the raw-HTML comparison does: no layout, no scripts
+const analyze = () => analyzePage(new window.DOMParser().parseFromString(html, 'text/html'), { url: PAGE_URL });
+
+test('analyzePage runs on a parsed document without a window', async () => {
+  const result = await analyze();
+  assert.equal(result.url, PAGE_URL);
+  assert.equal(result.webVitals, null);
+  assert.ok(typeof result.timestamp === 'number');
+  // Results go to the popup as JSON
+  assert.doesNotThrow(() => JSON.stringify(result));
+});
+
+test('analyzePage reads meta tags and headings from the fixture', async () => {
+  const result = await analyze();
+  const meta = key => result.meta.items.find(i => i.key === key);
+  assert.equal(meta('title').value, 'How to Brew Pour-Over Coffee at Home | Example Coffee');
+  assert.equal(result.headings.stats.h1, 1);
+  assert.equal(result.headings.stats.h2, 3);
+  assert.equal(result.canonical.canonical, PAGE_URL);
+});
+
+test('analyzePage measures the main content, not the navigation and footer', async () => {
+  const result = await analyze();
+  assert.equal(result.mainContent.method, 'main');
+  assert.equal(result.content.scope, 'main');
+  assert.ok(result.content.stats.words > 200);
+  assert.ok(result.content.fullPage.words > result.content.stats.words);
+  assert.equal(result.readability.language, 'en');
+  assert.equal(result.readability.languageSource, 'html');
+});
+
+test('analyzePage validates JSON-LD with references across blocks', async () => {
+  const result = await analyze();
+  const entries = result.schemaValidation;
+  assert.deepEqual(Array.from(entries, e => e.type), ['Article', 'Organization']);
+  entries.forEach(entry => {
+    assert.deepEqual(Array.from(entry.issues, i => i.message), [], entry.type);
+  });
+});
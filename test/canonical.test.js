@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+const { isNoindexHeader, parseLinkHeader } = loadScripts(['src/lib/canonical.js']);
+
+test('isNoindexHeader finds unscoped noindex and none', () => {
+  assert.equal(isNoindexHeader('noindex'), true);
+  assert.equal(isNoindexHeader('NOINDEX, nofollow'), true);
+  assert.equal(isNoindexHeader('none'), true);
+  assert.equal(isNoindexHeader('nofollow'), false);
+  assert.equal(isNoindexHeader(''), false);
+  assert.equal(isNoindexHeader(null), false);
+});
+
+test('isNoindexHeader does not mistake value directives for user-agents', () => {
+  assert.equal(isNoindexHeader('max-image-preview:large, noindex'), true);
+  assert.equal(isNoindexHeader('max-snippet:-1, noindex, nofollow'), true);
+  assert.equal(isNoindexHeader('max-video-preview:-1, noindex'), true);
+  assert.equal(isNoindexHeader('unavailable_after: 25 Jun 2030 15:00:00 PST, noindex'), true);
+  // The usual WordPress / Yoast header
+  assert.equal(isNoindexHeader('index, follow, max-snippet:-1, max-image-preview:large, max-video-preview:-1'), false);
+});
+
+test('isNoindexHeader only counts googlebot-scoped directives', () => {
+  assert.equal(isNoindexHeader('googlebot: noindex'), true);
+  assert.equal(isNoindexHeader('bingbot: noindex'), false);
+  assert.equal(isNoindexHeader('bingbot: noindex, nofollow'), false);
+  assert.equal(isNoindexHeader('bingbot: max-snippet:-1, noindex'), false);
+  assert.equal(isNoindexHeader('otherbot: nofollow, googlebot: noindex'), true);
+});
+
+test('parseLinkHeader reads canonical and hreflang alternates', () => {
+  const links = parseLinkHeader('</page>; rel="canonical", <https://example.com/de/>; rel="alternate"; hreflang="de"', 'https://example.com/a');
+  assert.equal(links.length, 2);
+  assert.equal(links[0].url, 'https://example.com/page');
+  assert.deepEqual([...links[0].rel], ['canonical']);
+  assert.equal(links[1].hreflang, 'de');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+const { csvCell, buildCsvExport } = loadScripts(['src/lib/export.js']);
+
+test('csvCell leaves plain values alone', () => {
+  assert.equal(csvCell('Title'), 'Title');
+  assert.equal(csvCell(42), '42');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell(undefined), '');
+});
+
+test('csvCell quotes commas, quotes and line breaks', () => {
+  assert.equal(csvCell('a,b'), '"a,b"');
+  assert.equal(csvCell('say "hi"'), '"say ""hi"""');
+  assert.equal(csvCell('one\ntwo'), '"one\ntwo"');
+});
+
+test('csvCell prefixes formula-like text with an apostrophe', () => {
+  assert.equal(csvCell('=HYPERLINK("http://evil")'), `"'=HYPERLINK(""http://evil"")"`);
+  assert.equal(csvCell('+1'), "'+1");
+  assert.equal(csvCell('-cmd'), "'-cmd");
+  assert.equal(csvCell('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvCell('\tx'), "'\tx");
+  assert.equal(csvCell('\rx'), `"'\rx"`);
+});
+
+test('csvCell keeps negative numbers as numbers', () => {
+  assert.equal(csvCell(-3), '-3');
+});
+
+test('buildCsvExport neutralizes page text in every row', () => {
+  const csv = buildCsvExport({
+    url: 'https://example.com/',
+    timestamp: 0,
+    meta: { issues: [{ type: 'warn', message: '=cmd|calc' }] }
+  });
+  const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+  assert.equal(lines[0], 'url,section,kind,field,value,status');
+  assert.equal(lines[1], "https://example.com/,meta,issue,issues,'=cmd|calc,warn");
+});
+
+test('buildCsvExport keeps negative numbers and escapes negative-looking text', () => {
+  const csv = buildCsvExport({
+    url: 'https://example.com/',
+    timestamp: 0,
+    a: { delta: -3, label: '-3', ok: true }
+  });
+  const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+  assert.deepEqual(lines.slice(1), [
+    'https://example.com/,a,metric,delta,-3,',
+    "https://example.com/,a,metric,label,'-3,",
+    'https://example.com/,a,metric,ok,true,'
+  ]);
+});
+
+test('buildCsvExport quotes formula text that needs quoting', () => {
+  const csv = buildCsvExport({
+    url: 'https://example.com/',
+    timestamp: 0,
+    meta: { title: '=HYPERLINK("http://evil","x")' }
+  });
+  assert.ok(csv.endsWith(`meta,metric,title,"'=HYPERLINK(""http://evil"",""x"")",`));
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+/**
+ * A window with just enough of the Performance and visibility APIs:
+ * emit(type, entries) feeds the observers, hide() fires visibilitychange
+ */
+function createView() {
+  const observers = new Map();
+  const listeners = new Map();
+  const on = (target) => (type, fn) => listeners.set(`${target}:${type}`, fn);
+  const doc = { visibilityState: 'visible', addEventListener: on('doc') };
+  const view = {
+    document: doc,
+    location: { href: 'https://example.com/page#top' },
+    performance: { now: () => 60000, interactionCount: 0 },
+    PerformanceObserver: class {
+      constructor(callback) { this.callback = callback; }
+      observe({ type }) { observers.set(type, this.callback); }
+    },
+    addEventListener: on('view'),
+    emit(type, entries) { observers.get(type)({ getEntries: () => entries }); },
+    hide() {
+      doc.visibilityState = 'hidden';
+      listeners.get('doc:visibilitychange')();
+    }
+  };
+  return view;
+}
+
+function load() {
+  const sent = [];
+  const chrome = { runtime: { sendMessage: message => { sent.push(message); return Promise.resolve(); } } };
+  const context = loadScripts(['src/lib/config.js', 'src/lib/analyzers.js', 'src/lib/field-vitals.js'], { chrome });
+  return { context, sent };
+}
+
+test('startFieldVitals reports the worst CLS window', () => {
+  const { context, sent } = load();
+  const view = createView();
+  context.startFieldVitals(view);
+  const shifts = [
+    { startTime: 0, value: 0.05 }, { startTime: 500, value: 0.05 },
+    { startTime: 3000, value: 0.2 }, { startTime: 3400, value: 0.3, hadRecentInput: true },
+    { startTime: 9000, value: 0.1 }
+  ];
+  shifts.forEach(entry => view.emit('layout-shift', [entry]));
+  view.hide();
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].sample.cls, +context.computeClsWindows(shifts.filter(s => !s.hadRecentInput)).value.toFixed(4));
+  assert.equal(sent[0].sample.cls, 0.2);
+  assert.equal(sent[0].sample.url, 'https://example.com/page');
+});
+
+test('startFieldVitals keeps only the 10 longest interactions and matches computeInp', () => {
+  const { context, sent } = load();
+  const view = createView();
+  context.startFieldVitals(view);
+
+  const all = [];
+  for (let i = 1; i <= 500; i++) {
+    // Several entries per interaction (pointerdown, pointerup, click)
+    const durations = [(i * 37) % 400 + 40, (i * 53) % 400 + 40];
+    durations.forEach(duration => all.push({ interactionId: i * 7, duration }));
+  }
+  all.push({ interactionId: 0, duration: 900 }); // not an interaction
+  view.emit('event', all.slice(0, 400));
+  view.emit('event', all.slice(400));
+  view.hide();
+
+  const expected = context.computeInp(all, 500);
+  assert.equal(sent[0].sample.inp, expected.latency);
+  assert.equal(sent[0].sample.interactions, 500);
+});
+
+test('startFieldVitals sends nothing for a tab that was never visible', () => {
+  const { context, sent } = load();
+  const view = createView();
+  view.document.visibilityState = 'hidden';
+  context.startFieldVitals(view);
+  view.hide();
+  assert.equal(sent.length, 0);
+});
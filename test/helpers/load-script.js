@@ -0,0 +1,19 @@
+/**
+ * Load src/lib classic scripts the way a page does: each file runs in one
+ * shared global scope, so their functions can be called from the returned
+ * context. Globals the browser would provide (URL, chrome, ...) are passed in.
+ */
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import vm from 'node:vm';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+export function loadScripts(files, globals = {}) {
+  const context = vm.createContext({ URL, console, ...globals });
+  files.forEach(file => {
+    vm.runInContext(readFileSync(ROOT + file, 'utf8'), context, { filename: file });
+  });
+  return context;
+}
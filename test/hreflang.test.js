@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+const { validateHreflangCode, findDuplicateHreflangPairs } = loadScripts(['src/lib/hreflang.js']);
+
+const valid = code => validateHreflangCode(code).valid;
+const problem = code => validateHreflangCode(code).problem;
+
+test('x-default is valid in any case', () => {
+  assert.equal(valid('x-default'), true);
+  assert.equal(valid('X-Default'), true);
+  assert.equal(validateHreflangCode('x-default').language, 'x-default');
+});
+
+test('language and language-region codes are valid', () => {
+  assert.equal(valid('de'), true);
+  assert.equal(valid('en-GB'), true);
+  assert.equal(valid('en-gb'), true);
+  const result = validateHreflangCode('pt-BR');
+  assert.equal(result.language, 'pt');
+  assert.equal(result.region, 'BR');
+});
+
+test('a script subtag may sit between language and region', () => {
+  assert.equal(valid('zh-Hant'), true);
+  const result = validateHreflangCode('zh-Hant-TW');
+  assert.equal(result.valid, true);
+  assert.equal(result.language, 'zh');
+  assert.equal(result.region, 'TW');
+});
+
+test('en-UK is rejected with the GB fix', () => {
+  assert.equal(valid('en-UK'), false);
+  assert.match(problem('en-UK'), /not an ISO 3166-1 alpha-2 region code \(use en-GB\)/);
+});
+
+test('underscores are rejected with the hyphenated fix', () => {
+  assert.equal(valid('en_US'), false);
+  assert.match(problem('en_US'), /use a hyphen \(en-US\)/);
+});
+
+test('a country code in the language position is explained', () => {
+  assert.equal(valid('uk'), true); // Ukrainian
+  assert.equal(valid('gb'), false);
+  assert.match(problem('gb'), /starts with a language, not a country/);
+  assert.equal(valid('eu'), true); // Basque
+});
+
+test('empty values and extra parts are rejected', () => {
+  assert.equal(problem(''), 'Empty hreflang value');
+  assert.equal(problem('  '), 'Empty hreflang value');
+  assert.equal(valid('en-US-CA'), false);
+  assert.match(problem('en-US-CA'), /too many parts/);
+  assert.equal(valid('xx'), false);
+});
+
+test('findDuplicateHreflangPairs finds one code pointing at two URLs', () => {
+  const duplicates = findDuplicateHreflangPairs([
+    { lang: 'en-GB', url: 'https://example.com/uk/' },
+    { lang: 'en-gb', url: 'https://example.com/gb/' },
+    { lang: 'de', url: 'https://example.com/de/' },
+    { lang: 'de', url: 'https://example.com/de/' }
+  ]);
+  assert.equal(duplicates.length, 1);
+  assert.equal(duplicates[0].lang, 'en-gb');
+  assert.deepEqual([...duplicates[0].urls], ['https://example.com/uk/', 'https://example.com/gb/']);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { loadScripts } from './helpers/load-script.js';
+
+const { getAltTextFlags } = loadScripts(['src/lib/config.js', 'src/lib/analyzers.js']);
+const { document } = new JSDOM('<body><img id="plain"><a href="/x"><img id="linked"></a></body>').window;
+
+const flagKeys = (alt, id = 'plain') => Array.from(getAltTextFlags(document.getElementById(id), alt), f => f.key);
+const looksLikeFilename = alt => flagKeys(alt).includes('filename');
+
+test('file names and camera names are flagged', () => {
+  assert.equal(looksLikeFilename('hero.jpg'), true);
+  assert.equal(looksLikeFilename('PXL_20240101_123456'), true);
+  assert.equal(looksLikeFilename('DSC-0042'), true);
+  assert.equal(looksLikeFilename('Screenshot 2026-01-04'), true);
+});
+
+test('underscore-joined and numbered hyphenated names are flagged', () => {
+  assert.equal(looksLikeFilename('blue_running_shoe'), true);
+  assert.equal(looksLikeFilename('hero-banner-1200x630'), true);
+  assert.equal(looksLikeFilename('product-shot-20240101'), true);
+});
+
+test('hyphenated words are not filenames', () => {
+  assert.equal(looksLikeFilename('mother-in-law'), false);
+  assert.equal(looksLikeFilename('state-of-the-art'), false);
+  assert.equal(looksLikeFilename('up-to-date'), false);
+  assert.equal(looksLikeFilename('covid-19'), false);
+  assert.equal(looksLikeFilename('A state-of-the-art espresso machine'), false);
+});
+
+test('placeholders, "image of" and stuffing are flagged', () => {
+  assert.deepEqual(flagKeys('image'), ['placeholder']);
+  assert.deepEqual(flagKeys('photo 3'), ['placeholder']);
+  assert.deepEqual(flagKeys('Image of a red bicycle'), ['prefix']);
+  assert.deepEqual(flagKeys('shoes running shoes cheap shoes'), ['stuffed']);
+});
+
+test('an empty alt is a failure only when the image is a link\'s only content', () => {
+  assert.deepEqual(flagKeys('', 'plain'), []);
+  assert.deepEqual(flagKeys('', 'linked'), ['linkedEmpty']);
+});
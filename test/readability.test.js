@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+const { countSyllables, getReadabilityLanguages, computeReadability } = loadScripts(['src/lib/config.js', 'src/lib/analyzers.js']);
+
+const languages = getReadabilityLanguages();
+const formula = (language, key) => languages[language].formulas.find(f => f.key === key);
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} ≉ ${expected}`);
+
+// 100 words in 8 sentences, 150 syllables, 450 letters, 10 words of 3+ syllables
+const stats = { words: 100, sentences: 8, wordsPerSentence: 12.5, syllablesPerWord: 1.5, lettersPerWord: 4.5, polysyllables: 10 };
+
+test('countSyllables: English vowel groups and silent e', () => {
+  assert.equal(countSyllables('the'), 1);
+  assert.equal(countSyllables('a'), 1);
+  assert.equal(countSyllables('coffee'), 2);
+  assert.equal(countSyllables('readability'), 5);
+  assert.equal(countSyllables('Beautiful'), 3);
+});
+
+test('countSyllables: Spanish hiatus splits strong vowels', () => {
+  assert.equal(countSyllables('ciudad', 'es'), 2);
+  assert.equal(countSyllables('poesía', 'es'), 4);
+  assert.equal(countSyllables('aéreo', 'es'), 4);
+  assert.equal(countSyllables('agua', 'es'), 2);
+});
+
+test('countSyllables: German diphthongs and umlauts', () => {
+  assert.equal(countSyllables('Eisenbahn', 'de'), 3);
+  assert.equal(countSyllables('Häuser', 'de'), 2);
+  assert.equal(countSyllables('Straße', 'de'), 2);
+});
+
+test('countSyllables: French silent final e and es', () => {
+  assert.equal(countSyllables('maison', 'fr'), 2);
+  assert.equal(countSyllables('table', 'fr'), 1);
+  assert.equal(countSyllables('rivières', 'fr'), 2);
+  assert.equal(countSyllables('les', 'fr'), 1);
+});
+
+test('countSyllables: Dutch ij and diaeresis', () => {
+  assert.equal(countSyllables('vrijheid', 'nl'), 2);
+  assert.equal(countSyllables('ideeën', 'nl'), 3);
+  assert.equal(countSyllables('geïnd', 'nl'), 2);
+});
+
+test('English formulas match their published definitions', () => {
+  near(formula('en', 'fleschEase').compute(stats), 206.835 - 1.015 * 12.5 - 84.6 * 1.5); // 66.4475
+  near(formula('en', 'fleschKincaid').compute(stats), 0.39 * 12.5 + 11.8 * 1.5 - 15.59); // 6.985
+  near(formula('en', 'gunningFog').compute(stats), 9);
+  near(formula('en', 'smog').compute(stats), 1.043 * Math.sqrt(10 * 30 / 8) + 3.1291);
+  near(formula('en', 'colemanLiau').compute(stats), 0.0588 * 450 - 0.296 * 8 - 15.8); // 8.292
+  near(formula('en', 'ari').compute(stats), 4.71 * 4.5 + 0.5 * 12.5 - 21.43); // 6.015
+});
+
+test('Spanish, German, French and Dutch ease formulas', () => {
+  near(formula('es', 'fernandezHuerta').compute(stats), 206.84 - 60 * 1.5 - 1.02 * 12.5); // 104.09
+  near(formula('es', 'szigrisztPazos').compute(stats), 206.835 - 62.3 * 1.5 - 12.5); // 100.885
+  near(formula('de', 'amstad').compute(stats), 180 - 12.5 - 58.5 * 1.5); // 79.75
+  near(formula('fr', 'kandelMoles').compute(stats), 207 - 1.015 * 12.5 - 73.6 * 1.5); // 83.9125
+  near(formula('nl', 'fleschDouma').compute(stats), 206.84 - 0.93 * 12.5 - 77 * 1.5); // 83.715
+});
+
+test('every language scores with an ease formula', () => {
+  Object.entries(languages).forEach(([code, spec]) => {
+    assert.equal(spec.formulas[0].kind, 'ease', code);
+  });
+});
+
+const docWithLang = lang => ({ documentElement: { getAttribute: () => lang } });
+const SIMPLE = 'The cat sat on the mat. The dog ran to the park. We like to read in the sun. ';
+
+test('computeReadability clamps ease to 0–100 and uses html lang', () => {
+  const result = computeReadability(SIMPLE.repeat(3), docWithLang('en-GB'), {});
+  assert.equal(result.language, 'en');
+  assert.equal(result.languageSource, 'html');
+  assert.equal(result.fleschEase, 100);
+  assert.equal(result.score, 100);
+  assert.equal(result.formulas.length, 6);
+});
+
+test('computeReadability needs 30 words', () => {
+  const result = computeReadability(SIMPLE, docWithLang('en'), {});
+  assert.equal(result.score, 0);
+  assert.match(result.message, /Not enough text/);
+});
+
+test('computeReadability reports declared languages without a formula', () => {
+  const result = computeReadability(SIMPLE.repeat(3), docWithLang('it'), {});
+  assert.equal(result.score, null);
+  assert.equal(result.message, 'No readability formula for lang="it"');
+});
+
+test('computeReadability ignores a malformed lang attribute', () => {
+  const result = computeReadability(SIMPLE.repeat(3), docWithLang('<img src=x onerror=alert(1)>'), {});
+  assert.equal(result.languageSource, 'detected');
+  assert.equal(result.language, 'en');
+});
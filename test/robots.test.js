@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobots, selectGroup, evaluateUrl, matchesPattern, fetchRobots, checkRobots } from '../src/background/robots.js';
+
+const allowed = (robots, agent, url) => evaluateUrl(parseRobots(robots), agent, url).allowed;
+
+test('parseRobots groups consecutive user-agent lines and collects sitemaps', () => {
+  const parsed = parseRobots([
+    'User-agent: Googlebot',
+    'User-agent: Bingbot',
+    'Disallow: /private',
+    '',
+    'Sitemap: https://example.com/sitemap.xml',
+    'Nonsense'
+  ].join('\n'));
+  assert.equal(parsed.groups.length, 1);
+  assert.deepEqual(parsed.groups[0].agents, ['googlebot', 'bingbot']);
+  assert.deepEqual(parsed.sitemaps, ['https://example.com/sitemap.xml']);
+  assert.equal(parsed.invalidLines.length, 1);
+});
+
+test('selectGroup matches the product token exactly, ignoring case', () => {
+  const parsed = parseRobots('User-agent: googlebot\nDisallow: /a\n\nUser-agent: *\nDisallow: /b\n');
+  assert.equal(selectGroup(parsed, 'Googlebot/2.1').agent, 'googlebot');
+  assert.equal(selectGroup(parsed, 'GOOGLEBOT').agent, 'googlebot');
+  // Not a prefix match: googlebot-image has no group of its own, so it gets "*"
+  assert.equal(selectGroup(parsed, 'Googlebot-Image').agent, '*');
+});
+
+test('selectGroup merges groups naming the same agent', () => {
+  const parsed = parseRobots('User-agent: Googlebot\nDisallow: /a\n\nUser-agent: *\nDisallow: /\n\nUser-agent: googlebot\nDisallow: /b\n');
+  const group = selectGroup(parsed, 'Googlebot');
+  assert.deepEqual(group.rules.map(r => r.pattern), ['/a', '/b']);
+  assert.deepEqual(group.lines, [1, 7]);
+});
+
+test('selectGroup reports no group when nothing applies', () => {
+  const group = selectGroup(parseRobots('User-agent: Bingbot\nDisallow: /\n'), 'Googlebot');
+  assert.equal(group.agent, null);
+  assert.deepEqual(group.rules, []);
+});
+
+test('the longest matching rule wins', () => {
+  const robots = 'User-agent: *\nDisallow: /shop\nAllow: /shop/public\n';
+  assert.equal(allowed(robots, 'Googlebot', 'https://example.com/shop/cart'), false);
+  assert.equal(allowed(robots, 'Googlebot', 'https://example.com/shop/public/item'), true);
+  assert.equal(allowed(robots, 'Googlebot', 'https://example.com/about'), true);
+});
+
+test('Allow wins a tie with Disallow', () => {
+  const robots = 'User-agent: *\nDisallow: /page\nAllow: /page\n';
+  assert.equal(allowed(robots, 'Googlebot', 'https://example.com/page'), true);
+});
+
+test('a named group replaces "*" entirely', () => {
+  const robots = 'User-agent: *\nDisallow: /\n\nUser-agent: Googlebot\nDisallow: /admin\n';
+  assert.equal(allowed(robots, 'Googlebot', 'https://example.com/blog'), true);
+  assert.equal(allowed(robots, 'Bingbot', 'https://example.com/blog'), false);
+});
+
+test('an empty Disallow allows everything and robots.txt is always crawlable', () => {
+  assert.equal(allowed('User-agent: *\nDisallow:\n', 'Googlebot', 'https://example.com/x'), true);
+  assert.equal(allowed('User-agent: *\nDisallow: /\n', 'Googlebot', 'https://example.com/robots.txt'), true);
+});
+
+test('matchesPattern supports wildcards, the $ anchor and percent-encoding', () => {
+  assert.equal(matchesPattern('/*.pdf$', '/files/report.pdf'), true);
+  assert.equal(matchesPattern('/*.pdf$', '/files/report.pdf?download=1'), false);
+  assert.equal(matchesPattern('/search*q=', '/search?lang=en&q=seo'), true);
+  assert.equal(matchesPattern('/café', '/caf%C3%A9'), true);
+});
+
+test('fetchRobots keeps at most 500 KiB of bytes', async t => {
+  const body = 'User-agent: *\n' + 'é'.repeat(300 * 1024);
+  t.mock.method(globalThis, 'fetch', async () => new Response(body));
+  const fetched = await fetchRobots('https://example.com/page');
+  assert.equal(fetched.robotsUrl, 'https://example.com/robots.txt');
+  assert.ok(new TextEncoder().encode(fetched.text).length <= 500 * 1024);
+  assert.ok(fetched.text.length < 500 * 1024);
+  assert.ok(!fetched.text.includes('\uFFFD'));
+  assert.equal(fetched.size, new TextEncoder().encode(body).length);
+  assert.equal(fetched.truncated, true);
+});
+
+test('checkRobots reports the size in bytes, not characters', async t => {
+  const body = 'User-agent: *\nDisallow: /café\n';
+  t.mock.method(globalThis, 'fetch', async () => new Response(body));
+  const result = await checkRobots('https://example.com/page', ['Googlebot']);
+  assert.equal(result.size, body.length + 1); // é is two bytes in UTF-8
+  assert.equal(result.truncated, false);
+  assert.equal(result.agents[0].allowed, true);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+const { validateJsonLd } = loadScripts(['src/lib/schema-vocabulary.js', 'src/lib/schema-validator.js']);
+
+const PAGE_URL = 'https://example.com/products/widget';
+const validate = (data, baseUrl = PAGE_URL) => validateJsonLd([JSON.stringify(data)], baseUrl);
+// Arrays from the script context have its Array prototype; compare plain copies
+const messages = entry => Array.from(entry.issues, i => i.message);
+
+test('a complete Product validates without issues', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: 'Widget',
+    image: 'https://example.com/widget.jpg',
+    offers: { '@type': 'Offer', price: '9.99', priceCurrency: 'USD' }
+  });
+  assert.equal(entry.type, 'Product');
+  assert.deepEqual([...entry.missingFields], []);
+  assert.deepEqual(messages(entry), []);
+  assert.equal(entry.valid, true);
+});
+
+test('invalid JSON is reported as an error entry', () => {
+  const [entry] = validateJsonLd(['{"@type": '], PAGE_URL);
+  assert.equal(entry.valid, false);
+  assert.match(entry.issues[0].message, /^Invalid JSON/);
+});
+
+test('relative URLs resolve against the page URL', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: 'Example',
+    url: '/',
+    logo: 'images/logo.png'
+  });
+  assert.deepEqual(messages(entry), []);
+  assert.equal(entry.valid, true);
+});
+
+test('text that is not a URL is still rejected', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: 'Example',
+    url: 'not a url',
+    logo: 'https://example.com/logo.png'
+  });
+  assert.ok(messages(entry).includes('Invalid URL "not a url"'));
+  assert.equal(entry.valid, false);
+});
+
+test('required fields are merged across every @type', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': ['Product', 'Organization'],
+    name: 'Widget'
+  });
+  assert.deepEqual([...entry.missingFields].sort(), ['image', 'logo', 'offers', 'url']);
+  assert.equal(entry.valid, false);
+});
+
+test('numeric ImageObject width and height are accepted', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': 'ImageObject',
+    contentUrl: 'https://example.com/photo.jpg',
+    width: 800,
+    height: 600
+  });
+  assert.deepEqual(messages(entry), []);
+});
+
+test('unknown properties are flagged as outside the bundled vocabulary', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': 'Person',
+    name: 'Ada',
+    favouriteColour: 'green'
+  });
+  const issue = entry.issues.find(i => i.path === '$.favouriteColour');
+  assert.equal(issue.severity, 'warning');
+  assert.equal(issue.message, 'Unknown property "favouriteColour" (not in the bundled schema.org vocabulary)');
+  // Warnings alone don't make the entry invalid
+  assert.equal(entry.valid, true);
+});
+
+test('@id references resolve across blocks', () => {
+  const entries = validateJsonLd([
+    JSON.stringify({ '@context': 'https://schema.org', '@type': 'Organization', '@id': '#org', name: 'Example', url: '/', logo: '/logo.png' }),
+    JSON.stringify({ '@context': 'https://schema.org', '@type': 'WebSite', name: 'Example', url: '/', publisher: { '@id': '#org' } })
+  ], PAGE_URL);
+  assert.equal(entries.length, 2);
+  assert.deepEqual(messages(entries[1]), []);
+  assert.equal(entries[1].block, 2);
+});
+
+test('@id references match after resolving against the page URL', () => {
+  const [org, site] = validateJsonLd([
+    JSON.stringify({ '@context': 'https://schema.org', '@graph': [
+      { '@type': 'Organization', '@id': 'https://example.com/products/widget#org', name: 'Example', url: '/', logo: '/logo.png' },
+      { '@type': 'WebSite', name: 'Example', url: '/', publisher: { '@id': '#org' } }
+    ] })
+  ], PAGE_URL);
+  assert.deepEqual(messages(org), []);
+  assert.deepEqual(messages(site), []);
+});
+
+test('relative @id definitions match absolute references', () => {
+  const entries = validateJsonLd([
+    JSON.stringify({ '@context': 'https://schema.org', '@type': 'Organization', '@id': '/#org', name: 'Example', url: '/', logo: '/logo.png' }),
+    JSON.stringify({ '@context': 'https://schema.org', '@type': 'WebSite', name: 'Example', url: '/', publisher: { '@id': 'https://example.com/#org' } })
+  ], PAGE_URL);
+  assert.deepEqual(messages(entries[1]), []);
+});
+
+test('references to another page are still unresolved', () => {
+  const [entry] = validate({
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    name: 'Example',
+    url: '/',
+    publisher: { '@id': 'https://other.example/#org' }
+  });
+  assert.deepEqual(messages(entry), ['Unresolved @id reference "https://other.example/#org" — no node on the page defines it']);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gzipSync } from 'node:zlib';
+import { fetchSitemapXml, parseSitemap } from '../src/background/sitemap.js';
+
+const URLSET = '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"><url><loc>https://example.com/a</loc></url></urlset>';
+
+test('fetchSitemapXml reads plain and gzipped sitemaps', async t => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response(URLSET));
+  const plain = await fetchSitemapXml('https://example.com/sitemap.xml');
+  assert.equal(plain.xml, URLSET);
+  assert.equal(plain.gzipped, false);
+
+  fetchMock.mock.mockImplementation(async () => new Response(gzipSync(URLSET)));
+  const gzipped = await fetchSitemapXml('https://example.com/sitemap.xml.gz');
+  assert.equal(gzipped.xml, URLSET);
+  assert.equal(gzipped.gzipped, true);
+  assert.equal(gzipped.size, URLSET.length);
+  assert.deepEqual([...parseSitemap(gzipped.xml).urls.map(u => u.loc)], ['https://example.com/a']);
+});
+
+test('fetchSitemapXml stops decompressing past 50 MB', async t => {
+  // About 60 KB compressed, 60 MB once inflated
+  const bomb = gzipSync(Buffer.alloc(60 * 1024 * 1024, 0x20));
+  t.mock.method(globalThis, 'fetch', async () => new Response(bomb));
+  const fetched = await fetchSitemapXml('https://example.com/sitemap.xml.gz');
+  assert.equal(fetched.xml, null);
+  assert.equal(fetched.gzipped, true);
+  assert.match(fetched.error, /Larger than 50 MB uncompressed/);
+});
+
+test('fetchSitemapXml reports HTTP errors', async t => {
+  t.mock.method(globalThis, 'fetch', async () => new Response('', { status: 404 }));
+  const fetched = await fetchSitemapXml('https://example.com/sitemap.xml');
+  assert.equal(fetched.xml, null);
+  assert.equal(fetched.error, 'HTTP 404');
+});
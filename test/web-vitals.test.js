@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/load-script.js';
+
+const { computeClsWindows, computeInp } = loadScripts(['src/lib/config.js', 'src/lib/analyzers.js']);
+
+const shift = (startTime, value) => ({ startTime, value });
+const event = (interactionId, duration) => ({ interactionId, duration });
+const round = value => +value.toFixed(4);
+
+test('computeClsWindows sums shifts less than 1s apart into one window', () => {
+  const cls = computeClsWindows([shift(0, 0.1), shift(900, 0.05), shift(1800, 0.05)]);
+  assert.equal(round(cls.value), 0.2);
+  assert.equal(cls.entries.length, 3);
+});
+
+test('computeClsWindows starts a new window after a 1s gap', () => {
+  const cls = computeClsWindows([shift(0, 0.1), shift(1000, 0.05), shift(1500, 0.04)]);
+  // 0.1 alone beats 0.05 + 0.04
+  assert.equal(round(cls.value), 0.1);
+  assert.deepEqual(Array.from(cls.entries, e => e.startTime), [0]);
+});
+
+test('computeClsWindows caps a window at 5s', () => {
+  // Every gap is under 1s, but the window may not run past 5s from its first shift
+  const shifts = Array.from({ length: 8 }, (_, i) => shift(i * 800, 0.01));
+  const cls = computeClsWindows(shifts);
+  assert.equal(cls.entries.length, 7); // 0 … 4800ms; the shift at 5600ms opens a new window
+  assert.equal(round(cls.value), 0.07);
+});
+
+test('computeClsWindows picks the largest window and sorts by start time', () => {
+  const cls = computeClsWindows([shift(8000, 0.2), shift(0, 0.05), shift(8500, 0.1), shift(300, 0.05)]);
+  assert.equal(round(cls.value), 0.3);
+  assert.deepEqual(Array.from(cls.entries, e => e.startTime), [8000, 8500]);
+});
+
+test('computeClsWindows is 0 without shifts', () => {
+  assert.equal(computeClsWindows([]).value, 0);
+});
+
+test('computeInp is null without interactions', () => {
+  assert.equal(computeInp([], 0), null);
+  assert.equal(computeInp([{ interactionId: 0, duration: 300 }], 0), null);
+});
+
+test('computeInp uses the longest event of each interaction', () => {
+  const inp = computeInp([event(1, 80), event(1, 240), event(2, 120)], 2);
+  assert.equal(inp.latency, 240);
+  assert.equal(inp.entries.length, 2);
+  assert.equal(inp.count, 2);
+});
+
+test('computeInp takes the worst interaction below 50 interactions', () => {
+  const entries = Array.from({ length: 49 }, (_, i) => event(i + 1, (i + 1) * 10));
+  assert.equal(computeInp(entries, 49).latency, 490);
+});
+
+test('computeInp skips one outlier per 50 interactions', () => {
+  const entries = Array.from({ length: 10 }, (_, i) => event(i + 1, 1000 - i * 100));
+  // interactionCount includes interactions under the 40ms observer threshold
+  assert.equal(computeInp(entries, 50).latency, 900);
+  assert.equal(computeInp(entries, 99).latency, 900);
+  assert.equal(computeInp(entries, 100).latency, 800);
+  assert.equal(computeInp(entries, 150).latency, 700);
+});
+
+test('computeInp never goes past the 10th longest interaction', () => {
+  const entries = Array.from({ length: 12 }, (_, i) => event(i + 1, 1200 - i * 100));
+  assert.equal(computeInp(entries, 5000).latency, 300);
+});
+
+test('computeInp falls back to the shortest seen when few were observed', () => {
+  // 200 interactions but only two slow enough to be reported
+  const inp = computeInp([event(1, 500), event(2, 300)], 200);
+  assert.equal(inp.latency, 300);
+  assert.equal(inp.count, 200);
+});